@@ -12,11 +12,23 @@
 export { RestApiPlugin } from './plugins/core/rest-api-plugin.js'
 export { AutoFilterPlugin } from './plugins/core/rest-api-autofilter-plugin.js'
 export { RowPolicyPlugin } from './plugins/core/rest-api-row-policy-plugin.js'
+export { PermissionsPlugin } from './plugins/core/rest-api-permissions-plugin.js'
+export { TenancyPlugin } from './plugins/core/rest-api-tenancy-plugin.js'
+export { SoftDeletePlugin } from './plugins/core/rest-api-soft-delete-plugin.js'
+export { AuditLogPlugin } from './plugins/core/rest-api-audit-log-plugin.js'
+export { ChangeLogPlugin } from './plugins/core/rest-api-change-log-plugin.js'
+export { ChangeFeedPlugin } from './plugins/core/rest-api-change-feed-plugin.js'
+export { WebhooksPlugin, verifyWebhookSignature } from './plugins/core/rest-api-webhooks-plugin.js'
 export { QueryProjectionsPlugin } from './plugins/core/rest-api-query-projections-plugin.js'
 export { FileHandlingPlugin } from './plugins/core/file-handling-plugin.js'
 export { CorsPlugin } from './plugins/core/rest-api-cors-plugin.js'
+export { RateLimitPlugin } from './plugins/core/rest-api-rate-limit-plugin.js'
+export { JwtAuthPlugin } from './plugins/core/rest-api-jwt-auth-plugin.js'
+export { createMemoryRateLimitStore, createRedisRateLimitStore } from './plugins/core/lib/rate-limit/token-bucket-stores.js'
 export { LabelPlugin } from './plugins/core/rest-api-label-plugin.js'
 export { SocketIOPlugin } from './plugins/core/socketio-plugin.js'
+export { AtomicOperationsPlugin } from './plugins/core/atomic-operations-plugin.js'
+export { OpenApiPlugin } from './plugins/core/openapi-plugin.js'
 
 // Database plugins
 export { RestApiKnexPlugin } from './plugins/core/rest-api-knex-plugin.js'
@@ -25,7 +37,8 @@ export { RestApiAnyapiKnexPlugin } from './plugins/core/rest-api-anyapi-knex-plu
 // Connector plugins
 export { ExpressPlugin } from './plugins/core/connectors/express-plugin.js'
 export { FastifyPlugin } from './plugins/core/connectors/fastify-plugin.js'
-// Future: export { KoaPlugin } from './plugins/core/connectors/koa-plugin.js';
+export { KoaPlugin } from './plugins/core/connectors/koa-plugin.js'
+export { NodeHttpPlugin } from './plugins/core/connectors/node-http-plugin.js'
 
 // Storage plugins for file handling
 export { LocalStorage } from './plugins/storage/local-storage.js'
@@ -0,0 +1,349 @@
+import { RestApiValidationError } from '../../lib/rest-api-errors.js'
+import {
+  JSON_API_ATOMIC_EXTENSION,
+  buildJsonApiMediaType,
+  hasJsonApiExtension
+} from './connectors/lib/transport-http-helpers.js'
+
+const ATOMIC_OPERATIONS_KEY = 'atomic:operations'
+const ATOMIC_RESULTS_KEY = 'atomic:results'
+const ATOMIC_OPS = ['add', 'update', 'remove']
+
+function createOperationError (pointer, rule, message) {
+  return new RestApiValidationError(message, {
+    fields: [pointer],
+    violations: [{ field: pointer, rule, message }]
+  })
+}
+
+/**
+ * Prefixes validation pointers with the failing operation so that clients can
+ * tell which entry of `atomic:operations` was rejected.
+ */
+function relocateOperationError (error, index) {
+  const prefix = `${ATOMIC_OPERATIONS_KEY}[${index}]`
+  error.atomicOperationIndex = index
+
+  if (error?.code === 'REST_API_VALIDATION' && error.details) {
+    const relocate = (field) => (String(field || '').startsWith(ATOMIC_OPERATIONS_KEY) ? field : `${prefix}.${field}`)
+    error.details.fields = (error.details.fields || []).map(relocate)
+    error.details.violations = (error.details.violations || []).map((violation) => ({
+      ...violation,
+      field: relocate(violation.field)
+    }))
+  }
+
+  return error
+}
+
+/**
+ * Tracks the ids assigned to local identifiers (`lid`) so that later operations
+ * in the same document can refer to resources created by earlier ones.
+ */
+function createLidRegistry () {
+  const ids = new Map()
+
+  const resolveIdentifier = (identifier, pointer) => {
+    if (!identifier || typeof identifier !== 'object') return identifier
+    if (identifier.id !== undefined && identifier.id !== null) {
+      const { lid: _lid, ...rest } = identifier
+      return rest
+    }
+    if (identifier.lid === undefined) return identifier
+
+    const id = ids.get(`${identifier.type}:${identifier.lid}`)
+    if (id === undefined) {
+      throw createOperationError(
+        `${pointer}.lid`,
+        'unknown_lid',
+        `Local identifier '${identifier.lid}' for type '${identifier.type}' has not been assigned by a previous operation`
+      )
+    }
+
+    const { lid: _lid, ...rest } = identifier
+    return { ...rest, id }
+  }
+
+  const resolveLinkage = (linkage, pointer) => {
+    if (Array.isArray(linkage)) {
+      return linkage.map((identifier, index) => resolveIdentifier(identifier, `${pointer}[${index}]`))
+    }
+    return resolveIdentifier(linkage, pointer)
+  }
+
+  const resolveRelationships = (relationships, pointer) => {
+    if (!relationships || typeof relationships !== 'object') return relationships
+
+    return Object.fromEntries(
+      Object.entries(relationships).map(([relName, relValue]) => [
+        relName,
+        relValue && Object.hasOwn(relValue, 'data')
+          ? { ...relValue, data: resolveLinkage(relValue.data, `${pointer}.${relName}.data`) }
+          : relValue
+      ])
+    )
+  }
+
+  const assign = (type, lid, id) => {
+    if (lid === undefined || lid === null) return
+    ids.set(`${type}:${lid}`, String(id))
+  }
+
+  return { resolveIdentifier, resolveLinkage, resolveRelationships, assign }
+}
+
+/**
+ * Checks the shape of a single operation object and returns the resolved target:
+ * the resource type, the (possibly lid-resolved) id and the relationship name, if any.
+ */
+function resolveOperationTarget ({ operation, index, lids, scopes }) {
+  const pointer = `${ATOMIC_OPERATIONS_KEY}[${index}]`
+
+  if (!operation || typeof operation !== 'object' || Array.isArray(operation)) {
+    throw createOperationError(pointer, 'invalid_operation', 'Each operation must be an object')
+  }
+
+  if (!ATOMIC_OPS.includes(operation.op)) {
+    throw createOperationError(
+      `${pointer}.op`,
+      'invalid_op',
+      `Operation code must be one of: ${ATOMIC_OPS.join(', ')}`
+    )
+  }
+
+  if (operation.href !== undefined) {
+    throw createOperationError(
+      `${pointer}.href`,
+      'unsupported_href',
+      'Operations must target resources with "ref"; "href" is not supported'
+    )
+  }
+
+  const ref = operation.ref
+  const data = operation.data
+
+  if (ref !== undefined) {
+    if (!ref || typeof ref !== 'object' || typeof ref.type !== 'string') {
+      throw createOperationError(`${pointer}.ref`, 'invalid_ref', 'Operation ref must be an object with a type')
+    }
+    if (operation.op === 'add' && ref.relationship === undefined) {
+      throw createOperationError(
+        `${pointer}.ref`,
+        'invalid_ref',
+        'An "add" operation can only use ref to target a relationship'
+      )
+    }
+  }
+
+  const type = ref?.type || data?.type
+  if (!type) {
+    throw createOperationError(`${pointer}.data.type`, 'required', 'Operation must identify a resource type')
+  }
+
+  if (!scopes[type]) {
+    throw createOperationError(`${pointer}.data.type`, 'unknown_type', `Unknown resource type '${type}'`)
+  }
+
+  if (operation.op === 'add' && !ref) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      throw createOperationError(`${pointer}.data`, 'required', 'An "add" operation requires a resource object in data')
+    }
+    return { type, id: null, relationship: null }
+  }
+
+  const target = ref
+    ? lids.resolveIdentifier(ref, `${pointer}.ref`)
+    : lids.resolveIdentifier(data, `${pointer}.data`)
+
+  if (target?.id === undefined || target?.id === null) {
+    throw createOperationError(
+      `${pointer}.${ref ? 'ref' : 'data'}.id`,
+      'required',
+      'Operation must identify the target resource with an id or lid'
+    )
+  }
+
+  if (ref && data && !ref.relationship && data.type && data.type !== ref.type) {
+    throw createOperationError(`${pointer}.data.type`, 'type_mismatch', 'Resource type in data must match ref.type')
+  }
+
+  return { type, id: target.id, relationship: ref?.relationship || null }
+}
+
+export const AtomicOperationsPlugin = {
+  name: 'atomic-operations',
+  dependencies: ['rest-api', 'rest-api-knex|rest-api-anyapi-knex'],
+
+  async install ({ api, addApiMethod, vars, helpers, log, scopes, pluginOptions }) {
+    const atomicOptions = pluginOptions || {}
+    const {
+      maxOperations = 100,
+      path = '/operations'
+    } = atomicOptions
+
+    const atomicMediaType = buildJsonApiMediaType({ ext: [JSON_API_ATOMIC_EXTENSION] })
+
+    const runOperation = async ({ operation, index, lids, transaction, operationContext }) => {
+      const pointer = `${ATOMIC_OPERATIONS_KEY}[${index}]`
+      const { type, id, relationship } = resolveOperationTarget({ operation, index, lids, scopes })
+      const scope = scopes[type]
+
+      if (relationship) {
+        const relationshipData = lids.resolveLinkage(operation.data, `${pointer}.data`)
+        const methodName = {
+          add: 'postRelationship',
+          update: 'patchRelationship',
+          remove: 'deleteRelationship'
+        }[operation.op]
+
+        await scope[methodName]({
+          id,
+          relationshipName: relationship,
+          relationshipData,
+          transaction
+        }, operationContext)
+
+        return {}
+      }
+
+      if (operation.op === 'remove') {
+        await scope.delete({ id, transaction }, operationContext)
+        return {}
+      }
+
+      const { lid, ...resourceData } = operation.data || {}
+      const inputData = {
+        ...resourceData,
+        type,
+        ...(resourceData.relationships
+          ? { relationships: lids.resolveRelationships(resourceData.relationships, `${pointer}.data.relationships`) }
+          : {})
+      }
+
+      if (operation.op === 'add') {
+        const result = await scope.post({
+          inputRecord: { data: inputData },
+          transaction,
+          simplified: false,
+          returnFullRecord: 'full'
+        }, operationContext)
+
+        lids.assign(type, lid, operationContext.id ?? result?.data?.id)
+        return { data: result?.data }
+      }
+
+      const result = await scope.patch({
+        id,
+        inputRecord: { data: { ...inputData, id } },
+        transaction,
+        simplified: false,
+        returnFullRecord: 'full'
+      }, operationContext)
+
+      return { data: result?.data }
+    }
+
+    addApiMethod('atomicOperations', async ({ params, context }) => {
+      const operations = params.operations ?? params[ATOMIC_OPERATIONS_KEY]
+
+      if (!Array.isArray(operations) || operations.length === 0) {
+        throw createOperationError(
+          ATOMIC_OPERATIONS_KEY,
+          'required_array',
+          `Atomic requests require a non-empty "${ATOMIC_OPERATIONS_KEY}" array`
+        )
+      }
+
+      if (operations.length > maxOperations) {
+        throw createOperationError(
+          ATOMIC_OPERATIONS_KEY,
+          'max_items',
+          `Cannot process more than ${maxOperations} operations at once`
+        )
+      }
+
+      const lids = createLidRegistry()
+      const results = []
+      const operationContexts = []
+      const transaction = await helpers.newTransaction()
+      let committed = false
+
+      try {
+        for (let index = 0; index < operations.length; index++) {
+          // Each operation gets its own context copy, exactly like bulk operations do
+          const operationContext = {
+            ...context,
+            atomicOperation: true,
+            atomicIndex: index
+          }
+          operationContexts.push(operationContext)
+
+          try {
+            results.push(await runOperation({
+              operation: operations[index],
+              index,
+              lids,
+              transaction,
+              operationContext
+            }))
+          } catch (error) {
+            throw relocateOperationError(error, index)
+          }
+        }
+
+        await transaction.commit()
+        committed = true
+      } catch (error) {
+        if (!transaction.isCompleted()) {
+          await transaction.rollback()
+        }
+        if (!committed) {
+          for (const operationContext of operationContexts) {
+            await api.runHooks('afterRollback', operationContext)
+          }
+        }
+        throw error
+      }
+
+      // The methods ran in this transaction, so they left their afterCommit work
+      // (broadcasts, change feed events, file cleanup) to whoever commits it
+      for (const operationContext of operationContexts) {
+        await api.runHooks('afterCommit', operationContext)
+      }
+
+      return { [ATOMIC_RESULTS_KEY]: results }
+    })
+
+    if (!vars.transport) {
+      log.info('Atomic Operations plugin installed without a transport; only api.atomicOperations() is available')
+      return
+    }
+
+    await api.addRoute({
+      method: 'POST',
+      path: `${vars.transport.mountPath || ''}${path}`,
+      handler: async ({ headers, body, context }) => {
+        if (!hasJsonApiExtension(headers?.['content-type'], JSON_API_ATOMIC_EXTENSION)) {
+          const error = new Error(`Content-Type must be ${atomicMediaType}`)
+          error.statusCode = 415
+          throw error
+        }
+
+        const document = await api.atomicOperations({
+          operations: body?.[ATOMIC_OPERATIONS_KEY]
+        }, context)
+
+        const hasData = document[ATOMIC_RESULTS_KEY].some((result) => result.data !== undefined)
+
+        return {
+          statusCode: hasData ? 200 : 204,
+          headers: { 'Content-Type': atomicMediaType },
+          body: hasData ? document : undefined
+        }
+      },
+      routeMeta: { kind: 'atomic', operation: 'atomicOperations' }
+    })
+
+    log.info('Atomic Operations plugin installed', { maxOperations, path })
+  }
+}
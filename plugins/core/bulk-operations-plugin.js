@@ -1,10 +1,17 @@
 import { RestApiValidationError } from '../../lib/rest-api-errors.js'
+import {
+  IDEMPOTENCY_KEY_HEADER,
+  IDEMPOTENT_REPLAY_HEADER,
+  beginIdempotentRequest,
+  completeIdempotentRequest
+} from './lib/querying-writing/idempotency-helpers.js'
+import { buildCreateMinimalRecord } from './rest-api-plugin-methods/common.js'
 
 export const BulkOperationsPlugin = {
   name: 'bulk-operations',
   dependencies: ['rest-api'],
 
-  async install ({ api, log, addHook, addScopeMethod, helpers, pluginOptions }) {
+  async install ({ api, log, addHook, addScopeMethod, helpers, vars, pluginOptions }) {
     const bulkOptions = pluginOptions || {}
     const {
       maxBulkOperations = 100,
@@ -38,6 +45,15 @@ export const BulkOperationsPlugin = {
         })
       }
 
+      const keyed = context.idempotencyKey !== undefined && context.idempotencyKey !== null
+      if (keyed && !atomic) {
+        // Non-atomic batches commit record by record, so there is no single write to tie the key to
+        throw new RestApiValidationError('Idempotency-Key requires an atomic bulk operation', {
+          fields: ['Idempotency-Key'],
+          violations: [{ field: 'Idempotency-Key', rule: 'atomic_required', message: 'Send the batch with atomic=true' }]
+        })
+      }
+
       const results = []
       const errors = []
       let transaction = null
@@ -48,6 +64,26 @@ export const BulkOperationsPlugin = {
           transaction = await helpers.newTransaction()
         }
 
+        const idempotent = await beginIdempotentRequest({
+          config: vars.idempotency,
+          context,
+          db: transaction,
+          scopeName,
+          operation: 'bulkPost',
+          payload: inputRecords
+        })
+        if (idempotent?.replayed) {
+          // The stored response only goes to a caller who may still create every record
+          for (const inputRecord of inputRecords) {
+            const recordContext = { ...context, inputRecord: inputRecord.data ? inputRecord : { data: inputRecord } }
+            recordContext.minimalRecord = buildCreateMinimalRecord(recordContext, scopeName)
+            await scope.checkPermissions({ method: 'post', originalContext: recordContext })
+          }
+
+          await transaction.commit()
+          return idempotent.response
+        }
+
         // Process records in batches
         for (let i = 0; i < inputRecords.length; i += batchSize) {
           const batch = inputRecords.slice(i, i + batchSize)
@@ -57,9 +93,10 @@ export const BulkOperationsPlugin = {
             const inputRecord = batch[j]
 
             try {
-              // Create individual context for each record
+              // Create individual context for each record; the key covers the whole batch
               const recordContext = {
                 ...context,
+                idempotencyKey: undefined,
                 bulkOperation: true,
                 bulkIndex: recordIndex
               }
@@ -96,13 +133,8 @@ export const BulkOperationsPlugin = {
           }
         }
 
-        // Commit transaction if atomic
-        if (transaction) {
-          await transaction.commit()
-        }
-
         // Build response
-        return {
+        const response = {
           data: results.filter(r => r.status === 'success').map(r => r.data),
           errors: errors.length > 0 ? errors : undefined,
           meta: {
@@ -112,6 +144,15 @@ export const BulkOperationsPlugin = {
             atomic
           }
         }
+
+        await completeIdempotentRequest({ config: vars.idempotency, context, db: transaction, response })
+
+        // Commit transaction if atomic
+        if (transaction) {
+          await transaction.commit()
+        }
+
+        return response
       } catch (error) {
         // Ensure rollback on error
         if (transaction && !transaction.isCompleted()) {
@@ -353,7 +394,7 @@ export const BulkOperationsPlugin = {
 
       // Create route handlers
       const createBulkRouteHandler = (method) => {
-        return async ({ context, body, query }) => {
+        return async ({ context = {}, body, query, headers }) => {
           // Parse query params for atomic mode override
           const atomic = query?.atomic !== undefined
             ? query.atomic === 'true'
@@ -380,7 +421,16 @@ export const BulkOperationsPlugin = {
             }
           }
 
-          return await api.scopes[scopeName][method](params)
+          // Retried batches: bulkPost returns the stored response for a key it has already seen
+          if (method === 'bulkPost' && headers?.[IDEMPOTENCY_KEY_HEADER] !== undefined) {
+            context.idempotencyKey = headers[IDEMPOTENCY_KEY_HEADER]
+          }
+
+          const result = await api.scopes[scopeName][method](params, context)
+          if (context.idempotentReplay && context.transport?.response?.headers) {
+            context.transport.response.headers[IDEMPOTENT_REPLAY_HEADER] = 'true'
+          }
+          return result
         }
       }
 
@@ -31,6 +31,7 @@ import {
   executeConnectorRoute,
   handleConnectorError
 } from './lib/connector-core.js'
+import { isEventStreamResult, openEventStream } from './lib/event-stream.js'
 
 export const ExpressPlugin = {
   name: 'express',
@@ -269,10 +270,17 @@ export const ExpressPlugin = {
               publicBaseUrl,
               runHooks
             })
+
+            // Server-Sent Events routes keep the response open
+            if (isEventStreamResult(outcome.result)) {
+              openEventStream({ res, result: outcome.result, headers: outcome.headers })
+              return
+            }
+
             res.set(outcome.headers)
 
-            // Set content type
-            res.set('Content-Type', 'application/vnd.api+json')
+            // Set content type (routes may negotiate a JSON:API extension)
+            res.set('Content-Type', outcome.contentType)
 
             if (outcome.location) {
               res.set('Location', outcome.location)
@@ -15,6 +15,7 @@ import {
   executeConnectorRoute,
   handleConnectorError
 } from './lib/connector-core.js'
+import { isEventStreamResult, openEventStream } from './lib/event-stream.js'
 
 function applyHeaders (reply, headers = {}) {
   for (const [headerName, headerValue] of Object.entries(headers)) {
@@ -181,8 +182,15 @@ export const FastifyPlugin = {
             runHooks
           })
 
+          // Server-Sent Events routes take over the raw response and keep it open
+          if (isEventStreamResult(outcome.result)) {
+            reply.hijack()
+            openEventStream({ res: reply.raw, result: outcome.result, headers: outcome.headers })
+            return
+          }
+
           applyHeaders(reply, outcome.headers)
-          reply.type('application/vnd.api+json')
+          reply.type(outcome.contentType)
 
           if (outcome.location) {
             reply.header('Location', outcome.location)
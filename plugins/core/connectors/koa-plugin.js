@@ -0,0 +1,290 @@
+/**
+ * Koa Plugin for Hooked API
+ *
+ * This plugin exposes the REST API routes as a single Koa middleware. It keeps
+ * its own route table, filled by the addRoute hook, so neither koa-router nor
+ * a body parser is required.
+ *
+ * Features:
+ * - Automatic route creation via addRoute hook
+ * - JSON:API compliant request/response handling
+ * - transport:request / transport:response hooks
+ * - Error mapping to HTTP status codes
+ * - Content type validation
+ * - File upload support with busboy or formidable
+ */
+
+import { createContext } from './lib/request-helpers.js'
+import { createEnhancedLogger } from '../../../lib/enhanced-logger.js'
+import {
+  isWriteMethod,
+  isAllowedWriteContentType,
+  getUnsupportedMediaTypeErrorBody
+} from './lib/transport-http-helpers.js'
+import {
+  extractQueryString,
+  buildTransportRequestData,
+  createConnectorContext,
+  runTransportRequestLifecycle,
+  buildTransportRejectionBody,
+  buildNotFoundTransportData,
+  executeConnectorRoute,
+  handleConnectorError
+} from './lib/connector-core.js'
+import { isEventStreamResult, openEventStream } from './lib/event-stream.js'
+import { createRouteTable, isUnderMountPath } from './lib/route-table.js'
+import { isJsonContentType, parseByteLimit, readJsonBody } from './lib/request-body.js'
+
+export const KoaPlugin = {
+  name: 'koa',
+  dependencies: ['rest-api'],
+
+  async install ({ vars, helpers, pluginOptions, log, api, runHooks, addHook }) {
+    const koaOptions = pluginOptions || {}
+
+    const enhancedLog = createEnhancedLogger(log, {
+      logFullErrors: true,
+      includeStack: true
+    })
+
+    if (!api.http) {
+      api.http = {}
+    }
+    api.http.koa = {}
+
+    const mountPath = koaOptions.mountPath || ''
+    const publicBaseUrl = koaOptions.publicBaseUrl || ''
+    const strictContentType = koaOptions.strictContentType !== false
+    const requestSizeLimit = parseByteLimit(koaOptions.requestSizeLimit || '1mb')
+
+    vars.transport = {
+      type: 'koa',
+      matchAll: '*',
+      mountPath,
+      publicBaseUrl
+    }
+
+    // Register file detector if enabled
+    let allowMultipart = false
+    if (koaOptions.enableFileUploads !== false && api.rest?.registerFileDetector) {
+      const parserLib = koaOptions.fileParser || 'busboy'
+      const parserOptions = koaOptions.fileParserOptions || {}
+
+      let detector
+
+      if (parserLib === 'busboy') {
+        try {
+          const { createBusboyDetector } = await import('./lib/busboy-detector.js')
+          detector = createBusboyDetector(parserOptions)
+        } catch (e) {
+          log.warn('Busboy not installed. Install with: npm install busboy')
+        }
+      } else if (parserLib === 'formidable') {
+        try {
+          const { createFormidableDetector } = await import('./lib/formidable-detector.js')
+          detector = createFormidableDetector(parserOptions)
+        } catch (e) {
+          log.warn('Formidable not installed. Install with: npm install formidable')
+        }
+      }
+
+      if (detector) {
+        api.rest.registerFileDetector({
+          name: `koa-${detector.name}`,
+          detect: (params, context) => {
+            if (context?.source !== 'koa' || !context.raw?.req) return false
+            return detector.detect({ ...params, _httpReq: context.raw.req })
+          },
+          parse: (params, context) => {
+            return detector.parse({ ...params, _httpReq: context.raw.req, _httpRes: context.raw.res })
+          }
+        })
+        allowMultipart = true
+        log.info(`Koa plugin registered file detector: ${detector.name}`)
+      }
+    }
+
+    const routeTable = createRouteTable({ matchAll: vars.transport.matchAll, mountPath })
+
+    const sendJson = (ctx, status, body, headers = {}) => {
+      ctx.set(headers)
+      ctx.status = status
+      ctx.set('Content-Type', 'application/vnd.api+json')
+      ctx.body = body
+    }
+
+    const handleError = async (ctx, error, context, transportData) => {
+      enhancedLog.logError('Koa request error', error, {
+        method: ctx.method,
+        path: ctx.path,
+        url: ctx.url
+      })
+
+      const { status, body, headers } = await handleConnectorError({
+        error,
+        context,
+        transportData,
+        runHooks
+      })
+      sendJson(ctx, status, body, headers)
+    }
+
+    const handleRoute = async (ctx, { route, params }) => {
+      let context = null
+      let transportData = null
+
+      try {
+        const contentType = ctx.get('Content-Type')
+        // Respect a body already parsed by koa-bodyparser or similar
+        let body = ctx.request.body
+
+        const requestData = buildTransportRequestData({
+          method: ctx.method,
+          url: ctx.url,
+          path: ctx.path,
+          headers: ctx.headers,
+          body,
+          params,
+          query: ctx.query
+        })
+        const setup = createConnectorContext({
+          request: ctx.req,
+          reply: ctx.res,
+          source: 'koa',
+          mountPath,
+          publicBaseUrl,
+          requestData,
+          createContext,
+          urlPrefixOverride: ctx.state?.urlPrefixOverride
+        })
+        context = setup.context
+        transportData = setup.transportData
+        context.raw.ctx = ctx
+
+        const { rejected, handled } = await runTransportRequestLifecycle({
+          context,
+          runHooks
+        })
+
+        if (rejected) {
+          sendJson(ctx, context.rejection.status || 500, buildTransportRejectionBody(context), transportData.response.headers)
+          return
+        }
+
+        // A hook answered on the raw response; Koa must not answer again
+        if (handled) {
+          ctx.respond = false
+          return
+        }
+
+        // Read only after transport:request hooks accepted the request; multipart stays in the stream for file detectors
+        if (body === undefined && isJsonContentType(contentType)) {
+          body = await readJsonBody(ctx.req, requestSizeLimit)
+          ctx.request.body = body
+          requestData.body = body
+        }
+
+        if (strictContentType && isWriteMethod(ctx.method) &&
+            !isAllowedWriteContentType(contentType, { allowMultipart })) {
+          sendJson(ctx, 415, getUnsupportedMediaTypeErrorBody({ allowMultipart }))
+          return
+        }
+
+        const outcome = await executeConnectorRoute({
+          method: ctx.method,
+          handler: route.handler,
+          queryString: extractQueryString(ctx.url),
+          headers: ctx.headers,
+          params,
+          body,
+          context,
+          transportData,
+          routeMeta: route.routeMeta,
+          helpers,
+          mountPath,
+          publicBaseUrl,
+          runHooks
+        })
+
+        // Server-Sent Events routes write to the raw response and keep it open
+        if (isEventStreamResult(outcome.result)) {
+          ctx.respond = false
+          openEventStream({ res: ctx.res, result: outcome.result, headers: outcome.headers })
+          return
+        }
+
+        ctx.set(outcome.headers)
+        ctx.set('Content-Type', outcome.contentType)
+
+        if (outcome.location) {
+          ctx.set('Location', outcome.location)
+        }
+
+        ctx.status = outcome.status
+        if (outcome.status !== 204) {
+          ctx.body = outcome.body
+        }
+      } catch (error) {
+        await handleError(ctx, error, context, transportData)
+      }
+    }
+
+    const sendNotFound = async (ctx) => {
+      const context = createContext(ctx.req, ctx.res, 'koa')
+      const transportData = buildNotFoundTransportData({
+        method: ctx.method,
+        url: ctx.url,
+        path: ctx.path,
+        headers: ctx.headers
+      })
+      context.transport = transportData
+
+      await runHooks('transport:response', context)
+
+      sendJson(ctx, 404, transportData.response.body, transportData.response.headers)
+    }
+
+    /**
+     * Koa middleware serving every registered route. Requests that match no
+     * route are passed on; if nothing downstream answers a request under
+     * mountPath, it gets a JSON:API 404.
+     */
+    const middleware = async (ctx, next) => {
+      const matched = routeTable.find(ctx.method, ctx.path)
+      if (matched) {
+        await handleRoute(ctx, matched)
+        return
+      }
+
+      await next()
+
+      if (koaOptions.handle404 !== false && mountPath && isUnderMountPath(ctx.path, mountPath) &&
+          ctx.status === 404 && ctx.body == null) {
+        await sendNotFound(ctx)
+      }
+    }
+
+    /**
+     * Listen to addRoute hook to add routes to the route table
+     */
+    addHook('addRoute', 'koaRouteCreator', {}, async ({ context }) => {
+      const { method, path } = context
+      routeTable.add(context)
+
+      log.trace(`Koa route created: ${method} ${path === vars.transport.matchAll ? '(all paths)' : path}`)
+    })
+
+    api.http.koa.routes = routeTable.routes
+    api.http.koa.middleware = middleware
+    api.http.koa.mount = (app) => {
+      app.use(middleware)
+      log.info(`Koa routes mounted at ${mountPath || '/'}`)
+    }
+
+    if (koaOptions.app) {
+      api.http.koa.mount(koaOptions.app)
+    }
+
+    log.info('Koa plugin initialized successfully')
+  }
+}
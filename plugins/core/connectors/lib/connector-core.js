@@ -1,5 +1,6 @@
 import { getUrlPrefix } from '../../lib/querying/url-helpers.js'
 import {
+  JSON_API_MEDIA_TYPE,
   determineResponseStatus,
   mapRestApiErrorToHttp
 } from './transport-http-helpers.js'
@@ -65,6 +66,23 @@ export function createConnectorContext ({
   return { context, transportData }
 }
 
+export function buildNotFoundTransportData ({ method, url, path, headers }) {
+  return {
+    request: { method, url, path, headers },
+    response: {
+      headers: {},
+      status: 404,
+      body: {
+        errors: [{
+          status: '404',
+          title: 'Not Found',
+          detail: `The requested endpoint ${method} ${path} does not exist`
+        }]
+      }
+    }
+  }
+}
+
 export async function runTransportRequestLifecycle ({ context, runHooks }) {
   await runHooks('transport:request', context)
 
@@ -78,6 +96,7 @@ export function buildTransportRejectionBody (context) {
   return {
     errors: [{
       status: String(context.rejection?.status || 500),
+      ...(context.rejection?.code ? { code: String(context.rejection.code) } : {}),
       title: context.rejection?.title || 'Request Rejected',
       detail: context.rejection?.message
     }]
@@ -108,6 +127,11 @@ export function getConnectorResponseBody (result) {
   return result && result.body !== undefined ? result.body : result
 }
 
+export function getConnectorContentType (headers = {}) {
+  const headerName = Object.keys(headers).find((name) => name.toLowerCase() === 'content-type')
+  return headerName ? headers[headerName] : JSON_API_MEDIA_TYPE
+}
+
 export function getConnectorLocationHeader ({
   method,
   context,
@@ -170,13 +194,16 @@ export async function executeConnectorRoute ({
     runHooks
   })
 
+  const responseHeaders = {
+    ...(result?.headers || {}),
+    ...transportHeaders
+  }
+
   return {
     status,
     body: status === 204 ? undefined : getConnectorResponseBody(result),
-    headers: {
-      ...(result?.headers || {}),
-      ...transportHeaders
-    },
+    headers: responseHeaders,
+    contentType: getConnectorContentType(responseHeaders),
     location,
     result
   }
@@ -0,0 +1,60 @@
+export const EVENT_STREAM_MEDIA_TYPE = 'text/event-stream'
+
+/**
+ * Route handlers return `{ eventStream: { open (channel) } }` to answer with a
+ * Server-Sent Events stream instead of a JSON:API document
+ */
+export function isEventStreamResult (result) {
+  return typeof result?.eventStream?.open === 'function'
+}
+
+/**
+ * Starts the event stream on a raw Node response and hands the route its channel.
+ * The connector must not write anything else to the response afterwards.
+ *
+ * @param {Object} params
+ * @param {import('http').ServerResponse} params.res - Raw response, watched for the client going away
+ * @param {Object} params.result - Route result, see isEventStreamResult()
+ * @param {Object} [params.headers] - Headers from transport:response hooks (CORS and the like)
+ */
+export function openEventStream ({ res, result, headers = {} }) {
+  const responseHeaders = Object.fromEntries(
+    Object.entries(headers).filter(([name]) => !['content-type', 'content-length'].includes(name.toLowerCase()))
+  )
+
+  res.writeHead(200, {
+    ...responseHeaders,
+    'Content-Type': `${EVENT_STREAM_MEDIA_TYPE}; charset=utf-8`,
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Stops nginx from buffering the stream
+    'X-Accel-Buffering': 'no'
+  })
+
+  let closed = false
+  const closeHandlers = []
+  const handleClose = () => {
+    if (closed) return
+    closed = true
+    for (const handler of closeHandlers) handler()
+  }
+  // Not req 'close': Node emits it once the request body is read, long before the client leaves
+  res.once('close', handleClose)
+
+  result.eventStream.open({
+    write: (chunk) => {
+      if (!closed) res.write(chunk)
+    },
+    close: () => {
+      if (closed) return
+      res.end()
+      handleClose()
+    },
+    onClose: (handler) => {
+      closeHandlers.push(handler)
+    },
+    get closed () {
+      return closed
+    }
+  })
+}
@@ -0,0 +1,60 @@
+/**
+ * JSON body reading for connectors that receive the raw Node request stream
+ * (Koa without a body parser, plain node:http).
+ */
+
+const JSON_BODY_TYPES = ['application/json', 'application/vnd.api+json']
+const BYTE_UNITS = { b: 1, kb: 1024, mb: 1024 * 1024, gb: 1024 * 1024 * 1024 }
+
+export function isJsonContentType (contentType) {
+  return JSON_BODY_TYPES.some((type) => String(contentType || '').includes(type))
+}
+
+/**
+ * Converts a size limit such as 1048576, '100kb' or '1mb' to bytes
+ * @param {number|string} limit - The limit
+ * @returns {number} The limit in bytes
+ * @throws {Error} When the limit cannot be parsed
+ */
+export function parseByteLimit (limit) {
+  if (typeof limit === 'number') return limit
+
+  const match = String(limit).trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?$/)
+  if (!match) {
+    throw new Error(`Invalid request size limit '${limit}'`)
+  }
+  return Math.floor(Number(match[1]) * BYTE_UNITS[match[2] || 'b'])
+}
+
+/**
+ * Reads a JSON request body from the Node request stream
+ * @param {Object} req - Node.js http.IncomingMessage
+ * @param {number} limit - Maximum body size in bytes
+ * @returns {Promise<Object>} The parsed body ({} when empty)
+ * @throws {Error} With statusCode 413 when too large, 400 when not valid JSON
+ */
+export async function readJsonBody (req, limit) {
+  const chunks = []
+  let size = 0
+
+  for await (const chunk of req) {
+    size += chunk.length
+    if (size > limit) {
+      const error = new Error(`Request body exceeds the ${limit} bytes limit`)
+      error.statusCode = 413
+      throw error
+    }
+    chunks.push(chunk)
+  }
+
+  const text = Buffer.concat(chunks).toString('utf8')
+  if (text.trim() === '') return {}
+
+  try {
+    return JSON.parse(text)
+  } catch (e) {
+    const error = new Error(`Invalid JSON in request body: ${e.message}`)
+    error.statusCode = 400
+    throw error
+  }
+}
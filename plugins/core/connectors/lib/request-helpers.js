@@ -193,6 +193,8 @@ export function createContext (req, res, source) {
     },
     request: {
       ip: getClientIP(req),
+      // The peer of the connection, which clients cannot choose
+      remoteAddress: req.socket?.remoteAddress || req.connection?.remoteAddress || null,
       userAgent: req.headers['user-agent'] || null,
       protocol: isSecure(req) ? 'https' : 'http',
       hostname: getHostname(req),
@@ -0,0 +1,93 @@
+/**
+ * Route table for connectors that do their own routing (Koa, plain node:http).
+ * Routes come from the addRoute hook and use Express-style paths ('/api/books/:id').
+ * The first matching route wins, so static paths must be added before `/:id`.
+ */
+
+function escapeRegExp (value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
+
+function decodeParam (value) {
+  try {
+    return decodeURIComponent(value)
+  } catch (e) {
+    return value
+  }
+}
+
+/**
+ * Compiles an Express-style route path into a matcher
+ * @param {string} path - Route path
+ * @returns {{ regex: RegExp, paramNames: Array<string> }}
+ */
+export function compileRoutePath (path) {
+  const paramNames = []
+  const pattern = path
+    .split('/')
+    .map((segment) => {
+      if (segment.startsWith(':')) {
+        paramNames.push(segment.slice(1))
+        return '([^/]+)'
+      }
+      return escapeRegExp(segment)
+    })
+    .join('/')
+
+  return { regex: new RegExp(`^${pattern}/?$`), paramNames }
+}
+
+export function isUnderMountPath (path, mountPath) {
+  return !mountPath || path === mountPath || path.startsWith(`${mountPath}/`)
+}
+
+/**
+ * Creates a route table
+ * @param {Object} options
+ * @param {string} options.matchAll - Path used for routes matching every path (vars.transport.matchAll)
+ * @param {string} [options.mountPath] - matchAll routes only match paths under it
+ * @returns {{ routes: Array, add: Function, find: Function }}
+ */
+export function createRouteTable ({ matchAll, mountPath = '' }) {
+  const routes = []
+
+  const add = ({ method, path, handler, routeMeta }) => {
+    routes.push({
+      method: method.toUpperCase(),
+      path,
+      handler,
+      routeMeta,
+      ...(path === matchAll ? {} : compileRoutePath(path))
+    })
+  }
+
+  /**
+   * @param {string} method - HTTP method
+   * @param {string} path - Request path, without query string
+   * @returns {{ route: Object, params: Object }|null}
+   */
+  const find = (method, path) => {
+    const upperMethod = String(method || '').toUpperCase()
+
+    for (const route of routes) {
+      if (route.method !== upperMethod) continue
+
+      if (route.path === matchAll) {
+        if (isUnderMountPath(path, mountPath)) return { route, params: {} }
+        continue
+      }
+
+      const match = route.regex.exec(path)
+      if (!match) continue
+
+      const params = {}
+      route.paramNames.forEach((name, index) => {
+        params[name] = decodeParam(match[index + 1])
+      })
+      return { route, params }
+    }
+    return null
+  }
+
+  return { routes, add, find }
+}
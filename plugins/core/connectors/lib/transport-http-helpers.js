@@ -1,8 +1,18 @@
+export const JSON_API_MEDIA_TYPE = 'application/vnd.api+json'
+export const JSON_API_ATOMIC_EXTENSION = 'https://jsonapi.org/ext/atomic'
+
 const JSON_API_WRITE_CONTENT_TYPES = [
-  'application/vnd.api+json',
+  JSON_API_MEDIA_TYPE,
   'application/json'
 ]
 
+// Titles of the client errors connectors and plugins raise themselves (body size, media type, limits)
+const CLIENT_ERROR_TITLES = {
+  413: 'Payload Too Large',
+  415: 'Unsupported Media Type',
+  429: 'Too Many Requests'
+}
+
 export function isWriteMethod (method) {
   return ['POST', 'PUT', 'PATCH', 'DELETE'].includes(String(method || '').toUpperCase())
 }
@@ -20,6 +30,41 @@ export function isAllowedWriteContentType (contentType, { allowMultipart = false
     .some((allowedType) => contentType.includes(allowedType))
 }
 
+/**
+ * Reads the `ext` media type parameter of a JSON:API Content-Type or Accept value.
+ * @param {string} mediaType - Header value, e.g. `application/vnd.api+json; ext="https://jsonapi.org/ext/atomic"`
+ * @returns {Array<string>} Extension URIs (empty when the header is not a JSON:API media type)
+ */
+export function getJsonApiMediaTypeExtensions (mediaType) {
+  const [type, ...parameters] = String(mediaType || '').split(';')
+  if (type.trim().toLowerCase() !== JSON_API_MEDIA_TYPE) return []
+
+  for (const parameter of parameters) {
+    const eqIndex = parameter.indexOf('=')
+    if (eqIndex === -1) continue
+    if (parameter.slice(0, eqIndex).trim().toLowerCase() !== 'ext') continue
+
+    return parameter
+      .slice(eqIndex + 1)
+      .trim()
+      .replace(/^"(.*)"$/, '$1')
+      .split(/\s+/)
+      .filter(Boolean)
+  }
+
+  return []
+}
+
+export function hasJsonApiExtension (mediaType, extension) {
+  return getJsonApiMediaTypeExtensions(mediaType).includes(extension)
+}
+
+export function buildJsonApiMediaType ({ ext = [] } = {}) {
+  return ext.length > 0
+    ? `${JSON_API_MEDIA_TYPE}; ext="${ext.join(' ')}"`
+    : JSON_API_MEDIA_TYPE
+}
+
 export function getUnsupportedMediaTypeErrorBody ({ allowMultipart = false } = {}) {
   const acceptedTypes = getAllowedWriteContentTypes({ allowMultipart }).join(' or ')
 
@@ -94,6 +139,10 @@ export function mapRestApiErrorToHttp (error) {
         status = 403
         errors = [{ status: '403', title: 'Forbidden', detail: error.message }]
         break
+      case 'precondition_failed':
+        status = 412
+        errors = [{ status: '412', title: 'Precondition Failed', detail: error.message }]
+        break
       default:
         status = 400
         errors = [{ status: '400', title: 'Bad Request', detail: error.message }]
@@ -110,7 +159,7 @@ export function mapRestApiErrorToHttp (error) {
     status = error.statusCode
     errors = [{
       status: String(status),
-      title: status === 415 ? 'Unsupported Media Type' : 'Bad Request',
+      title: CLIENT_ERROR_TITLES[status] || 'Bad Request',
       detail: error.message
     }]
   }
@@ -0,0 +1,307 @@
+/**
+ * Node HTTP Plugin for Hooked API
+ *
+ * This plugin serves the REST API routes with plain `node:http`, without any
+ * framework. It exposes `api.http.node.handler(req, res)`, which can be passed
+ * to `http.createServer()`, used as connect-style middleware (`handler(req, res, next)`)
+ * or called from a serverless function that hands over Node request/response objects.
+ *
+ * Features:
+ * - Automatic route creation via addRoute hook
+ * - JSON body parsing with a size limit
+ * - transport:request / transport:response hooks
+ * - Error mapping to HTTP status codes
+ * - Content type validation
+ * - File upload support with busboy or formidable
+ */
+
+import { createContext } from './lib/request-helpers.js'
+import { createEnhancedLogger } from '../../../lib/enhanced-logger.js'
+import {
+  JSON_API_MEDIA_TYPE,
+  isWriteMethod,
+  isAllowedWriteContentType,
+  getUnsupportedMediaTypeErrorBody
+} from './lib/transport-http-helpers.js'
+import {
+  extractQueryString,
+  buildTransportRequestData,
+  createConnectorContext,
+  runTransportRequestLifecycle,
+  buildTransportRejectionBody,
+  buildNotFoundTransportData,
+  executeConnectorRoute,
+  handleConnectorError
+} from './lib/connector-core.js'
+import { isEventStreamResult, openEventStream } from './lib/event-stream.js'
+import { createRouteTable } from './lib/route-table.js'
+import { isJsonContentType, parseByteLimit, readJsonBody } from './lib/request-body.js'
+
+function writeResponse (res, { status, body, headers = {}, contentType = JSON_API_MEDIA_TYPE }) {
+  for (const [headerName, headerValue] of Object.entries(headers || {})) {
+    res.setHeader(headerName, headerValue)
+  }
+  res.statusCode = status
+
+  if (status === 204 || body === undefined) {
+    res.end()
+    return
+  }
+
+  const payload = JSON.stringify(body)
+  res.setHeader('Content-Type', contentType)
+  res.setHeader('Content-Length', Buffer.byteLength(payload))
+  res.end(payload)
+}
+
+export const NodeHttpPlugin = {
+  name: 'node-http',
+  dependencies: ['rest-api'],
+
+  async install ({ vars, helpers, pluginOptions, log, api, runHooks, addHook }) {
+    const httpOptions = pluginOptions || {}
+
+    const enhancedLog = createEnhancedLogger(log, {
+      logFullErrors: true,
+      includeStack: true
+    })
+
+    if (!api.http) {
+      api.http = {}
+    }
+    api.http.node = {}
+
+    const mountPath = httpOptions.mountPath || ''
+    const publicBaseUrl = httpOptions.publicBaseUrl || ''
+    const strictContentType = httpOptions.strictContentType !== false
+    const requestSizeLimit = parseByteLimit(httpOptions.requestSizeLimit || '1mb')
+
+    vars.transport = {
+      type: 'node-http',
+      matchAll: '*',
+      mountPath,
+      publicBaseUrl
+    }
+
+    // Register file detector if enabled
+    let allowMultipart = false
+    if (httpOptions.enableFileUploads !== false && api.rest?.registerFileDetector) {
+      const parserLib = httpOptions.fileParser || 'busboy'
+      const parserOptions = httpOptions.fileParserOptions || {}
+
+      let detector
+
+      if (parserLib === 'busboy') {
+        try {
+          const { createBusboyDetector } = await import('./lib/busboy-detector.js')
+          detector = createBusboyDetector(parserOptions)
+        } catch (e) {
+          log.warn('Busboy not installed. Install with: npm install busboy')
+        }
+      } else if (parserLib === 'formidable') {
+        try {
+          const { createFormidableDetector } = await import('./lib/formidable-detector.js')
+          detector = createFormidableDetector(parserOptions)
+        } catch (e) {
+          log.warn('Formidable not installed. Install with: npm install formidable')
+        }
+      }
+
+      if (detector) {
+        api.rest.registerFileDetector({
+          name: `node-http-${detector.name}`,
+          detect: (params, context) => {
+            if (context?.source !== 'http' || !context.raw?.req) return false
+            return detector.detect({ ...params, _httpReq: context.raw.req })
+          },
+          parse: (params, context) => {
+            return detector.parse({ ...params, _httpReq: context.raw.req, _httpRes: context.raw.res })
+          }
+        })
+        allowMultipart = true
+        log.info(`Node HTTP plugin registered file detector: ${detector.name}`)
+      }
+    }
+
+    const routeTable = createRouteTable({ matchAll: vars.transport.matchAll, mountPath })
+
+    const handleRoute = async (req, res, { route, params }, path) => {
+      let context = null
+      let transportData = null
+
+      try {
+        const contentType = req.headers['content-type'] || ''
+        let body = req.body
+
+        const queryString = extractQueryString(req.url)
+        const requestData = buildTransportRequestData({
+          method: req.method,
+          url: req.url,
+          path,
+          headers: req.headers,
+          body,
+          params,
+          query: Object.fromEntries(new URLSearchParams(queryString))
+        })
+        const setup = createConnectorContext({
+          request: req,
+          reply: res,
+          source: 'http',
+          mountPath,
+          publicBaseUrl,
+          requestData,
+          createContext,
+          urlPrefixOverride: req.urlPrefixOverride
+        })
+        context = setup.context
+        transportData = setup.transportData
+
+        const { rejected, handled } = await runTransportRequestLifecycle({
+          context,
+          runHooks
+        })
+
+        if (rejected) {
+          writeResponse(res, {
+            status: context.rejection.status || 500,
+            body: buildTransportRejectionBody(context),
+            headers: transportData.response.headers
+          })
+          return
+        }
+
+        if (handled) {
+          return
+        }
+
+        // The body is read only once transport:request hooks (auth, rate limits) let the
+        // request through, so rejected clients cannot make the server buffer their payload.
+        // Multipart bodies stay in the stream for the file detectors.
+        if (body === undefined && isJsonContentType(contentType)) {
+          body = await readJsonBody(req, requestSizeLimit)
+          req.body = body
+          requestData.body = body
+        }
+
+        if (strictContentType && isWriteMethod(req.method) &&
+            !isAllowedWriteContentType(contentType, { allowMultipart })) {
+          writeResponse(res, { status: 415, body: getUnsupportedMediaTypeErrorBody({ allowMultipart }) })
+          return
+        }
+
+        const outcome = await executeConnectorRoute({
+          method: req.method,
+          handler: route.handler,
+          queryString,
+          headers: req.headers,
+          params,
+          body,
+          context,
+          transportData,
+          routeMeta: route.routeMeta,
+          helpers,
+          mountPath,
+          publicBaseUrl,
+          runHooks
+        })
+
+        // Server-Sent Events routes keep the response open
+        if (isEventStreamResult(outcome.result)) {
+          openEventStream({ res, result: outcome.result, headers: outcome.headers })
+          return
+        }
+
+        writeResponse(res, {
+          status: outcome.status,
+          body: outcome.body,
+          headers: {
+            ...outcome.headers,
+            ...(outcome.location ? { Location: outcome.location } : {})
+          },
+          contentType: outcome.contentType
+        })
+      } catch (error) {
+        enhancedLog.logError('Node HTTP request error', error, {
+          method: req.method,
+          path,
+          url: req.url
+        })
+
+        const { status, body, headers } = await handleConnectorError({
+          error,
+          context,
+          transportData,
+          runHooks
+        })
+        writeResponse(res, { status, body, headers })
+      }
+    }
+
+    const sendNotFound = async (req, res, path) => {
+      const context = createContext(req, res, 'http')
+      const transportData = buildNotFoundTransportData({
+        method: req.method,
+        url: req.url,
+        path,
+        headers: req.headers
+      })
+      context.transport = transportData
+
+      await runHooks('transport:response', context)
+
+      writeResponse(res, {
+        status: 404,
+        body: transportData.response.body,
+        headers: transportData.response.headers
+      })
+    }
+
+    /**
+     * Request listener serving every registered route.
+     * When `next` is given (connect-style middleware), unmatched requests are passed
+     * on; otherwise they get a JSON:API 404.
+     *
+     * @param {Object} req - Node.js http.IncomingMessage
+     * @param {Object} res - Node.js http.ServerResponse
+     * @param {Function} [next] - Called for requests matching no route
+     * @returns {Promise<void>} Resolves once the response has been written
+     */
+    const handler = async (req, res, next) => {
+      const path = String(req.url || '/').split('?')[0]
+      const matched = routeTable.find(req.method, path)
+
+      if (matched) {
+        await handleRoute(req, res, matched, path)
+        return
+      }
+
+      if (typeof next === 'function') {
+        next()
+        return
+      }
+
+      if (httpOptions.handle404 === false) {
+        res.statusCode = 404
+        res.end()
+        return
+      }
+
+      await sendNotFound(req, res, path)
+    }
+
+    /**
+     * Listen to addRoute hook to add routes to the route table
+     */
+    addHook('addRoute', 'nodeHttpRouteCreator', {}, async ({ context }) => {
+      const { method, path } = context
+      routeTable.add(context)
+
+      log.trace(`Node HTTP route created: ${method} ${path === vars.transport.matchAll ? '(all paths)' : path}`)
+    })
+
+    api.http.node.routes = routeTable.routes
+    api.http.node.handler = handler
+
+    log.info('Node HTTP plugin initialized successfully')
+  }
+}
@@ -321,6 +321,67 @@ export const FileHandlingPlugin = {
       await cleanupUploadedFiles(context)
     })
 
+    /**
+     * Files left behind by a write: every stored file of a deleted or purged record,
+     * and the previous file of a field that PUT/PATCH replaced or cleared
+     */
+    const collectReplacedFiles = (context) => {
+      const fileFields = fileScopes.get(context.scopeName)
+      const previous = context.originalMinimalRecord?.attributes
+      if (!fileFields || !previous) return []
+
+      const isDelete = context.method === 'delete' || context.method === 'purge'
+      const current = context.minimalRecord?.attributes
+      // Without the updated record there is no telling what changed
+      if (!isDelete && !current) return []
+
+      const replaced = []
+      for (const fieldConfig of fileFields) {
+        const oldUrl = previous[fieldConfig.field]
+        const newUrl = isDelete ? null : current[fieldConfig.field]
+
+        if (oldUrl && oldUrl !== newUrl && typeof fieldConfig.storage?.delete === 'function') {
+          replaced.push({ field: fieldConfig.field, storage: fieldConfig.storage, url: oldUrl })
+        }
+      }
+      return replaced
+    }
+
+    const deleteReplacedFiles = async (context) => {
+      const replaced = context.fileHandlingReplaced
+      if (!replaced || replaced.length === 0) return
+
+      context.fileHandlingReplaced = []
+      for (const { field, storage, url } of replaced) {
+        try {
+          await storage.delete(url)
+          log.debug(`Deleted replaced file for field '${field}': ${url}`)
+        } catch (error) {
+          log.warn(`Failed to delete replaced file '${url}' for field '${field}':`, error)
+        }
+      }
+    }
+
+    // Stored files are only deleted once the write is permanent: after the commit when
+    // the method owns the transaction, straight away when there is none. Writes inside
+    // a caller's transaction leave the old files in place, since it may still roll back.
+    // A soft delete keeps the files so the record can be restored; purging removes them.
+    addHook('finish', 'collectReplacedFiles', {}, async ({ context }) => {
+      if (!['put', 'patch', 'delete', 'purge'].includes(context.method) || context.softDeleted) return
+
+      context.fileHandlingReplaced = collectReplacedFiles(context)
+
+      if (!context.transaction) {
+        await deleteReplacedFiles(context)
+      } else if (!context.shouldCommit && context.fileHandlingReplaced.length > 0) {
+        log.debug(`Keeping ${context.fileHandlingReplaced.length} replaced file(s): the write is part of an outer transaction`)
+      }
+    })
+
+    addHook('afterCommit', 'deleteReplacedFiles', {}, async ({ context }) => {
+      await deleteReplacedFiles(context)
+    })
+
     log.info('File handling plugin initialized successfully')
   }
 }
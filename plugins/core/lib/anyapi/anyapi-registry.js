@@ -1,4 +1,5 @@
-import { DEFAULT_CANONICAL_CONFIG, SLOT_LIMITS, SLOT_POOLS, TYPE_TO_POOL } from './schema-utils.js'
+import { DEFAULT_CANONICAL_CONFIG, SLOT_POOLS, TYPE_TO_POOL } from './schema-utils.js'
+import { convertSlotValue } from './utils/slot-values.js'
 
 const clone = (value) => {
   if (typeof structuredClone === 'function') {
@@ -201,7 +202,7 @@ export class AnyapiRegistry {
         }
       }
 
-      const fieldSlot = this.#assignFieldSlot({ ...definition, fieldName }, descriptor.slotState, override)
+      const fieldSlot = this.#assignFieldSlot({ ...definition, fieldName }, descriptor.slotState, override, usedSlots)
       const meta = definition.meta ? JSON.stringify(definition.meta) : null
 
       await trx('any_field_configs').insert({
@@ -278,6 +279,102 @@ export class AnyapiRegistry {
     }
   }
 
+  /**
+   * Evolves the fields of a registered resource along with its records: a field whose new
+   * type belongs to another pool moves to a slot of that pool with its values converted,
+   * a rename only touches metadata, and a dropped field has its values cleared so that its
+   * slot can be reused. Everything runs in one transaction; with `dryRun` nothing is written.
+   * @returns {Promise<{ plan: object, descriptor: object }>} The steps, and the updated descriptor
+   */
+  async evolveResource ({ tenant, resource, schema = null, fields = {}, rename = {}, drop = [] }, options = {}) {
+    if (!tenant || !resource) {
+      throw new Error('evolveResource requires tenant and resource')
+    }
+
+    const trx = options.transaction || await this.knex.transaction()
+    const managed = !options.transaction
+
+    try {
+      const descriptor = await this.#loadDescriptor(tenant, resource, trx)
+      if (!descriptor) {
+        throw new Error(`Resource '${resource}' not registered for tenant '${tenant}'`)
+      }
+
+      const evolution = this.#planEvolution(descriptor, { schema: schema || descriptor.schema, fields, rename, drop })
+      const canonical = descriptor.canonical
+      const records = () => trx(canonical.tableName)
+        .where(canonical.tenantColumn, tenant)
+        .where(canonical.resourceColumn, resource)
+
+      const updates = []
+      for (const step of evolution.steps) {
+        if (step.action === 'drop' && step.slot) {
+          const [{ count }] = await records().whereNotNull(step.slot).count({ count: '*' })
+          step.rows = Number(count)
+        }
+
+        if (step.action === 'convert') {
+          const rows = await records().whereNotNull(step.from.slot).select('id', canonical.logicalIdColumn, step.from.slot)
+          const fromPool = parseSimpleSlotColumn(step.from.slot).slotType
+          const toPool = parseSimpleSlotColumn(step.to.slot).slotType
+          for (const row of rows) {
+            try {
+              updates.push({ id: row.id, from: step.from.slot, to: step.to.slot, value: convertSlotValue(row[step.from.slot], fromPool, toPool) })
+            } catch (error) {
+              throw new Error(`Field '${step.field}' of record '${row[canonical.logicalIdColumn]}': ${error.message}`)
+            }
+          }
+          step.rows = rows.length
+        }
+      }
+
+      const plan = {
+        tenant,
+        resource,
+        dryRun: options.dryRun === true,
+        steps: evolution.steps.map(({ clearSlots, ...step }) => step),
+      }
+      if (plan.dryRun) {
+        if (managed) {
+          await trx.rollback()
+        }
+        return { plan, descriptor: clone(descriptor) }
+      }
+
+      // Dropped slots are cleared first: a converted field may move into one of them
+      for (const step of evolution.steps) {
+        if (step.action !== 'drop' || !step.slot) continue
+        await records().update(Object.fromEntries(step.clearSlots.map((column) => [column, null])))
+      }
+      for (const update of updates) {
+        await trx(canonical.tableName)
+          .where({ id: update.id })
+          .update({ [update.to]: update.value, [update.from]: null })
+      }
+
+      const updated = await this.#register({
+        tenant,
+        resource,
+        schema: evolution.schema,
+        relationships: descriptor.relationships,
+        canonicalFieldMap: evolution.canonicalFieldMap,
+        idProperty: descriptor.idProperty,
+      }, trx)
+
+      if (managed) {
+        await trx.commit()
+      }
+
+      this.cache.set(this.#key(tenant, resource), updated)
+      return { plan, descriptor: clone(updated) }
+    } catch (error) {
+      if (managed && !trx.isCompleted()) {
+        await trx.rollback()
+      }
+      throw error
+    }
+  }
+
   async getDescriptor (tenant, resource, options = {}) {
     if (!tenant || !resource) return null
     const key = this.#key(tenant, resource)
@@ -360,6 +457,20 @@ export class AnyapiRegistry {
         }
       }
 
+      // Without an explicit map, fields keep the slots holding their data
+      const preservedSlots = canonicalFieldMap
+        ? new Map()
+        : await this.#loadPreservedSlots(trx, resourceRow.id, schema)
+      const reservedSlotColumns = new Set()
+      for (const override of preservedSlots.values()) {
+        if (override.idSlot) {
+          reservedSlotColumns.add(override.idSlot)
+          reservedSlotColumns.add(override.typeSlot)
+        } else {
+          reservedSlotColumns.add(override.slotColumn)
+        }
+      }
+
       await trx('any_field_configs').where({ resource_config_id: resourceRow.id }).delete()
       await trx('any_relationship_configs').where({ resource_config_id: resourceRow.id }).delete()
 
@@ -422,7 +533,9 @@ export class AnyapiRegistry {
         }
 
         let override = null
-        if (canonicalOverrides) {
+        // Plain id fields hold no slot, so the map need not list them
+        const takesSlot = Boolean(fieldDef?.belongsTo) || (Boolean(fieldDef?.type) && fieldDef.type !== 'id')
+        if (canonicalOverrides && (takesSlot || canonicalOverrides.has(fieldName))) {
           if (!canonicalOverrides.has(fieldName)) {
             throw new Error(`canonicalFieldsMap missing entry for field '${fieldName}'`)
           }
@@ -459,7 +572,16 @@ export class AnyapiRegistry {
           }
         }
 
-        const allocation = this.#assignFieldSlot({ ...fieldDef, fieldName }, slotState, override)
+        if (!override && preservedSlots.has(fieldName)) {
+          override = preservedSlots.get(fieldName)
+        }
+
+        const allocation = this.#assignFieldSlot(
+          { ...fieldDef, fieldName },
+          slotState,
+          override,
+          new Set([...usedSlotColumns, ...reservedSlotColumns])
+        )
         if (!allocation) continue
 
         const meta = fieldDef.meta ? JSON.stringify(fieldDef.meta) : null
@@ -551,6 +673,127 @@ export class AnyapiRegistry {
     }
   }
 
+  #planEvolution (descriptor, { schema, fields, rename, drop }) {
+    const idProperty = descriptor.idProperty || 'id'
+    const canonicalFieldMap = clone(descriptor.canonicalFieldMap || {})
+    const steps = []
+    const slotOf = (fieldName) => {
+      const entry = canonicalFieldMap[fieldName]
+      return typeof entry === 'string' ? entry : entry?.idSlot || null
+    }
+    const requireField = (fieldName, names, change) => {
+      if (!names.includes(fieldName)) {
+        throw new Error(`Cannot ${change} field '${fieldName}': it is not in the schema of '${descriptor.resource}'`)
+      }
+      if (fieldName === 'id' || fieldName === idProperty) {
+        throw new Error(`Cannot ${change} the id field '${fieldName}'`)
+      }
+    }
+
+    let entries = Object.entries(schema)
+
+    for (const fieldName of drop) {
+      requireField(fieldName, entries.map(([name]) => name), 'drop')
+      const entry = canonicalFieldMap[fieldName]
+      steps.push({
+        action: 'drop',
+        field: fieldName,
+        slot: slotOf(fieldName),
+        clearSlots: typeof entry === 'string' ? [entry] : (entry ? [entry.idSlot, entry.typeSlot] : []),
+      })
+      delete canonicalFieldMap[fieldName]
+      entries = entries.filter(([name]) => name !== fieldName)
+    }
+
+    for (const [fieldName, newName] of Object.entries(rename)) {
+      const names = entries.map(([name]) => name)
+      requireField(fieldName, names, 'rename')
+      if (!newName || names.includes(newName)) {
+        throw new Error(`Cannot rename field '${fieldName}' to '${newName}': the name is taken or empty`)
+      }
+      steps.push({ action: 'rename', field: fieldName, to: newName, slot: slotOf(fieldName) })
+      if (fieldName in canonicalFieldMap) {
+        canonicalFieldMap[newName] = canonicalFieldMap[fieldName]
+        delete canonicalFieldMap[fieldName]
+      }
+      entries = entries.map(([name, definition]) => [name === fieldName ? newName : name, definition])
+    }
+
+    const takenSlots = new Set(Object.values(canonicalFieldMap).flatMap((entry) => (
+      typeof entry === 'string' ? [entry] : [entry.idSlot, entry.typeSlot]
+    )))
+    const currentDefinitions = Object.fromEntries(entries)
+
+    for (const [fieldName, definition] of Object.entries(fields)) {
+      requireField(fieldName, Object.keys(currentDefinitions), 'alter')
+      const current = currentDefinitions[fieldName] || {}
+      const slot = slotOf(fieldName)
+      const holdsData = !definition.computed && definition.virtual !== true && !definition.belongsToPolymorphic
+      const pool = holdsData ? (definition.belongsTo ? 'belongsTo' : TYPE_TO_POOL.get(definition.type) || null) : null
+
+      if (holdsData && !pool && definition.type !== 'id') {
+        throw new Error(`Unsupported field type '${definition.type}'`)
+      }
+      if (slot && !pool) {
+        throw new Error(`Field '${fieldName}' cannot stop holding data: drop it instead`)
+      }
+      if (slot && Boolean(current.belongsTo) !== Boolean(definition.belongsTo)) {
+        throw new Error(`Field '${fieldName}' cannot change between an attribute and a belongsTo relationship`)
+      }
+      if (slot && definition.belongsTo && definition.belongsTo !== current.belongsTo) {
+        throw new Error(`Field '${fieldName}' cannot change its belongsTo target`)
+      }
+
+      const slotPool = slot && (current.belongsTo ? 'belongsTo' : parseSimpleSlotColumn(slot).slotType)
+      if (pool && pool !== slotPool) {
+        const allocation = this.#assignFieldSlot({ ...definition, fieldName }, this.#initializeSlotState(), null, takenSlots)
+        canonicalFieldMap[fieldName] = allocation.slotType === 'belongsTo'
+          ? { idSlot: allocation.slotColumn, typeSlot: allocation.relationshipRow.typeColumn }
+          : allocation.slotColumn
+        steps.push(slot
+          ? {
+              action: 'convert',
+              field: fieldName,
+              from: { type: current.type, slot },
+              to: { type: definition.type, slot: allocation.slotColumn },
+            }
+          : { action: 'allocate', field: fieldName, slot: allocation.slotColumn })
+      } else {
+        steps.push({ action: 'update', field: fieldName, slot })
+      }
+
+      if (canonicalFieldMap[fieldName] !== undefined) {
+        const entry = canonicalFieldMap[fieldName]
+        for (const column of (typeof entry === 'string' ? [entry] : [entry.idSlot, entry.typeSlot])) {
+          takenSlots.add(column)
+        }
+      }
+      currentDefinitions[fieldName] = definition
+    }
+
+    return { steps, schema: currentDefinitions, canonicalFieldMap }
+  }
+
+  async #loadPreservedSlots (trx, resourceConfigId, schema) {
+    const preserved = new Map()
+    const rows = await trx('any_field_configs')
+      .where({ resource_config_id: resourceConfigId })
+      .select('field_name', 'slot_type', 'slot_index', 'slot_column')
+
+    for (const row of rows) {
+      const fieldDef = schema[row.field_name]
+      if (!fieldDef || fieldDef.computed || fieldDef.virtual === true) continue
+
+      if (fieldDef.belongsTo && row.slot_type === 'belongsTo') {
+        preserved.set(row.field_name, { idSlot: row.slot_column, typeSlot: `rel_${row.slot_index}_type` })
+      } else if (!fieldDef.belongsTo && TYPE_TO_POOL.get(fieldDef.type) === row.slot_type) {
+        preserved.set(row.field_name, { slotColumn: row.slot_column })
+      }
+    }
+
+    return preserved
+  }
+
   async #loadDescriptor (tenant, resource, trx, options = {}) {
     const query = (trx || this.knex)('any_resource_configs')
       .where({ tenant_id: tenant, resource })
@@ -712,9 +955,9 @@ export class AnyapiRegistry {
     }
   }
 
-  #assignFieldSlot (fieldDef, slotState, canonicalOverride = null) {
+  #assignFieldSlot (fieldDef, slotState, canonicalOverride = null, takenSlots = new Set()) {
     if (fieldDef.belongsTo) {
-      return this.#assignBelongsTo(fieldDef, slotState, canonicalOverride)
+      return this.#assignBelongsTo(fieldDef, slotState, canonicalOverride, takenSlots)
     }
 
     const { type } = fieldDef
@@ -752,23 +995,24 @@ export class AnyapiRegistry {
       }
     }
 
-    const nextIndex = slotState[pool] + 1
-    if (nextIndex > SLOT_LIMITS[pool]) {
+    // Slots freed by removed fields are reused
+    const slotColumn = SLOT_POOLS[pool].find((column) => !takenSlots.has(column))
+    if (!slotColumn) {
       throw new Error(`No available ${pool} slots remaining`)
     }
 
-    slotState[pool] = nextIndex
-    const slotColumn = SLOT_POOLS[pool][nextIndex - 1]
+    const slotIndex = SLOT_POOLS[pool].indexOf(slotColumn) + 1
+    slotState[pool] = Math.max(slotState[pool], slotIndex)
 
     return {
       slotType: pool,
-      slotIndex: nextIndex,
+      slotIndex,
       slotColumn,
       updatedState: slotState,
     }
   }
 
-  #assignBelongsTo (fieldDef, slotState, canonicalOverride = null) {
+  #assignBelongsTo (fieldDef, slotState, canonicalOverride = null, takenSlots = new Set()) {
     const alias = BELONGS_TO_ALIAS(fieldDef.fieldName || '', fieldDef)
     const relationshipKey = fieldDef.relationshipKey || null
 
@@ -804,12 +1048,12 @@ export class AnyapiRegistry {
       }
     }
 
-    const nextIndex = slotState.belongsTo + 1
-    if (nextIndex > SLOT_LIMITS.belongsTo) {
+    const nextIndex = SLOT_POOLS.belongsTo.find((index) => !takenSlots.has(`rel_${index}_id`))
+    if (!nextIndex) {
       throw new Error('No available belongsTo slots remaining')
     }
 
-    slotState.belongsTo = nextIndex
+    slotState.belongsTo = Math.max(slotState.belongsTo, nextIndex)
 
     return {
       slotType: 'belongsTo',
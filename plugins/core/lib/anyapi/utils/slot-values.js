@@ -0,0 +1,83 @@
+// Values as the slot columns hold them differ per database: booleans come back as 1/0,
+// dates as numbers or Date objects, and json slots as text
+const readSlotValue = (value, pool) => {
+  if (value === null || value === undefined) return null
+
+  switch (pool) {
+    case 'boolean':
+      return value === true || value === 1 || value === '1' || value === 'true'
+    case 'date':
+      return value instanceof Date ? value : new Date(value)
+    case 'json':
+      if (typeof value !== 'string') return value
+      try {
+        return JSON.parse(value)
+      } catch {
+        return value
+      }
+    default:
+      return value
+  }
+}
+
+const cannotConvert = (value, pool) => {
+  const shown = value instanceof Date ? value.toISOString() : JSON.stringify(value)
+  return new Error(`Value ${shown} cannot be converted to a ${pool} slot`)
+}
+
+const toStringSlot = (value) => {
+  if (value instanceof Date) return value.toISOString()
+  if (typeof value === 'object') return JSON.stringify(value)
+  return String(value)
+}
+
+const toNumberSlot = (value) => {
+  if (typeof value === 'boolean') return value ? 1 : 0
+  if (typeof value === 'number') return value
+  if (typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value))) {
+    return Number(value)
+  }
+  throw cannotConvert(value, 'number')
+}
+
+const toBooleanSlot = (value) => {
+  if (typeof value === 'boolean') return value
+  const normalized = String(value).trim().toLowerCase()
+  if (['true', '1'].includes(normalized)) return true
+  if (['false', '0'].includes(normalized)) return false
+  throw cannotConvert(value, 'boolean')
+}
+
+const toDateSlot = (value) => {
+  const date = value instanceof Date
+    ? value
+    : (typeof value === 'number' || typeof value === 'string' ? new Date(value) : null)
+  if (!date || Number.isNaN(date.getTime())) {
+    throw cannotConvert(value, 'date')
+  }
+  return date
+}
+
+const toJsonSlot = (value) => JSON.stringify(value instanceof Date ? value.toISOString() : value)
+
+const WRITERS = {
+  string: toStringSlot,
+  number: toNumberSlot,
+  boolean: toBooleanSlot,
+  date: toDateSlot,
+  json: toJsonSlot,
+}
+
+/**
+ * Converts a value read from a slot of one pool into what a slot of another pool stores.
+ * Throws when the value has no equivalent, e.g. 'abc' for a number slot.
+ */
+export const convertSlotValue = (value, fromPool, toPool) => {
+  const writer = WRITERS[toPool]
+  if (!writer || !WRITERS[fromPool]) {
+    throw new Error(`Values cannot move from ${fromPool} slots to ${toPool} slots`)
+  }
+
+  const current = readSlotValue(value, fromPool)
+  return current === null ? null : writer(current)
+}
@@ -1,3 +1,9 @@
+import {
+  FULL_TEXT_VECTOR_COLUMN,
+  getFullTextTableName,
+  parseFullTextExpressionColumns
+} from './querying/full-text-search.js'
+
 const TABLE_NAME_PATTERN = /^[A-Za-z0-9_]+$/
 const MYSQL_BOOLEAN_TINYINT_PATTERN = /^tinyint\(1\)/i
 
@@ -15,7 +21,7 @@ function toCamelCase (value) {
 
 function requireKnexRaw (knex) {
   if (!knex || typeof knex.raw !== 'function') {
-    throw new TypeError('introspectKnexTableSnapshot requires knex with raw().')
+    throw new TypeError('Database introspection requires knex with raw().')
   }
 }
 
@@ -44,6 +50,9 @@ function detectDialect (knex) {
   if (clientName.includes('mysql')) {
     return 'mysql2'
   }
+  if (clientName === 'pg' || clientName === 'pgnative' || clientName.includes('postgres')) {
+    return 'pg'
+  }
 
   throw new Error(`Unsupported knex client "${clientName || 'unknown'}" for introspectKnexTableSnapshot.`)
 }
@@ -119,7 +128,9 @@ function resolveTypeKind ({ name = '', dataType = '', columnType = '' } = {}) {
     normalizedType === 'mediumtext' ||
     normalizedType === 'longtext' ||
     normalizedType === 'enum' ||
-    normalizedType === 'set'
+    normalizedType === 'set' ||
+    normalizedType === 'uuid' ||
+    normalizedType === 'tsvector'
   ) {
     return 'string'
   }
@@ -155,22 +166,23 @@ function resolveTypeKind ({ name = '', dataType = '', columnType = '' } = {}) {
     return 'boolean'
   }
 
-  if (normalizedType === 'datetime' || normalizedType === 'timestamp') {
+  if (normalizedType === 'datetime' || normalizedType === 'timestamp' || normalizedType === 'timestamptz') {
     return 'datetime'
   }
   if (normalizedType === 'date') {
     return 'date'
   }
-  if (normalizedType === 'time') {
+  if (normalizedType === 'time' || normalizedType === 'timetz') {
     return 'time'
   }
-  if (normalizedType === 'json') {
+  if (normalizedType === 'json' || normalizedType === 'jsonb') {
     return 'json'
   }
   if (
     normalizedType === 'blob' ||
     normalizedType === 'binary' ||
-    normalizedType === 'varbinary'
+    normalizedType === 'varbinary' ||
+    normalizedType === 'bytea'
   ) {
     return 'binary'
   }
@@ -252,9 +264,15 @@ function normalizeIndexes (rows = []) {
       name: indexName,
       unique: !nonUnique,
       indexType: normalizeText(row.indexType || row.index_type).toUpperCase(),
+      predicate: normalizeText(row.predicate),
+      expression: false,
       columns: []
     }
 
+    // Expression parts carry the expression text in place of a column name
+    if (row.isExpression === true) {
+      existing.expression = true
+    }
     existing.columns.push({
       name: columnName,
       order: seqInIndex
@@ -269,7 +287,9 @@ function normalizeIndexes (rows = []) {
       indexType: index.indexType,
       columns: index.columns
         .sort((left, right) => left.order - right.order)
-        .map((column) => column.name)
+        .map((column) => column.name),
+      ...(index.predicate ? { predicate: index.predicate } : {}),
+      ...(index.expression ? { expression: true } : {})
     }))
     .sort((left, right) => left.name.localeCompare(right.name))
 }
@@ -856,6 +876,16 @@ async function introspectSqliteTableSnapshot (knex, { tableName, idColumn }) {
   const resolvedIdColumn = requireIdColumn(columns, idColumn)
   requirePrimaryKeyContainsId(primaryKeyColumns, resolvedIdColumn)
 
+  // The FTS5 table created for fullText fields, if any
+  const fullTextTableName = getFullTextTableName(tableName)
+  const fullTextTableRows = normalizeRows(await knex.raw(
+    'SELECT name FROM sqlite_master WHERE type = \'table\' AND name = ? LIMIT 1',
+    [fullTextTableName]
+  ))
+  const fullTextColumns = fullTextTableRows.length > 0
+    ? normalizeRows(await knex.raw(`PRAGMA table_info(${quoteSqliteIdentifier(fullTextTableName)})`)).map((row) => normalizeText(row.name))
+    : null
+
   return {
     dialect: 'sqlite',
     schemaName: 'main',
@@ -866,6 +896,7 @@ async function introspectSqliteTableSnapshot (knex, { tableName, idColumn }) {
     hasWorkspaceIdColumn: columns.some((column) => column.name === 'workspace_id'),
     hasUserIdColumn: columns.some((column) => column.name === 'user_id'),
     columns,
+    fullTextColumns,
     indexes: normalizeIndexes(indexRows),
     foreignKeys: normalizeForeignKeys(foreignKeyRows, parsedConstraints.foreignKeys, tableName),
     checkConstraints: normalizeCheckConstraints(parsedConstraints.checkConstraints, tableName)
@@ -1043,6 +1074,7 @@ async function introspectMysqlTableSnapshot (knex, { tableName, idColumn }) {
     hasWorkspaceIdColumn: columns.some((column) => column.name === 'workspace_id'),
     hasUserIdColumn: columns.some((column) => column.name === 'user_id'),
     columns,
+    fullTextColumns: null,
     indexes: normalizeIndexes(indexRows),
     foreignKeys: normalizeForeignKeys(foreignKeyRows, [], tableName),
     checkConstraints: normalizeCheckConstraints(
@@ -1055,6 +1087,381 @@ async function introspectMysqlTableSnapshot (knex, { tableName, idColumn }) {
   }
 }
 
+const POSTGRES_DATA_TYPES = {
+  varchar: 'varchar',
+  bpchar: 'char',
+  text: 'text',
+  citext: 'text',
+  uuid: 'uuid',
+  int2: 'smallint',
+  int4: 'integer',
+  int8: 'bigint',
+  numeric: 'numeric',
+  float4: 'real',
+  float8: 'double',
+  bool: 'boolean',
+  timestamp: 'timestamp',
+  timestamptz: 'timestamptz',
+  date: 'date',
+  time: 'time',
+  timetz: 'timetz',
+  json: 'json',
+  jsonb: 'jsonb',
+  bytea: 'bytea',
+  tsvector: 'tsvector'
+}
+
+const POSTGRES_FK_ACTIONS = {
+  a: 'NO ACTION',
+  r: 'RESTRICT',
+  c: 'CASCADE',
+  n: 'SET NULL',
+  d: 'SET DEFAULT'
+}
+
+const POSTGRES_CAST_PATTERN = /::[A-Za-z_][A-Za-z0-9_ ."]*(?:\[\])?$/
+const POSTGRES_LITERAL_PATTERN = /^'((?:''|[^'])*)'(?:::[A-Za-z_][A-Za-z0-9_ ."]*)?$/
+
+function stripWrappingParentheses (source = '') {
+  let text = normalizeText(source)
+  while (text.startsWith('(')) {
+    const group = extractParenthesizedContent(text, 0)
+    if (!group || group.endIndex !== text.length - 1) break
+    text = group.content.trim()
+  }
+
+  return text
+}
+
+function normalizePostgresDefault (value, { dataType }) {
+  const text = normalizeText(value)
+  if (!text || /^NULL(::.*)?$/i.test(text)) {
+    return null
+  }
+
+  // Literals come back cast to the column type: 'active'::character varying, '-1'::integer
+  const literal = text.match(POSTGRES_LITERAL_PATTERN)
+  if (literal) {
+    return literal[1].replace(/''/g, "'")
+  }
+
+  if (dataType === 'boolean') {
+    if (text.toLowerCase() === 'true') return '1'
+    if (text.toLowerCase() === 'false') return '0'
+  }
+
+  return stripWrappingParentheses(text.replace(POSTGRES_CAST_PATTERN, ''))
+}
+
+function parsePostgresLiteralList (source = '') {
+  const values = []
+  for (const entry of splitTopLevelSqlList(source)) {
+    const match = stripWrappingParentheses(entry).match(POSTGRES_LITERAL_PATTERN)
+    if (!match) return null
+    values.push(match[1].replace(/''/g, "'"))
+  }
+
+  return values.length > 0 ? values : null
+}
+
+/**
+ * Postgres stores `col IN ('a', 'b')` checks, which knex uses for enum columns, as
+ * `col = ANY (ARRAY['a'::text, 'b'::text])`
+ * @returns {{ columnName: string, values: Array<string> }|null} The column and its allowed values
+ */
+function parsePostgresEnumCheck (clause = '') {
+  const source = stripWrappingParentheses(clause)
+  const anyMatch = source.match(/^\(?"?([A-Za-z0-9_]+)"?\)?(?:::[A-Za-z ]+)?\s*=\s*ANY\s*\((.*)\)$/is)
+  if (anyMatch) {
+    const arrayMatch = stripWrappingParentheses(anyMatch[2].replace(POSTGRES_CAST_PATTERN, ''))
+      .match(/^ARRAY\[(.*)\]$/is)
+    const values = arrayMatch ? parsePostgresLiteralList(arrayMatch[1]) : null
+    return values ? { columnName: anyMatch[1], values } : null
+  }
+
+  const inMatch = source.match(/^"?([A-Za-z0-9_]+)"?\s+IN\s*\((.*)\)$/is)
+  const values = inMatch ? parsePostgresLiteralList(inMatch[2]) : null
+  return values ? { columnName: inMatch[1], values } : null
+}
+
+function formatEnumCheckClause (columnName, values) {
+  return `${columnName} in (${values.map((value) => `'${String(value).replace(/'/g, "''")}'`).join(', ')})`
+}
+
+async function introspectPostgresTableSnapshot (knex, { tableName, idColumn }) {
+  const schemaRows = normalizeRows(await knex.raw('SELECT current_schema() AS "schemaName"'))
+  const schemaName = normalizeDbSchemaName(schemaRows)
+
+  const columnRows = normalizeRows(
+    await knex.raw(
+      `
+        SELECT
+          c.column_name AS "columnName",
+          c.udt_name AS "udtName",
+          format_type(a.atttypid, a.atttypmod) AS "columnType",
+          c.is_nullable AS "isNullable",
+          c.column_default AS "columnDefault",
+          c.is_identity AS "isIdentity",
+          c.is_generated AS "isGenerated",
+          c.generation_expression AS "generationExpression",
+          c.character_maximum_length AS "characterMaximumLength",
+          c.numeric_precision AS "numericPrecision",
+          c.numeric_scale AS "numericScale",
+          c.datetime_precision AS "datetimePrecision",
+          c.collation_name AS "collationName",
+          c.ordinal_position AS "ordinalPosition"
+        FROM information_schema.columns c
+        JOIN pg_catalog.pg_namespace n
+          ON n.nspname = c.table_schema
+        JOIN pg_catalog.pg_class t
+          ON t.relnamespace = n.oid
+         AND t.relname = c.table_name
+        JOIN pg_catalog.pg_attribute a
+          ON a.attrelid = t.oid
+         AND a.attname = c.column_name
+        WHERE c.table_schema = ?
+          AND c.table_name = ?
+        ORDER BY c.ordinal_position ASC
+      `,
+      [schemaName, tableName]
+    )
+  )
+  if (columnRows.length < 1) {
+    throw new Error(`Could not introspect table "${tableName}" in schema "${schemaName}".`)
+  }
+
+  const enumRows = normalizeRows(
+    await knex.raw(
+      `
+        SELECT
+          a.attname AS "columnName",
+          e.enumlabel AS "label"
+        FROM pg_catalog.pg_attribute a
+        JOIN pg_catalog.pg_class t
+          ON t.oid = a.attrelid
+        JOIN pg_catalog.pg_namespace n
+          ON n.oid = t.relnamespace
+        JOIN pg_catalog.pg_enum e
+          ON e.enumtypid = a.atttypid
+        WHERE n.nspname = ?
+          AND t.relname = ?
+          AND a.attnum > 0
+          AND NOT a.attisdropped
+        ORDER BY a.attname ASC, e.enumsortorder ASC
+      `,
+      [schemaName, tableName]
+    )
+  )
+
+  const primaryRows = normalizeRows(
+    await knex.raw(
+      `
+        SELECT
+          k.column_name AS "columnName",
+          k.ordinal_position AS "ordinalPosition"
+        FROM information_schema.table_constraints tc
+        JOIN information_schema.key_column_usage k
+          ON k.constraint_name = tc.constraint_name
+         AND k.table_schema = tc.table_schema
+         AND k.table_name = tc.table_name
+        WHERE tc.table_schema = ?
+          AND tc.table_name = ?
+          AND tc.constraint_type = 'PRIMARY KEY'
+        ORDER BY k.ordinal_position ASC
+      `,
+      [schemaName, tableName]
+    )
+  )
+
+  const indexRows = normalizeRows(
+    await knex.raw(
+      `
+        SELECT
+          i.relname AS "indexName",
+          CASE WHEN ix.indisunique THEN 0 ELSE 1 END AS "nonUnique",
+          am.amname AS "accessMethod",
+          a.attname AS "columnName",
+          pg_get_indexdef(ix.indexrelid, k.ordinality::int, true) AS "definition",
+          pg_get_expr(ix.indpred, ix.indrelid, true) AS "predicate",
+          k.ordinality::int AS "seqInIndex"
+        FROM pg_catalog.pg_index ix
+        JOIN pg_catalog.pg_class t
+          ON t.oid = ix.indrelid
+        JOIN pg_catalog.pg_namespace n
+          ON n.oid = t.relnamespace
+        JOIN pg_catalog.pg_class i
+          ON i.oid = ix.indexrelid
+        JOIN pg_catalog.pg_am am
+          ON am.oid = i.relam
+        CROSS JOIN LATERAL unnest(ix.indkey::int2[]) WITH ORDINALITY AS k(attnum, ordinality)
+        LEFT JOIN pg_catalog.pg_attribute a
+          ON a.attrelid = t.oid
+         AND a.attnum = k.attnum
+         AND k.attnum > 0
+        WHERE n.nspname = ?
+          AND t.relname = ?
+          AND NOT ix.indisprimary
+          AND k.ordinality <= ix.indnkeyatts
+        ORDER BY i.relname ASC, k.ordinality ASC
+      `,
+      [schemaName, tableName]
+    )
+  )
+
+  const foreignKeyRows = normalizeRows(
+    await knex.raw(
+      `
+        SELECT
+          con.conname AS "constraintName",
+          src.attname AS "columnName",
+          ref.relname AS "referencedTableName",
+          dst.attname AS "referencedColumnName",
+          k.ordinality::int AS "ordinalPosition",
+          con.confupdtype AS "updateAction",
+          con.confdeltype AS "deleteAction"
+        FROM pg_catalog.pg_constraint con
+        JOIN pg_catalog.pg_class t
+          ON t.oid = con.conrelid
+        JOIN pg_catalog.pg_namespace n
+          ON n.oid = t.relnamespace
+        JOIN pg_catalog.pg_class ref
+          ON ref.oid = con.confrelid
+        CROSS JOIN LATERAL unnest(con.conkey, con.confkey) WITH ORDINALITY AS k(attnum, refattnum, ordinality)
+        JOIN pg_catalog.pg_attribute src
+          ON src.attrelid = con.conrelid
+         AND src.attnum = k.attnum
+        JOIN pg_catalog.pg_attribute dst
+          ON dst.attrelid = con.confrelid
+         AND dst.attnum = k.refattnum
+        WHERE con.contype = 'f'
+          AND n.nspname = ?
+          AND t.relname = ?
+        ORDER BY con.conname ASC, k.ordinality ASC
+      `,
+      [schemaName, tableName]
+    )
+  )
+
+  const checkConstraintRows = normalizeRows(
+    await knex.raw(
+      `
+        SELECT
+          con.conname AS "constraintName",
+          pg_get_constraintdef(con.oid, true) AS "definition"
+        FROM pg_catalog.pg_constraint con
+        JOIN pg_catalog.pg_class t
+          ON t.oid = con.conrelid
+        JOIN pg_catalog.pg_namespace n
+          ON n.oid = t.relnamespace
+        WHERE con.contype = 'c'
+          AND n.nspname = ?
+          AND t.relname = ?
+        ORDER BY con.conname ASC
+      `,
+      [schemaName, tableName]
+    )
+  )
+
+  const nativeEnumValues = new Map()
+  for (const row of enumRows) {
+    const columnName = normalizeText(row.columnName)
+    nativeEnumValues.set(columnName, [...(nativeEnumValues.get(columnName) || []), String(row.label)])
+  }
+
+  // knex creates enum columns as text with a check constraint; those checks also give the column its values
+  const checkEnumValues = new Map()
+  const checks = checkConstraintRows.map((row) => {
+    const clause = stripWrappingParentheses(
+      normalizeText(row.definition).replace(/^CHECK\s*/i, '').replace(/\s+NOT\s+VALID$/i, '')
+    )
+    const enumCheck = parsePostgresEnumCheck(clause)
+    if (enumCheck) {
+      checkEnumValues.set(enumCheck.columnName, enumCheck.values)
+    }
+
+    return {
+      name: row.constraintName,
+      clause: enumCheck ? formatEnumCheckClause(enumCheck.columnName, enumCheck.values) : clause
+    }
+  })
+
+  const columns = columnRows.map((row) => {
+    const name = normalizeText(row.columnName)
+    const udtName = normalizeText(row.udtName).toLowerCase()
+    const enumValues = nativeEnumValues.get(name) || checkEnumValues.get(name) || []
+    const dataType = nativeEnumValues.has(name) ? 'enum' : (POSTGRES_DATA_TYPES[udtName] || udtName)
+    const rawDefault = normalizeText(row.columnDefault)
+    const isSerial = /^nextval\(/i.test(rawDefault)
+    const autoIncrement = isSerial || normalizeText(row.isIdentity).toUpperCase() === 'YES'
+    const generated = normalizeText(row.isGenerated).toUpperCase() === 'ALWAYS'
+
+    return buildColumnSnapshot({
+      name,
+      dataType,
+      columnType: row.columnType,
+      nullable: normalizeText(row.isNullable).toUpperCase() === 'YES',
+      defaultValue: isSerial || generated ? null : normalizePostgresDefault(rawDefault, { dataType }),
+      extra: autoIncrement ? 'auto_increment' : (generated ? 'stored generated' : ''),
+      autoIncrement,
+      maxLength: row.characterMaximumLength,
+      // information_schema reports the binary precision of integers and floats too
+      numericPrecision: dataType === 'numeric' ? row.numericPrecision : null,
+      numericScale: dataType === 'numeric' ? row.numericScale : null,
+      datetimePrecision: row.datetimePrecision,
+      collationName: row.collationName,
+      ordinalPosition: row.ordinalPosition,
+      enumValues,
+      setValues: []
+    })
+  })
+
+  const resolvedIdColumn = requireIdColumn(columns, idColumn)
+  const primaryKeyColumns = normalizePrimaryKeyColumns(primaryRows)
+  requirePrimaryKeyContainsId(primaryKeyColumns, resolvedIdColumn)
+
+  // The generated tsvector column created for fullText fields, if any
+  const fullTextRow = columnRows.find((row) => normalizeText(row.columnName) === FULL_TEXT_VECTOR_COLUMN)
+  const fullTextColumns = fullTextRow ? parseFullTextExpressionColumns(fullTextRow.generationExpression) : null
+
+  return {
+    dialect: 'pg',
+    schemaName,
+    tableName,
+    tableCollation: '',
+    idColumn: resolvedIdColumn,
+    primaryKeyColumns,
+    hasWorkspaceIdColumn: columns.some((column) => column.name === 'workspace_id'),
+    hasUserIdColumn: columns.some((column) => column.name === 'user_id'),
+    columns,
+    fullTextColumns,
+    indexes: normalizeIndexes(indexRows.map((row) => {
+      const isExpression = !normalizeText(row.columnName)
+      const accessMethod = normalizeText(row.accessMethod).toLowerCase()
+
+      return {
+        indexName: row.indexName,
+        nonUnique: row.nonUnique,
+        // btree is what knex creates without an indexType
+        indexType: accessMethod === 'btree' ? '' : accessMethod,
+        columnName: isExpression ? row.definition : row.columnName,
+        isExpression,
+        predicate: row.predicate,
+        seqInIndex: row.seqInIndex
+      }
+    })),
+    foreignKeys: normalizeForeignKeys(
+      foreignKeyRows.map((row) => ({
+        ...row,
+        updateRule: POSTGRES_FK_ACTIONS[normalizeText(row.updateAction)] || '',
+        deleteRule: POSTGRES_FK_ACTIONS[normalizeText(row.deleteAction)] || ''
+      })),
+      [],
+      tableName
+    ),
+    checkConstraints: normalizeCheckConstraints(checks, tableName)
+  }
+}
+
 export async function introspectKnexTableSnapshot (knex, { tableName = '', idColumn = 'id' } = {}) {
   requireKnexRaw(knex)
   const resolvedTableName = requireTableName(tableName)
@@ -1074,5 +1481,51 @@ export async function introspectKnexTableSnapshot (knex, { tableName = '', idCol
     })
   }
 
+  if (dialect === 'pg') {
+    return introspectPostgresTableSnapshot(knex, {
+      tableName: resolvedTableName,
+      idColumn
+    })
+  }
+
   throw new Error(`Unsupported dialect "${dialect}" for introspectKnexTableSnapshot.`)
 }
+
+/**
+ * Lists the tables of the connected database (the current schema on PostgreSQL).
+ * Views, SQLite internals and the FTS5 virtual tables with their shadow tables are left out.
+ * @returns {Promise<string[]>} Table names, sorted
+ */
+export async function listKnexTables (knex) {
+  requireKnexRaw(knex)
+  const dialect = detectDialect(knex)
+
+  if (dialect === 'sqlite') {
+    const rows = normalizeRows(await knex.raw(
+      'SELECT name, sql FROM sqlite_master WHERE type = \'table\' AND name NOT LIKE \'sqlite_%\' ORDER BY name'
+    ))
+    const virtualTables = rows
+      .filter((row) => /^\s*CREATE\s+VIRTUAL\s+TABLE/i.test(String(row.sql || '')))
+      .map((row) => String(row.name))
+
+    return rows
+      .map((row) => String(row.name))
+      .filter((name) => !virtualTables.some((virtualTable) => name === virtualTable || name.startsWith(`${virtualTable}_`)))
+  }
+
+  if (dialect === 'mysql2') {
+    const rows = normalizeRows(await knex.raw(
+      'SELECT table_name AS tableName FROM information_schema.tables WHERE table_schema = DATABASE() AND table_type = \'BASE TABLE\' ORDER BY table_name'
+    ))
+    return rows.map((row) => String(row.tableName ?? row.TABLE_NAME))
+  }
+
+  if (dialect === 'pg') {
+    const rows = normalizeRows(await knex.raw(
+      'SELECT table_name AS "tableName" FROM information_schema.tables WHERE table_schema = current_schema() AND table_type = \'BASE TABLE\' ORDER BY table_name'
+    ))
+    return rows.map((row) => String(row.tableName))
+  }
+
+  throw new Error(`Unsupported dialect "${dialect}" for listKnexTables.`)
+}
@@ -0,0 +1,292 @@
+/**
+ * @file Builds addResource() definitions from live table snapshots
+ */
+
+import { normalizeFieldStorage } from './storage/storage-mapping.js'
+import { orderTablesByDependencies } from './dbTablesOperations.js'
+
+const IDENTIFIER_PATTERN = /^[A-Za-z_$][A-Za-z0-9_$]*$/
+const TIMESTAMP_COLUMNS = ['created_at', 'updated_at']
+// Rules every database applies when none is given; the schema leaves them out
+const DEFAULT_FOREIGN_KEY_RULES = ['', 'NO ACTION', 'RESTRICT']
+
+function quoteString (value) {
+  const escaped = String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/'/g, "\\'")
+    .replace(/\r/g, '\\r')
+    .replace(/\n/g, '\\n')
+
+  return `'${escaped}'`
+}
+
+function formatKey (key) {
+  return IDENTIFIER_PATTERN.test(key) ? key : quoteString(key)
+}
+
+// Single-line literal, for field definitions and the like
+function formatInline (value) {
+  if (typeof value === 'string') return quoteString(value)
+  if (Array.isArray(value)) return `[${value.map((entry) => formatInline(entry)).join(', ')}]`
+  if (value && typeof value === 'object') {
+    const entries = Object.entries(value).map(([key, entryValue]) => `${formatKey(key)}: ${formatInline(entryValue)}`)
+    return entries.length > 0 ? `{ ${entries.join(', ')} }` : '{}'
+  }
+  return String(value)
+}
+
+// One entry per line, each entry on a single line
+function formatBlock (value, indent) {
+  const padding = ' '.repeat(indent + 2)
+  const lines = Array.isArray(value)
+    ? value.map((entry) => `${padding}${formatInline(entry)}`)
+    : Object.entries(value).map(([key, entryValue]) => `${padding}${formatKey(key)}: ${formatInline(entryValue)}`)
+  const [open, close] = Array.isArray(value) ? ['[', ']'] : ['{', '}']
+
+  return `${open}\n${lines.join(',\n')}\n${' '.repeat(indent)}${close}`
+}
+
+function formatResourceCall ({ scopeName, options }) {
+  const entries = Object.entries(options).map(([key, value]) => {
+    const formatted = value && typeof value === 'object' ? formatBlock(value, 2) : formatInline(value)
+    return `  ${formatKey(key)}: ${formatted}`
+  })
+
+  return `await api.addResource(${quoteString(scopeName)}, {\n${entries.join(',\n')}\n})`
+}
+
+function parseDefaultValue (column) {
+  const value = column.defaultValue
+  switch (column.typeKind) {
+    case 'integer':
+    case 'number':
+      return /^-?\d+(\.\d+)?$/.test(value) ? Number(value) : undefined
+    case 'boolean':
+      if (['1', 'true'].includes(String(value).toLowerCase())) return true
+      if (['0', 'false'].includes(String(value).toLowerCase())) return false
+      return undefined
+    case 'string':
+      return String(value)
+    default:
+      // Database expressions such as CURRENT_TIMESTAMP have no schema equivalent
+      return undefined
+  }
+}
+
+function buildFieldType (column) {
+  switch (column.typeKind) {
+    case 'string':
+      return { type: 'string' }
+    case 'integer':
+      return column.unsigned ? { type: 'integer', unsigned: true } : { type: 'integer' }
+    case 'number':
+      return ['decimal', 'numeric'].includes(column.dataType) && column.numericPrecision != null
+        ? { type: 'number', precision: column.numericPrecision, scale: column.numericScale ?? 0 }
+        : { type: 'number' }
+    case 'boolean':
+      return { type: 'boolean' }
+    case 'date':
+      return { type: 'date' }
+    case 'datetime':
+      return { type: 'dateTime' }
+    case 'time':
+      return { type: 'time' }
+    case 'json':
+      return { type: 'object' }
+    case 'binary':
+      return { type: 'blob' }
+    default:
+      return { type: 'string' }
+  }
+}
+
+function buildColumnConstraints (column, warnings, tableName) {
+  const constraints = {}
+
+  if (column.typeKind === 'string' && column.maxLength != null) {
+    constraints.maxLength = column.maxLength
+  }
+  if (column.enumValues?.length > 0) {
+    constraints.enum = [...column.enumValues]
+  }
+
+  let defaultValue
+  if (column.hasDefault) {
+    defaultValue = parseDefaultValue(column)
+    if (defaultValue === undefined) {
+      warnings.push(`${tableName}: Default ${JSON.stringify(column.defaultValue)} of column '${column.name}' is left to the database.`)
+    }
+  }
+
+  // Columns the database fills in are not required from clients
+  if (!column.nullable && defaultValue === undefined && !column.hasDefault) {
+    constraints.required = true
+  } else if (!column.nullable) {
+    constraints.nullable = false
+  } else {
+    constraints.nullable = true
+  }
+
+  if (defaultValue !== undefined) {
+    constraints.defaultTo = defaultValue
+  }
+
+  return constraints
+}
+
+function pickUniqueName (taken, preferred, fallback) {
+  const name = taken.has(preferred) ? fallback : preferred
+  taken.add(name)
+  return name
+}
+
+function capitalize (value) {
+  return value.charAt(0).toUpperCase() + value.slice(1)
+}
+
+/**
+ * Builds the addResource() definition of every table. Foreign keys to other scaffolded
+ * tables become belongsTo fields, and their inverse hasMany relationships; tables made of
+ * nothing but two such keys become the `through` of many-to-many relationships.
+ * @param {Array<object>} snapshots - Snapshots returned by introspectKnexTableSnapshot()
+ * @returns {{ resources: Array<{ scopeName: string, options: object }>, code: string, warnings: string[] }} Definitions, as objects and as code
+ */
+export function scaffoldResourceDefinitions (snapshots = []) {
+  const warnings = []
+  const snapshotsByTable = new Map(snapshots.map((snapshot) => [snapshot.tableName, snapshot]))
+  const resources = new Map()
+  const belongsToLinks = []
+
+  for (const snapshot of snapshots) {
+    const { tableName, idColumn } = snapshot
+    const schema = { id: { type: 'id' } }
+    const indexes = []
+    const foreignKeysByColumn = new Map()
+    const fieldsByColumn = new Map([[idColumn, 'id']])
+
+    for (const foreignKey of snapshot.foreignKeys) {
+      if (foreignKey.columns.length !== 1) {
+        warnings.push(`${tableName}: Composite foreign key '${foreignKey.name}' is not scaffolded.`)
+        continue
+      }
+      foreignKeysByColumn.set(foreignKey.columns[0].name, foreignKey)
+    }
+
+    const takenNames = new Set(snapshot.columns.flatMap((column) => [column.key, column.name]))
+
+    for (const column of snapshot.columns) {
+      if (column.name === idColumn) continue
+
+      const field = {}
+      const foreignKey = foreignKeysByColumn.get(column.name)
+      const target = foreignKey && snapshotsByTable.get(foreignKey.referencedTableName)
+      const referencesTargetId = target && foreignKey.columns[0].referencedName === target.idColumn
+      // Relationships name their keys by column, so belongsTo fields keep the column name
+      const fieldName = referencesTargetId ? column.name : column.key
+
+      if (referencesTargetId) {
+        const as = pickUniqueName(takenNames, column.key.replace(/Id$/, '') || column.key, `${column.key}Record`)
+        Object.assign(field, { type: 'id', belongsTo: target.tableName, as })
+        if (snapshot.dialect === 'mysql2' && !column.unsigned) field.unsigned = false
+        belongsToLinks.push({ tableName, columnName: column.name, fieldName, as, targetTableName: target.tableName })
+      } else {
+        Object.assign(field, buildFieldType(column))
+      }
+
+      Object.assign(field, buildColumnConstraints(column, warnings, tableName))
+
+      if (normalizeFieldStorage(fieldName).column !== column.name) {
+        field.storage = { column: column.name }
+      }
+
+      if (foreignKey) {
+        const references = { table: foreignKey.referencedTableName, column: foreignKey.columns[0].referencedName }
+        if (foreignKey.name !== `${tableName}_${column.name}_foreign`) references.name = foreignKey.name
+        const deleteRule = String(foreignKey.deleteRule || '').toUpperCase()
+        const updateRule = String(foreignKey.updateRule || '').toUpperCase()
+        if (!DEFAULT_FOREIGN_KEY_RULES.includes(deleteRule)) references.onDelete = deleteRule
+        if (!DEFAULT_FOREIGN_KEY_RULES.includes(updateRule)) references.onUpdate = updateRule
+        field.references = references
+      }
+
+      schema[fieldName] = field
+      fieldsByColumn.set(column.name, fieldName)
+    }
+
+    for (const index of snapshot.indexes) {
+      if (index.predicate || index.expression === true) {
+        warnings.push(`${tableName}: Index '${index.name}' is partial or built on expressions and is not scaffolded.`)
+        continue
+      }
+      const indexDef = { name: index.name, columns: index.columns.map((column) => fieldsByColumn.get(column) || column) }
+      if (index.unique) indexDef.unique = true
+      else if (index.indexType) indexDef.indexType = index.indexType
+      indexes.push(indexDef)
+    }
+
+    const options = { schema }
+    if (idColumn !== 'id') options.idProperty = idColumn
+    if (indexes.length > 0) options.indexes = indexes
+    resources.set(tableName, { scopeName: tableName, options, takenNames })
+  }
+
+  // A junction table holds two links and nothing else but its id and timestamps
+  const linksByTable = new Map()
+  for (const link of belongsToLinks) {
+    if (!linksByTable.has(link.tableName)) linksByTable.set(link.tableName, [])
+    linksByTable.get(link.tableName).push(link)
+  }
+  const junctions = new Map()
+  for (const [tableName, links] of linksByTable.entries()) {
+    const snapshot = snapshotsByTable.get(tableName)
+    const otherColumns = snapshot.columns.filter((column) => {
+      return column.name !== snapshot.idColumn &&
+        !TIMESTAMP_COLUMNS.includes(column.name) &&
+        !links.some((link) => link.columnName === column.name)
+    })
+    if (links.length === 2 && otherColumns.length === 0) junctions.set(tableName, links)
+  }
+
+  const addRelationship = (tableName, preferred, fallback, definition) => {
+    const resource = resources.get(tableName)
+    const name = pickUniqueName(resource.takenNames, preferred, fallback)
+    resource.options.relationships = resource.options.relationships || {}
+    resource.options.relationships[name] = definition
+  }
+
+  for (const link of belongsToLinks) {
+    const junction = junctions.get(link.tableName)
+    if (junction) {
+      const other = junction.find((entry) => entry !== link)
+      addRelationship(link.targetTableName, other.targetTableName, `${other.targetTableName}Via${capitalize(other.as)}`, {
+        type: 'manyToMany',
+        through: link.tableName,
+        foreignKey: link.fieldName,
+        otherKey: other.fieldName
+      })
+      continue
+    }
+
+    addRelationship(link.targetTableName, link.tableName, `${link.tableName}As${capitalize(link.as)}`, {
+      type: 'hasMany',
+      target: link.tableName,
+      foreignKey: link.fieldName
+    })
+  }
+
+  // Targets of belongsTo come first, as a migration would create them
+  const { order } = orderTablesByDependencies(new Map([...resources.keys()].map((tableName) => [
+    tableName,
+    new Set((linksByTable.get(tableName) || []).map((link) => link.targetTableName))
+  ])))
+  const orderedResources = order.map((tableName) => {
+    const { scopeName, options } = resources.get(tableName)
+    return { scopeName, options }
+  })
+
+  return {
+    resources: orderedResources,
+    code: orderedResources.map((resource) => formatResourceCall(resource)).join('\n\n'),
+    warnings
+  }
+}
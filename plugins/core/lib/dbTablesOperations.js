@@ -3,6 +3,15 @@
  */
 
 import { buildStorageInfo } from './storage/storage-mapping.js'
+import { introspectKnexTableSnapshot } from './dbIntrospection.js'
+import {
+  buildFullTextDropStatements,
+  buildFullTextReplaceStatements,
+  buildFullTextSchemaStatements,
+  compileFullTextConfig,
+  FULL_TEXT_VECTOR_COLUMN,
+  getFullTextDialect
+} from './querying/full-text-search.js'
 
 const MYSQL_DIALECT_PATTERN = /mysql/i
 
@@ -289,6 +298,7 @@ function normalizeColumnShape (definition = {}) {
 
   switch (definition.type) {
     case 'id':
+    case 'integer':
       return 'integer'
     case 'number':
       return definition.precision !== undefined && definition.scale !== undefined ? 'decimal' : 'float'
@@ -326,6 +336,7 @@ function normalizeDesiredTypeKind (definition = {}) {
 
   switch (definition.type) {
     case 'id':
+    case 'integer':
       return 'integer'
     case 'number':
       return 'number'
@@ -483,6 +494,11 @@ function mapTypeToKnex (table, columnName, definition, options = {}) {
       return unsigned !== false ? col.unsigned() : col
     }
 
+    case 'integer': {
+      const col = table.integer(columnName)
+      return unsigned === true ? col.unsigned() : col
+    }
+
     case 'boolean':
       return table.boolean(columnName)
 
@@ -607,6 +623,13 @@ function buildColumnBuilderCode (columnName, definition, options = {}) {
         }
         break
 
+      case 'integer':
+        line = `table.integer(${quoteJsString(columnName)})`
+        if (definition.unsigned === true) {
+          line += '.unsigned()'
+        }
+        break
+
       case 'boolean':
         line = `table.boolean(${quoteJsString(columnName)})`
         break
@@ -705,10 +728,99 @@ function buildForeignKeyLine (foreignKey) {
   return line
 }
 
+function buildDropIndexLine (index) {
+  // Partial and expression indexes are plain indexes, never unique constraints
+  if (index.unique && !index.predicate && index.expression !== true) {
+    return `table.dropUnique(${formatCodeLiteral(index.columns)}, ${quoteJsString(index.name)})`
+  }
+  return `table.dropIndex(${formatCodeLiteral(index.columns)}, ${quoteJsString(index.name)})`
+}
+
+function buildDropForeignKeyLine (columns, name) {
+  return `table.dropForeign(${formatCodeLiteral(columns)}, ${quoteJsString(name)})`
+}
+
 function buildCheckConstraintLine (constraint) {
   return `table.check(${quoteJsString(constraint.clause)}, [], ${quoteJsString(constraint.name)})`
 }
 
+function buildSnapshotDefaultLiteral (column) {
+  const value = String(column.defaultValue)
+  if (['integer', 'number', 'boolean'].includes(column.typeKind) && /^-?\d+(\.\d+)?$/.test(value)) {
+    return value
+  }
+  if (column.typeKind === 'string' || column.typeKind === 'json') {
+    return quoteJsString(value)
+  }
+  // Expressions such as CURRENT_TIMESTAMP
+  return `knex.raw(${quoteJsString(value)})`
+}
+
+// Rebuilds a live column from its snapshot, so that down steps can restore it
+function buildSnapshotColumnCode (column, options = {}) {
+  let line = `table.specificType(${quoteJsString(column.name)}, ${quoteJsString(column.columnType || column.dataType)})`
+  line += column.nullable ? '.nullable()' : '.notNullable()'
+
+  if (column.hasDefault) {
+    line += `.defaultTo(${buildSnapshotDefaultLiteral(column)})`
+  }
+
+  if (options.alter === true) {
+    line += '.alter()'
+  }
+
+  return line
+}
+
+function snapshotForeignKeyToDefinition (foreignKey) {
+  return {
+    name: foreignKey.name,
+    columns: foreignKey.columns.map((entry) => entry.name),
+    referencedTableName: foreignKey.referencedTableName,
+    referencedColumns: foreignKey.columns.map((entry) => entry.referencedName),
+    deleteRule: normalizeText(foreignKey.deleteRule).toUpperCase(),
+    updateRule: normalizeText(foreignKey.updateRule).toUpperCase()
+  }
+}
+
+function buildAlterTableBlock (tableName, lines) {
+  return `  await knex.schema.alterTable(${quoteJsString(tableName)}, (table) => {
+${lines.map((line) => `    ${line};`).join('\n')}
+  });`
+}
+
+/**
+ * Orders tables so that each one comes after the tables it depends on. When only
+ * tables caught in a cycle are left, the first by name goes next and is reported.
+ * @returns {{ order: string[], cyclic: string[] }}
+ */
+export function orderTablesByDependencies (dependencyMap) {
+  const remaining = new Map()
+  for (const [tableName, dependencies] of dependencyMap.entries()) {
+    remaining.set(tableName, [...dependencies].filter((dependency) => dependency !== tableName && dependencyMap.has(dependency)))
+  }
+
+  const order = []
+  const cyclic = []
+
+  while (remaining.size > 0) {
+    const candidates = [...remaining.keys()].sort()
+    const ready = candidates.filter((tableName) => remaining.get(tableName).every((dependency) => !remaining.has(dependency)))
+    const next = ready.length > 0 ? ready : [candidates[0]]
+
+    if (ready.length === 0) {
+      cyclic.push(candidates[0])
+    }
+
+    for (const tableName of next) {
+      order.push(tableName)
+      remaining.delete(tableName)
+    }
+  }
+
+  return { order, cyclic }
+}
+
 function buildDesiredColumnsMap (tableSchemaContext, options = {}) {
   const desiredColumns = new Map()
 
@@ -795,7 +907,26 @@ function collectDestructiveColumnWarnings (currentColumn, desiredColumn) {
   return warnings
 }
 
-function columnNeedsAlter (currentColumn, desiredColumn, options = {}) {
+const TIMESTAMP_COLUMNS = ['created_at', 'updated_at']
+
+// table.string() without a length is varchar(255)
+const KNEX_DEFAULT_STRING_LENGTH = 255
+
+function sameMaxLength (currentColumn, desiredColumn) {
+  const desiredMaxLength = desiredColumn.maxLength ??
+    (desiredColumn.shape === 'string' && currentColumn.maxLength === KNEX_DEFAULT_STRING_LENGTH ? KNEX_DEFAULT_STRING_LENGTH : null)
+  return (currentColumn.maxLength ?? null) === desiredMaxLength
+}
+
+// Foreign keys without an explicit rule get the database default
+function sameForeignKeyRule (currentRule, desiredRule) {
+  const current = normalizeText(currentRule).toUpperCase()
+  if (!desiredRule) return current === '' || current === 'NO ACTION' || current === 'RESTRICT'
+  return current === desiredRule
+}
+
+// Each difference names the snapshot property and its live and desired values
+function describeColumnDifferences (currentColumn, desiredColumn, options = {}) {
   const currentNumericShape = (() => {
     const dataType = normalizeText(currentColumn.dataType)
     if (dataType === 'decimal' || dataType === 'numeric') return 'decimal'
@@ -803,20 +934,37 @@ function columnNeedsAlter (currentColumn, desiredColumn, options = {}) {
     return ''
   })()
   const compareUnsigned = isMysqlDialect(normalizeText(options.dialect).toLowerCase())
-
-  return (
-    normalizeText(currentColumn.typeKind) !== normalizeText(desiredColumn.typeKind) ||
-    (desiredColumn.typeKind === 'number' && currentNumericShape && currentNumericShape !== normalizeText(desiredColumn.shape)) ||
-    Boolean(currentColumn.nullable) !== Boolean(desiredColumn.nullable) ||
-    (compareUnsigned && Boolean(currentColumn.unsigned) !== Boolean(desiredColumn.unsigned)) ||
-    (currentColumn.maxLength ?? null) !== (desiredColumn.maxLength ?? null) ||
-    (currentColumn.numericPrecision ?? null) !== (desiredColumn.numericPrecision ?? null) ||
-    (currentColumn.numericScale ?? null) !== (desiredColumn.numericScale ?? null) ||
-    normalizeSnapshotDefaultValue(currentColumn) !== desiredColumn.defaultValue ||
-    Boolean(currentColumn.hasDefault) !== Boolean(desiredColumn.hasDefault) ||
-    !valuesEqual(currentColumn.enumValues || [], desiredColumn.enumValues || []) ||
-    !valuesEqual(currentColumn.setValues || [], desiredColumn.setValues || [])
+  const differences = []
+  const compare = (property, live, desired, same = live === desired) => {
+    if (!same) differences.push({ property, live, desired })
+  }
+
+  compare('typeKind', normalizeText(currentColumn.typeKind), normalizeText(desiredColumn.typeKind))
+  if (desiredColumn.typeKind === 'number' && currentNumericShape) {
+    compare('shape', currentNumericShape, normalizeText(desiredColumn.shape))
+  }
+  compare('nullable', Boolean(currentColumn.nullable), Boolean(desiredColumn.nullable))
+  if (compareUnsigned) {
+    compare('unsigned', Boolean(currentColumn.unsigned), Boolean(desiredColumn.unsigned))
+  }
+  compare('maxLength', currentColumn.maxLength ?? null, desiredColumn.maxLength ?? null, sameMaxLength(currentColumn, desiredColumn))
+  compare('numericPrecision', currentColumn.numericPrecision ?? null, desiredColumn.numericPrecision ?? null)
+  compare('numericScale', currentColumn.numericScale ?? null, desiredColumn.numericScale ?? null)
+  compare(
+    'defaultValue',
+    normalizeSnapshotDefaultValue(currentColumn),
+    desiredColumn.defaultValue,
+    normalizeSnapshotDefaultValue(currentColumn) === desiredColumn.defaultValue &&
+      Boolean(currentColumn.hasDefault) === Boolean(desiredColumn.hasDefault)
   )
+  compare('enumValues', currentColumn.enumValues || [], desiredColumn.enumValues || [], valuesEqual(currentColumn.enumValues || [], desiredColumn.enumValues || []))
+  compare('setValues', currentColumn.setValues || [], desiredColumn.setValues || [], valuesEqual(currentColumn.setValues || [], desiredColumn.setValues || []))
+
+  return differences
+}
+
+function columnNeedsAlter (currentColumn, desiredColumn, options = {}) {
+  return describeColumnDifferences(currentColumn, desiredColumn, options).length > 0
 }
 
 function mapByName (entries = []) {
@@ -833,6 +981,8 @@ function createEmptyDiffPlan () {
     addForeignKeys: [],
     dropForeignKeys: [],
     addCheckConstraints: [],
+    replaceFullText: [],
+    restoreFullText: [],
     warnings: []
   }
 }
@@ -874,6 +1024,90 @@ function isInlineEnumCheckConstraint (currentCheck = {}, desiredColumn = {}) {
   return normalizeConstraintClause(currentCheck.clause) === normalizeConstraintClause(expectedClause)
 }
 
+function buildFullTextStatementsForTable (tableName, tableSchemaContext, { dialect, fullTextLanguage } = {}) {
+  const fullText = compileFullTextConfig({
+    scopeName: tableName,
+    fields: tableSchemaContext.schemaStructure,
+    scopeOptions: { fullTextLanguage }
+  })
+  if (!fullText) return { create: [], drop: [] }
+
+  const fullTextDialect = getFullTextDialect(dialect)
+  return {
+    create: buildFullTextSchemaStatements({
+      tableName,
+      idColumn: tableSchemaContext.idColumn,
+      columns: fullText.fields.map((fieldName) => getColumnNameForDefinition(tableSchemaContext.tableContext, fieldName)),
+      dialect: fullTextDialect,
+      language: fullText.language
+    }),
+    drop: buildFullTextDropStatements({ tableName, dialect: fullTextDialect })
+  }
+}
+
+// An existing table whose fullText fields are not the ones its full-text index covers gets
+// the index replaced; `restore` puts back the one it had
+function planFullTextReplacement (tableName, tableSchemaContext, currentColumns, { dialect, fullTextLanguage } = {}) {
+  const fullText = compileFullTextConfig({
+    scopeName: tableName,
+    fields: tableSchemaContext.schemaStructure,
+    scopeOptions: { fullTextLanguage }
+  })
+  const fullTextDialect = getFullTextDialect(dialect)
+  const desiredColumns = (fullText?.fields || []).map((fieldName) => getColumnNameForDefinition(tableSchemaContext.tableContext, fieldName))
+  const indexedColumns = currentColumns || []
+
+  if (!fullTextDialect || desiredColumns.length === 0 || valuesEqual(indexedColumns, desiredColumns)) {
+    return { replace: [], restore: [] }
+  }
+
+  const params = { tableName, idColumn: tableSchemaContext.idColumn, dialect: fullTextDialect, language: fullText.language }
+  return {
+    replace: buildFullTextReplaceStatements({ ...params, columns: desiredColumns }),
+    restore: buildFullTextReplaceStatements({ ...params, columns: indexedColumns })
+  }
+}
+
+function buildCreateTableLines (tableSchemaContext, options = {}) {
+  const { autoIncrement = true, timestamps = false, dialect = '' } = options
+  const skipForeignKeys = options.skipForeignKeys || new Set()
+  const lines = []
+
+  if (!tableSchemaContext.hasPrimaryIdField && autoIncrement) {
+    lines.push(`table.increments(${quoteJsString(tableSchemaContext.idColumn)}).primary()`)
+  }
+
+  for (const [fieldName, definition] of Object.entries(tableSchemaContext.schemaStructure)) {
+    if (fieldName === tableSchemaContext.resourceIdField && !tableSchemaContext.hasPrimaryIdField && autoIncrement) {
+      continue
+    }
+
+    const columnName = getColumnNameForDefinition(tableSchemaContext.tableContext, fieldName)
+    lines.push(buildColumnBuilderCode(columnName, definition, {
+      dialect
+    }))
+  }
+
+  for (const index of tableSchemaContext.indexes) {
+    lines.push(buildIndexLine(index))
+  }
+
+  for (const foreignKey of tableSchemaContext.foreignKeys) {
+    if (skipForeignKeys.has(foreignKey.name)) continue
+    lines.push(buildForeignKeyLine(foreignKey))
+  }
+
+  for (const checkConstraint of tableSchemaContext.checkConstraints) {
+    lines.push(buildCheckConstraintLine(checkConstraint))
+  }
+
+  if (timestamps) {
+    lines.push('table.timestamps(true, true)')
+  }
+
+  return lines
+}
+
 /**
  * Creates a Knex table from a json-rest-schema definition
  * @param {object} knex - The Knex instance
@@ -882,6 +1116,7 @@ function isInlineEnumCheckConstraint (currentCheck = {}, desiredColumn = {}) {
  * @param {object} [options={}] - Additional options
  * @param {boolean} [options.autoIncrement=true] - Whether to use auto-incrementing IDs
  * @param {boolean} [options.timestamps=false] - Whether to add created_at/updated_at columns
+ * @param {string} [options.fullTextLanguage='english'] - Postgres text search configuration for fullText fields
  * @returns {Promise} A promise that resolves when the table is created
  */
 export async function createKnexTable (knex, schemaInfo, tableSchemaInstance, options = {}) {
@@ -894,7 +1129,7 @@ export async function createKnexTable (knex, schemaInfo, tableSchemaInstance, op
     tableName
   })
 
-  return knex.schema.createTable(tableName, (table) => {
+  await knex.schema.createTable(tableName, (table) => {
     if (!tableSchemaContext.hasPrimaryIdField && autoIncrement) {
       table.increments(tableSchemaContext.idColumn).primary()
     }
@@ -915,8 +1150,26 @@ export async function createKnexTable (knex, schemaInfo, tableSchemaInstance, op
       table.timestamps(true, true)
     }
   })
+
+  // Full-text index for fullText:true fields: FTS5 table and triggers, or tsvector column and GIN index
+  const fullTextStatements = buildFullTextStatementsForTable(tableName, tableSchemaContext, {
+    dialect,
+    fullTextLanguage: options.fullTextLanguage
+  })
+  for (const statement of fullTextStatements.create) {
+    await knex.raw(statement)
+  }
 }
 
+/**
+ * Adds columns to an existing table. New fullText fields join the table's full-text index,
+ * which is created, or replaced, with the rows already in the table indexed.
+ * @param {object} knex - The Knex instance
+ * @param {string} tableName - The table to alter
+ * @param {object} schema - The fields to add
+ * @param {object} [options={}] - Additional options (idProperty, storage, fullTextLanguage)
+ * @returns {Promise} A promise that resolves when the columns and the index exist
+ */
 export async function addKnexFields (knex, tableName, schema, options = {}) {
   assertNoTopLevelTableMetadata(schema, 'addKnexFields')
   const dialect = detectKnexDialect(knex)
@@ -926,13 +1179,31 @@ export async function addKnexFields (knex, tableName, schema, options = {}) {
     tableName
   })
 
-  return knex.schema.alterTable(tableName, (table) => {
+  const addsFullTextFields = Object.values(tableSchemaContext.schemaStructure).some((definition) => definition?.fullText)
+  const indexedColumns = addsFullTextFields && getFullTextDialect(dialect)
+    ? (await introspectKnexTableSnapshot(knex, { tableName, idColumn: tableSchemaContext.idColumn })).fullTextColumns
+    : null
+
+  await knex.schema.alterTable(tableName, (table) => {
     for (const [fieldName, definition] of Object.entries(tableSchemaContext.schemaStructure)) {
       const columnName = getColumnNameForDefinition(tableSchemaContext.tableContext, fieldName)
       const column = mapTypeToKnex(table, columnName, definition, { dialect })
       applyColumnConstraints(column, definition)
     }
   })
+
+  if (!addsFullTextFields) return
+
+  // The index covers the fields it already had plus the new ones
+  const indexedFields = Object.fromEntries((indexedColumns || []).map((column) => [column, { type: 'string', fullText: true }]))
+  const fullTextContext = { ...tableSchemaContext, schemaStructure: { ...indexedFields, ...tableSchemaContext.schemaStructure } }
+  const { replace } = planFullTextReplacement(tableName, fullTextContext, indexedColumns, {
+    dialect,
+    fullTextLanguage: options.fullTextLanguage
+  })
+  for (const statement of replace) {
+    await knex.raw(statement)
+  }
 }
 
 // Helper function to alter multiple fields in an existing table
@@ -963,44 +1234,32 @@ export async function alterKnexFields (knex, tableName, fields, options = {}) {
  * @returns {string} The migration code as a string
  */
 export function generateKnexMigration (tableName, schema, options = {}) {
-  const { autoIncrement = true, timestamps = false, dialect = '' } = options
+  const { dialect = '' } = options
   const tableSchemaContext = resolveTableSchemaContext(schema, {
     ...options,
     storage: options.storage,
     tableName
   })
 
-  const lines = []
-
-  if (!tableSchemaContext.hasPrimaryIdField && autoIncrement) {
-    lines.push(`table.increments(${quoteJsString(tableSchemaContext.idColumn)}).primary()`)
-  }
+  const lines = buildCreateTableLines(tableSchemaContext, options)
 
-  for (const [fieldName, definition] of Object.entries(tableSchemaContext.schemaStructure)) {
-    if (fieldName === tableSchemaContext.resourceIdField && !tableSchemaContext.hasPrimaryIdField && autoIncrement) {
-      continue
-    }
-
-    const columnName = getColumnNameForDefinition(tableSchemaContext.tableContext, fieldName)
-    lines.push(buildColumnBuilderCode(columnName, definition, {
-      dialect
-    }))
-  }
-
-  for (const index of tableSchemaContext.indexes) {
-    lines.push(buildIndexLine(index))
-  }
-
-  for (const foreignKey of tableSchemaContext.foreignKeys) {
-    lines.push(buildForeignKeyLine(foreignKey))
-  }
+  const fullTextStatements = buildFullTextStatementsForTable(tableName, tableSchemaContext, {
+    dialect,
+    fullTextLanguage: options.fullTextLanguage
+  })
+  if (fullTextStatements.create.length > 0) {
+    const raw = (statement) => `  await knex.raw(${quoteJsString(statement)});`
 
-  for (const checkConstraint of tableSchemaContext.checkConstraints) {
-    lines.push(buildCheckConstraintLine(checkConstraint))
-  }
+    return `exports.up = async function(knex) {
+  await knex.schema.createTable(${quoteJsString(tableName)}, (table) => {
+${lines.map((line) => `    ${line};`).join('\n')}
+  });
+${fullTextStatements.create.map(raw).join('\n')}
+};
 
-  if (timestamps) {
-    lines.push('table.timestamps(true, true)')
+exports.down = async function(knex) {
+${fullTextStatements.drop.map((statement) => `${raw(statement)}\n`).join('')}  await knex.schema.dropTable(${quoteJsString(tableName)});
+};`
   }
 
   return `exports.up = function(knex) {
@@ -1022,6 +1281,7 @@ exports.down = function(knex) {
  * @param {object} [options={}] - Diff options
  * @param {boolean} [options.autoIncrement=true] - Whether the resource expects an implicit auto-increment id column
  * @param {boolean} [options.allowDropColumns=false] - Whether removed columns should be dropped automatically
+ * @param {boolean} [options.timestamps=false] - Whether the table has created_at/updated_at columns outside the schema
  * @param {string} [options.dialect=''] - Optional target dialect override
  * @returns {{ migration: string, warnings: string[], plan: object }} Diff result
  */
@@ -1029,6 +1289,7 @@ export function generateKnexMigrationDiff (tableName, currentSnapshot, schema, o
   const {
     autoIncrement = true,
     allowDropColumns = false,
+    timestamps = false,
     dialect = ''
   } = options
   const resolvedDialect = normalizeText(dialect || currentSnapshot?.dialect).toLowerCase()
@@ -1082,11 +1343,29 @@ export function generateKnexMigrationDiff (tableName, currentSnapshot, schema, o
     plan.warnings.push(...collectDestructiveColumnWarnings(currentColumn, desiredColumn))
   }
 
+  const hasFullTextFields = Object.values(tableSchemaContext.schemaStructure).some((definition) => definition?.fullText)
+  const fullTextReplacement = planFullTextReplacement(tableName, tableSchemaContext, currentSnapshot?.fullTextColumns, {
+    dialect: resolvedDialect,
+    fullTextLanguage: options.fullTextLanguage
+  })
+  plan.replaceFullText.push(...fullTextReplacement.replace)
+  plan.restoreFullText.push(...fullTextReplacement.restore)
+
   for (const currentColumn of currentColumns.values()) {
     if (desiredColumns.has(currentColumn.name)) {
       continue
     }
 
+    // Generated by the Postgres full-text index, not a schema field
+    if (hasFullTextFields && currentColumn.name === FULL_TEXT_VECTOR_COLUMN) {
+      continue
+    }
+
+    // Added by table.timestamps(), not a schema field
+    if (timestamps && TIMESTAMP_COLUMNS.includes(currentColumn.name)) {
+      continue
+    }
+
     const warning = `Column '${currentColumn.name}' exists in the live table but not in the desired schema.`
     if (allowDropColumns) {
       plan.dropColumns.push(currentColumn)
@@ -1099,10 +1378,13 @@ export function generateKnexMigrationDiff (tableName, currentSnapshot, schema, o
   for (const desiredIndex of desiredIndexes.values()) {
     const currentIndex = currentIndexes.get(desiredIndex.name)
     const sameIndexType = normalizeText(currentIndex?.indexType).toUpperCase() === desiredIndex.indexType
+    // Schemas cannot declare partial or expression indexes, so a live one never matches
     const indexChanged = Boolean(currentIndex) && (
       !valuesEqual(currentIndex.columns, desiredIndex.columns) ||
       Boolean(currentIndex.unique) !== Boolean(desiredIndex.unique) ||
-      !sameIndexType
+      !sameIndexType ||
+      Boolean(currentIndex.predicate) ||
+      currentIndex.expression === true
     )
 
     if (!currentIndex || indexChanged) {
@@ -1114,6 +1396,11 @@ export function generateKnexMigrationDiff (tableName, currentSnapshot, schema, o
   }
 
   for (const currentIndex of currentIndexes.values()) {
+    // Generated with the Postgres full-text column
+    if (hasFullTextFields && currentIndex.name === `${tableName}_${FULL_TEXT_VECTOR_COLUMN}_index`) {
+      continue
+    }
+
     if (!desiredIndexes.has(currentIndex.name)) {
       plan.dropIndexes.push(currentIndex)
     }
@@ -1130,8 +1417,8 @@ export function generateKnexMigrationDiff (tableName, currentSnapshot, schema, o
       desiredForeignKey.referencedColumns
     )
     const sameTable = normalizeText(currentForeignKey?.referencedTableName) === desiredForeignKey.referencedTableName
-    const sameDeleteRule = normalizeText(currentForeignKey?.deleteRule).toUpperCase() === desiredForeignKey.deleteRule
-    const sameUpdateRule = normalizeText(currentForeignKey?.updateRule).toUpperCase() === desiredForeignKey.updateRule
+    const sameDeleteRule = sameForeignKeyRule(currentForeignKey?.deleteRule, desiredForeignKey.deleteRule)
+    const sameUpdateRule = sameForeignKeyRule(currentForeignKey?.updateRule, desiredForeignKey.updateRule)
 
     if (!currentForeignKey || !sameColumns || !sameReferencedColumns || !sameTable || !sameDeleteRule || !sameUpdateRule) {
       plan.addForeignKeys.push(desiredForeignKey)
@@ -1199,18 +1486,13 @@ export function generateKnexMigrationDiff (tableName, currentSnapshot, schema, o
 
   if (plan.dropForeignKeys.length > 0) {
     blocks.push(`  await knex.schema.alterTable(${quoteJsString(tableName)}, (table) => {
-${plan.dropForeignKeys.map((foreignKey) => `    table.dropForeign(${formatCodeLiteral(foreignKey.columns.map((entry) => entry.name))}, ${quoteJsString(foreignKey.name)});`).join('\n')}
+${plan.dropForeignKeys.map((foreignKey) => `    ${buildDropForeignKeyLine(foreignKey.columns.map((entry) => entry.name), foreignKey.name)};`).join('\n')}
   });`)
   }
 
   if (plan.dropIndexes.length > 0) {
     blocks.push(`  await knex.schema.alterTable(${quoteJsString(tableName)}, (table) => {
-${plan.dropIndexes.map((index) => {
-    if (index.unique) {
-      return `    table.dropUnique(${formatCodeLiteral(index.columns)}, ${quoteJsString(index.name)});`
-    }
-    return `    table.dropIndex(${formatCodeLiteral(index.columns)}, ${quoteJsString(index.name)});`
-  }).join('\n')}
+${plan.dropIndexes.map((index) => `    ${buildDropIndexLine(index)};`).join('\n')}
   });`)
   }
 
@@ -1226,6 +1508,11 @@ ${addOrAlterColumnLines.map((line) => `    ${line};`).join('\n')}
   });`)
   }
 
+  // After the columns: the full-text index is built from them
+  if (plan.replaceFullText.length > 0) {
+    blocks.push(plan.replaceFullText.map((statement) => `  await knex.raw(${quoteJsString(statement)});`).join('\n'))
+  }
+
   const addConstraintLines = [
     ...plan.addIndexes.map((index) => buildIndexLine(index)),
     ...plan.addForeignKeys.map((foreignKey) => buildForeignKeyLine(foreignKey)),
@@ -1253,3 +1540,308 @@ exports.down = async function() {
     plan
   }
 }
+
+/**
+ * Compares a live table snapshot with the desired schema, using the rules of
+ * generateKnexMigrationDiff(). Only what the schema asks for is checked: columns,
+ * indexes and foreign keys that exist only in the database are not drift.
+ * @param {string} tableName - The table name being checked
+ * @param {object} currentSnapshot - The normalized table snapshot returned by introspection
+ * @param {object} schema - The desired schema-like table metadata object
+ * @param {object} [options={}] - The options generateKnexMigrationDiff() accepts
+ * @returns {Array<{ kind: string, name: string, message: string, differences?: object[] }>} Drift issues, empty when the table matches
+ */
+export function collectSchemaDrift (tableName, currentSnapshot, schema, options = {}) {
+  const { autoIncrement = true } = options
+  const dialect = normalizeText(options.dialect || currentSnapshot?.dialect).toLowerCase()
+  const { plan } = generateKnexMigrationDiff(tableName, currentSnapshot, schema, options)
+  const tableSchemaContext = resolveTableSchemaContext(schema, {
+    ...options,
+    storage: options.storage,
+    tableName
+  })
+  const desiredColumns = buildDesiredColumnsMap(tableSchemaContext, { autoIncrement })
+  const currentColumns = mapByName(currentSnapshot?.columns || [])
+  const currentIndexes = mapByName(currentSnapshot?.indexes || [])
+  const currentForeignKeys = mapByName(currentSnapshot?.foreignKeys || [])
+  const issues = []
+
+  // Not plan.addColumns: the diff leaves out columns it cannot add, such as an implicit id
+  for (const column of desiredColumns.values()) {
+    if (!currentColumns.has(column.name)) {
+      issues.push({ kind: 'missingColumn', name: column.name, message: `Column '${column.name}' is missing.` })
+    }
+  }
+
+  for (const column of plan.alterColumns) {
+    const differences = describeColumnDifferences(currentColumns.get(column.name), column, { dialect })
+    const details = differences.map(({ property, live, desired }) => {
+      return `${property} is ${JSON.stringify(live)} instead of ${JSON.stringify(desired)}`
+    })
+    issues.push({
+      kind: 'columnMismatch',
+      name: column.name,
+      message: `Column '${column.name}' does not match the schema: ${details.join(', ')}.`,
+      differences
+    })
+  }
+
+  for (const index of plan.addIndexes) {
+    issues.push(currentIndexes.has(index.name)
+      ? { kind: 'indexMismatch', name: index.name, message: `Index '${index.name}' does not match the schema.` }
+      : { kind: 'missingIndex', name: index.name, message: `Index '${index.name}' is missing.` })
+  }
+
+  if (plan.replaceFullText.length > 0) {
+    const name = `${tableName} full-text index`
+    issues.push(currentSnapshot?.fullTextColumns
+      ? { kind: 'fullTextIndexMismatch', name, message: `The full-text index covers ${currentSnapshot.fullTextColumns.join(', ')}, not the fullText fields of the schema.` }
+      : { kind: 'missingFullTextIndex', name, message: 'The full-text index of the fullText fields is missing.' })
+  }
+
+  for (const foreignKey of plan.addForeignKeys) {
+    issues.push(currentForeignKeys.has(foreignKey.name)
+      ? { kind: 'foreignKeyMismatch', name: foreignKey.name, message: `Foreign key '${foreignKey.name}' does not match the schema.` }
+      : { kind: 'missingForeignKey', name: foreignKey.name, message: `Foreign key '${foreignKey.name}' is missing.` })
+  }
+
+  return issues
+}
+
+/**
+ * Plans the migration of a whole set of tables as a single Knex migration file.
+ * Missing tables are created after the tables they depend on; changes to existing
+ * tables are the ones generateKnexMigrationDiff() finds. Unlike the per-table diff,
+ * every step gets a `down` counterpart.
+ * @param {Array<object>} tables - One entry per table
+ * @param {string} tables[].tableName - The table name
+ * @param {object} tables[].schema - The desired schema-like table metadata object
+ * @param {object|null} tables[].snapshot - The live table snapshot, or null when the table does not exist
+ * @param {string[]} [tables[].dependencies=[]] - Tables this one refers to besides its foreign keys
+ * @param {object} [tables[].options={}] - Table options (autoIncrement, timestamps, idProperty, fullTextLanguage)
+ * @param {object} [options={}] - Plan options
+ * @param {boolean} [options.allowDropColumns=false] - Whether removed columns should be dropped automatically
+ * @param {string} [options.dialect=''] - Optional target dialect override
+ * @returns {{ migration: string, warnings: string[], destructive: object[], plan: object }} Planned migration
+ */
+export function generateKnexMigrationPlan (tables, options = {}) {
+  const { allowDropColumns = false, dialect = '' } = options
+  const entries = new Map()
+
+  for (const entry of tables) {
+    const tableOptions = { ...(entry.options || {}), dialect }
+    const tableSchemaContext = resolveTableSchemaContext(entry.schema, {
+      ...tableOptions,
+      tableName: entry.tableName
+    })
+    const dependencies = new Set([
+      ...(entry.dependencies || []),
+      ...tableSchemaContext.foreignKeys.map((foreignKey) => foreignKey.referencedTableName)
+    ])
+    dependencies.delete(entry.tableName)
+
+    entries.set(entry.tableName, { ...entry, tableOptions, tableSchemaContext, dependencies })
+  }
+
+  const { order, cyclic } = orderTablesByDependencies(
+    new Map([...entries.entries()].map(([tableName, entry]) => [tableName, entry.dependencies]))
+  )
+  const position = new Map(order.map((tableName, index) => [tableName, index]))
+  const isCreatedLater = (tableName, referencedTableName) => {
+    const referenced = entries.get(referencedTableName)
+    return Boolean(referenced) && !referenced.snapshot && position.get(referencedTableName) > position.get(tableName)
+  }
+
+  const warnings = []
+  const destructive = []
+  const tablePlans = {}
+  const createTables = []
+  const alterTables = []
+  const up = { dropForeignKeys: [], dropIndexes: [], dropColumns: [], createTables: [], changeColumns: [], addConstraints: [] }
+  const down = { dropConstraints: [], revertColumns: [], dropTables: [], restoreColumns: [], restoreIndexes: [], restoreForeignKeys: [] }
+  const raw = (statement) => `  await knex.raw(${quoteJsString(statement)});`
+
+  if (cyclic.length > 0) {
+    warnings.push(`Tables ${cyclic.map((tableName) => `'${tableName}'`).join(', ')} are part of a dependency cycle; foreign keys to tables created later are added once every table exists.`)
+  }
+
+  for (const tableName of order) {
+    const { snapshot, schema, tableOptions, tableSchemaContext } = entries.get(tableName)
+    const dependencies = [...entries.get(tableName).dependencies].filter((dependency) => entries.has(dependency)).sort()
+
+    if (!snapshot) {
+      // A table can only refer to one that exists when it is created
+      const deferredForeignKeys = tableSchemaContext.foreignKeys.filter((foreignKey) => {
+        return isCreatedLater(tableName, foreignKey.referencedTableName)
+      })
+      const lines = buildCreateTableLines(tableSchemaContext, {
+        ...tableOptions,
+        skipForeignKeys: new Set(deferredForeignKeys.map((foreignKey) => foreignKey.name))
+      })
+      const fullTextStatements = buildFullTextStatementsForTable(tableName, tableSchemaContext, {
+        dialect,
+        fullTextLanguage: tableOptions.fullTextLanguage
+      })
+
+      up.createTables.push([
+        `  await knex.schema.createTable(${quoteJsString(tableName)}, (table) => {
+${lines.map((line) => `    ${line};`).join('\n')}
+  });`,
+        ...fullTextStatements.create.map(raw)
+      ].join('\n'))
+      down.dropTables.push([
+        ...fullTextStatements.drop.map(raw),
+        `  await knex.schema.dropTable(${quoteJsString(tableName)});`
+      ].join('\n'))
+
+      if (deferredForeignKeys.length > 0) {
+        up.addConstraints.push(buildAlterTableBlock(tableName, deferredForeignKeys.map((foreignKey) => buildForeignKeyLine(foreignKey))))
+        down.dropConstraints.push(buildAlterTableBlock(tableName, deferredForeignKeys.map((foreignKey) => buildDropForeignKeyLine(foreignKey.columns, foreignKey.name))))
+      }
+
+      createTables.push(tableName)
+      tablePlans[tableName] = { action: 'create', dependencies }
+      continue
+    }
+
+    const { plan } = generateKnexMigrationDiff(tableName, snapshot, schema, {
+      ...tableOptions,
+      allowDropColumns,
+      dialect: dialect || snapshot.dialect
+    })
+    const { warnings: tableWarnings, ...changes } = plan
+    warnings.push(...tableWarnings.map((warning) => `${tableName}: ${warning}`))
+
+    if (Object.values(changes).every((list) => list.length === 0)) {
+      tablePlans[tableName] = { action: 'none', dependencies, ...plan }
+      continue
+    }
+
+    const currentColumns = mapByName(snapshot.columns)
+    const resolvedDialect = normalizeText(dialect || snapshot.dialect).toLowerCase()
+
+    if (plan.dropForeignKeys.length > 0) {
+      up.dropForeignKeys.push(buildAlterTableBlock(tableName, plan.dropForeignKeys.map((foreignKey) => {
+        return buildDropForeignKeyLine(foreignKey.columns.map((entry) => entry.name), foreignKey.name)
+      })))
+      down.restoreForeignKeys.push(buildAlterTableBlock(tableName, plan.dropForeignKeys.map((foreignKey) => {
+        return buildForeignKeyLine(snapshotForeignKeyToDefinition(foreignKey))
+      })))
+      for (const foreignKey of plan.dropForeignKeys) {
+        destructive.push({ tableName, change: 'dropForeignKey', name: foreignKey.name, message: `Drops foreign key '${foreignKey.name}'.` })
+      }
+    }
+
+    if (plan.dropIndexes.length > 0) {
+      up.dropIndexes.push(buildAlterTableBlock(tableName, plan.dropIndexes.map((index) => buildDropIndexLine(index))))
+
+      // Partial and expression indexes cannot be declared with the schema builder
+      const restorableIndexes = plan.dropIndexes.filter((index) => !index.predicate && index.expression !== true)
+      for (const index of plan.dropIndexes) {
+        if (!restorableIndexes.includes(index)) {
+          warnings.push(`${tableName}: Index '${index.name}' is partial or built on expressions; the down migration does not restore it.`)
+        }
+        destructive.push({ tableName, change: 'dropIndex', name: index.name, message: `Drops index '${index.name}'.` })
+      }
+      if (restorableIndexes.length > 0) {
+        down.restoreIndexes.push(buildAlterTableBlock(tableName, restorableIndexes.map((index) => buildIndexLine(index))))
+      }
+    }
+
+    if (plan.dropColumns.length > 0) {
+      up.dropColumns.push(buildAlterTableBlock(tableName, plan.dropColumns.map((column) => `table.dropColumn(${quoteJsString(column.name)})`)))
+      down.restoreColumns.push(buildAlterTableBlock(tableName, plan.dropColumns.map((column) => buildSnapshotColumnCode(column))))
+      for (const column of plan.dropColumns) {
+        destructive.push({
+          tableName,
+          change: 'dropColumn',
+          name: column.name,
+          message: `Drops column '${column.name}' and its data; the down migration restores the column but not the data.`
+        })
+      }
+    }
+
+    const changeColumnLines = [
+      ...plan.addColumns.map((column) => buildColumnBuilderCode(column.name, column.definition, { dialect: resolvedDialect })),
+      ...plan.alterColumns.map((column) => buildColumnBuilderCode(column.name, column.definition, {
+        dialect: resolvedDialect,
+        alter: true,
+        includePrimary: false
+      }))
+    ]
+    if (changeColumnLines.length > 0) {
+      up.changeColumns.push(buildAlterTableBlock(tableName, changeColumnLines))
+      down.revertColumns.push(buildAlterTableBlock(tableName, [
+        ...plan.alterColumns.map((column) => buildSnapshotColumnCode(currentColumns.get(column.name), { alter: true })),
+        ...plan.addColumns.map((column) => `table.dropColumn(${quoteJsString(column.name)})`)
+      ]))
+    }
+    // The index is replaced once the columns exist, and put back before they go
+    if (plan.replaceFullText.length > 0) {
+      up.changeColumns.push(plan.replaceFullText.map(raw).join('\n'))
+      down.revertColumns.push(plan.restoreFullText.map(raw).join('\n'))
+    }
+    for (const column of plan.alterColumns) {
+      for (const message of collectDestructiveColumnWarnings(currentColumns.get(column.name), column)) {
+        destructive.push({ tableName, change: 'alterColumn', name: column.name, message })
+      }
+    }
+
+    const addConstraintLines = [
+      ...plan.addIndexes.map((index) => buildIndexLine(index)),
+      ...plan.addForeignKeys.map((foreignKey) => buildForeignKeyLine(foreignKey)),
+      ...plan.addCheckConstraints.map((constraint) => buildCheckConstraintLine(constraint))
+    ]
+    if (addConstraintLines.length > 0) {
+      up.addConstraints.push(buildAlterTableBlock(tableName, addConstraintLines))
+      down.dropConstraints.push(buildAlterTableBlock(tableName, [
+        ...plan.addIndexes.map((index) => buildDropIndexLine(index)),
+        ...plan.addForeignKeys.map((foreignKey) => buildDropForeignKeyLine(foreignKey.columns, foreignKey.name)),
+        ...(plan.addCheckConstraints.length > 0
+          ? [`table.dropChecks(${formatCodeLiteral(plan.addCheckConstraints.map((constraint) => constraint.name))})`]
+          : [])
+      ]))
+    }
+
+    alterTables.push(tableName)
+    tablePlans[tableName] = { action: 'alter', dependencies, ...plan }
+  }
+
+  // Dropping goes against the dependency order: tables referring to others come first
+  const upSteps = [
+    ...up.dropForeignKeys.reverse(),
+    ...up.dropIndexes.reverse(),
+    ...up.dropColumns.reverse(),
+    ...up.createTables,
+    ...up.changeColumns,
+    ...up.addConstraints
+  ]
+  const downSteps = [
+    ...down.dropConstraints.reverse(),
+    ...down.revertColumns.reverse(),
+    ...down.dropTables.reverse(),
+    ...down.restoreColumns,
+    ...down.restoreIndexes,
+    ...down.restoreForeignKeys
+  ]
+  const renderSteps = (steps) => steps.length > 0 ? `${steps.join('\n\n')}\n` : '  return Promise.resolve();\n'
+  const renderComment = (title, lines) => lines.length > 0
+    ? `// ${title}:\n${lines.map((line) => `// - ${line}`).join('\n')}\n\n`
+    : ''
+
+  return {
+    migration: `${renderComment('Destructive changes', destructive.map((entry) => `${entry.tableName}: ${entry.message}`))}${renderComment('Warnings', warnings)}exports.up = async function(knex) {
+${renderSteps(upSteps)}};
+
+exports.down = async function(knex) {
+${renderSteps(downSteps)}};`,
+    warnings,
+    destructive,
+    plan: {
+      order,
+      createTables,
+      alterTables,
+      tables: tablePlans
+    }
+  }
+}
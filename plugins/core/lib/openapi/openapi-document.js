@@ -0,0 +1,683 @@
+/**
+ * @module openapi-document
+ * @description Builds an OpenAPI 3.1 document from the compiled resource scopes and the
+ * routes registered through `api.addRoute()`.
+ *
+ * Response shapes are derived from `schemaInfo` (attributes, computed fields, relationships),
+ * `queryFields` and file fields. Request bodies reuse the JSON Schemas that
+ * `transport-route-schemas.js` builds for the connectors, so the document never drifts
+ * from what the server actually validates.
+ */
+
+import { buildTransportRouteSchema } from '../../connectors/lib/transport-route-schemas.js'
+import { getRelationshipCardinality } from '../querying-writing/relationship-contracts.js'
+import { AGGREGATE_FUNCTIONS } from '../querying/aggregation-helpers.js'
+
+const JSON_API_MEDIA_TYPE = 'application/vnd.api+json'
+const SCHEMA_REF_PREFIX = '#/components/schemas/'
+const RESOURCE_OPERATIONS = ['query', 'aggregate', 'get', 'post', 'put', 'patch', 'delete']
+
+const ERROR_RESPONSES = {
+  400: 'Bad Request',
+  403: 'Forbidden',
+  404: 'Not Found',
+  409: 'Conflict',
+  412: 'Precondition Failed',
+  415: 'Unsupported Media Type',
+  422: 'Validation Error'
+}
+
+const ref = (name) => ({ $ref: `${SCHEMA_REF_PREFIX}${name}` })
+
+const toPascalCase = (value) => String(value)
+  .split(/[^A-Za-z0-9]+/)
+  .filter(Boolean)
+  .map((part) => part.charAt(0).toUpperCase() + part.slice(1))
+  .join('')
+
+const toOpenApiPath = (path) => String(path).replace(/:([A-Za-z0-9_]+)/g, '{$1}')
+
+const jsonApiContent = (schema) => ({ [JSON_API_MEDIA_TYPE]: { schema } })
+
+/**
+ * Maps a json-rest-schema field definition to the JSON Schema of its serialized value
+ */
+function fieldToJsonSchema (fieldDef = {}) {
+  let schema
+  switch (fieldDef.type) {
+    case 'string':
+      schema = { type: 'string' }
+      if (typeof fieldDef.max === 'number') schema.maxLength = fieldDef.max
+      if (typeof fieldDef.min === 'number') schema.minLength = fieldDef.min
+      break
+    case 'number':
+      schema = { type: 'number' }
+      break
+    case 'integer':
+      schema = { type: 'integer' }
+      break
+    case 'boolean':
+      schema = { type: 'boolean' }
+      break
+    case 'id':
+      schema = { type: 'string' }
+      break
+    case 'dateTime':
+      schema = { type: 'string', format: 'date-time' }
+      break
+    case 'date':
+      schema = { type: 'string', format: 'date' }
+      break
+    case 'time':
+      schema = { type: 'string', format: 'time' }
+      break
+    case 'file':
+      schema = { type: 'string', description: 'URL of the stored file' }
+      break
+    case 'object':
+      schema = { type: 'object' }
+      break
+    case 'array':
+      schema = { type: 'array' }
+      break
+    default:
+      schema = {}
+  }
+
+  if (Array.isArray(fieldDef.enum)) schema.enum = [...fieldDef.enum]
+  if (fieldDef.description) schema.description = fieldDef.description
+  if (fieldDef.nullable === true && typeof schema.type === 'string') {
+    schema.type = [schema.type, 'null']
+  }
+
+  return schema
+}
+
+/**
+ * Lists every relationship a resource exposes in `data.relationships`,
+ * whether it comes from a belongsTo field or from the `relationships` option
+ */
+function collectRelationships (schemaInfo = {}) {
+  const relationships = {}
+
+  for (const [fieldName, fieldDef] of Object.entries(schemaInfo.schemaStructure || {})) {
+    if (!fieldDef?.as) continue
+    if (fieldDef.belongsTo) {
+      relationships[fieldDef.as] = { cardinality: 'one', types: [fieldDef.belongsTo], fieldName }
+    } else if (fieldDef.belongsToPolymorphic) {
+      relationships[fieldDef.as] = { cardinality: 'one', types: fieldDef.belongsToPolymorphic.types || [], fieldName }
+    }
+  }
+
+  for (const [relName, relDef] of Object.entries(schemaInfo.schemaRelationships || {})) {
+    if (relationships[relName]) continue
+    const cardinality = getRelationshipCardinality(relDef) || 'many'
+    const types = relDef.belongsToPolymorphic?.types || [relDef.target || relDef.belongsTo || relName].filter(Boolean)
+    relationships[relName] = { cardinality, types }
+  }
+
+  return relationships
+}
+
+function buildIdentifierSchema (types) {
+  return {
+    type: 'object',
+    required: ['type', 'id'],
+    properties: {
+      type: types.length > 0 ? { type: 'string', enum: [...types] } : { type: 'string' },
+      id: { type: 'string' }
+    }
+  }
+}
+
+function buildRelationshipSchema ({ cardinality, types }) {
+  const identifier = buildIdentifierSchema(types)
+  return {
+    type: 'object',
+    properties: {
+      data: cardinality === 'one'
+        ? { oneOf: [identifier, { type: 'null' }] }
+        : { type: 'array', items: identifier },
+      links: ref('JsonApiLinks')
+    }
+  }
+}
+
+function buildAttributesSchema ({ scope, schemaInfo }) {
+  const properties = {}
+  const idProperty = schemaInfo.idProperty || 'id'
+
+  for (const [fieldName, fieldDef] of Object.entries(schemaInfo.schemaStructure || {})) {
+    if (!fieldDef || fieldName === idProperty || fieldName === 'id') continue
+    if (fieldDef.hidden === true) continue
+    if (fieldDef.belongsTo || fieldDef.belongsToPolymorphic) continue
+    properties[fieldName] = fieldToJsonSchema(fieldDef)
+  }
+
+  for (const [fieldName, fieldDef] of Object.entries(schemaInfo.computed || {})) {
+    properties[fieldName] = { ...fieldToJsonSchema(fieldDef), readOnly: true }
+  }
+
+  for (const [fieldName, fieldDef] of Object.entries(scope.vars?.queryFields || {})) {
+    if (fieldDef?.hidden === true) continue
+    properties[fieldName] = { ...fieldToJsonSchema(fieldDef), readOnly: true }
+  }
+
+  return { type: 'object', properties }
+}
+
+/**
+ * Moves the draft-07 `definitions` of a transport schema into `components.schemas`
+ * under a unique prefix and rewrites the matching `$ref`s.
+ */
+function hoistTransportSchema (schema, prefix, componentSchemas) {
+  const { $schema: _draft, definitions = {}, ...body } = schema
+  const rename = (name) => `${prefix}_${name}`
+
+  const rewrite = (node) => {
+    if (Array.isArray(node)) return node.map(rewrite)
+    if (!node || typeof node !== 'object') return node
+
+    return Object.fromEntries(Object.entries(node).map(([key, value]) => {
+      if (key === '$ref' && typeof value === 'string' && value.startsWith('#/definitions/')) {
+        return [key, `${SCHEMA_REF_PREFIX}${rename(value.slice('#/definitions/'.length))}`]
+      }
+      return [key, rewrite(value)]
+    }))
+  }
+
+  for (const [name, definition] of Object.entries(definitions)) {
+    componentSchemas[rename(name)] = rewrite(definition)
+  }
+
+  componentSchemas[prefix] = rewrite(body)
+  return ref(prefix)
+}
+
+function buildBaseComponentSchemas () {
+  return {
+    JsonApiLinks: {
+      type: 'object',
+      additionalProperties: { type: ['string', 'null'] }
+    },
+    JsonApiResource: {
+      type: 'object',
+      required: ['type', 'id'],
+      properties: {
+        type: { type: 'string' },
+        id: { type: 'string' },
+        attributes: { type: 'object' },
+        relationships: { type: 'object' },
+        links: ref('JsonApiLinks')
+      }
+    },
+    JsonApiPaginationMeta: {
+      type: 'object',
+      description: 'Offset pagination reports page, pageSize, pageCount and total; cursor pagination reports pageSize and hasMore',
+      properties: {
+        page: { type: 'integer' },
+        pageSize: { type: 'integer' },
+        pageCount: { type: 'integer' },
+        total: { type: 'integer' },
+        hasMore: { type: 'boolean' }
+      }
+    },
+    JsonApiAggregateDocument: {
+      type: 'object',
+      required: ['meta'],
+      properties: {
+        meta: {
+          type: 'object',
+          properties: {
+            aggregates: {
+              type: 'array',
+              description: 'One object per group, keyed by group fields and aggregate names',
+              items: { type: 'object', additionalProperties: true }
+            }
+          }
+        }
+      }
+    },
+    JsonApiErrorDocument: {
+      type: 'object',
+      required: ['errors'],
+      properties: {
+        errors: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              status: { type: 'string' },
+              title: { type: 'string' },
+              detail: { type: 'string' },
+              source: {
+                type: 'object',
+                properties: {
+                  pointer: { type: 'string' },
+                  parameter: { type: 'string' }
+                },
+                additionalProperties: true
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+}
+
+function buildErrorResponses (statusCodes) {
+  return Object.fromEntries(statusCodes.map((status) => [
+    String(status),
+    { $ref: `#/components/responses/Error${status}` }
+  ]))
+}
+
+function buildFilterParameter ({ scopeName, schemaInfo }) {
+  const filterProperties = Object.fromEntries(
+    Object.entries(schemaInfo.searchSchemaStructure || {}).map(([filterName, filterDef]) => [
+      filterName,
+      fieldToJsonSchema({ ...filterDef, nullable: false, description: undefined })
+    ])
+  )
+
+  return {
+    name: 'filter',
+    in: 'query',
+    required: false,
+    description: `Filters for ${scopeName}: filter[name]=value`,
+    style: 'deepObject',
+    explode: true,
+    schema: { type: 'object', properties: filterProperties, additionalProperties: false }
+  }
+}
+
+function buildAggregateParameters ({ scopeName, schemaInfo }) {
+  return [{
+    name: 'group',
+    in: 'query',
+    required: false,
+    description: 'Comma-separated fields to group by',
+    schema: { type: 'string' }
+  }, {
+    name: 'agg',
+    in: 'query',
+    required: false,
+    description: `Named aggregates: agg[name]=fn or agg[name]=fn:field, where fn is one of ${AGGREGATE_FUNCTIONS.join(', ')}`,
+    style: 'deepObject',
+    explode: true,
+    schema: { type: 'object', additionalProperties: { type: 'string' } }
+  },
+  buildFilterParameter({ scopeName, schemaInfo }),
+  {
+    name: 'sort',
+    in: 'query',
+    required: false,
+    description: "Comma-separated group fields or aggregate names, prefix with '-' for descending",
+    schema: { type: 'string' }
+  }]
+}
+
+function buildQueryParameters ({ scopeName, schemaInfo, sortableFields, resourceTypes, relationships, operation }) {
+  const parameters = [{
+    name: 'include',
+    in: 'query',
+    required: false,
+    description: `Comma-separated relationship paths to include. Available relationships: ${Object.keys(relationships).join(', ') || 'none'}`,
+    schema: { type: 'string' }
+  }, {
+    name: 'fields',
+    in: 'query',
+    required: false,
+    description: 'Sparse fieldsets: fields[type]=comma,separated,fields',
+    style: 'deepObject',
+    explode: true,
+    schema: {
+      type: 'object',
+      properties: Object.fromEntries(resourceTypes.map((type) => [type, { type: 'string' }])),
+      additionalProperties: false
+    }
+  }]
+
+  if (operation !== 'query') return parameters
+
+  parameters.push(buildFilterParameter({ scopeName, schemaInfo }), {
+    name: 'sort',
+    in: 'query',
+    required: false,
+    description: `Comma-separated sort fields, prefix with '-' for descending.${sortableFields.length > 0 ? ` Sortable: ${sortableFields.join(', ')}` : ''}`,
+    schema: { type: 'string' }
+  }, {
+    name: 'page',
+    in: 'query',
+    required: false,
+    description: 'Offset pagination uses page[number] and page[size]; cursor pagination uses page[after] or page[before] with page[size]',
+    style: 'deepObject',
+    explode: true,
+    schema: {
+      type: 'object',
+      properties: {
+        number: { type: 'integer', minimum: 1 },
+        size: { type: 'integer', minimum: 1 },
+        after: { type: 'string' },
+        before: { type: 'string' }
+      },
+      additionalProperties: false
+    }
+  })
+
+  return parameters
+}
+
+function buildPathParameters (openApiPath) {
+  return [...openApiPath.matchAll(/\{([A-Za-z0-9_]+)\}/g)].map(([, name]) => ({
+    name,
+    in: 'path',
+    required: true,
+    schema: { type: 'string' }
+  }))
+}
+
+function buildWriteRequestBody ({ api, routeMeta, prefix, componentSchemas, fileFields }) {
+  const transportSchema = buildTransportRouteSchema({ routeMeta, api })
+  if (!transportSchema?.body) return undefined
+
+  const content = jsonApiContent(hoistTransportSchema(transportSchema.body, prefix, componentSchemas))
+
+  if (fileFields.length > 0 && ['post', 'put', 'patch'].includes(routeMeta.operation)) {
+    content['multipart/form-data'] = {
+      schema: {
+        type: 'object',
+        properties: Object.fromEntries(fileFields.map((fieldName) => [
+          fieldName,
+          { type: 'string', contentMediaType: 'application/octet-stream' }
+        ])),
+        additionalProperties: true
+      }
+    }
+  }
+
+  return { required: true, content }
+}
+
+function describeResource ({ scopeName, scope, componentSchemas }) {
+  const schemaInfo = scope.vars?.schemaInfo || {}
+  const name = toPascalCase(scopeName)
+  const relationships = collectRelationships(schemaInfo)
+  const fileFields = Object.entries(schemaInfo.schemaStructure || {})
+    .filter(([, fieldDef]) => fieldDef?.type === 'file')
+    .map(([fieldName]) => fieldName)
+
+  componentSchemas[`${name}Attributes`] = buildAttributesSchema({ scope, schemaInfo })
+  componentSchemas[`${name}Relationships`] = {
+    type: 'object',
+    properties: Object.fromEntries(
+      Object.entries(relationships).map(([relName, relInfo]) => [relName, buildRelationshipSchema(relInfo)])
+    )
+  }
+  componentSchemas[`${name}Resource`] = {
+    type: 'object',
+    required: ['type', 'id'],
+    properties: {
+      type: { type: 'string', const: scopeName },
+      id: { type: 'string' },
+      attributes: ref(`${name}Attributes`),
+      relationships: ref(`${name}Relationships`),
+      links: ref('JsonApiLinks')
+    }
+  }
+  componentSchemas[`${name}Document`] = {
+    type: 'object',
+    required: ['data'],
+    properties: {
+      data: ref(`${name}Resource`),
+      included: { type: 'array', items: ref('JsonApiResource') },
+      links: ref('JsonApiLinks'),
+      meta: { type: 'object' }
+    }
+  }
+  componentSchemas[`${name}CollectionDocument`] = {
+    type: 'object',
+    required: ['data'],
+    properties: {
+      data: { type: 'array', items: ref(`${name}Resource`) },
+      included: { type: 'array', items: ref('JsonApiResource') },
+      links: ref('JsonApiLinks'),
+      meta: {
+        type: 'object',
+        properties: { pagination: ref('JsonApiPaginationMeta') }
+      }
+    }
+  }
+
+  return { name, schemaInfo, relationships, fileFields }
+}
+
+function successResponse (status, description, schemaName) {
+  if (!schemaName) return { [status]: { description } }
+  return { [status]: { description, content: jsonApiContent(ref(schemaName)) } }
+}
+
+function buildResourceOperation ({ api, route, resource, scope, scopeName, resourceTypes, componentSchemas }) {
+  const { operation } = route.routeMeta
+  const { name, schemaInfo, relationships, fileFields } = resource
+  const returnRecord = scope.vars?.returnRecordTransport || {}
+  const returnsBody = (method) => returnRecord[method] !== undefined && returnRecord[method] !== 'no'
+
+  const op = {
+    operationId: `${scopeName}.${operation}`,
+    tags: [scopeName],
+    parameters: []
+  }
+
+  if (['query', 'get', 'post', 'put', 'patch'].includes(operation)) {
+    op.parameters.push(...buildQueryParameters({
+      scopeName,
+      schemaInfo,
+      sortableFields: scope.vars?.sortableFields || [],
+      resourceTypes,
+      relationships,
+      operation
+    }))
+  }
+
+  if (operation === 'aggregate') {
+    op.parameters.push(...buildAggregateParameters({ scopeName, schemaInfo }))
+  }
+
+  switch (operation) {
+    case 'aggregate':
+      op.summary = `Group and aggregate ${scopeName}`
+      op.responses = { ...successResponse(200, 'Aggregate results', 'JsonApiAggregateDocument'), ...buildErrorResponses([400, 403, 422]) }
+      break
+    case 'query':
+      op.summary = `List ${scopeName}`
+      op.responses = { ...successResponse(200, 'Collection document', `${name}CollectionDocument`), ...buildErrorResponses([400, 403, 422]) }
+      break
+    case 'get':
+      op.summary = `Fetch one ${scopeName} record`
+      op.responses = { ...successResponse(200, 'Resource document', `${name}Document`), ...buildErrorResponses([400, 403, 404, 422]) }
+      break
+    case 'post':
+      op.summary = `Create a ${scopeName} record`
+      op.responses = {
+        ...(returnsBody('post')
+          ? successResponse(201, 'Created', `${name}Document`)
+          : successResponse(204, 'Created, no content returned')),
+        ...buildErrorResponses([400, 403, 404, 409, 415, 422])
+      }
+      break
+    case 'put':
+    case 'patch':
+      op.summary = operation === 'put' ? `Replace a ${scopeName} record` : `Update a ${scopeName} record`
+      op.responses = {
+        ...(returnsBody(operation)
+          ? successResponse(200, 'Updated', `${name}Document`)
+          : successResponse(204, 'Updated, no content returned')),
+        ...buildErrorResponses([400, 403, 404, 409, 412, 415, 422])
+      }
+      break
+    case 'delete':
+      op.summary = `Delete a ${scopeName} record`
+      op.responses = { ...successResponse(204, 'Deleted'), ...buildErrorResponses([403, 404, 412]) }
+      break
+  }
+
+  const requestBody = buildWriteRequestBody({
+    api,
+    routeMeta: route.routeMeta,
+    prefix: `${name}${toPascalCase(operation)}Request`,
+    componentSchemas,
+    fileFields
+  })
+  if (requestBody) op.requestBody = requestBody
+
+  return op
+}
+
+function buildRelationshipOperations ({ api, route, resource, scopeName, resourceTypes, componentSchemas, openApiPath }) {
+  const { operation } = route.routeMeta
+  const { name, relationships } = resource
+  const operations = []
+
+  // Relationship routes are registered once with a :relationshipName segment;
+  // the document lists one concrete path per relationship so that clients get typed methods
+  for (const [relName, relInfo] of Object.entries(relationships)) {
+    if (['postRelationship', 'deleteRelationship'].includes(operation) && relInfo.cardinality !== 'many') continue
+
+    const relPath = openApiPath.replace('{relationshipName}', relName)
+    const relSchemaName = `${name}${toPascalCase(relName)}Relationship`
+    componentSchemas[relSchemaName] = buildRelationshipSchema(relInfo)
+
+    const op = {
+      operationId: `${scopeName}.${relName}.${operation}`,
+      tags: [scopeName],
+      parameters: []
+    }
+
+    if (operation === 'getRelated') {
+      const targetName = relInfo.types.length === 1 && api.resources?.[relInfo.types[0]]
+        ? toPascalCase(relInfo.types[0])
+        : null
+      const targetScope = targetName ? api.resources[relInfo.types[0]] : null
+      const targetSchemaInfo = targetScope?.vars?.schemaInfo || {}
+      op.summary = `Fetch the ${relName} of a ${scopeName} record`
+      op.parameters.push(...buildQueryParameters({
+        scopeName: relInfo.types[0] || relName,
+        schemaInfo: targetSchemaInfo,
+        sortableFields: targetScope?.vars?.sortableFields || [],
+        resourceTypes,
+        relationships: collectRelationships(targetSchemaInfo),
+        operation: relInfo.cardinality === 'many' ? 'query' : 'get'
+      }))
+      const documentName = targetName
+        ? `${targetName}${relInfo.cardinality === 'many' ? 'CollectionDocument' : 'Document'}`
+        : null
+      op.responses = {
+        ...(documentName
+          ? successResponse(200, 'Related resources', documentName)
+          : { 200: { description: 'Related resources', content: jsonApiContent({ type: 'object' }) } }),
+        ...buildErrorResponses([400, 403, 404])
+      }
+    } else if (operation === 'getRelationship') {
+      op.summary = `Fetch the ${relName} linkage of a ${scopeName} record`
+      op.responses = { ...successResponse(200, 'Relationship document', relSchemaName), ...buildErrorResponses([403, 404]) }
+    } else {
+      op.summary = `${{ postRelationship: 'Add to', patchRelationship: 'Replace', deleteRelationship: 'Remove from' }[operation]} the ${relName} of a ${scopeName} record`
+      op.requestBody = { required: true, content: jsonApiContent(ref(relSchemaName)) }
+      op.responses = { ...successResponse(204, 'Relationship updated'), ...buildErrorResponses([400, 403, 404, 409, 422]) }
+    }
+
+    operations.push({ path: relPath, op })
+  }
+
+  return operations
+}
+
+/**
+ * Builds the OpenAPI 3.1 document of an API
+ *
+ * @param {Object} params
+ * @param {Object} params.api - The hooked-api instance (uses `api.resources`)
+ * @param {Object} params.scopes - The scopes to describe
+ * @param {Array<Object>} params.routes - Routes registered through addRoute: `{ method, path, routeMeta }`
+ * @param {Object} [params.options] - `info`, `servers` and any extra top-level members
+ * @returns {Object} The OpenAPI document
+ */
+export function buildOpenApiDocument ({ api, scopes, routes = [], options = {} }) {
+  const componentSchemas = buildBaseComponentSchemas()
+  const resourceTypes = Object.keys(scopes)
+  const resources = {}
+
+  for (const scopeName of resourceTypes) {
+    resources[scopeName] = describeResource({ scopeName, scope: scopes[scopeName], componentSchemas })
+  }
+
+  const paths = {}
+  const addOperation = (path, method, op) => {
+    paths[path] = paths[path] || {}
+    paths[path][method.toLowerCase()] = op
+  }
+
+  for (const route of routes) {
+    const method = String(route.method || '').toUpperCase()
+    const openApiPath = toOpenApiPath(route.path)
+    const routeMeta = route.routeMeta || {}
+    const scopeName = routeMeta.scopeName
+    const resource = scopeName ? resources[scopeName] : null
+
+    if (routeMeta.kind === 'resource' && resource && RESOURCE_OPERATIONS.includes(routeMeta.operation)) {
+      const op = buildResourceOperation({
+        api,
+        route,
+        resource,
+        scope: scopes[scopeName],
+        scopeName,
+        resourceTypes,
+        componentSchemas
+      })
+      op.parameters.unshift(...buildPathParameters(openApiPath))
+      addOperation(openApiPath, method, op)
+      continue
+    }
+
+    if (routeMeta.kind === 'relationship' && resource) {
+      for (const { path, op } of buildRelationshipOperations({
+        api, route, resource, scopeName, resourceTypes, componentSchemas, openApiPath
+      })) {
+        op.parameters.unshift(...buildPathParameters(path))
+        addOperation(path, method, op)
+      }
+      continue
+    }
+
+    // Routes added by other plugins or by the application: listed without schemas
+    addOperation(openApiPath, method, {
+      operationId: routeMeta.operation || `${method.toLowerCase()}${toPascalCase(route.path)}`,
+      ...(routeMeta.kind ? { tags: [routeMeta.kind] } : {}),
+      parameters: buildPathParameters(openApiPath),
+      responses: { default: { description: 'Response' } }
+    })
+  }
+
+  const { info = {}, servers, ...extraMembers } = options
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: info.title || api.options?.name || 'JSON REST API',
+      version: info.version || '1.0.0',
+      ...info
+    },
+    ...(servers ? { servers } : {}),
+    ...extraMembers,
+    paths,
+    components: {
+      schemas: componentSchemas,
+      responses: Object.fromEntries(Object.entries(ERROR_RESPONSES).map(([status, description]) => [
+        `Error${status}`,
+        { description, content: jsonApiContent(ref('JsonApiErrorDocument')) }
+      ]))
+    }
+  }
+}
@@ -1,6 +1,7 @@
 import { createSchema } from 'json-rest-schema'
 import { ensureSearchFieldsAreIndexed, generateSearchSchemaFromSchema, sortFieldsByDependencies } from './schema-helpers.js'
 import { buildStorageInfo, normalizeStorageConfig } from '../storage/storage-mapping.js'
+import { addFullTextSearchField, compileFullTextConfig } from '../querying/full-text-search.js'
 
 /**
  * Compiles and enriches schemas for a resource scope
@@ -201,9 +202,15 @@ export async function compileSchemas (scope, deps) {
   // searchSchema will be added automatically.
   // Example: title: {search: true} auto-generates a searchable field with sensible defaults,
   // while searchSchema can specify filterOperator: 'contains' or complex join configurations.
-  const rawSearchFields = generateSearchSchemaFromSchema(
-    schemaContext.fields,
-    scope.scopeOptions.searchSchema
+  // Fields marked fullText:true are searched together through filter[q]
+  const fullText = compileFullTextConfig({
+    scopeName,
+    fields: schemaContext.fields,
+    scopeOptions: scope.scopeOptions
+  })
+  const rawSearchFields = addFullTextSearchField(
+    generateSearchSchemaFromSchema(schemaContext.fields, scope.scopeOptions.searchSchema),
+    fullText
   )
 
   let searchSchemaObject
@@ -333,6 +340,7 @@ export async function compileSchemas (scope, deps) {
 
     searchSchemaInstance: searchSchemaObject,
     searchSchemaStructure: searchSchemaObject.structure,
+    fullText,
 
     computed: computedFields,
     schemaRelationships,
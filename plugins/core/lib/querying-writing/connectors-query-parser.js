@@ -164,6 +164,42 @@ export function parseJsonApiQuery (queryString) {
   return result
 }
 
+/**
+ * Parses the query string of GET /{resource}/aggregate
+ *
+ * Filters and sort follow parseJsonApiQuery; `group` is a comma-separated list of
+ * fields and every `agg[name]=fn:field` adds a named aggregate.
+ *
+ * @param {string} queryString - The query string part of URL (without ?)
+ * @returns {object} `{ filters, sort, group, aggregates }`
+ *
+ * @example
+ * parseAggregateQuery('group=status&agg[total]=sum:amount&agg[orders]=count&filter[customer_id]=3')
+ * // {
+ * //   filters: { customer_id: '3' },
+ * //   sort: [],
+ * //   group: ['status'],
+ * //   aggregates: { total: 'sum:amount', orders: 'count' }
+ * // }
+ */
+export function parseAggregateQuery (queryString) {
+  const { filters, sort } = parseJsonApiQuery(queryString)
+  const result = { filters, sort, group: [], aggregates: {} }
+
+  for (const [key, value] of new URLSearchParams(queryString || '')) {
+    if (key === 'group') {
+      result.group = value.split(',').map(s => s.trim()).filter(s => s.length > 0)
+    } else if (key.startsWith('agg[') && key.endsWith(']')) {
+      const alias = key.slice(4, -1) // Remove 'agg[' and ']'
+      if (alias) {
+        result.aggregates[alias] = value
+      }
+    }
+  }
+
+  return result
+}
+
 const hasSerializableValue = (value) => (
   value !== undefined &&
   value !== null &&
@@ -263,3 +263,18 @@ export const getDatabaseInfo = async (knex) => {
     }
   }
 }
+
+/**
+ * Checks if the database supports SELECT ... FOR UPDATE
+ *
+ * @param {Object} knex - Knex instance or transaction
+ * @returns {boolean} True if rows can be locked
+ *
+ * @description
+ * SQLite has no row locks: knex only warns and drops the clause. It does not need
+ * them either, since knex gives SQLite a single connection and transactions never interleave.
+ */
+export const supportsRowLocks = (knex) => {
+  const client = knex?.client?.config?.client
+  return !['sqlite3', 'better-sqlite3'].includes(client)
+}
@@ -54,6 +54,14 @@ export const defaultDataHelpers = {
     throw new Error('No storage implementation for query. Install a storage plugin.')
   },
 
+  dataFilteredQuery: async function (scope, deps) {
+    throw new Error('No storage implementation for filtered queries. Install a storage plugin.')
+  },
+
+  dataAggregate: async function (scope, deps) {
+    throw new Error('No storage implementation for aggregate. Install a storage plugin.')
+  },
+
   dataPost: async function (scope, deps) {
     throw new Error('No storage implementation for post. Install a storage plugin.')
   },
@@ -0,0 +1,198 @@
+/**
+ * @module etag-helpers
+ * @description Optimistic concurrency support: ETag computation and If-Match evaluation
+ *
+ * Resources opt in through their scope options:
+ * - `versionField: 'version'` uses a numeric version column, bumped on every PATCH/PUT
+ * - `etag: 'hash'` (or `etag: true`) hashes the stored attributes and relationships
+ *
+ * Both modes are computed from the minimal record returned by `helpers.dataGetMinimal`,
+ * so they behave the same way with every storage plugin.
+ *
+ * Checking If-Match against that record is not enough on its own: another writer can
+ * change the row between the read and the write. Version ETags are therefore also
+ * enforced by the write itself (`context.expectedAttributes`, see applyExpectedAttributes),
+ * and hash ETags read the record with a row lock (see lockRecordForIfMatch).
+ */
+
+import { createHash } from 'node:crypto'
+import { RestApiResourceError } from '../../../../lib/rest-api-errors.js'
+import { ERROR_SUBTYPES } from './knex-constants.js'
+
+/**
+ * Turns the resource options into an ETag configuration
+ * @param {Object} scopeOptions - The options passed to addResource
+ * @param {string} scopeName - The resource name, used in configuration errors
+ * @returns {Object|null} `{ mode: 'version', versionField }`, `{ mode: 'hash' }` or null when disabled
+ */
+export function normalizeEtagConfig (scopeOptions = {}, scopeName = '') {
+  if (scopeOptions.versionField) {
+    const versionField = scopeOptions.versionField
+    if (!scopeOptions.schema?.[versionField]) {
+      throw new Error(`versionField '${versionField}' of resource '${scopeName}' must be a field of its schema`)
+    }
+    return { mode: 'version', versionField }
+  }
+
+  if (scopeOptions.etag === true || scopeOptions.etag === 'hash') {
+    return { mode: 'hash' }
+  }
+
+  return null
+}
+
+/**
+ * JSON with object keys sorted, so equal values always serialize the same way
+ * @param {*} value
+ * @returns {string}
+ */
+export function stableStringify (value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`
+  }
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return `{${Object.keys(value).sort().map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`
+  }
+  return JSON.stringify(value ?? null)
+}
+
+/**
+ * Computes the entity tag of a stored record
+ * @param {Object} minimalRecord - JSON:API record from dataGetMinimal
+ * @param {Object} etagConfig - Normalized configuration from normalizeEtagConfig
+ * @returns {string|null} A quoted strong ETag, e.g. `"3"`
+ */
+export function computeRecordEtag (minimalRecord, etagConfig) {
+  if (!minimalRecord || !etagConfig) return null
+
+  if (etagConfig.mode === 'version') {
+    const version = minimalRecord.attributes?.[etagConfig.versionField]
+    return `"${version ?? 0}"`
+  }
+
+  const digest = createHash('sha1')
+    .update(stableStringify({
+      attributes: minimalRecord.attributes || {},
+      relationships: minimalRecord.relationships || {}
+    }))
+    .digest('base64url')
+  return `"${digest}"`
+}
+
+/**
+ * Evaluates an If-Match value (RFC 9110) against the current ETag
+ * @param {string} ifMatch - Header value: `*` or a comma-separated list of entity tags
+ * @param {string|null} currentEtag - ETag of the current representation, null if there is none
+ * @returns {boolean} True when the precondition holds
+ */
+export function ifMatchSatisfied (ifMatch, currentEtag) {
+  if (!currentEtag) return false
+
+  const candidates = String(ifMatch).split(',').map((entry) => entry.trim()).filter(Boolean)
+  if (candidates.includes('*')) return true
+
+  // If-Match uses the strong comparison, so weak validators never match
+  return candidates.some((candidate) => !candidate.startsWith('W/') && candidate === currentEtag)
+}
+
+/**
+ * Builds the 412 error returned when a record changed under a conditional write
+ * @param {string} scopeName - The resource being written
+ * @param {string|number} id - The record being written
+ * @returns {RestApiResourceError} With subtype 'precondition_failed'
+ */
+export function preconditionFailedError (scopeName, id) {
+  return new RestApiResourceError(
+    `Precondition failed: ${scopeName}/${id} has been modified`,
+    {
+      subtype: ERROR_SUBTYPES.PRECONDITION_FAILED,
+      resourceType: scopeName,
+      resourceId: id
+    }
+  )
+}
+
+/**
+ * Tells whether the minimal record must be read with a row lock.
+ * Hash ETags have no column the write could compare against, so the record they are
+ * computed from is locked until the transaction ends instead.
+ * @param {Object} context - Request context with `ifMatch`
+ * @param {Object|null} etagConfig - Normalized ETag configuration of the resource
+ * @returns {boolean}
+ */
+export function lockRecordForIfMatch (context, etagConfig) {
+  return etagConfig?.mode === 'hash' && context.ifMatch !== undefined && context.ifMatch !== null
+}
+
+/**
+ * Throws a 412 error when `context.ifMatch` does not match the record being written.
+ * With version ETags, it also sets `context.expectedAttributes` to the version the
+ * client matched, which the storage plugins add to the WHERE clause of the write.
+ * @param {Object} params
+ * @param {Object} params.context - Request context with `ifMatch` and `minimalRecord`
+ * @param {Object|null} params.etagConfig - Normalized ETag configuration of the resource
+ * @param {string} params.scopeName - The resource being written
+ * @throws {RestApiResourceError} With subtype 'precondition_failed'
+ */
+export function assertIfMatchPrecondition ({ context, etagConfig, scopeName }) {
+  if (!etagConfig || context.ifMatch === undefined || context.ifMatch === null) return
+
+  // A create has no current ETag, whatever the record it is about to write
+  const isCreate = context.method === 'post' || context.isCreate === true
+  const currentEtag = isCreate ? null : computeRecordEtag(context.minimalRecord, etagConfig)
+  if (!ifMatchSatisfied(context.ifMatch, currentEtag)) {
+    throw preconditionFailedError(scopeName, context.id)
+  }
+
+  if (etagConfig.mode === 'version') {
+    const { versionField } = etagConfig
+    context.expectedAttributes = { [versionField]: context.minimalRecord.attributes?.[versionField] ?? null }
+  }
+}
+
+/**
+ * Restricts an UPDATE or DELETE query to rows still holding `expectedAttributes`.
+ * A write that then affects no row lost the race against another writer.
+ * @param {Object} query - Knex query builder, already restricted to the record
+ * @param {Object|undefined} expectedAttributes - Field values the row must still have
+ * @param {Function} [translateColumn] - Maps a field name to its column
+ * @returns {Object} The query builder
+ */
+export function applyExpectedAttributes (query, expectedAttributes, translateColumn = (field) => field) {
+  for (const [field, value] of Object.entries(expectedAttributes || {})) {
+    const column = translateColumn(field)
+    query = value === null ? query.whereNull(column) : query.where(column, value)
+  }
+  return query
+}
+
+/**
+ * Returns the version value to store with the next write of a version-tracked record
+ * @param {Object|null} minimalRecord - The record before the write (null on create)
+ * @param {Object} etagConfig - Normalized ETag configuration of the resource
+ * @returns {number|undefined} The next version, or undefined when versioning is off
+ */
+export function nextRecordVersion (minimalRecord, etagConfig) {
+  if (etagConfig?.mode !== 'version') return undefined
+
+  const current = Number(minimalRecord?.attributes?.[etagConfig.versionField])
+  return Number.isFinite(current) ? current + 1 : 1
+}
+
+/**
+ * Writes the next version into the input attributes right before the storage call.
+ * Clients cannot choose the version: whatever they sent is replaced.
+ * @param {Object} params
+ * @param {Object} params.context - Write context with `inputRecord` and, for updates, `minimalRecord`
+ * @param {Object|null} params.etagConfig - Normalized ETag configuration of the resource
+ */
+export function stampRecordVersion ({ context, etagConfig }) {
+  const isCreate = context.method === 'post' || context.isCreate === true
+  const version = nextRecordVersion(isCreate ? null : context.minimalRecord, etagConfig)
+  if (version === undefined || !context.inputRecord?.data) return
+
+  context.inputRecord.data.attributes = {
+    ...(context.inputRecord.data.attributes || {}),
+    [etagConfig.versionField]: version
+  }
+}
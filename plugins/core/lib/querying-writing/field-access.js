@@ -0,0 +1,212 @@
+/**
+ * @module field-access
+ * @description Field-level read and write permissions.
+ *
+ * Schema fields (stored, computed and query fields) may declare `canRead(context, info)` and
+ * `canWrite(context, info)` predicates. They receive the context of the calling method, so
+ * `context.auth` and `context.method` are available, and `{ scopeName, field }` as `info`.
+ * Predicates may be async. A predicate that throws counts as a refusal.
+ */
+
+import { RestApiValidationError } from '../../../../lib/rest-api-errors.js'
+
+// Read decisions are made once per call context and scope, so every record of a response agrees
+const readDecisionsByContext = new WeakMap()
+
+const toList = (value) => {
+  if (value === undefined || value === null || value === '') return []
+  const list = Array.isArray(value) ? value : String(value).split(',')
+  return list.map((entry) => String(entry).trim()).filter(Boolean)
+}
+
+const forbiddenFieldViolation = (field, message) => ({ field, rule: 'forbidden_field', message })
+
+function throwForbiddenFields (message, violations) {
+  throw new RestApiValidationError(violations.length === 1 ? violations[0].message : message, {
+    fields: violations.map((violation) => violation.field),
+    violations
+  })
+}
+
+function fieldDefinitionsOf (scopes, scopeName) {
+  const vars = scopes[scopeName]?.vars || {}
+  return {
+    ...(vars.schemaInfo?.schemaStructure || {}),
+    ...(vars.schemaInfo?.computed || {}),
+    ...(vars.queryFields || {})
+  }
+}
+
+async function allows (predicate, context, info) {
+  try {
+    return (await predicate(context, info)) === true
+  } catch {
+    return false
+  }
+}
+
+/**
+ * Returns the fields of a scope that the caller may not read
+ *
+ * @param {Object} params
+ * @param {Object} params.scopes - All scopes
+ * @param {string} params.scopeName - The resource the fields belong to
+ * @param {Object} [params.context] - The context of the calling method
+ * @returns {Promise<Set<string>>} Names of the unreadable fields
+ */
+export async function getUnreadableFields ({ scopes, scopeName, context }) {
+  const callerContext = context || {}
+  let decisions = readDecisionsByContext.get(callerContext)
+  if (!decisions) {
+    decisions = new Map()
+    readDecisionsByContext.set(callerContext, decisions)
+  }
+
+  if (!decisions.has(scopeName)) {
+    const unreadable = new Set()
+    for (const [field, fieldDef] of Object.entries(fieldDefinitionsOf(scopes, scopeName))) {
+      if (typeof fieldDef?.canRead !== 'function') continue
+      if (!(await allows(fieldDef.canRead, callerContext, { scopeName, field }))) {
+        unreadable.add(field)
+      }
+    }
+    decisions.set(scopeName, unreadable)
+  }
+
+  return decisions.get(scopeName)
+}
+
+/**
+ * Removes the attributes the caller may not read
+ *
+ * @param {Object} attributes - Attributes of one record; changed in place
+ * @param {Object} params - Same as getUnreadableFields
+ * @returns {Promise<Object>} The attributes
+ */
+export async function stripUnreadableAttributes (attributes, { scopes, scopeName, context }) {
+  const unreadable = await getUnreadableFields({ scopes, scopeName, context })
+  for (const field of unreadable) {
+    delete attributes[field]
+  }
+  return attributes
+}
+
+// Filters and sorts may point at other fields, or at fields of other resources ('authors.salary')
+function resolveSearchTargets (scopeName, key, searchSchemaStructure) {
+  const searchField = searchSchemaStructure?.[key]
+  const paths = [typeof searchField?.actualField === 'string' ? searchField.actualField : key]
+  if (Array.isArray(searchField?.oneOf)) paths.push(...searchField.oneOf)
+
+  return paths.map((path) => {
+    const segments = String(path).split('.')
+    return segments.length > 1
+      ? { scopeName: segments[segments.length - 2], field: segments[segments.length - 1] }
+      : { scopeName, field: path }
+  })
+}
+
+/**
+ * Refuses sparse fieldsets, sorts, filters and aggregations that name unreadable fields
+ *
+ * @param {Object} params
+ * @param {Object} params.scopes - All scopes
+ * @param {string} params.scopeName - The resource being read
+ * @param {Object} params.context - The context of the calling method
+ * @param {Object} params.queryParams - `{ fields, sort, filters, group, aggregates }`; all optional
+ * @throws {RestApiValidationError} Naming every refused field
+ */
+export async function assertReadableQueryParams ({ scopes, scopeName, context, queryParams = {} }) {
+  const violations = []
+  const searchSchemaStructure = scopes[scopeName]?.vars?.schemaInfo?.searchSchemaStructure
+
+  const check = async (targetScopeName, field, param) => {
+    if (!scopes[targetScopeName]) return
+    const unreadable = await getUnreadableFields({ scopes, scopeName: targetScopeName, context })
+    if (unreadable.has(field)) {
+      violations.push(forbiddenFieldViolation(param, `Field '${field}' of '${targetScopeName}' cannot be read`))
+    }
+  }
+
+  for (const [type, requested] of Object.entries(queryParams.fields || {})) {
+    for (const field of toList(requested)) {
+      await check(type, field, `fields[${type}]`)
+    }
+  }
+
+  for (const entry of toList(queryParams.sort)) {
+    for (const target of resolveSearchTargets(scopeName, entry.replace(/^-/, ''), searchSchemaStructure)) {
+      await check(target.scopeName, target.field, 'sort')
+    }
+  }
+
+  for (const key of Object.keys(queryParams.filters || {})) {
+    for (const target of resolveSearchTargets(scopeName, key, searchSchemaStructure)) {
+      await check(target.scopeName, target.field, `filters[${key}]`)
+    }
+  }
+
+  for (const field of toList(queryParams.group)) {
+    await check(scopeName, field, 'group')
+  }
+
+  for (const [alias, expression] of Object.entries(queryParams.aggregates || {})) {
+    const field = String(expression).split(':')[1]?.trim()
+    if (field) await check(scopeName, field, `agg[${alias}]`)
+  }
+
+  if (violations.length > 0) {
+    throwForbiddenFields('Query parameters name fields that cannot be read', violations)
+  }
+}
+
+// Input values are not cast yet: '5' and 5 are the same value
+function isSameValue (incoming, stored) {
+  if (incoming === null || incoming === undefined || stored === null || stored === undefined) {
+    return incoming === stored
+  }
+  return typeof incoming === 'object' || typeof stored === 'object'
+    ? JSON.stringify(incoming) === JSON.stringify(stored)
+    : String(incoming) === String(stored)
+}
+
+function readStoredValue (record, field, fieldDef) {
+  if (fieldDef.belongsTo && fieldDef.as) {
+    const data = record.relationships?.[fieldDef.as]?.data
+    return data === undefined ? undefined : data?.id ?? null
+  }
+  return record.attributes?.[field]
+}
+
+/**
+ * Refuses writes to fields the caller may not write
+ *
+ * Sending the stored value again is not a write, so a PUT can repeat fields the caller
+ * may not change.
+ *
+ * @param {Object} params
+ * @param {Object} params.context - The context of the writing method
+ * @param {string} params.scopeName - The resource being written
+ * @param {Object} params.schemaStructure - Its schema structure
+ * @param {Object} params.values - The input values, foreign keys included
+ * @param {Object} [params.currentRecord] - The stored record, as JSON:API, when already loaded
+ * @throws {RestApiValidationError} Naming every refused field
+ */
+export async function assertWritableFields ({ context, scopeName, schemaStructure, values, currentRecord }) {
+  const violations = []
+
+  for (const [field, value] of Object.entries(values)) {
+    const fieldDef = schemaStructure[field]
+    if (typeof fieldDef?.canWrite !== 'function') continue
+    if (currentRecord && isSameValue(value, readStoredValue(currentRecord, field, fieldDef))) continue
+    if (await allows(fieldDef.canWrite, context, { scopeName, field })) continue
+
+    const path = fieldDef.belongsTo && fieldDef.as
+      ? `data.relationships.${fieldDef.as}`
+      : `data.attributes.${field}`
+    violations.push(forbiddenFieldViolation(path, `Field '${field}' of '${scopeName}' cannot be written`))
+  }
+
+  if (violations.length > 0) {
+    throwForbiddenFields('Input contains fields that cannot be written', violations)
+  }
+}
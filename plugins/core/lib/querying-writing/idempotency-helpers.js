@@ -0,0 +1,219 @@
+/**
+ * @module idempotency-helpers
+ * @description Idempotency-Key support for create requests (`post`, `bulkPost`, `postRelationship`)
+ *
+ * The key is claimed by inserting a row in the write transaction, and the response is
+ * stored in the same row before the commit. A retry therefore either finds the stored
+ * response, or finds nothing because the first attempt rolled back and left no trace.
+ * Rows expire after `ttl` ms; an expired key is forgotten and can be claimed again.
+ */
+
+import { createHash } from 'node:crypto'
+import { RestApiResourceError, RestApiValidationError } from '../../../../lib/rest-api-errors.js'
+import { ERROR_SUBTYPES } from './knex-constants.js'
+import { stableStringify } from './etag-helpers.js'
+
+export const IDEMPOTENCY_KEY_HEADER = 'idempotency-key'
+export const IDEMPOTENT_REPLAY_HEADER = 'Idempotent-Replayed'
+
+const MAX_KEY_LENGTH = 255
+const DEFAULT_TTL = 24 * 60 * 60 * 1000
+
+// Unique violations, as reported by better-sqlite3/sqlite3, pg and mysql
+const UNIQUE_VIOLATION_CODES = new Set(['SQLITE_CONSTRAINT_UNIQUE', 'SQLITE_CONSTRAINT', '23505', 'ER_DUP_ENTRY'])
+
+function createIdempotencyError (message) {
+  const error = new Error(message)
+  error.code = 'REST_API_IDEMPOTENCY_CONTRACT'
+  return error
+}
+
+/**
+ * Turns the `idempotency` option of RestApiPlugin into a configuration
+ * @param {Object|false} [options]
+ * @param {string} [options.tableName='_idempotency_keys'] - Where keys and responses are stored
+ * @param {boolean} [options.createTable=true] - Create the table when the storage plugin is installed
+ * @param {number} [options.ttl=86400000] - How long a key and its response are kept, in ms
+ * @param {Function} [options.getOwner] - `(context) => string`; keys are unique per owner.
+ *   Requests that come over a transport are refused when it returns no owner.
+ * @returns {Object|null} null when idempotency keys are ignored
+ */
+export function normalizeIdempotencyConfig (options = {}) {
+  if (options === false) return null
+
+  const {
+    tableName = '_idempotency_keys',
+    createTable = true,
+    ttl = DEFAULT_TTL,
+    getOwner = (context) => context.auth?.userId
+  } = options
+
+  if (typeof getOwner !== 'function') {
+    throw createIdempotencyError('idempotency.getOwner must be a function.')
+  }
+  if (!Number.isInteger(ttl) || ttl <= 0) {
+    throw createIdempotencyError('idempotency.ttl must be a positive integer (milliseconds).')
+  }
+
+  return { tableName, createTable, ttl, getOwner }
+}
+
+/**
+ * Creates the key table if it is missing. Storage plugins call it at install time.
+ * @param {Object} params
+ * @param {Object|null} params.config - From normalizeIdempotencyConfig
+ * @param {Function} params.db - The knex instance
+ */
+export async function createIdempotencyTable ({ config, db }) {
+  if (!config?.createTable || await db.schema.hasTable(config.tableName)) return
+
+  await db.schema.createTable(config.tableName, (table) => {
+    table.increments('id')
+    table.string('owner').notNullable()
+    table.string('idempotency_key', MAX_KEY_LENGTH).notNullable()
+    table.string('operation').notNullable()
+    table.string('request_hash', 64).notNullable()
+    table.text('response').nullable()
+    table.timestamp('created_at')
+    table.timestamp('expires_at').notNullable()
+    table.unique(['owner', 'idempotency_key'])
+    table.index(['expires_at'])
+  })
+}
+
+/**
+ * Deletes every expired key
+ * @param {Object} params
+ * @param {Object|null} params.config - From normalizeIdempotencyConfig
+ * @param {Function} params.db - The knex instance
+ * @returns {Promise<number>} How many keys were deleted
+ */
+export async function deleteExpiredIdempotencyKeys ({ config, db }) {
+  if (!config) return 0
+  if (!db) {
+    throw createIdempotencyError('Idempotency keys need a storage plugin with knex support.')
+  }
+
+  return db(config.tableName).where('expires_at', '<=', new Date()).delete()
+}
+
+/**
+ * Claims `context.idempotencyKey` in the write transaction, or finds the earlier request
+ * that used it. The caller's expired keys are deleted first.
+ * @param {Object} params
+ * @param {Object|null} params.config - From normalizeIdempotencyConfig
+ * @param {Object} params.context - Needs `idempotencyKey`; `id` and `relationshipName` are hashed when set
+ * @param {Function} params.db - The write transaction
+ * @param {string} params.scopeName
+ * @param {string} params.operation - 'post', 'bulkPost' or 'postRelationship'
+ * @param {*} params.payload - The request body, compared with the earlier request
+ * @returns {Promise<Object|null>} `{ replayed: true, response }` for a repeated request,
+ *   `{ replayed: false }` once the key is claimed, null when no key was sent
+ *   Callers hand back a replayed response only after their permission checks pass.
+ * @throws {RestApiValidationError} When the key was used for a different request
+ * @throws {RestApiResourceError} With subtype 'conflict' when another request holds the key
+ */
+export async function beginIdempotentRequest ({ config, context, db, scopeName, operation, payload }) {
+  const key = context.idempotencyKey
+  if (!config || key === undefined || key === null) return null
+
+  if (typeof key !== 'string' || key.length === 0 || key.length > MAX_KEY_LENGTH) {
+    throw new RestApiValidationError('Idempotency-Key is invalid', {
+      fields: ['Idempotency-Key'],
+      violations: [{
+        field: 'Idempotency-Key',
+        rule: 'idempotency_key',
+        message: `Must be a non-empty string of at most ${MAX_KEY_LENGTH} characters`
+      }]
+    })
+  }
+  if (!db) {
+    throw createIdempotencyError('Idempotency keys need a storage plugin with knex support.')
+  }
+
+  const owner = String(config.getOwner(context) ?? '')
+
+  // Anonymous clients would all share one owner, and replay each other's responses.
+  // Programmatic calls without a transport are the application itself.
+  if (owner === '' && context.transport) {
+    throw new RestApiValidationError('Idempotency-Key needs an authenticated caller', {
+      fields: ['Idempotency-Key'],
+      violations: [{
+        field: 'Idempotency-Key',
+        rule: 'idempotency_key_owner',
+        message: 'Authenticate to use idempotency keys'
+      }]
+    })
+  }
+  const requestHash = createHash('sha256')
+    .update(stableStringify({
+      scopeName,
+      operation,
+      id: context.id ?? null,
+      relationshipName: context.relationshipName ?? null,
+      payload
+    }))
+    .digest('hex')
+
+  const now = new Date()
+  await db(config.tableName).where({ owner }).where('expires_at', '<=', now).delete()
+
+  const existing = await db(config.tableName).where({ owner, idempotency_key: key }).first()
+  if (existing) {
+    if (existing.request_hash !== requestHash) {
+      throw new RestApiValidationError('Idempotency-Key was already used for a different request', {
+        fields: ['Idempotency-Key'],
+        violations: [{
+          field: 'Idempotency-Key',
+          rule: 'idempotency_key_reused',
+          message: 'Use a new key for every new request'
+        }]
+      })
+    }
+
+    context.idempotentReplay = true
+    return { replayed: true, response: existing.response === null ? undefined : JSON.parse(existing.response) }
+  }
+
+  try {
+    await db(config.tableName).insert({
+      owner,
+      idempotency_key: key,
+      operation: `${scopeName}.${operation}`,
+      request_hash: requestHash,
+      response: null,
+      created_at: now,
+      expires_at: new Date(now.getTime() + config.ttl)
+    })
+  } catch (error) {
+    if (!UNIQUE_VIOLATION_CODES.has(error.code)) throw error
+
+    // A concurrent request claimed the key first
+    throw new RestApiResourceError('A request with this Idempotency-Key is already in progress', {
+      subtype: ERROR_SUBTYPES.CONFLICT,
+      resourceType: scopeName
+    })
+  }
+
+  context.idempotencyClaim = { owner, key }
+  return { replayed: false }
+}
+
+/**
+ * Stores the response of a request whose key was claimed by beginIdempotentRequest.
+ * Runs before the commit, so the response is stored if and only if the write is.
+ * @param {Object} params
+ * @param {Object|null} params.config
+ * @param {Object} params.context
+ * @param {Function} params.db - The write transaction
+ * @param {*} params.response - What the method returns
+ */
+export async function completeIdempotentRequest ({ config, context, db, response }) {
+  const claim = context.idempotencyClaim
+  if (!config || !claim) return
+
+  await db(config.tableName)
+    .where({ owner: claim.owner, idempotency_key: claim.key })
+    .update({ response: response === undefined ? null : JSON.stringify(response) })
+  delete context.idempotencyClaim
+}
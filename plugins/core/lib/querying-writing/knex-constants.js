@@ -41,5 +41,6 @@ export const ERROR_SUBTYPES = {
   NOT_FOUND: 'not_found',
   VALIDATION: 'validation',
   PERMISSION: 'permission',
-  CONFLICT: 'conflict'
+  CONFLICT: 'conflict',
+  PRECONDITION_FAILED: 'precondition_failed'
 }
@@ -0,0 +1,177 @@
+/**
+ * @module aggregation-helpers
+ * @description Parsing and SQL building for `scope.aggregate()` and `GET /{resource}/aggregate`.
+ *
+ * Both storage plugins build their filtered base query (search filters and every
+ * knexQueryFiltering hook), then hand it to `applyAggregationToQuery` with a function
+ * that turns a field name into a column reference for that storage.
+ */
+
+import { RestApiValidationError } from '../../../../lib/rest-api-errors.js'
+
+export const AGGREGATE_FUNCTIONS = ['count', 'sum', 'avg', 'min', 'max']
+
+const NUMERIC_FUNCTIONS = new Set(['sum', 'avg'])
+const NUMERIC_TYPES = new Set(['number', 'integer'])
+const ALIAS_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/
+
+const toList = (value) => {
+  if (value === undefined || value === null || value === '') return []
+  const list = Array.isArray(value) ? value : String(value).split(',')
+  return list.map((entry) => String(entry).trim()).filter(Boolean)
+}
+
+const invalid = (message, field, rule) => new RestApiValidationError(message, {
+  fields: [field],
+  violations: [{ field, rule, message }]
+})
+
+function assertAggregatableField ({ field, param, schemaStructure, scopeName }) {
+  const fieldDef = schemaStructure[field]
+
+  if (!fieldDef || fieldDef.virtual === true) {
+    throw invalid(`Field '${field}' is not a stored field of '${scopeName}'`, param, 'unknown_field')
+  }
+
+  if (fieldDef.hidden === true) {
+    throw invalid(`Field '${field}' of '${scopeName}' cannot be aggregated`, param, 'hidden_field')
+  }
+
+  return fieldDef
+}
+
+/**
+ * Validates and normalizes aggregation parameters
+ *
+ * @param {Object} params
+ * @param {string|Array<string>} [params.group] - Fields to group by: 'status' or ['status', 'country_id']
+ * @param {Object<string, string>} [params.aggregates] - Alias to 'fn' or 'fn:field', e.g. `{ total: 'sum:amount', orders: 'count' }`
+ * @param {string|Array<string>} [params.sort] - Group fields or aliases, '-' prefix for descending
+ * @param {Object} options
+ * @param {string} options.scopeName - Resource name, used in error messages
+ * @param {Object} options.schemaInfo - Compiled schema info of the resource
+ * @returns {{ group: Array<string>, aggregates: Array<{alias: string, fn: string, field: string|null}>, sort: Array<{key: string, direction: string}> }}
+ * @throws {RestApiValidationError} When a function, field, alias or sort key is not allowed
+ */
+export function parseAggregationParams ({ group, aggregates, sort } = {}, { scopeName, schemaInfo }) {
+  const schemaStructure = schemaInfo?.schemaStructure || {}
+
+  const groupFields = toList(group)
+  for (const field of groupFields) {
+    assertAggregatableField({ field, param: 'group', schemaStructure, scopeName })
+  }
+
+  const aggregateEntries = Object.entries(aggregates || {})
+  if (groupFields.length === 0 && aggregateEntries.length === 0) {
+    throw invalid('An aggregate query needs at least one group field or aggregate', 'agg', 'required')
+  }
+
+  const normalizedAggregates = aggregateEntries.map(([alias, expression]) => {
+    const param = `agg[${alias}]`
+
+    if (!ALIAS_PATTERN.test(alias) || groupFields.includes(alias)) {
+      throw invalid(`Aggregate name '${alias}' must be a plain identifier not used as a group field`, param, 'invalid_alias')
+    }
+
+    const [fn, field = null, ...rest] = String(expression).split(':').map((part) => part.trim())
+    if (!AGGREGATE_FUNCTIONS.includes(fn) || rest.length > 0) {
+      throw invalid(`Aggregate '${expression}' must be one of ${AGGREGATE_FUNCTIONS.join(', ')}, optionally followed by ':field'`, param, 'invalid_function')
+    }
+
+    if (!field) {
+      if (fn !== 'count') {
+        throw invalid(`Aggregate '${fn}' needs a field, e.g. '${fn}:amount'`, param, 'missing_field')
+      }
+      return { alias, fn, field: null }
+    }
+
+    const fieldDef = assertAggregatableField({ field, param, schemaStructure, scopeName })
+    if (NUMERIC_FUNCTIONS.has(fn) && !NUMERIC_TYPES.has(fieldDef.type)) {
+      throw invalid(`Aggregate '${fn}' needs a numeric field, '${field}' is '${fieldDef.type}'`, param, 'numeric_field')
+    }
+
+    return { alias, fn, field }
+  })
+
+  const sortKeys = new Set([...groupFields, ...normalizedAggregates.map(({ alias }) => alias)])
+  const normalizedSort = toList(sort).map((entry) => {
+    const direction = entry.startsWith('-') ? 'desc' : 'asc'
+    const key = entry.replace(/^-/, '')
+    if (!sortKeys.has(key)) {
+      throw invalid(`Aggregate results can only be sorted by group fields or aggregate names, not '${key}'`, 'sort', 'invalid_sort')
+    }
+    return { key, direction }
+  })
+
+  return {
+    group: groupFields,
+    aggregates: normalizedAggregates,
+    sort: normalizedSort.length > 0
+      ? normalizedSort
+      : groupFields.map((key) => ({ key, direction: 'asc' }))
+  }
+}
+
+/**
+ * Adds grouping, aggregate selects and ordering to an already filtered query
+ *
+ * @param {Object} params
+ * @param {Object} params.query - Knex query builder with every filter applied
+ * @param {Object} params.aggregation - Output of parseAggregationParams
+ * @param {Function} params.resolveColumn - Maps a field name to a qualified column reference
+ * @returns {Object} The query builder
+ */
+export function applyAggregationToQuery ({ query, aggregation, resolveColumn }) {
+  for (const field of aggregation.group) {
+    const column = resolveColumn(field)
+    query.select({ [field]: column })
+    query.groupBy(column)
+  }
+
+  for (const { alias, fn, field } of aggregation.aggregates) {
+    query[fn]({ [alias]: field ? resolveColumn(field) : '*' })
+  }
+
+  const groupFields = new Set(aggregation.group)
+  for (const { key, direction } of aggregation.sort) {
+    if (groupFields.has(key)) {
+      query.orderBy(resolveColumn(key), direction)
+    } else {
+      // Raw, so that an alias that happens to match a field name is not translated into a column
+      query.orderByRaw(`?? ${direction}`, [key])
+    }
+  }
+
+  return query
+}
+
+/**
+ * Turns database rows into plain result objects: counts, sums and averages become numbers
+ * (drivers such as pg return them as strings), and so do min/max of numeric fields.
+ *
+ * @param {Array<Object>} rows - Rows returned by the aggregate query
+ * @param {Object} aggregation - Output of parseAggregationParams
+ * @param {Object} schemaInfo - Compiled schema info of the resource
+ * @returns {Array<Object>} One object per group, keyed by group fields and aggregate names
+ */
+export function normalizeAggregationRows (rows, aggregation, schemaInfo) {
+  const schemaStructure = schemaInfo?.schemaStructure || {}
+
+  return rows.map((row) => {
+    const result = {}
+
+    for (const field of aggregation.group) {
+      result[field] = row[field] ?? null
+    }
+
+    for (const { alias, fn, field } of aggregation.aggregates) {
+      const value = row[alias]
+      const numeric = fn === 'count' || NUMERIC_FUNCTIONS.has(fn) || NUMERIC_TYPES.has(schemaStructure[field]?.type)
+      result[alias] = value === null || value === undefined
+        ? (fn === 'count' ? 0 : null)
+        : (numeric ? Number(value) : value)
+    }
+
+    return result
+  })
+}
@@ -0,0 +1,304 @@
+/**
+ * @module full-text-search
+ * @description Full-text search for fields marked `fullText: true`.
+ *
+ * - SQLite: an external-content FTS5 table `<table>_fts`, kept in sync by triggers
+ * - Postgres: a generated `search_vector` tsvector column with a GIN index
+ * - Anything else (including AnyAPI canonical storage): every search term must
+ *   appear, with LIKE, in at least one of the full-text fields; results are not ranked
+ *
+ * Resources with full-text fields get a `q` filter and can be sorted by `relevance`.
+ */
+
+import { RestApiValidationError } from '../../../../lib/rest-api-errors.js'
+
+export const FULL_TEXT_FILTER = 'q'
+export const RELEVANCE_SORT_FIELD = 'relevance'
+export const FULL_TEXT_VECTOR_COLUMN = 'search_vector'
+
+const DEFAULT_LANGUAGE = 'english'
+const INTEGER_ID_TYPES = new Set(['id', 'integer'])
+const SEARCH_TERM_PATTERN = /[\p{L}\p{N}_]+/gu
+
+const quoteIdentifier = (name) => `"${String(name).replace(/"/g, '""')}"`
+const quoteLiteral = (value) => `'${String(value).replace(/'/g, "''")}'`
+
+/**
+ * Normalizes a knex client name (or instance) to the full-text flavour it supports
+ *
+ * @param {Object|string} knexOrClient - Knex instance or client name such as 'better-sqlite3' or 'pg'
+ * @returns {'sqlite'|'postgres'|null} null when only the LIKE fallback is available
+ */
+export function getFullTextDialect (knexOrClient) {
+  const client = typeof knexOrClient === 'string'
+    ? knexOrClient
+    : (knexOrClient?.client?.config?.client || knexOrClient?.client?.dialect || '')
+  const name = String(client || '').toLowerCase()
+
+  if (name.includes('sqlite')) return 'sqlite'
+  if (name === 'pg' || name.includes('postgres') || name === 'pgnative') return 'postgres'
+  return null
+}
+
+export const getFullTextTableName = (tableName) => `${tableName}_fts`
+
+function createFullTextError (message) {
+  const error = new Error(message)
+  error.code = 'REST_API_FULL_TEXT_CONTRACT'
+  return error
+}
+
+/**
+ * Collects the `fullText: true` fields of a resource schema
+ *
+ * @param {Object} params
+ * @param {string} params.scopeName - Resource name, used in error messages
+ * @param {Object} params.fields - Schema structure
+ * @param {Object} [params.scopeOptions] - Resource options; `fullTextLanguage` picks the Postgres text search configuration
+ * @returns {{ fields: Array<string>, language: string }|null} null when no field is marked
+ * @throws {Error} When a marked field is virtual or not a string, or the ids are not integers
+ */
+export function compileFullTextConfig ({ scopeName, fields = {}, scopeOptions = {} }) {
+  const fullTextFields = []
+
+  for (const [fieldName, fieldDef] of Object.entries(fields)) {
+    if (!fieldDef?.fullText) continue
+
+    if (fieldDef.virtual === true || fieldDef.type !== 'string') {
+      throw new Error(
+        `Field '${fieldName}' in resource '${scopeName}' is marked fullText but only stored string fields can be full-text indexed`
+      )
+    }
+    fullTextFields.push(fieldName)
+  }
+
+  if (fullTextFields.length === 0) return null
+
+  // The FTS5 index of SQLite is keyed on the rowid, so the content table needs integer ids
+  if (fields.id && !INTEGER_ID_TYPES.has(fields.id.type)) {
+    throw createFullTextError(
+      `Resource '${scopeName}' has fullText fields, which need integer ids: its id field is of type '${fields.id.type}'`
+    )
+  }
+
+  return {
+    fields: fullTextFields,
+    language: scopeOptions.fullTextLanguage || DEFAULT_LANGUAGE
+  }
+}
+
+/**
+ * Adds the `q` filter to a generated search schema, unless the resource defines its own
+ *
+ * @param {Object|null} searchFields - Output of generateSearchSchemaFromSchema
+ * @param {Object|null} fullText - Output of compileFullTextConfig
+ * @returns {Object|null} The search fields to compile
+ */
+export function addFullTextSearchField (searchFields, fullText) {
+  if (!fullText || searchFields?.[FULL_TEXT_FILTER]) return searchFields
+
+  return {
+    ...(searchFields || {}),
+    [FULL_TEXT_FILTER]: { type: 'string', fullTextSearch: true }
+  }
+}
+
+/**
+ * SQL that creates the full-text index of a freshly created table
+ *
+ * @param {Object} params
+ * @param {string} params.tableName - Content table
+ * @param {string} params.idColumn - Integer primary key column (used as the FTS5 rowid)
+ * @param {Array<string>} params.columns - Column names of the full-text fields
+ * @param {string} params.dialect - 'sqlite', 'postgres' or null
+ * @param {string} [params.language] - Postgres text search configuration
+ * @returns {Array<string>} Statements to run in order; empty when the dialect has no native support
+ */
+export function buildFullTextSchemaStatements ({ tableName, idColumn, columns, dialect, language = DEFAULT_LANGUAGE }) {
+  if (!columns?.length) return []
+
+  if (dialect === 'sqlite') {
+    const table = quoteIdentifier(tableName)
+    const ftsTableName = getFullTextTableName(tableName)
+    const fts = quoteIdentifier(ftsTableName)
+    const id = quoteIdentifier(idColumn)
+    const columnList = columns.map(quoteIdentifier).join(', ')
+    const values = (row) => columns.map((column) => `${row}.${quoteIdentifier(column)}`).join(', ')
+    const trigger = (suffix) => quoteIdentifier(`${ftsTableName}_${suffix}`)
+
+    return [
+      `CREATE VIRTUAL TABLE ${fts} USING fts5(${columnList}, content=${quoteLiteral(tableName)}, content_rowid=${quoteLiteral(idColumn)}, tokenize='porter unicode61')`,
+      `CREATE TRIGGER ${trigger('ai')} AFTER INSERT ON ${table} BEGIN ` +
+        `INSERT INTO ${fts}(rowid, ${columnList}) VALUES (new.${id}, ${values('new')}); END`,
+      `CREATE TRIGGER ${trigger('ad')} AFTER DELETE ON ${table} BEGIN ` +
+        `INSERT INTO ${fts}(${fts}, rowid, ${columnList}) VALUES ('delete', old.${id}, ${values('old')}); END`,
+      `CREATE TRIGGER ${trigger('au')} AFTER UPDATE ON ${table} BEGIN ` +
+        `INSERT INTO ${fts}(${fts}, rowid, ${columnList}) VALUES ('delete', old.${id}, ${values('old')}); ` +
+        `INSERT INTO ${fts}(rowid, ${columnList}) VALUES (new.${id}, ${values('new')}); END`
+    ]
+  }
+
+  if (dialect === 'postgres') {
+    const table = quoteIdentifier(tableName)
+    const vector = quoteIdentifier(FULL_TEXT_VECTOR_COLUMN)
+    const document = columns.map((column) => `coalesce(${quoteIdentifier(column)}, '')`).join(" || ' ' || ")
+
+    return [
+      `ALTER TABLE ${table} ADD COLUMN ${vector} tsvector GENERATED ALWAYS AS (to_tsvector(${quoteLiteral(language)}::regconfig, ${document})) STORED`,
+      `CREATE INDEX ${quoteIdentifier(`${tableName}_${FULL_TEXT_VECTOR_COLUMN}_index`)} ON ${table} USING GIN (${vector})`
+    ]
+  }
+
+  return []
+}
+
+/**
+ * SQL to run before dropping a table created with buildFullTextSchemaStatements
+ *
+ * @param {Object} params
+ * @param {string} params.tableName - Content table
+ * @param {string} params.dialect - 'sqlite', 'postgres' or null
+ * @returns {Array<string>} Statements; the Postgres column and index go away with the table
+ */
+export function buildFullTextDropStatements ({ tableName, dialect }) {
+  if (dialect !== 'sqlite') return []
+  return [`DROP TABLE IF EXISTS ${quoteIdentifier(getFullTextTableName(tableName))}`]
+}
+
+/**
+ * SQL that gives an existing table the full-text index of `columns`, replacing the one it
+ * has. Rows already in the table are indexed; with no columns the index is only dropped.
+ *
+ * @param {Object} params - Same as buildFullTextSchemaStatements
+ * @returns {Array<string>} Statements to run in order, after the columns exist
+ */
+export function buildFullTextReplaceStatements ({ tableName, idColumn, columns, dialect, language = DEFAULT_LANGUAGE }) {
+  const create = buildFullTextSchemaStatements({ tableName, idColumn, columns, dialect, language })
+
+  if (dialect === 'sqlite') {
+    const ftsTableName = getFullTextTableName(tableName)
+    const fts = quoteIdentifier(ftsTableName)
+    // The triggers are on the content table, so dropping the FTS5 table leaves them behind
+    const dropTriggers = ['ai', 'ad', 'au'].map((suffix) => `DROP TRIGGER IF EXISTS ${quoteIdentifier(`${ftsTableName}_${suffix}`)}`)
+
+    return [
+      ...dropTriggers,
+      `DROP TABLE IF EXISTS ${fts}`,
+      ...create,
+      ...(create.length > 0 ? [`INSERT INTO ${fts}(${fts}) VALUES ('rebuild')`] : [])
+    ]
+  }
+
+  if (dialect === 'postgres') {
+    // The generated column is computed for existing rows when it is added; its index goes with it
+    return [
+      `ALTER TABLE ${quoteIdentifier(tableName)} DROP COLUMN IF EXISTS ${quoteIdentifier(FULL_TEXT_VECTOR_COLUMN)}`,
+      ...create
+    ]
+  }
+
+  return []
+}
+
+/**
+ * Reads the columns of a Postgres full-text column back from its generation expression
+ *
+ * @param {string} expression - As reported by information_schema, e.g. `to_tsvector(..., (COALESCE(title, ''::text) ...))`
+ * @returns {Array<string>} Column names, in order
+ */
+export function parseFullTextExpressionColumns (expression) {
+  const columns = []
+  for (const [, column] of String(expression || '').matchAll(/coalesce\(\s*("(?:[^"]|"")+"|[^\s,()]+)/gi)) {
+    columns.push(column.startsWith('"') ? column.slice(1, -1).replace(/""/g, '"') : column)
+  }
+  return columns
+}
+
+const extractSearchTerms = (value) => String(value ?? '').match(SEARCH_TERM_PATTERN) || []
+
+/**
+ * Adds the `q` condition to a query and returns how to rank the matches
+ *
+ * @param {Object} params
+ * @param {Object} params.builder - Query builder (or where-group builder) receiving the condition
+ * @param {Object} params.knex - Knex instance, used for the dialect and raw subqueries
+ * @param {boolean} params.useIndex - False when the table has no native index (AnyAPI storage)
+ * @param {string} params.tableName - Content table
+ * @param {string} params.idColumnRef - Qualified id column
+ * @param {string} params.vectorColumnRef - Qualified tsvector column (Postgres)
+ * @param {Array<string>} params.columnRefs - Qualified full-text columns, for the LIKE fallback
+ * @param {string} params.language - Postgres text search configuration
+ * @param {string} params.value - The user's search text
+ * @returns {{ sql: string, bindings: Array }|null} Relevance expression (higher is better), or null when the text has no terms
+ */
+export function applyFullTextFilter ({ builder, knex, useIndex, tableName, idColumnRef, vectorColumnRef, columnRefs, language, value }) {
+  const terms = extractSearchTerms(value)
+  if (terms.length === 0) return null
+
+  const dialect = useIndex ? getFullTextDialect(knex) : null
+
+  if (dialect === 'sqlite') {
+    const fts = getFullTextTableName(tableName)
+    // Quoted terms are plain strings to FTS5, so user input cannot inject query syntax
+    const match = terms.map((term) => `"${term}"`).join(' ')
+
+    builder.whereIn(idColumnRef, knex.raw('SELECT rowid FROM ?? WHERE ?? MATCH ?', [fts, fts, match]))
+    return {
+      sql: 'SELECT -rank FROM ?? WHERE ?? MATCH ? AND rowid = ??',
+      bindings: [fts, fts, match, idColumnRef]
+    }
+  }
+
+  if (dialect === 'postgres') {
+    const text = terms.join(' ')
+    builder.whereRaw('?? @@ plainto_tsquery(?::regconfig, ?)', [vectorColumnRef, language, text])
+    return {
+      sql: 'ts_rank(??, plainto_tsquery(?::regconfig, ?))',
+      bindings: [vectorColumnRef, language, text]
+    }
+  }
+
+  builder.where(function fullTextFallback () {
+    for (const term of terms) {
+      this.where(function fullTextTerm () {
+        for (const columnRef of columnRefs) {
+          this.orWhere(columnRef, 'like', `%${term}%`)
+        }
+      })
+    }
+  })
+  return { sql: 'NULL', bindings: [] }
+}
+
+/**
+ * Checks a `relevance` sort against the rest of the request
+ *
+ * @param {Object} params
+ * @param {Object} params.queryParams - Validated query parameters
+ * @param {Object} params.schemaInfo - Compiled schema info of the resource
+ * @throws {RestApiValidationError} When sorting by relevance without a full-text search, or with cursor pagination
+ */
+export function assertRelevanceSort ({ queryParams, schemaInfo }) {
+  const sortsByRelevance = (queryParams.sort || [])
+    .some((entry) => String(entry).replace(/^-/, '') === RELEVANCE_SORT_FIELD)
+
+  // A real field called 'relevance' is sorted like any other field
+  if (!sortsByRelevance || schemaInfo.schemaStructure?.[RELEVANCE_SORT_FIELD]) return
+
+  const fail = (message, field = 'sort') => {
+    throw new RestApiValidationError(message, {
+      fields: [field],
+      violations: [{ field, rule: 'relevance_sort', message }]
+    })
+  }
+
+  if (!schemaInfo.fullText) {
+    fail(`Field '${RELEVANCE_SORT_FIELD}' is not sortable: the resource has no fullText fields`)
+  }
+  if (!extractSearchTerms(queryParams.filters?.[FULL_TEXT_FILTER]).length) {
+    fail(`Sorting by ${RELEVANCE_SORT_FIELD} needs a filter[${FULL_TEXT_FILTER}] search`)
+  }
+  if (queryParams.page?.after !== undefined || queryParams.page?.before !== undefined) {
+    fail(`Sorting by ${RELEVANCE_SORT_FIELD} cannot be combined with cursor pagination`, 'page')
+  }
+}
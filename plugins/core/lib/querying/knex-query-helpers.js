@@ -1,5 +1,6 @@
 import { analyzeRequiredIndexes, buildJoinChain } from './knex-cross-table-search.js'
 import { createStorageAdapterUtilities } from './storage-adapter-utils.js'
+import { applyFullTextFilter, FULL_TEXT_VECTOR_COLUMN } from './full-text-search.js'
 
 // Resolve operator with sensible defaults for fields declared in searchSchema.
 // - If filterOperator is provided, use it as-is
@@ -888,9 +889,10 @@ export const basicFiltersHook = async (hookParams, dependencies) => {
   const adapterUtils = createStorageAdapterUtilities(hookParams, dependencies)
 
   // Extract context
-  const scopeName = hookParams.context?.knexQuery?.scopeName
-  const filters = hookParams.context?.knexQuery?.filters
-  const query = hookParams.context?.knexQuery?.query
+  const knexQuery = hookParams.context?.knexQuery
+  const scopeName = knexQuery?.scopeName
+  const filters = knexQuery?.filters
+  const query = knexQuery?.query
   if (!scopeName || !filters || !scopes[scopeName]) {
     return
   }
@@ -917,6 +919,27 @@ export const basicFiltersHook = async (hookParams, dependencies) => {
     return adapterUtils.translateFilterValue(scopeName, field, value)
   }
 
+  // filter[q] searches every fullText field at once. It is applied straight away, not in the
+  // deferred WHERE group below, because the storage needs its ranking to sort by relevance
+  for (const [filterKey, filterValue] of Object.entries(filters)) {
+    if (schemaInfo.searchSchemaStructure[filterKey]?.fullTextSearch !== true || !schemaInfo.fullText) continue
+
+    const relevance = applyFullTextFilter({
+      builder: query,
+      knex,
+      useIndex: !knexQuery.isAnyApi,
+      tableName,
+      idColumnRef: `${tableAlias}.${schemaInfo.idProperty || 'id'}`,
+      vectorColumnRef: `${tableAlias}.${FULL_TEXT_VECTOR_COLUMN}`,
+      columnRefs: schemaInfo.fullText.fields.map(qualifyField),
+      language: schemaInfo.fullText.language,
+      value: filterValue
+    })
+    if (relevance) {
+      knexQuery.fullTextRelevance = relevance
+    }
+  }
+
   // Main WHERE group
   query.where(function () {
     for (const [filterKey, filterValue] of Object.entries(filters)) {
@@ -986,6 +1009,10 @@ export const basicFiltersHook = async (hookParams, dependencies) => {
           break
         }
 
+        case fieldDef.fullTextSearch === true:
+          // Applied above, outside this group
+          break
+
         case fieldDef.applyFilter && typeof fieldDef.applyFilter === 'function':
           // Custom filter
           fieldDef.applyFilter.call(this, this, filterValue)
@@ -1,4 +1,5 @@
 import { normalizeStableSort, parseSortEntry } from './sort-helpers.js'
+import { RELEVANCE_SORT_FIELD } from './full-text-search.js'
 
 export const getEffectiveSortableFields = (vars = {}) => {
   const baseSortableFields = Array.isArray(vars.sortableFields)
@@ -8,7 +9,14 @@ export const getEffectiveSortableFields = (vars = {}) => {
     .filter(([, fieldDef]) => fieldDef?.sortable === true)
     .map(([fieldName]) => fieldName)
 
-  return Array.from(new Set([...baseSortableFields, ...queryFieldSortableFields]))
+  const sortableFields = Array.from(new Set([...baseSortableFields, ...queryFieldSortableFields]))
+
+  // An empty list allows every field, so 'relevance' only needs adding to a restricted one
+  if (sortableFields.length > 0 && vars.schemaInfo?.fullText && !sortableFields.includes(RELEVANCE_SORT_FIELD)) {
+    sortableFields.push(RELEVANCE_SORT_FIELD)
+  }
+
+  return sortableFields
 }
 
 export const buildEffectiveSortList = (sort, { defaultSort, idField = 'id' } = {}) => {
@@ -0,0 +1,74 @@
+import { createStorageAdapterUtilities } from './storage-adapter-utils.js'
+
+export function createRowPolicyError (message, code = 'REST_API_ROW_POLICY_CONTRACT') {
+  const error = new Error(message)
+  error.code = code
+  return error
+}
+
+/**
+ * Runs a compiled row policy inside a knexQueryFiltering hook
+ *
+ * The policy receives the active query plus `column()` and `value()`, which translate logical
+ * fields through the storage adapter of the selected resource. It must return true after
+ * applying its predicate, or false to deny all rows; anything else fails closed.
+ *
+ * @param {Object} hookParams - The knexQueryFiltering hook parameters
+ * @param {Object} compiledPolicy - `{ name, applyQuery }`
+ * @param {Object} options
+ * @param {Object} options.api - The API instance
+ * @param {Object} options.helpers - Plugin helpers (for getStorageAdapter)
+ * @returns {Promise<void>}
+ */
+export async function runRowPolicy (hookParams, compiledPolicy, { api, helpers }) {
+  const { context } = hookParams
+  const {
+    query,
+    scopeName,
+    tableName,
+    db,
+    queryPurpose = 'unspecified',
+    isAnyApi = false,
+    storageAdapter: hookStorageAdapter
+  } = context.knexQuery || {}
+
+  const adapterUtils = createStorageAdapterUtilities(hookParams, {
+    getStorageAdapter: helpers.getStorageAdapter
+  })
+  const storageAdapter = hookStorageAdapter || adapterUtils.fetchStorageAdapter(scopeName)
+
+  const column = (field, options = {}) => {
+    const targetScopeName = options.scopeName || scopeName
+    const alias = Object.prototype.hasOwnProperty.call(options, 'alias')
+      ? options.alias
+      : adapterUtils.defaultAliasForScope(targetScopeName)
+    return adapterUtils.translateColumn(targetScopeName, field, alias)
+  }
+
+  const value = (field, rawValue, options = {}) => {
+    const targetScopeName = options.scopeName || scopeName
+    return adapterUtils.translateFilterValue(targetScopeName, field, rawValue)
+  }
+
+  const result = await compiledPolicy.applyQuery({
+    query,
+    context,
+    scopeName,
+    tableName,
+    queryPurpose,
+    db,
+    isAnyApi,
+    storageAdapter,
+    column,
+    value,
+    api
+  })
+
+  if (result === false) {
+    query.whereRaw('1 = 0')
+  } else if (result !== true) {
+    throw createRowPolicyError(
+      `Row policy '${compiledPolicy.name}' on resource '${scopeName}' must return true after applying its predicate, or false to deny all rows.`
+    )
+  }
+}
@@ -0,0 +1,121 @@
+/**
+ * @module token-bucket-stores
+ * @description Token bucket stores for RateLimitPlugin
+ *
+ * A store has one method, `consume({ key, capacity, refillPerSecond, cost })`, which refills
+ * the bucket for the time elapsed, takes `cost` tokens when there are enough, and resolves to
+ * `{ allowed, tokens }` where `tokens` is what is left in the bucket. Buckets start full.
+ */
+
+import { requirePackage } from 'hooked-api'
+
+// How often, in consume calls, the memory store drops buckets that have refilled completely
+const MEMORY_SWEEP_INTERVAL = 1000
+
+function refill (bucket, { capacity, refillPerSecond, now }) {
+  const elapsed = Math.max(0, now - bucket.updatedAt) / 1000
+  return Math.min(capacity, bucket.tokens + elapsed * refillPerSecond)
+}
+
+/**
+ * Buckets kept in this process. Use it for a single server; behind a load balancer every
+ * process would count on its own, so use a shared store there.
+ * @param {Object} [options]
+ * @param {Function} [options.now=Date.now] - Clock, in milliseconds
+ * @returns {Object} A rate limit store
+ */
+export function createMemoryRateLimitStore ({ now = Date.now } = {}) {
+  const buckets = new Map()
+  let calls = 0
+
+  // A full bucket behaves exactly like a missing one, so it can go
+  const sweep = (time) => {
+    for (const [key, bucket] of buckets) {
+      if (refill(bucket, { ...bucket, now: time }) >= bucket.capacity) buckets.delete(key)
+    }
+  }
+
+  return {
+    async consume ({ key, capacity, refillPerSecond, cost = 1 }) {
+      const time = now()
+      if (++calls % MEMORY_SWEEP_INTERVAL === 0) sweep(time)
+
+      const bucket = buckets.get(key) || { tokens: capacity, updatedAt: time }
+      let tokens = refill(bucket, { capacity, refillPerSecond, now: time })
+
+      const allowed = tokens >= cost
+      if (allowed) tokens -= cost
+
+      buckets.set(key, { tokens, updatedAt: time, capacity, refillPerSecond })
+      return { allowed, tokens }
+    },
+
+    reset () {
+      buckets.clear()
+    }
+  }
+}
+
+// Refill and take in one step, on the Redis clock, so that every server shares the bucket
+const CONSUME_SCRIPT = `
+local capacity = tonumber(ARGV[1])
+local rate = tonumber(ARGV[2])
+local cost = tonumber(ARGV[3])
+local time = redis.call('TIME')
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+local bucket = redis.call('HMGET', KEYS[1], 'tokens', 'updated')
+local tokens = tonumber(bucket[1]) or capacity
+local updated = tonumber(bucket[2]) or now
+tokens = math.min(capacity, tokens + math.max(0, now - updated) / 1000 * rate)
+local allowed = 0
+if tokens >= cost then
+  tokens = tokens - cost
+  allowed = 1
+end
+redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'updated', tostring(now))
+redis.call('PEXPIRE', KEYS[1], math.ceil((capacity - tokens) / rate * 1000) + 1000)
+return { allowed, tostring(tokens) }
+`
+
+/**
+ * Buckets kept in Redis (or anything speaking its protocol: Valkey, KeyDB, Dragonfly),
+ * shared by every process. Each bucket is a hash that expires once it would be full again.
+ * @param {Object} options
+ * @param {Object} [options.client] - A connected node-redis client, or any object with
+ *   `eval(script, { keys, arguments })`
+ * @param {string|Object} [options.redis] - Options for `createClient` from `redis`, used when no client is given
+ * @param {string} [options.prefix='rate-limit:'] - Key prefix
+ * @returns {Promise<Object>} A rate limit store
+ */
+export async function createRedisRateLimitStore ({ client, redis, prefix = 'rate-limit:' } = {}) {
+  let ownClient = null
+
+  if (!client) {
+    let createClient
+    try {
+      ({ createClient } = await import('redis'))
+    } catch (error) {
+      requirePackage('redis', 'rate-limit', 'Redis is required for the shared rate limit store. This is a peer dependency.')
+      throw error
+    }
+
+    ownClient = createClient(typeof redis === 'string' ? { url: redis } : redis)
+    await ownClient.connect()
+    client = ownClient
+  }
+
+  return {
+    async consume ({ key, capacity, refillPerSecond, cost = 1 }) {
+      const [allowed, tokens] = await client.eval(CONSUME_SCRIPT, {
+        keys: [`${prefix}${key}`],
+        arguments: [String(capacity), String(refillPerSecond), String(cost)]
+      })
+      return { allowed: Number(allowed) === 1, tokens: Number(tokens) }
+    },
+
+    // Closes the connection, if the store opened it
+    async close () {
+      if (ownClient) await ownClient.quit()
+    }
+  }
+}
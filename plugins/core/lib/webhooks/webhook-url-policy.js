@@ -0,0 +1,115 @@
+import { lookup } from 'node:dns/promises'
+import { BlockList, isIP } from 'node:net'
+
+/**
+ * Addresses a webhook must not reach: a subscription pointing at them would let whoever
+ * creates it make the server call its own network (loopback, private ranges, cloud
+ * metadata services on link-local addresses, ...).
+ */
+const PRIVATE_ADDRESSES = new BlockList()
+for (const [network, prefix] of [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+]) {
+  PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv4')
+}
+for (const [network, prefix] of [
+  ['::', 128],
+  ['::1', 128],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+]) {
+  PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv6')
+}
+
+const IPV4_MAPPED_PREFIX = '::ffff:'
+
+function isPrivateAddress (address) {
+  const lowered = address.toLowerCase()
+  if (lowered.startsWith(IPV4_MAPPED_PREFIX) && isIP(lowered.slice(IPV4_MAPPED_PREFIX.length)) === 4) {
+    return PRIVATE_ADDRESSES.check(lowered.slice(IPV4_MAPPED_PREFIX.length), 'ipv4')
+  }
+
+  const family = isIP(lowered)
+  if (!family) return false
+  return PRIVATE_ADDRESSES.check(lowered, family === 4 ? 'ipv4' : 'ipv6')
+}
+
+/**
+ * Builds the checks applied to subscription URLs
+ *
+ * @param {Object} [options]
+ * @param {string[]} [options.protocols=['https:', 'http:']] - Schemes a subscription may use
+ * @param {string[]} [options.allowedHosts=[]] - Host names or addresses exempt from the private address check
+ * @param {boolean} [options.allowPrivateAddresses=false] - Turns the private address check off
+ * @returns {{ describeProblem: Function, resolveProblem: Function }}
+ */
+export function createWebhookUrlPolicy ({
+  protocols = ['https:', 'http:'],
+  allowedHosts = [],
+  allowPrivateAddresses = false
+} = {}) {
+  const exemptHosts = new Set(allowedHosts.map((host) => String(host).toLowerCase()))
+
+  const hostnameOf = (url) => url.hostname.toLowerCase().replace(/^\[(.*)\]$/, '$1')
+
+  /**
+   * Checks what can be known without the network
+   * @param {string} value - The subscription URL
+   * @returns {string|null} Why the URL is refused, or null
+   */
+  const describeProblem = (value) => {
+    let url
+    try {
+      url = new URL(value)
+    } catch {
+      return 'must be an absolute URL'
+    }
+
+    if (!protocols.includes(url.protocol)) {
+      return `must use ${protocols.map((protocol) => protocol.replace(/:$/, '')).join(' or ')}`
+    }
+    if (url.username || url.password) {
+      return 'must not contain credentials'
+    }
+
+    const hostname = hostnameOf(url)
+    if (allowPrivateAddresses || exemptHosts.has(hostname)) return null
+    if (hostname === 'localhost' || hostname.endsWith('.localhost') || isPrivateAddress(hostname)) {
+      return 'must not point to a private or local address'
+    }
+    return null
+  }
+
+  /**
+   * Also resolves the host name, right before a delivery: a name can point to a
+   * private address, or start pointing to one after the subscription was saved
+   * @param {string} value - The subscription URL
+   * @returns {Promise<string|null>} Why the URL is refused, or null
+   */
+  const resolveProblem = async (value) => {
+    const problem = describeProblem(value)
+    if (problem) return problem
+
+    const hostname = hostnameOf(new URL(value))
+    if (allowPrivateAddresses || exemptHosts.has(hostname) || isIP(hostname)) return null
+
+    const addresses = await lookup(hostname, { all: true })
+    if (addresses.some(({ address }) => isPrivateAddress(address))) {
+      return `must not point to a private or local address (${hostname} resolves to one)`
+    }
+    return null
+  }
+
+  return { describeProblem, resolveProblem }
+}
@@ -0,0 +1,37 @@
+/**
+ * OpenApiPlugin
+ * Serves the document built by `api.rest.generateOpenApi()` over the installed transport.
+ *
+ * The document is generated on every request, so resources added after the plugin
+ * was installed are always described.
+ */
+export const OpenApiPlugin = {
+  name: 'openapi',
+  dependencies: ['rest-api'],
+
+  async install ({ api, vars, log, pluginOptions }) {
+    const openApiOptions = pluginOptions || {}
+    const {
+      path = '/openapi.json',
+      ...documentOptions
+    } = openApiOptions
+
+    if (!vars.transport) {
+      log.info('OpenAPI plugin installed without a transport; only api.rest.generateOpenApi() is available')
+      return
+    }
+
+    await api.addRoute({
+      method: 'GET',
+      path: `${vars.transport.mountPath || ''}${path}`,
+      handler: async () => ({
+        statusCode: 200,
+        headers: { 'Content-Type': 'application/json' },
+        body: api.rest.generateOpenApi(documentOptions)
+      }),
+      routeMeta: { kind: 'openapi', operation: 'getOpenApiDocument' }
+    })
+
+    log.info('OpenAPI plugin installed', { path })
+  }
+}
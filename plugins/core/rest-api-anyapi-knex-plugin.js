@@ -1,6 +1,8 @@
 import { ensureAnyApiSchema } from './lib/anyapi/schema-utils.js'
 import { AnyapiRegistry } from './lib/anyapi/anyapi-registry.js'
 import { RestApiValidationError } from '../../lib/rest-api-errors.js'
+import { supportsRowLocks } from './lib/querying-writing/database-capabilities.js'
+import { applyExpectedAttributes, preconditionFailedError } from './lib/querying-writing/etag-helpers.js'
 import { createSchema } from 'json-rest-schema'
 import {
   DEFAULT_QUERY_LIMIT,
@@ -55,6 +57,9 @@ import {
 } from './lib/querying/query-field-sort-helpers.js'
 import { unwrapQueryBuilderState } from './lib/querying/query-builder-utils.js'
 import { serializeJsonApiQuery } from './lib/querying-writing/connectors-query-parser.js'
+import { applyAggregationToQuery } from './lib/querying/aggregation-helpers.js'
+import { addFullTextSearchField, compileFullTextConfig, RELEVANCE_SORT_FIELD } from './lib/querying/full-text-search.js'
+import { createIdempotencyTable } from './lib/querying-writing/idempotency-helpers.js'
 
 const DEFAULT_TENANT = 'default'
 const LINKS_TABLE = 'any_links'
@@ -84,6 +89,9 @@ export const RestApiAnyapiKnexPlugin = {
       helpers: {},
     }
 
+    // Idempotency-Key storage, configured by RestApiPlugin
+    await createIdempotencyTable({ config: vars.idempotency, db: knex })
+
     const storageAdapterCache = new Map()
 
     const getScopeStorageAdapter = (scopeName) => {
@@ -200,6 +208,10 @@ export const RestApiAnyapiKnexPlugin = {
           continue
         }
 
+        if (fieldDef?.fullTextSearch) {
+          continue
+        }
+
         const actualField = fieldDef?.actualField || filterKey
         const fieldInfo = ensureFilterableField(descriptor, filterKey)
         const columnRef = adapter ? adapter.translateColumn(actualField) : fieldInfo.column
@@ -1118,11 +1130,18 @@ export const RestApiAnyapiKnexPlugin = {
         return 0
       }
 
-      const result = await context.db(canonical.tableName)
-        .where(logicalIdColumn, id)
-        .where(canonical.resourceColumn, descriptor.resource)
-        .where(canonical.tenantColumn, descriptor.tenant)
-        .update(writeRow)
+      const result = await applyExpectedAttributes(
+        context.db(canonical.tableName)
+          .where(logicalIdColumn, id)
+          .where(canonical.resourceColumn, descriptor.resource)
+          .where(canonical.tenantColumn, descriptor.tenant),
+        context.expectedAttributes,
+        storageAdapter?.translateColumn
+      ).update(writeRow)
+
+      if (result === 0 && context.expectedAttributes) {
+        throw preconditionFailedError(scopeName, id)
+      }
 
       return result
     }
@@ -1149,11 +1168,18 @@ export const RestApiAnyapiKnexPlugin = {
         return 0
       }
 
-      const result = await context.db(canonical.tableName)
-        .where(logicalIdColumn, id)
-        .where(canonical.resourceColumn, descriptor.resource)
-        .where(canonical.tenantColumn, descriptor.tenant)
-        .update(updateRow)
+      const result = await applyExpectedAttributes(
+        context.db(canonical.tableName)
+          .where(logicalIdColumn, id)
+          .where(canonical.resourceColumn, descriptor.resource)
+          .where(canonical.tenantColumn, descriptor.tenant),
+        context.expectedAttributes,
+        storageAdapter?.translateColumn
+      ).update(updateRow)
+
+      if (result === 0 && context.expectedAttributes) {
+        throw preconditionFailedError(scopeName, id)
+      }
 
       return result
     }
@@ -1168,11 +1194,18 @@ export const RestApiAnyapiKnexPlugin = {
       const id = context.id
       const logicalIdColumn = getLogicalResourceIdColumn(descriptor)
 
-      const result = await context.db(canonical.tableName)
-        .where(logicalIdColumn, id)
-        .where(canonical.resourceColumn, descriptor.resource)
-        .where(canonical.tenantColumn, descriptor.tenant)
-        .delete()
+      const result = await applyExpectedAttributes(
+        context.db(canonical.tableName)
+          .where(logicalIdColumn, id)
+          .where(canonical.resourceColumn, descriptor.resource)
+          .where(canonical.tenantColumn, descriptor.tenant),
+        context.expectedAttributes,
+        storageAdapter?.translateColumn
+      ).delete()
+
+      if (result === 0 && context.expectedAttributes) {
+        throw preconditionFailedError(scopeName, id)
+      }
 
       return result
     }
@@ -1183,7 +1216,8 @@ export const RestApiAnyapiKnexPlugin = {
       runHooks,
       applyQueryFilters,
       filters = context.queryParams?.filters,
-      queryPurpose = 'single'
+      queryPurpose = 'single',
+      forUpdate = false
     }) => {
       const storageAdapter = getScopeStorageAdapter(scopeName)
       if (storageAdapter) {
@@ -1240,6 +1274,10 @@ export const RestApiAnyapiKnexPlugin = {
         }
       }
 
+      if (forUpdate && context.transaction && supportsRowLocks(context.db)) {
+        query = query.forUpdate()
+      }
+
       const row = await query.first()
 
       if (!row) return null
@@ -1980,7 +2018,8 @@ export const RestApiAnyapiKnexPlugin = {
       return response
     }
 
-    const rehydrateSchemaInfo = async (scopeName) => {
+    // resetFields are rebuilt from the descriptor alone, e.g. after alterKnexFields renamed or dropped them
+    const rehydrateSchemaInfo = async (scopeName, { resetFields = [] } = {}) => {
       const scope = api.resources?.[scopeName] || scopes?.[scopeName] || {}
       const storedOptions = scopeOptionsRegistry.get(scopeName) || {}
       const rawSchema = scope.scopeOptions?.schema || storedOptions.schema || {}
@@ -2003,6 +2042,10 @@ export const RestApiAnyapiKnexPlugin = {
 
       const mergedSchema = { ...(existingInfo.schemaInstance?.structure || {}) }
       const computed = { ...(existingInfo.computed || {}) }
+      for (const fieldName of resetFields) {
+        delete mergedSchema[fieldName]
+        delete computed[fieldName]
+      }
       for (const [fieldName, definition] of Object.entries(descriptor.schema || {})) {
         if (definition?.computed) {
           if (!computed[fieldName]) {
@@ -2022,9 +2065,17 @@ export const RestApiAnyapiKnexPlugin = {
 
       const schemaInstance = createSchema(mergedSchema)
 
-      const rawSearchFields = generateSearchSchemaFromSchema(
-        mergedSchema,
-        scope.scopeOptions?.searchSchema || storedOptions.searchSchema || null
+      const fullText = compileFullTextConfig({
+        scopeName,
+        fields: mergedSchema,
+        scopeOptions: scope.scopeOptions || storedOptions
+      })
+      const rawSearchFields = addFullTextSearchField(
+        generateSearchSchemaFromSchema(
+          mergedSchema,
+          scope.scopeOptions?.searchSchema || storedOptions.searchSchema || null
+        ),
+        fullText
       )
       if (rawSearchFields) {
         ensureSearchFieldsAreIndexed(rawSearchFields)
@@ -2050,6 +2101,7 @@ export const RestApiAnyapiKnexPlugin = {
         schemaStructure: schemaInstance.structure,
         searchSchemaInstance,
         searchSchemaStructure: searchSchemaInstance.structure,
+        fullText,
         schemaRelationships: descriptor.relationships ||
           scope.scopeOptions?.relationships ||
           storedOptions.relationships ||
@@ -2162,6 +2214,7 @@ export const RestApiAnyapiKnexPlugin = {
         await runHooks('knexQueryFiltering')
       }
 
+      const fullTextRelevance = context.knexQuery?.fullTextRelevance
       delete context.knexQuery
 
       const countQuery = queryBuilder.clone()
@@ -2181,6 +2234,13 @@ export const RestApiAnyapiKnexPlugin = {
         })
       }
 
+      if (fullTextRelevance) {
+        selectionState.queryFieldRuntimeByField.set(RELEVANCE_SORT_FIELD, {
+          ...fullTextRelevance,
+          definition: { type: 'number' }
+        })
+      }
+
       const sortDescriptors = applySortingToQuery({
         query: selectionState.query,
         sort: queryParams.sort,
@@ -2407,6 +2467,74 @@ export const RestApiAnyapiKnexPlugin = {
       return Number(count)
     }
 
+    /**
+     * Builds the filtered collection query without running it. Filters are applied the
+     * same way as in dataQueryCount; the query comes back wrapped, since awaiting a knex
+     * builder runs it.
+     */
+    helpers.dataFilteredQuery = async ({ scopeName, context, queryPurpose = 'collection' }) => {
+      const storageAdapter = getScopeStorageAdapter(scopeName)
+      if (storageAdapter) {
+        context.storageAdapter = storageAdapter
+      }
+      const descriptor = await getDescriptor(scopeName)
+      const db = context.db || context.transaction || api.knex.instance
+      const { resourceToTableName, tableNameToResource } = buildTableNameMaps()
+      const descriptorsMap = await preloadRelatedDescriptors({ registry, descriptor })
+      const adapter = new AnyapiQueryAdapter({
+        descriptor,
+        db,
+        registry,
+        descriptorsMap,
+        resourceToTableName,
+        tableNameToResource,
+        log,
+      })
+
+      const scope = api.resources?.[scopeName]
+      const schemaInfo = scope?.vars?.schemaInfo
+      const tableNameForHooks = schemaInfo?.tableName || adapter.tableAlias
+
+      const filteredContext = {
+        ...context,
+        knexQuery: {
+          query: adapter.query,
+          filters: context.queryParams?.filters,
+          schemaInfo,
+          scopeName,
+          tableName: tableNameForHooks,
+          db,
+          queryPurpose,
+          isAnyApi: true,
+          adapter,
+          storageAdapter,
+        }
+      }
+
+      const hookParams = { context: filteredContext }
+      await polymorphicFiltersHook(hookParams, queryHookDependencies)
+      await crossTableFiltersHook(hookParams, queryHookDependencies)
+      await basicFiltersHook(hookParams, queryHookDependencies)
+      await api.runHooks('knexQueryFiltering', filteredContext)
+
+      return { query: filteredContext.knexQuery?.query || adapter.query, adapter }
+    }
+
+    /**
+     * Runs a grouped aggregate query over the filtered collection.
+     * The query adapter maps fields to canonical columns.
+     */
+    helpers.dataAggregate = async ({ scopeName, context }) => {
+      const { query, adapter } = await helpers.dataFilteredQuery({ scopeName, context, queryPurpose: 'aggregate' })
+      applyAggregationToQuery({
+        query,
+        aggregation: context.aggregation,
+        resolveColumn: (field) => adapter.translateColumn(field)
+      })
+
+      return query
+    }
+
     addHook('scope:added', 'anyapi-register-resource', { sequence: 50 }, async ({ context }) => {
       const { scopeName, scopeOptions = {} } = context
       const scope = api.scopes?.[scopeName] || scopes?.[scopeName]
@@ -2582,8 +2710,46 @@ export const RestApiAnyapiKnexPlugin = {
       await rehydrateSchemaInfo(scopeName)
     })
 
-    addScopeMethod('alterKnexFields', async () => {
-      throw new Error('alterKnexFields is not supported by AnyAPI Knex plugin yet')
+    /**
+     * Changes, renames and drops fields, moving their data between slots as needed
+     * @param {object} params - { fields: { name: definition }, rename: { old: new }, drop: [names], dryRun }
+     * @returns {Promise<object>} The migration plan: { tenant, resource, dryRun, steps }
+     */
+    addScopeMethod('alterKnexFields', async ({ scopeName, params = {} }) => {
+      const scope = api.resources?.[scopeName] || scopes?.[scopeName]
+      const storedBefore = scopeOptionsRegistry.get(scopeName) || {}
+      const fields = params.fields || {}
+      const rename = params.rename || {}
+      const drop = params.drop || []
+
+      const { plan, descriptor } = await registry.evolveResource({
+        tenant: tenantId,
+        resource: scopeName,
+        schema: scope?.scopeOptions?.schema || storedBefore.schema || null,
+        fields,
+        rename,
+        drop,
+      }, { dryRun: params.dryRun === true })
+
+      if (plan.dryRun) return plan
+
+      if (scope) {
+        scope.scopeOptions = {
+          ...(scope.scopeOptions || {}),
+          schema: descriptor.schema,
+          canonicalFieldsMap: descriptor.canonicalFieldMap,
+        }
+      }
+      scopeOptionsRegistry.set(scopeName, {
+        ...storedBefore,
+        schema: descriptor.schema,
+        canonicalFieldsMap: descriptor.canonicalFieldMap,
+      })
+      await rehydrateSchemaInfo(scopeName, {
+        resetFields: [...drop, ...Object.keys(rename), ...Object.keys(fields)],
+      })
+
+      return plan
     })
   },
 }
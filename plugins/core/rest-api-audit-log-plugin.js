@@ -0,0 +1,296 @@
+import { RestApiResourceError } from '../../lib/rest-api-errors.js'
+import { requireExistingResourceId } from './lib/querying-writing/resource-id-normalization.js'
+import { ERROR_SUBTYPES } from './lib/querying-writing/knex-constants.js'
+import { getUnreadableFields } from './lib/querying-writing/field-access.js'
+
+const AUDIT_RESOURCE_TYPE = 'audit'
+
+// Writes recorded from afterDataCall. restore and purge come from SoftDeletePlugin.
+const AUDITED_METHODS = new Set(['post', 'put', 'patch', 'delete', 'restore', 'purge'])
+
+const RELATIONSHIP_METHODS = {
+  postRelationship: 'PostRelationship',
+  patchRelationship: 'PatchRelationship',
+  deleteRelationship: 'DeleteRelationship'
+}
+
+function createAuditLogError (message) {
+  const error = new Error(message)
+  error.code = 'REST_API_AUDIT_LOG_CONTRACT'
+  return error
+}
+
+function compileAuditConfig ({ scopeName, scopeOptions = {} }) {
+  const definition = scopeOptions.audit
+
+  if (definition === undefined || definition === null || definition === false) {
+    return null
+  }
+
+  if (definition !== true && (typeof definition !== 'object' || Array.isArray(definition))) {
+    throw createAuditLogError(
+      `audit for resource '${scopeName}' must be true, false, or an object like { exclude: ['password_hash'] }.`
+    )
+  }
+
+  // Hidden fields never leave the server, and normallyHidden ones only when asked for
+  // by name: the history returns whole change sets, so both stay out of the audit table
+  const hiddenFields = Object.entries(scopeOptions.schema || {})
+    .filter(([, fieldDef]) => fieldDef?.hidden === true || fieldDef?.normallyHidden === true)
+    .map(([fieldName]) => fieldName)
+
+  return {
+    exclude: new Set([...hiddenFields, ...((definition === true ? null : definition.exclude) || [])])
+  }
+}
+
+function normalizeAuditValue (value) {
+  if (value instanceof Date) return value.toISOString()
+  return value === undefined ? null : value
+}
+
+/**
+ * Field-level difference between two minimal records.
+ * Attributes and to-one relationship linkage are compared; unchanged fields are left out.
+ */
+function diffRecords (before, after, exclude) {
+  const changes = {}
+  const sections = ['attributes', 'relationships']
+
+  for (const section of sections) {
+    const names = new Set([
+      ...Object.keys(before?.[section] || {}),
+      ...Object.keys(after?.[section] || {})
+    ])
+
+    for (const name of names) {
+      if (exclude.has(name)) continue
+
+      const read = (record) => {
+        const value = record?.[section]?.[name]
+        return normalizeAuditValue(section === 'relationships' ? value?.data : value)
+      }
+
+      const previous = before ? read(before) : null
+      const next = after ? read(after) : null
+      if (JSON.stringify(previous) !== JSON.stringify(next)) {
+        changes[name] = { before: previous, after: next }
+      }
+    }
+  }
+
+  return changes
+}
+
+/**
+ * An audit table row as a JSON:API resource. Fields the caller may not read are left
+ * out of `changes`, with both their before and after values.
+ */
+function toAuditResource (row, unreadableFields) {
+  let changes = row.changes
+  if (typeof changes === 'string') {
+    try {
+      changes = JSON.parse(changes)
+    } catch {
+      changes = null
+    }
+  }
+  if (changes && typeof changes === 'object') {
+    for (const field of unreadableFields) delete changes[field]
+  }
+
+  return {
+    type: AUDIT_RESOURCE_TYPE,
+    id: String(row.id),
+    attributes: {
+      resourceType: row.resource_type,
+      resourceId: row.resource_id,
+      operation: row.operation,
+      actor: row.actor ?? null,
+      changes,
+      createdAt: row.created_at ? new Date(row.created_at).toISOString() : null
+    }
+  }
+}
+
+export const AuditLogPlugin = {
+  name: 'audit-log',
+  dependencies: ['rest-api', 'rest-api-knex|rest-api-anyapi-knex'],
+
+  async install ({ api, addHook, addScopeMethod, helpers, log, scopes, pluginOptions = {} }) {
+    if (!api.knex?.instance) {
+      throw new Error('AuditLogPlugin requires a storage plugin with knex support (rest-api-knex or rest-api-anyapi-knex).')
+    }
+
+    const {
+      tableName = 'audit_log',
+      createTable = true,
+      getActor = (context) => context.auth?.userId
+    } = pluginOptions
+
+    if (createTable && !(await api.knex.instance.schema.hasTable(tableName))) {
+      await api.knex.instance.schema.createTable(tableName, (table) => {
+        table.increments('id')
+        table.string('resource_type').notNullable()
+        table.string('resource_id').notNullable()
+        table.string('operation').notNullable()
+        table.string('actor').nullable()
+        table.text('changes')
+        table.timestamp('created_at')
+        table.index(['resource_type', 'resource_id'])
+      })
+    }
+
+    const writeAuditEntry = async ({ context, scopeName, changes }) => {
+      const actor = getActor(context)
+      const db = context.transaction || context.db || api.knex.instance
+
+      await db(tableName).insert({
+        resource_type: scopeName,
+        resource_id: String(context.id),
+        operation: context.method,
+        actor: actor === undefined || actor === null ? null : String(actor),
+        changes: JSON.stringify(changes),
+        created_at: new Date()
+      })
+    }
+
+    // Reads the stored record as it is now, bypassing row policies and soft delete:
+    // the audit trail describes the row, not what the caller is allowed to see.
+    const readStoredRecord = async ({ context, scopeName }) => {
+      return helpers.dataGetMinimal({
+        scopeName,
+        context: {
+          ...context,
+          schemaInfo: scopes[scopeName].vars.schemaInfo,
+          db: context.transaction || context.db || api.knex.instance
+        }
+      })
+    }
+
+    const readLinkage = async ({ context, scope }) => {
+      const linkage = await scope.getRelationship({
+        id: context.id,
+        relationshipName: context.relationshipName,
+        transaction: context.transaction,
+        simplified: false
+      }, { ...context })
+      return linkage.data
+    }
+
+    // Runs before the relationship routes are registered: GET /{scope}/:id/history must come
+    // before GET /{scope}/:id/:relationshipName, otherwise Express hands 'history' to the latter
+    addHook('scope:added', 'compile-audit-log', { beforeFunction: 'registerRelationshipRoutes' }, async ({ context }) => {
+      const { scopeName, scopeOptions = {} } = context
+      const scope = scopes[scopeName]
+
+      scope.vars.audit = compileAuditConfig({ scopeName, scopeOptions })
+      if (!scope.vars.audit || !scope.vars.transport) return
+
+      await api.addRoute({
+        method: 'GET',
+        path: `${scope.vars.transport.mountPath || ''}/${scopeName}/:id/history`,
+        handler: async ({ params, context }) => scopes[scopeName].history({ id: params.id }, context),
+        routeMeta: { kind: 'audit', scopeName, operation: 'history' }
+      })
+    })
+
+    addHook('afterDataCall', 'record-audit-entry', {}, async ({ context }) => {
+      const { method, scopeName } = context
+      if (!AUDITED_METHODS.has(method) || !scopeName) return
+
+      const config = scopes[scopeName]?.vars?.audit
+      if (!config) return
+
+      // Writes made on behalf of a relationship endpoint are recorded once, by the endpoint itself
+      if (context.relationshipName) return
+
+      const isCreate = method === 'post' || (method === 'put' && context.isCreate === true)
+      const before = isCreate ? null : (context.originalMinimalRecord || context.minimalRecord || null)
+      const after = await readStoredRecord({ context, scopeName })
+      const changes = diffRecords(before, after, config.exclude)
+
+      if (Object.keys(changes).length === 0 && (method === 'patch' || method === 'put')) return
+
+      await writeAuditEntry({ context, scopeName, changes })
+    })
+
+    for (const [method, suffix] of Object.entries(RELATIONSHIP_METHODS)) {
+      addHook(`checkPermissions${suffix}`, 'capture-audit-linkage', {}, async ({ context, scope, scopeName }) => {
+        if (!scopes[scopeName]?.vars?.audit) return
+        context.auditLinkageBefore = await readLinkage({ context, scope })
+      })
+
+      addHook(`finish${suffix}`, 'record-audit-linkage', {}, async ({ context, scope, scopeName }) => {
+        const config = scopes[scopeName]?.vars?.audit
+        if (!config || context.method !== method || config.exclude.has(context.relationshipName)) return
+
+        const before = context.auditLinkageBefore ?? null
+        const after = await readLinkage({ context, scope })
+        delete context.auditLinkageBefore
+
+        if (JSON.stringify(before) === JSON.stringify(after)) return
+
+        await writeAuditEntry({
+          context,
+          scopeName,
+          changes: { [context.relationshipName]: { before, after } }
+        })
+      })
+    }
+
+    /**
+     * HISTORY
+     * Returns the audit entries of a record, oldest first.
+     * The record must be visible to the caller; soft deleted records keep their history.
+     */
+    addScopeMethod('history', async ({ params, context, scope, scopeName, scopeOptions, vars, runHooks }) => {
+      if (!scope.vars.audit) {
+        throw createAuditLogError(`Resource '${scopeName}' does not have auditing enabled.`)
+      }
+
+      context.method = 'history'
+      context.scopeName = scopeName
+      context.schemaInfo = scope.vars.schemaInfo
+      context.id = requireExistingResourceId(params.id, {
+        scopeOptions,
+        vars,
+        scopeName
+      })
+      context.transaction = params.transaction || null
+      context.db = context.transaction || api.knex.instance
+
+      if (scope.vars.softDelete) context.trashed = 'with'
+      const minimalRecord = await helpers.dataGetMinimal({ scopeName, context, runHooks })
+      delete context.trashed
+
+      if (!minimalRecord) {
+        throw new RestApiResourceError(
+          'Resource not found',
+          {
+            subtype: ERROR_SUBTYPES.NOT_FOUND,
+            resourceType: scopeName,
+            resourceId: context.id
+          }
+        )
+      }
+
+      context.minimalRecord = minimalRecord
+
+      await scope.checkPermissions({
+        method: 'history',
+        originalContext: context
+      })
+
+      const rows = await context.db(tableName)
+        .where({ resource_type: scopeName, resource_id: String(context.id) })
+        .orderBy('id', 'asc')
+
+      // canRead() applies to the history as to the record itself
+      const unreadableFields = await getUnreadableFields({ scopes, scopeName, context })
+      return { data: rows.map((row) => toAuditResource(row, unreadableFields)) }
+    })
+
+    log.info('Audit log plugin installed', { tableName })
+  }
+}
@@ -0,0 +1,415 @@
+import { parseJsonApiQuery } from './lib/querying-writing/connectors-query-parser.js'
+import { createStorageAdapterUtilities } from './lib/querying/storage-adapter-utils.js'
+
+// Writes announced on the feed
+const CHANGE_METHODS = new Set(['post', 'put', 'patch', 'delete'])
+
+const READ_PURPOSES = new Set(['collection', 'count'])
+
+function createChangeFeedError (message) {
+  const error = new Error(message)
+  error.code = 'REST_API_CHANGE_FEED_CONTRACT'
+  return error
+}
+
+function compileChangeFeedConfig ({ scopeName, scopeOptions = {} }) {
+  const definition = scopeOptions.changeFeed
+
+  if (definition === undefined || definition === null || definition === false) {
+    return null
+  }
+
+  if (definition !== true) {
+    throw createChangeFeedError(`changeFeed for resource '${scopeName}' must be true or false.`)
+  }
+
+  return { enabled: true }
+}
+
+function eventTypeFor (context) {
+  if (context.method === 'delete') return 'delete'
+  if (context.method === 'post') return 'create'
+  if (context.method === 'put' && context.isCreate === true) return 'create'
+  return 'update'
+}
+
+function formatEvent ({ id, event, data }) {
+  return `id: ${id}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`
+}
+
+/**
+ * Bounded, in-memory history of committed changes, shared by every resource.
+ * Sequence numbers start from the clock, so ids handed out after a restart are still
+ * higher than the ones clients saw before it; those clients get a reset, not a replay.
+ */
+function createMemoryChangeLog (maxEvents) {
+  const entries = []
+  let lastSeq = Date.now() * 1000
+
+  return {
+    append (event) {
+      lastSeq += 1
+      const entry = { ...event, seq: lastSeq }
+      entries.push(entry)
+      if (entries.length > maxEvents) entries.shift()
+      return entry
+    },
+
+    get lastSeq () {
+      return lastSeq
+    },
+
+    firstAvailable () {
+      return entries.length ? entries[0].seq : lastSeq + 1
+    },
+
+    since (seq) {
+      return entries.filter((entry) => entry.seq > seq)
+    }
+  }
+}
+
+export const ChangeFeedPlugin = {
+  name: 'change-feed',
+  dependencies: ['rest-api', 'rest-api-knex|rest-api-anyapi-knex'],
+
+  async install ({ api, addHook, helpers, log, scopes, pluginOptions = {} }) {
+    const {
+      maxEvents = 1000,
+      heartbeatInterval = 15000,
+      getAudienceKey = (context) => context.auth?.userId ?? null,
+      maxAudiences = 1000,
+      maxAudiencesPerUser = 10
+    } = pluginOptions
+
+    for (const [name, value] of Object.entries({ maxEvents, maxAudiences, maxAudiencesPerUser })) {
+      if (!Number.isInteger(value) || value < 1) {
+        throw createChangeFeedError(`ChangeFeedPlugin ${name} must be a positive integer.`)
+      }
+    }
+
+    const changeLog = createMemoryChangeLog(maxEvents)
+
+    // scopeName -> Set of open streams
+    const openStreams = new Map()
+
+    // scopeName -> Map of audience key -> { context, filters, userKey, openStreams, since }.
+    // Deletes are checked against every audience with an open stream before the row goes:
+    // afterwards there is no way to tell who was allowed to see it. `since` is the last
+    // event id when the audience was added; deletes up to it were not checked for it.
+    const audiences = new Map()
+
+    // transaction -> events waiting for the commit
+    const pendingEvents = new WeakMap()
+
+    const streamsOf = (scopeName) => {
+      if (!openStreams.has(scopeName)) openStreams.set(scopeName, new Set())
+      return openStreams.get(scopeName)
+    }
+
+    const audiencesOf = (scopeName) => {
+      if (!audiences.has(scopeName)) audiences.set(scopeName, new Map())
+      return audiences.get(scopeName)
+    }
+
+    // Every audience adds a check to each delete of its resource, so there are only so many
+    const assertAudienceRoom = ({ scopeName, audienceKey, userKey }) => {
+      if (audiencesOf(scopeName).has(audienceKey)) return
+
+      let total = 0
+      let ofUser = 0
+      for (const byKey of audiences.values()) {
+        for (const audience of byKey.values()) {
+          total++
+          if (audience.userKey === userKey) ofUser++
+        }
+      }
+
+      if (total >= maxAudiences || ofUser >= maxAudiencesPerUser) {
+        const error = new Error('Too many change feeds with different filters are open; close some before opening another')
+        error.statusCode = 429
+        throw error
+      }
+    }
+
+    // Runs the stream's query restricted to one record, as the stream's caller
+    const queryRecord = async ({ scopeName, id, queryParams, context, transaction }) => {
+      return scopes[scopeName].query({
+        queryParams: structuredClone(queryParams),
+        transaction,
+        isTransport: true,
+        simplified: false
+      }, { ...context, changeFeedRecord: { scopeName, id } })
+    }
+
+    const renderEvent = async (stream, entry) => {
+      if (entry.type === 'delete') {
+        if (!entry.audience?.has(stream.audienceKey)) return null
+        return { data: { type: entry.scopeName, id: entry.id } }
+      }
+
+      const result = await queryRecord({
+        scopeName: entry.scopeName,
+        id: entry.id,
+        queryParams: stream.queryParams,
+        context: stream.context
+      })
+      if (!result?.data?.length) return null
+
+      const document = { data: result.data[0] }
+      if (result.included?.length) document.included = result.included
+      return document
+    }
+
+    // Each stream renders its events one at a time, so they go out in sequence order
+    const deliver = (stream, entry) => {
+      stream.queue = stream.queue
+        .then(async () => {
+          if (stream.channel.closed) return
+          const data = await renderEvent(stream, entry)
+          if (data) stream.channel.write(formatEvent({ id: entry.seq, event: entry.type, data }))
+        })
+        .catch((error) => {
+          log.warn('Change feed could not deliver an event', {
+            scopeName: entry.scopeName,
+            id: entry.id,
+            error: error.message
+          })
+        })
+    }
+
+    const publish = (event) => {
+      const entry = changeLog.append(event)
+
+      for (const stream of streamsOf(entry.scopeName)) {
+        deliver(stream, entry)
+      }
+    }
+
+    const openStream = ({ scopeName, queryParams, filters, context, audienceKey, userKey, lastEventId, channel }) => {
+      const stream = { scopeName, queryParams, context, audienceKey, channel, queue: Promise.resolve() }
+
+      const byKey = audiencesOf(scopeName)
+      if (!byKey.has(audienceKey)) {
+        byKey.set(audienceKey, { context, filters, userKey, openStreams: 0, since: changeLog.lastSeq })
+      }
+      const audience = byKey.get(audienceKey)
+      audience.openStreams++
+      streamsOf(scopeName).add(stream)
+
+      // Sends the headers right away, so the client knows the stream is open
+      channel.write(': change feed open\n\n')
+
+      if (lastEventId !== undefined) {
+        const seq = Number(lastEventId)
+        // Deletes made before the audience was added were not checked for it
+        const resumable = Number.isSafeInteger(seq) &&
+          seq <= changeLog.lastSeq &&
+          seq >= changeLog.firstAvailable() - 1 &&
+          !changeLog.since(seq).some((entry) =>
+            entry.scopeName === scopeName && entry.type === 'delete' && entry.seq <= audience.since)
+
+        if (resumable) {
+          for (const entry of changeLog.since(seq)) {
+            if (entry.scopeName === scopeName) deliver(stream, entry)
+          }
+        } else {
+          channel.write(formatEvent({
+            id: changeLog.lastSeq,
+            event: 'reset',
+            data: { reason: 'history_unavailable' }
+          }))
+        }
+      }
+
+      const heartbeat = setInterval(() => channel.write(': keep-alive\n\n'), heartbeatInterval)
+      heartbeat.unref?.()
+
+      channel.onClose(() => {
+        clearInterval(heartbeat)
+        streamsOf(scopeName).delete(stream)
+
+        audience.openStreams--
+        if (audience.openStreams === 0) byKey.delete(audienceKey)
+      })
+    }
+
+    // Registered before the scope routes: GET /{scope}/changes must come before GET /{scope}/:id
+    addHook('scope:added', 'register-change-feed-route', { beforeFunction: 'registerScopeRoutes' }, async ({ context }) => {
+      const { scopeName, scopeOptions = {} } = context
+      const scope = scopes[scopeName]
+
+      scope.vars.changeFeed = compileChangeFeedConfig({ scopeName, scopeOptions })
+      if (!scope.vars.changeFeed || !scope.vars.transport) return
+
+      await api.addRoute({
+        method: 'GET',
+        path: `${scope.vars.transport.mountPath || ''}/${scopeName}/changes`,
+        handler: async ({ queryString, headers, context }) => {
+          const { filters = {}, include = [], fields = {} } = parseJsonApiQuery(queryString)
+          const queryParams = { filters, include, fields }
+
+          // Validates the parameters and runs the usual query permission checks up front;
+          // a null id matches no rows, so nothing is actually read. The filters come back
+          // validated, ready for the delete checks.
+          const checkContext = { ...context, changeFeedRecord: { scopeName, id: null } }
+          await scope.query({
+            queryParams: structuredClone(queryParams),
+            isTransport: true,
+            simplified: false
+          }, checkContext)
+
+          const userKey = JSON.stringify(getAudienceKey(context) ?? null)
+          const audienceKey = JSON.stringify([getAudienceKey(context) ?? null, filters])
+          assertAudienceRoom({ scopeName, audienceKey, userKey })
+
+          return {
+            eventStream: {
+              open: (channel) => openStream({
+                scopeName,
+                queryParams,
+                filters: checkContext.queryParams?.filters || {},
+                context,
+                audienceKey,
+                userKey,
+                lastEventId: headers?.['last-event-id'],
+                channel
+              })
+            }
+          }
+        },
+        routeMeta: { kind: 'changeFeed', scopeName, operation: 'changes' }
+      })
+    })
+
+    // Narrows the stream's query down to the record an event is about
+    addHook('knexQueryFiltering', 'change-feed-record', {}, async (hookParams) => {
+      const { context } = hookParams
+      const { query, scopeName, queryPurpose } = context.knexQuery || {}
+      const record = context.changeFeedRecord
+
+      if (!query || !record || record.scopeName !== scopeName || !READ_PURPOSES.has(queryPurpose)) return
+
+      if (record.id === null) {
+        query.whereRaw('1 = 0')
+        return
+      }
+
+      const adapterUtils = createStorageAdapterUtilities(hookParams, {
+        getStorageAdapter: helpers.getStorageAdapter
+      })
+      const idProperty = scopes[scopeName].vars.schemaInfo?.idProperty || 'id'
+      query.where(adapterUtils.translateColumn(scopeName, idProperty), record.id)
+    })
+
+    /**
+     * Which audiences of a scope can read a record, in one query: the filters and read rules
+     * of each audience become an `exists` subquery of a single select
+     */
+    const collectAudience = async ({ scopeName, id, transaction }) => {
+      const entries = [...audiencesOf(scopeName)]
+      if (entries.length === 0) return new Set()
+
+      const db = transaction || api.knex.instance
+      const checks = []
+
+      for (const [audienceKey, audience] of entries) {
+        // The same record restriction as queryRecord, through the audience's filters
+        const checkContext = {
+          ...audience.context,
+          transaction,
+          db,
+          schemaInfo: scopes[scopeName].vars.schemaInfo,
+          queryParams: { filters: audience.filters },
+          changeFeedRecord: { scopeName, id }
+        }
+
+        try {
+          const { query } = await helpers.dataFilteredQuery({
+            scopeName,
+            context: checkContext,
+            runHooks: (hookName) => api.runHooks(hookName, checkContext)
+          })
+          checks.push({ audienceKey, query })
+        } catch (error) {
+          log.warn('Change feed could not check a delete audience', { scopeName, id, error: error.message })
+        }
+      }
+      if (checks.length === 0) return new Set()
+
+      const [row] = await db.select(checks.map(({ query }, index) => db.raw('exists ? as ??', [query, `audience_${index}`])))
+      return new Set(checks
+        .filter((check, index) => Boolean(Number(row[`audience_${index}`])))
+        .map((check) => check.audienceKey))
+    }
+
+    // The row is still there: work out which audiences can see it before it goes
+    addHook('beforeDataCallDelete', 'collect-change-feed-audience', {}, async ({ context }) => {
+      const { scopeName, id } = context
+      if (!scopes[scopeName]?.vars?.changeFeed) return
+
+      context.changeFeedAudience = await collectAudience({ scopeName, id, transaction: context.transaction })
+    })
+
+    addHook('finish', 'collect-change-feed-event', {}, async ({ context }) => {
+      const { method, scopeName, id } = context
+      if (!CHANGE_METHODS.has(method) || !scopes[scopeName]?.vars?.changeFeed) return
+      if (id === undefined || id === null) return
+
+      const event = {
+        scopeName,
+        id: String(id),
+        type: eventTypeFor(context),
+        audience: context.changeFeedAudience || null
+      }
+
+      if (!context.transaction) {
+        publish(event)
+        return
+      }
+
+      // Transactions owned by the write method are published from afterCommit; the
+      // caller's own transactions once knex reports them committed
+      if (context.shouldCommit) {
+        if (!pendingEvents.has(context.transaction)) pendingEvents.set(context.transaction, [])
+        pendingEvents.get(context.transaction).push(event)
+        return
+      }
+
+      const committed = context.transaction.executionPromise
+      if (committed) {
+        committed.then(() => publish(event), () => {})
+      } else {
+        publish(event)
+      }
+    })
+
+    addHook('afterCommit', 'publish-change-feed-events', {}, async ({ context }) => {
+      if (!context?.transaction) return
+      const events = pendingEvents.get(context.transaction)
+      if (!events) return
+
+      pendingEvents.delete(context.transaction)
+      for (const event of events) publish(event)
+    })
+
+    addHook('afterRollback', 'discard-change-feed-events', {}, async ({ context }) => {
+      if (!context?.transaction) return
+      pendingEvents.delete(context.transaction)
+    })
+
+    api.changeFeed = {
+      get lastEventId () {
+        return changeLog.lastSeq
+      },
+
+      closeStreams () {
+        for (const streams of openStreams.values()) {
+          for (const stream of streams) stream.channel.close()
+        }
+      }
+    }
+
+    log.info('Change feed plugin installed', { maxEvents })
+  }
+}
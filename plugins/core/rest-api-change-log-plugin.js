@@ -0,0 +1,414 @@
+import { RestApiValidationError } from '../../lib/rest-api-errors.js'
+import { createStorageAdapterUtilities } from './lib/querying/storage-adapter-utils.js'
+
+const CHANGED_SINCE_FILTER = 'changedSince'
+
+// Writes recorded from afterDataCall. restore and purge come from SoftDeletePlugin.
+const LOGGED_METHODS = new Set(['post', 'put', 'patch', 'delete', 'restore', 'purge'])
+
+const RELATIONSHIP_METHODS = ['PostRelationship', 'PatchRelationship', 'DeleteRelationship']
+
+const DEFAULT_CHANGES_LIMIT = 100
+
+// Writes that remove the row; a snapshot of it is kept with the change row
+const DELETE_METHODS = new Set(['delete', 'purge'])
+
+// SoftDeletePlugin's filter; tombstones are looked up whether trashed or not
+const TRASHED_FILTER = 'trashed'
+
+function createChangeLogError (message) {
+  const error = new Error(message)
+  error.code = 'REST_API_CHANGE_LOG_CONTRACT'
+  return error
+}
+
+function compileChangeLogConfig ({ scopeName, scopeOptions = {} }) {
+  const definition = scopeOptions.changeLog
+
+  if (definition === undefined || definition === null || definition === false) {
+    return null
+  }
+
+  if (definition !== true) {
+    throw createChangeLogError(`changeLog for resource '${scopeName}' must be true or false.`)
+  }
+
+  return { enabled: true }
+}
+
+/**
+ * What a write leaves behind for a syncing client: the record is there (`upsert`)
+ * or it is gone (`delete`). A soft delete hides the record, so it counts as gone.
+ */
+function operationFor (context) {
+  if (context.method === 'purge') return 'delete'
+  if (context.method === 'delete') return 'delete'
+  return 'upsert'
+}
+
+function parseCursor (value) {
+  const cursor = value === null || value === '' ? 0 : Number(value)
+
+  if (!Number.isSafeInteger(cursor) || cursor < 0) {
+    throw new RestApiValidationError(
+      'Change cursor must be a non-negative integer',
+      {
+        fields: [`filters.${CHANGED_SINCE_FILTER}`],
+        violations: [{
+          field: `filters.${CHANGED_SINCE_FILTER}`,
+          rule: 'change_cursor',
+          message: 'Use 0, or the cursor returned by the previous sync'
+        }]
+      }
+    )
+  }
+
+  return cursor
+}
+
+/**
+ * Folds change rows into the latest operation of every record, in the order
+ * of their last change
+ */
+function collapseChanges (rows) {
+  const latest = new Map()
+  for (const row of rows) {
+    latest.delete(row.resource_id)
+    latest.set(row.resource_id, row)
+  }
+  return [...latest.values()]
+}
+
+export const ChangeLogPlugin = {
+  name: 'change-log',
+  dependencies: ['rest-api', 'rest-api-knex|rest-api-anyapi-knex'],
+
+  async install ({ api, addHook, addScopeMethod, helpers, log, scopes, pluginOptions = {} }) {
+    if (!api.knex?.instance) {
+      throw new Error('ChangeLogPlugin requires a storage plugin with knex support (rest-api-knex or rest-api-anyapi-knex).')
+    }
+
+    const {
+      tableName = '_changes',
+      createTable = true,
+      lagMs = 0
+    } = pluginOptions
+
+    if (!Number.isFinite(lagMs) || lagMs < 0) {
+      throw createChangeLogError('lagMs must be a non-negative number of milliseconds.')
+    }
+
+    if (createTable && !(await api.knex.instance.schema.hasTable(tableName))) {
+      await api.knex.instance.schema.createTable(tableName, (table) => {
+        table.increments('id')
+        table.string('resource_type').notNullable()
+        table.string('resource_id').notNullable()
+        table.string('operation').notNullable()
+        table.string('relationship').nullable()
+        table.text('snapshot').nullable()
+        table.timestamp('changed_at')
+        table.index(['resource_type', 'id'])
+      })
+    }
+
+    const queryData = helpers.dataQuery
+
+    // Change rows written by transactions of this process that are still open, per resource.
+    // Readers stop before the oldest of them: its id is lower than rows that may commit first.
+    const openChangeIds = new Map()
+
+    const trackUntilSettled = (scopeName, changeId, transaction) => {
+      if (!openChangeIds.has(scopeName)) openChangeIds.set(scopeName, new Set())
+      const ids = openChangeIds.get(scopeName)
+      ids.add(changeId)
+
+      const settle = () => ids.delete(changeId)
+      transaction.executionPromise.then(settle, settle)
+    }
+
+    const oldestOpenChangeId = (scopeName) => {
+      const ids = openChangeIds.get(scopeName)
+      return ids?.size ? Math.min(...ids) : null
+    }
+
+    const writeChange = async ({ context, scopeName, operation, relationship = null, snapshot = null }) => {
+      const db = context.transaction || context.db || api.knex.instance
+
+      const result = await db(tableName).insert({
+        resource_type: scopeName,
+        resource_id: String(context.id),
+        operation,
+        relationship,
+        snapshot: snapshot ? JSON.stringify(snapshot) : null,
+        changed_at: new Date()
+      }).returning('id')
+
+      const changeId = Number(result?.[0]?.id ?? result?.[0])
+      if (context.transaction?.executionPromise && !context.transaction.isCompleted() && Number.isSafeInteger(changeId)) {
+        trackUntilSettled(scopeName, changeId, context.transaction)
+      }
+    }
+
+    /**
+     * Reads the change rows after `cursor`. Rows are only returned up to the first one that
+     * may still have an earlier neighbour in flight: one written by a transaction of this
+     * process that has not finished, or, with `lagMs`, one younger than the lag.
+     */
+    const readChangeRows = async ({ db, scopeName, cursor, limit }) => {
+      const bounds = []
+
+      const oldestOpen = oldestOpenChangeId(scopeName)
+      if (oldestOpen !== null) bounds.push(oldestOpen)
+
+      if (lagMs > 0) {
+        const youngest = await db(tableName)
+          .where('resource_type', scopeName)
+          .where('id', '>', cursor)
+          .where('changed_at', '>', new Date(Date.now() - lagMs))
+          .min('id as id')
+          .first()
+        if (youngest?.id !== null && youngest?.id !== undefined) bounds.push(Number(youngest.id))
+      }
+
+      const query = db(tableName)
+        .where('resource_type', scopeName)
+        .where('id', '>', cursor)
+        .orderBy('id', 'asc')
+        .limit(limit + 1)
+
+      if (bounds.length > 0) query.where('id', '<', Math.min(...bounds))
+
+      return query
+    }
+
+    /**
+     * Tombstones are checked against the row as it was deleted, kept in the change row.
+     * The snapshots are read as a derived table named like the resource table, and the
+     * filters of a collection query run on it: row policies, tenancy, permissions and
+     * the caller's filters decide which tombstones the caller may see. Nothing is
+     * written to the resource table.
+     */
+    const filterVisibleTombstones = async ({ dataQueryParams, rows }) => {
+      const snapshotted = rows.filter((row) => row.snapshot)
+      if (snapshotted.length === 0) return []
+
+      const { scopeName, context, runHooks } = dataQueryParams
+      const adapter = helpers.getStorageAdapter(scopeName)
+      const tableName = adapter.getTableName()
+      const db = context.db
+
+      // Columns added after a delete are null in its snapshot
+      const columns = Object.keys(await db(tableName).columnInfo())
+      const bindable = (value) => (value !== null && typeof value === 'object' ? JSON.stringify(value) : value ?? null)
+
+      // The empty first branch gives the columns the types of the table
+      const deletedRows = db(tableName).select(columns).whereRaw('1 = 0').unionAll(snapshotted.map((row) => {
+        const stored = JSON.parse(row.snapshot)
+        return db.select(columns.map((column) => db.raw('? as ??', [bindable(stored[column]), column])))
+      }))
+
+      const previous = { knexQuery: context.knexQuery, trashed: context.trashed }
+      const { [TRASHED_FILTER]: ignored, ...filters } = context.queryParams.filters || {}
+      context.trashed = 'with'
+      context.knexQuery = {
+        query: db.from(deletedRows.as(tableName)).select(`${tableName}.${adapter.getIdColumn()} as id`),
+        filters,
+        schemaInfo: context.schemaInfo,
+        scopeName,
+        tableName,
+        db,
+        queryPurpose: 'collection',
+        adapter,
+        storageAdapter: adapter
+      }
+
+      try {
+        await runHooks('knexQueryFiltering')
+        const visible = await context.knexQuery.query
+        const visibleIds = new Set(visible.map((record) => String(record.id)))
+        return rows.filter((row) => visibleIds.has(row.resource_id))
+      } finally {
+        context.knexQuery = previous.knexQuery
+        if (previous.knexQuery === undefined) delete context.knexQuery
+        context.trashed = previous.trashed
+        if (previous.trashed === undefined) delete context.trashed
+      }
+    }
+
+    // Runs before the schemas are compiled so that both storage plugins build
+    // their search schema with the changedSince filter already in place
+    addHook('scope:added', 'compile-change-log', { beforeFunction: 'compileResourceSchemas' }, ({ context }) => {
+      const { scopeName, scopeOptions = {} } = context
+      const scope = scopes[scopeName]
+
+      scope.vars.changeLog = compileChangeLogConfig({ scopeName, scopeOptions })
+      if (!scope.vars.changeLog) return
+
+      // filter[changedSince] is answered by the dataQuery wrapper below; the search
+      // field only exists so that the query contract accepts it.
+      context.scopeOptions.searchSchema = {
+        ...(scopeOptions.searchSchema || {}),
+        [CHANGED_SINCE_FILTER]: {
+          type: 'string',
+          applyFilter: () => {}
+        }
+      }
+    })
+
+    // The row is still there: keep it as stored, to check who may see its tombstone.
+    // The tenant, owner and autofilter columns that decide it are all part of the row.
+    addHook('beforeDataCall', 'snapshot-deleted-record', {}, async ({ context }) => {
+      const { method, scopeName, id } = context
+      if (!DELETE_METHODS.has(method) || !scopes[scopeName]?.vars?.changeLog) return
+
+      const adapter = helpers.getStorageAdapter(scopeName)
+      context.changeLogSnapshot = await adapter.buildBaseQuery({ transaction: context.transaction || context.db })
+        .where(adapter.getIdColumn(), id)
+        .first()
+    })
+
+    addHook('afterDataCall', 'record-change', {}, async ({ context }) => {
+      const { method, scopeName, id } = context
+      if (!LOGGED_METHODS.has(method) || !scopes[scopeName]?.vars?.changeLog) return
+      if (id === undefined || id === null) return
+
+      await writeChange({
+        context,
+        scopeName,
+        operation: operationFor(context),
+        snapshot: DELETE_METHODS.has(method) ? context.changeLogSnapshot : null
+      })
+    })
+
+    // Many-to-many links are written straight to the pivot table, without a
+    // record write on either side: the relationship endpoint records them
+    for (const suffix of RELATIONSHIP_METHODS) {
+      addHook(`finish${suffix}`, 'record-relationship-change', {}, async ({ context, scopeName }) => {
+        if (!scopes[scopeName]?.vars?.changeLog) return
+
+        await writeChange({
+          context,
+          scopeName,
+          operation: 'upsert',
+          relationship: context.relationshipName
+        })
+      })
+    }
+
+    // Only rows of records that changed since the cursor are read
+    addHook('knexQueryFiltering', 'restrict-to-changed-records', {}, async (hookParams) => {
+      const { context } = hookParams
+      const { query, scopeName, queryPurpose } = context.knexQuery || {}
+      const changed = context.changeLogRecords
+
+      if (!query || !changed || changed.scopeName !== scopeName) return
+      if (queryPurpose !== 'collection' && queryPurpose !== 'count') return
+
+      const adapterUtils = createStorageAdapterUtilities(hookParams, {
+        getStorageAdapter: helpers.getStorageAdapter
+      })
+      const idProperty = scopes[scopeName].vars.schemaInfo?.idProperty || 'id'
+      query.whereIn(adapterUtils.translateColumn(scopeName, idProperty), changed.ids)
+    })
+
+    /**
+     * Answers queries with filter[changedSince]: the records that changed after the
+     * cursor, as the caller sees them now, plus tombstones for the deleted ones the
+     * caller may see. The change rows and the records are read in one transaction,
+     * so they agree.
+     */
+    helpers.dataQuery = async (dataQueryParams) => {
+      const { scopeName, context } = dataQueryParams
+      const filters = context.queryParams?.filters || {}
+
+      if (!scopes[scopeName]?.vars?.changeLog || filters[CHANGED_SINCE_FILTER] === undefined) {
+        return queryData(dataQueryParams)
+      }
+
+      const cursor = parseCursor(filters[CHANGED_SINCE_FILTER])
+      const vars = scopes[scopeName].vars
+      const requestedLimit = Number(context.queryParams.page?.size) || vars.queryDefaultLimit || DEFAULT_CHANGES_LIMIT
+      const limit = Math.min(requestedLimit, vars.queryMaxLimit || requestedLimit)
+
+      const ownTransaction = context.transaction ? null : await helpers.newTransaction()
+      const previousDb = context.db
+      const previousPage = context.queryParams.page
+      // Includes read from context.transaction, the main query from context.db
+      context.transaction = context.transaction || ownTransaction
+      context.db = context.transaction
+
+      try {
+        const rows = await readChangeRows({ db: context.db, scopeName, cursor, limit })
+
+        const hasMore = rows.length > limit
+        const consumed = rows.slice(0, limit)
+        const latest = collapseChanges(consumed)
+
+        const deletedRows = await filterVisibleTombstones({
+          dataQueryParams,
+          rows: latest.filter((row) => row.operation === 'delete')
+        })
+        const tombstones = deletedRows.map((row) => ({
+          type: scopeName,
+          id: row.resource_id,
+          deletedAt: row.changed_at ? new Date(row.changed_at).toISOString() : null
+        }))
+
+        // The change rows already bound the page: every changed record fits in it
+        const ids = latest.filter((row) => row.operation !== 'delete').map((row) => row.resource_id)
+        context.queryParams.page = { size: Math.max(ids.length, 1), number: 1 }
+        context.changeLogRecords = { scopeName, ids }
+
+        const { links, ...record } = await queryData(dataQueryParams)
+        const { pagination, ...meta } = record.meta || {}
+        await ownTransaction?.commit()
+
+        return {
+          ...record,
+          meta: {
+            ...meta,
+            changes: {
+              cursor: String(consumed.length ? consumed[consumed.length - 1].id : cursor),
+              hasMore,
+              tombstones
+            }
+          }
+        }
+      } catch (error) {
+        await ownTransaction?.rollback()
+        throw error
+      } finally {
+        if (ownTransaction) context.transaction = null
+        context.db = previousDb
+        context.queryParams.page = previousPage
+        delete context.changeLogRecords
+      }
+    }
+
+    /**
+     * CHANGES SINCE
+     * The records changed after `cursor` and tombstones for the deleted ones, through
+     * the regular query: filters, includes, fields, permissions and row policies apply.
+     * Pass the returned `meta.changes.cursor` to the next call.
+     */
+    addScopeMethod('changesSince', async ({ params, context, scope, scopeName }) => {
+      if (!scope.vars.changeLog) {
+        throw createChangeLogError(`Resource '${scopeName}' does not have a change log.`)
+      }
+
+      const { cursor = 0, limit, queryParams = {}, transaction, simplified } = params
+
+      return scope.query({
+        queryParams: {
+          ...queryParams,
+          filters: { ...(queryParams.filters || {}), [CHANGED_SINCE_FILTER]: String(cursor ?? 0) },
+          page: limit ? { size: limit } : {}
+        },
+        transaction,
+        simplified
+      }, { ...context })
+    })
+
+    log.info('Change log plugin installed', { tableName })
+  }
+}
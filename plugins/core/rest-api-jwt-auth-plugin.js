@@ -0,0 +1,209 @@
+import { readFile } from 'node:fs/promises'
+import { createPublicKey, createSecretKey, KeyObject } from 'node:crypto'
+import { requirePackage } from 'hooked-api'
+
+const DEFAULT_CLAIMS = {
+  userId: 'sub',
+  roles: 'roles',
+  tenant: 'tenant'
+}
+
+function createJwtAuthError (message) {
+  const error = new Error(message)
+  error.code = 'REST_API_JWT_AUTH_CONTRACT'
+  return error
+}
+
+// Thrown by verify() for missing or rejected tokens; `reason` is the RFC 6750 error code
+function createTokenError (message, reason, cause) {
+  const error = new Error(message, cause ? { cause } : undefined)
+  error.code = 'REST_API_JWT_AUTH_FAILED'
+  error.reason = reason
+  return error
+}
+
+// Claim names may be dotted paths into nested claims, such as 'realm_access.roles'
+function readClaim (payload, path) {
+  return String(path).split('.').reduce((value, segment) => value?.[segment], payload)
+}
+
+function toRoles (value) {
+  if (value === undefined || value === null) return []
+  // OAuth 'scope' style claims are space separated
+  if (typeof value === 'string') return value.split(/\s+/).filter(Boolean)
+  return Array.isArray(value) ? value.map(String) : [String(value)]
+}
+
+function readBearerToken (headers = {}) {
+  const header = headers.authorization || headers.Authorization
+  if (typeof header !== 'string') return null
+  const match = header.match(/^Bearer\s+(.+)$/i)
+  return match ? match[1].trim() : null
+}
+
+/**
+ * Resolves the verification key: a shared secret, a public key, or a JWKS (inline or from a file).
+ * jose picks the JWKS entry from the token's `kid` and `alg`.
+ */
+async function loadKey (jose, { secret, publicKey, jwks, jwksFile }) {
+  const sources = [secret, publicKey, jwks, jwksFile].filter((source) => source !== undefined && source !== null)
+  if (sources.length !== 1) {
+    throw createJwtAuthError('JwtAuthPlugin needs exactly one of secret, publicKey, jwks or jwksFile.')
+  }
+
+  if (secret !== undefined && secret !== null) {
+    if (secret instanceof KeyObject) return secret
+    return createSecretKey(typeof secret === 'string' ? Buffer.from(secret) : secret)
+  }
+
+  if (publicKey !== undefined && publicKey !== null) {
+    if (typeof publicKey === 'string' || Buffer.isBuffer(publicKey)) return createPublicKey(publicKey)
+    return publicKey
+  }
+
+  let keySet = jwks
+  if (jwksFile) {
+    try {
+      keySet = JSON.parse(await readFile(jwksFile, 'utf8'))
+    } catch (error) {
+      throw createJwtAuthError(`Could not read the JWKS file '${jwksFile}': ${error.message}`)
+    }
+  }
+  if (!Array.isArray(keySet?.keys)) {
+    throw createJwtAuthError('A JWKS needs a keys array.')
+  }
+  return jose.createLocalJWKSet(keySet)
+}
+
+export const JwtAuthPlugin = {
+  name: 'jwt-auth',
+  dependencies: ['rest-api'],
+
+  async install ({ api, addHook, log, pluginOptions = {} }) {
+    const {
+      secret,
+      publicKey,
+      jwks,
+      jwksFile,
+      algorithms,
+      issuer,
+      audience,
+      clockTolerance,
+      maxTokenAge,
+      claims = {},
+      mapClaims = null,
+      required = false,
+      realm = 'api',
+      getToken = null
+    } = pluginOptions
+
+    let jose
+    try {
+      jose = await import('jose')
+    } catch (error) {
+      requirePackage('jose', 'jwt-auth', 'jose is required to verify JSON Web Tokens. This is a peer dependency.')
+      throw error
+    }
+
+    const key = await loadKey(jose, { secret, publicKey, jwks, jwksFile })
+    const claimNames = { ...DEFAULT_CLAIMS, ...claims }
+    const verifyOptions = Object.fromEntries(Object.entries({
+      // HMAC secrets are only accepted with HMAC algorithms, never with 'none' or public key ones
+      algorithms: algorithms || (secret ? ['HS256', 'HS384', 'HS512'] : undefined),
+      issuer,
+      audience,
+      clockTolerance,
+      maxTokenAge
+    }).filter(([, value]) => value !== undefined))
+
+    const toAuth = async (payload, context) => {
+      if (mapClaims) {
+        return { ...(await mapClaims(payload, { context })), claims: payload }
+      }
+
+      const userId = readClaim(payload, claimNames.userId)
+      return {
+        userId: userId === undefined || userId === null ? null : String(userId),
+        roles: toRoles(readClaim(payload, claimNames.roles)),
+        tenant: readClaim(payload, claimNames.tenant) ?? null,
+        claims: payload
+      }
+    }
+
+    /**
+     * Verifies a token and maps its claims
+     * @param {string} token - The compact JWT
+     * @param {Object} [context] - Passed to mapClaims
+     * @returns {Promise<Object>} The auth context: `{ userId, roles, tenant, claims }`
+     * @throws {Error} With code 'REST_API_JWT_AUTH_FAILED' when the token is rejected
+     */
+    const verify = async (token, context = null) => {
+      let payload
+      try {
+        ({ payload } = await jose.jwtVerify(token, key, verifyOptions))
+      } catch (error) {
+        const message = error.code === 'ERR_JWT_EXPIRED' ? 'The access token has expired' : 'The access token is invalid'
+        throw createTokenError(message, 'invalid_token', error)
+      }
+      return toAuth(payload, context)
+    }
+
+    // RFC 6750: tell the client which scheme to use and, when a token was sent, what was wrong with it
+    const challengeFor = (error) => {
+      const parts = [`realm="${realm}"`]
+      if (error) parts.push(`error="${error.reason}"`, `error_description="${error.message}"`)
+      return `Bearer ${parts.join(', ')}`
+    }
+
+    // Before the rate limit, which keys its buckets on the user this hook sets
+    addHook('transport:request', 'jwt-auth', { beforePlugin: 'rate-limit' }, async ({ context }) => {
+      if (context.rejection) return
+
+      const request = context.transport?.request || {}
+      // CORS preflights never carry credentials
+      if (String(request.method).toUpperCase() === 'OPTIONS') return
+
+      const token = getToken ? await getToken(context) : readBearerToken(request.headers || context.request?.headers)
+      const headers = context.transport.response.headers
+
+      if (!token) {
+        if (!required) return
+        headers['WWW-Authenticate'] = challengeFor(null)
+        context.reject(401, 'Authentication is required', { title: 'Unauthorized', code: 'missing_token' })
+        return
+      }
+
+      try {
+        context.auth = { ...context.auth, ...(await verify(token, context)) }
+      } catch (error) {
+        if (error.code !== 'REST_API_JWT_AUTH_FAILED') throw error
+        log.debug('JWT rejected', { reason: error.cause?.code, message: error.cause?.message })
+        headers['WWW-Authenticate'] = challengeFor(error)
+        context.reject(401, error.message, { title: 'Unauthorized', code: error.reason })
+      }
+    })
+
+    // Socket.IO handshakes send the token in `auth.token`, or in an Authorization header
+    addHook('socketio:authenticate', 'jwt-auth', {}, async ({ context }) => {
+      if (context.auth) return
+
+      const { socket } = context
+      const token = getToken
+        ? await getToken(context)
+        : (socket.handshake?.auth?.token || readBearerToken(socket.handshake?.headers))
+
+      if (!token) {
+        if (required) throw createTokenError('Authentication is required', 'missing_token')
+        return
+      }
+      context.auth = await verify(token, context)
+    })
+
+    api.jwtAuth = { verify }
+
+    log.info('JWT auth plugin installed', {
+      key: secret ? 'secret' : publicKey ? 'publicKey' : 'jwks',
+      required
+    })
+  }
+}
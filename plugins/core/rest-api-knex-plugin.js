@@ -5,9 +5,12 @@ import {
   addKnexFields,
   alterKnexFields,
   generateKnexMigration,
-  generateKnexMigrationDiff
+  generateKnexMigrationDiff,
+  generateKnexMigrationPlan,
+  collectSchemaDrift
 } from './lib/dbTablesOperations.js'
-import { introspectKnexTableSnapshot } from './lib/dbIntrospection.js'
+import { introspectKnexTableSnapshot, listKnexTables } from './lib/dbIntrospection.js'
+import { scaffoldResourceDefinitions } from './lib/dbScaffolding.js'
 import { applyFieldSelectionToQuery, buildFieldSelection } from './lib/querying-writing/knex-field-helpers.js'
 import { buildJsonApiResponse } from './lib/querying/knex-json-api-transformers-querying.js'
 import { processBelongsToRelationships } from './lib/writing/knex-json-api-transformers-writing.js'
@@ -20,7 +23,8 @@ import {
   basicFiltersHook
 } from './lib/querying/knex-query-helpers.js'
 import { RestApiResourceError, RestApiValidationError } from '../../lib/rest-api-errors.js'
-import { supportsWindowFunctions, getDatabaseInfo } from './lib/querying-writing/database-capabilities.js'
+import { supportsWindowFunctions, supportsRowLocks, getDatabaseInfo } from './lib/querying-writing/database-capabilities.js'
+import { applyExpectedAttributes, preconditionFailedError } from './lib/querying-writing/etag-helpers.js'
 import { ERROR_SUBTYPES, DEFAULT_QUERY_LIMIT, DEFAULT_MAX_QUERY_LIMIT } from './lib/querying-writing/knex-constants.js'
 import {
   calculatePaginationMeta,
@@ -38,7 +42,10 @@ import {
   parseSortEntry
 } from './lib/querying/query-field-sort-helpers.js'
 import { unwrapQueryBuilderState } from './lib/querying/query-builder-utils.js'
+import { applyAggregationToQuery } from './lib/querying/aggregation-helpers.js'
+import { RELEVANCE_SORT_FIELD } from './lib/querying/full-text-search.js'
 import { serializeJsonApiQuery } from './lib/querying-writing/connectors-query-parser.js'
+import { createIdempotencyTable } from './lib/querying-writing/idempotency-helpers.js'
 
 export const RestApiKnexPlugin = {
   name: 'rest-api-knex',
@@ -63,6 +70,14 @@ export const RestApiKnexPlugin = {
       helpers: {}
     }
 
+    const verifySchemaMode = knexOptions.verifySchema || false
+    if (verifySchemaMode && !['warn', 'error'].includes(verifySchemaMode)) {
+      throw new Error(`RestApiKnexPlugin verifySchema must be 'warn' or 'error', got '${verifySchemaMode}'.`)
+    }
+
+    // Idempotency-Key storage, configured by RestApiPlugin
+    await createIdempotencyTable({ config: vars.idempotency, db: knex })
+
     const storageAdapters = new Map()
 
     const getScopeStorageAdapter = (scopeName) => {
@@ -267,6 +282,180 @@ export const RestApiKnexPlugin = {
       )
     })
 
+    // planMigrations() works outside any scope, so it keeps the table options of each resource
+    const scopeTableOptions = new Map()
+    addHook('scope:added', 'rememberKnexTableOptions', { beforeFunction: 'compileResourceSchemas' }, ({ context }) => {
+      const { scopeName, scopeOptions = {} } = context
+      const tableOptions = {}
+      for (const key of ['autoIncrement', 'timestamps', 'fullTextLanguage']) {
+        if (scopeOptions[key] !== undefined) tableOptions[key] = scopeOptions[key]
+      }
+      scopeTableOptions.set(scopeName, tableOptions)
+    })
+
+    // Drift between a resource's schema and its live table, or null when they match
+    const verifyScopeSchema = async (scopeName) => {
+      const schemaInfo = scopes[scopeName]?.vars?.schemaInfo
+      if (!schemaInfo) return null
+
+      const knexInstance = api.knex.instance
+      const { tableName, idProperty } = schemaInfo
+      let issues
+
+      if (!await knexInstance.schema.hasTable(tableName)) {
+        issues = [{ kind: 'missingTable', name: tableName, message: `Table '${tableName}' does not exist.` }]
+      } else {
+        let snapshot
+        try {
+          snapshot = await introspectKnexTableSnapshot(knexInstance, { tableName, idColumn: idProperty })
+        } catch (error) {
+          // A table that cannot be read cannot be vouched for either
+          return {
+            scopeName,
+            tableName,
+            issues: [{ kind: 'introspectionFailed', name: tableName, message: `Table '${tableName}' could not be introspected: ${error.message}` }]
+          }
+        }
+
+        issues = collectSchemaDrift(tableName, snapshot, buildScopeTableSchema(scopes[scopeName].vars), {
+          ...scopeTableOptions.get(scopeName),
+          idProperty,
+          dialect: snapshot.dialect || knexInstance?.client?.config?.client
+        })
+      }
+
+      return issues.length > 0 ? { scopeName, tableName, issues } : null
+    }
+
+    /**
+     * Compares the live tables with the resource schemas
+     * @param {string[]} [scopeNames] - Resources to check; all of them by default
+     * @returns {Promise<Array<{ scopeName: string, tableName: string, issues: object[] }>>} One entry per drifted resource
+     */
+    api.knex.verifySchema = async (scopeNames = Object.keys(scopes)) => {
+      const drift = []
+      for (const scopeName of scopeNames) {
+        const entry = await verifyScopeSchema(scopeName)
+        if (entry) drift.push(entry)
+      }
+      return drift
+    }
+
+    // Resources are checked as they are added: after their schemas are compiled,
+    // before they get routes. A missing table is left alone, since createKnexTable()
+    // usually runs next; api.knex.verifySchema() reports it once startup is done.
+    if (verifySchemaMode) {
+      addHook('scope:added', 'verifyKnexSchema', { beforeFunction: 'registerRelationshipRoutes' }, async ({ context }) => {
+        if (context.scopeOptions?.verifySchema === false) return
+
+        const drift = await verifyScopeSchema(context.scopeName)
+        if (!drift || drift.issues.some((issue) => issue.kind === 'missingTable')) return
+
+        const summary = `Schema drift on resource '${drift.scopeName}' (table '${drift.tableName}'): ${drift.issues.map((issue) => issue.message).join(' ')}`
+        if (verifySchemaMode === 'error') {
+          const error = new Error(summary)
+          error.code = 'REST_API_SCHEMA_DRIFT'
+          error.drift = drift
+          throw error
+        }
+
+        log.warn(summary, drift)
+      })
+    }
+
+    /**
+     * Plans one migration for the tables of every resource. belongsTo fields and
+     * many-to-many `through` resources decide the order tables are created in.
+     * @param {object} [options={}] - { allowDropColumns }
+     * @returns {Promise<{ migration: string, warnings: string[], destructive: object[], plan: object }>}
+     */
+    api.rest.planMigrations = async (options = {}) => {
+      const knexInstance = api.knex.instance
+      const tableNameOf = (scopeName) => scopes[scopeName]?.vars?.schemaInfo?.tableName
+      const dependenciesByScope = new Map()
+      const addDependency = (scopeName, targetScopeName) => {
+        const tableName = tableNameOf(targetScopeName)
+        if (!tableName || !dependenciesByScope.has(scopeName)) return
+        dependenciesByScope.get(scopeName).add(tableName)
+      }
+
+      for (const [scopeName, scope] of Object.entries(scopes)) {
+        if (scope.vars.schemaInfo) dependenciesByScope.set(scopeName, new Set())
+      }
+
+      for (const scopeName of dependenciesByScope.keys()) {
+        const schemaInfo = scopes[scopeName].vars.schemaInfo
+
+        for (const fieldDef of Object.values(schemaInfo.schemaStructure || {})) {
+          if (fieldDef.belongsTo) addDependency(scopeName, fieldDef.belongsTo)
+        }
+
+        // Pivot rows point at the resource declaring the relationship
+        for (const relationship of Object.values(schemaInfo.schemaRelationships || {})) {
+          if (relationship?.through) addDependency(relationship.through, scopeName)
+        }
+      }
+
+      const tables = []
+      const seenTables = new Set()
+      for (const [scopeName, dependencies] of dependenciesByScope.entries()) {
+        const schemaInfo = scopes[scopeName].vars.schemaInfo
+        if (seenTables.has(schemaInfo.tableName)) continue
+        seenTables.add(schemaInfo.tableName)
+
+        const exists = await knexInstance.schema.hasTable(schemaInfo.tableName)
+        tables.push({
+          tableName: schemaInfo.tableName,
+          schema: buildScopeTableSchema(scopes[scopeName].vars),
+          snapshot: exists
+            ? await introspectKnexTableSnapshot(knexInstance, {
+              tableName: schemaInfo.tableName,
+              idColumn: schemaInfo.idProperty
+            })
+            : null,
+          dependencies: [...dependencies],
+          options: {
+            ...scopeTableOptions.get(scopeName),
+            idProperty: schemaInfo.idProperty
+          }
+        })
+      }
+
+      return generateKnexMigrationPlan(tables, {
+        ...options,
+        dialect: knexInstance?.client?.config?.client
+      })
+    }
+
+    /**
+     * Writes addResource() definitions for the tables of an existing database
+     * @param {object} [options={}] - { tables, exclude, idColumns: { [tableName]: column } }
+     * @returns {Promise<{ resources: object[], code: string, warnings: string[] }>}
+     */
+    api.rest.scaffoldFromDatabase = async (options = {}) => {
+      const knexInstance = api.knex.instance
+      const exclude = new Set(['knex_migrations', 'knex_migrations_lock', ...(options.exclude || [])])
+      if (vars.idempotency) exclude.add(vars.idempotency.tableName)
+      const tableNames = (options.tables || await listKnexTables(knexInstance))
+        .filter((tableName) => !exclude.has(tableName))
+
+      const snapshots = []
+      const warnings = []
+      for (const tableName of tableNames) {
+        try {
+          snapshots.push(await introspectKnexTableSnapshot(knexInstance, {
+            tableName,
+            idColumn: options.idColumns?.[tableName] || 'id'
+          }))
+        } catch (error) {
+          warnings.push(`${tableName}: Skipped, ${error.message}`)
+        }
+      }
+
+      const scaffold = scaffoldResourceDefinitions(snapshots)
+      return { ...scaffold, warnings: [...warnings, ...scaffold.warnings] }
+    }
+
     // Helper scope method to alter existing fields in a table
     addScopeMethod('alterKnexFields', async ({ vars, scope, scopeName, scopeOptions, runHooks, params }) => {
     // Validate required parameters
@@ -455,6 +644,7 @@ export const RestApiKnexPlugin = {
      * @param {string} params.context.schemaInfo.tableName - The database table name (e.g., 'basic_books')
      * @param {string} params.context.schemaInfo.idProperty - The primary key field name (e.g., 'id')
      * @param {Object} params.context.db - Database connection (knex instance or transaction)
+     * @param {boolean} [params.forUpdate] - Lock the row until the transaction ends
      * @returns {Promise<Object|null>} JSON:API formatted resource with belongsTo relationships, or null if not found
      */
     helpers.dataGetMinimal = async ({
@@ -463,7 +653,8 @@ export const RestApiKnexPlugin = {
       runHooks,
       applyQueryFilters,
       filters = context.queryParams?.filters,
-      queryPurpose = 'single'
+      queryPurpose = 'single',
+      forUpdate = false
     }) => {
       const storageAdapter = getScopeStorageAdapter(scopeName)
       if (storageAdapter) {
@@ -524,6 +715,10 @@ export const RestApiKnexPlugin = {
         }
       }
 
+      if (forUpdate && context.transaction && supportsRowLocks(db)) {
+        query = query.forUpdate()
+      }
+
       // Execute query
       const record = await query.first()
 
@@ -646,6 +841,14 @@ export const RestApiKnexPlugin = {
 
       await runHooks('knexQueryFiltering')
 
+      // filter[q] leaves its ranking behind; it sorts like a query field
+      if (context?.knexQuery?.fullTextRelevance) {
+        queryFieldRuntimeByField.set(RELEVANCE_SORT_FIELD, {
+          ...context.knexQuery.fullTextRelevance,
+          definition: { type: 'number' }
+        })
+      }
+
       // Clean up after hook execution
       if (context && context.knexQuery) {
         delete context.knexQuery
@@ -902,6 +1105,90 @@ export const RestApiKnexPlugin = {
       return buildJsonApiResponse(scope, records, included, false, scopeName, context)
     }
 
+    /**
+     * Builds the filtered collection query without running it
+     *
+     * The base query goes through knexQueryFiltering exactly like collection queries
+     * and their counts, so search filters, row policies and autofilters all apply.
+     * The query comes back wrapped: awaiting a knex builder runs it.
+     *
+     * @param {Object} params - The parameters object
+     * @param {string} params.scopeName - The name of the resource scope (e.g., 'orders')
+     * @param {Object} params.context - The context object containing request-specific data
+     * @param {Object} [params.context.queryParams.filters] - Validated search filters
+     * @param {Function} params.runHooks - Function to run hooks (e.g., 'knexQueryFiltering')
+     * @param {string} [params.queryPurpose='collection'] - Passed to the filtering hooks
+     * @returns {Promise<{query: Object, tableName: string}>} The unexecuted query and its table
+     */
+    helpers.dataFilteredQuery = async ({ scopeName, context, runHooks, queryPurpose = 'collection' }) => {
+      const storageAdapter = getScopeStorageAdapter(scopeName)
+      if (storageAdapter) {
+        context.storageAdapter = storageAdapter
+      }
+      const tableName = storageAdapter?.getTableName?.() || context.schemaInfo.tableName
+      const db = context.db || api.knex.instance
+
+      let query = db(tableName)
+
+      const previousKnexQuery = context.knexQuery
+      context.knexQuery = {
+        query,
+        filters: context.queryParams?.filters,
+        schemaInfo: context.schemaInfo,
+        scopeName,
+        tableName,
+        db,
+        queryPurpose,
+        adapter: storageAdapter,
+        storageAdapter
+      }
+
+      try {
+        await runHooks('knexQueryFiltering')
+        query = context.knexQuery?.query || query
+      } finally {
+        if (previousKnexQuery === undefined) {
+          delete context.knexQuery
+        } else {
+          context.knexQuery = previousKnexQuery
+        }
+      }
+
+      return { query, tableName }
+    }
+
+    /**
+     * Runs a grouped aggregate query over the filtered collection
+     *
+     * @param {Object} params - The parameters object
+     * @param {string} params.scopeName - The name of the resource scope (e.g., 'orders')
+     * @param {Object} params.context - The context object containing request-specific data
+     * @param {Object} params.context.aggregation - Normalized aggregation, see parseAggregationParams
+     * @param {Object} [params.context.queryParams.filters] - Validated search filters
+     * @param {Function} params.runHooks - Function to run hooks (e.g., 'knexQueryFiltering')
+     * @returns {Promise<Array<Object>>} Raw result rows, one per group
+     */
+    helpers.dataAggregate = async ({ scopeName, context, runHooks }) => {
+      const { query, tableName } = await helpers.dataFilteredQuery({
+        scopeName,
+        context,
+        runHooks,
+        queryPurpose: 'aggregate'
+      })
+      const storageAdapter = context.storageAdapter
+
+      log.debug(`[Knex] AGGREGATE ${tableName}`, context.aggregation)
+
+      // Columns are qualified because filter hooks may have joined other tables
+      applyAggregationToQuery({
+        query,
+        aggregation: context.aggregation,
+        resolveColumn: (field) => `${tableName}.${storageAdapter?.translateColumn?.(field) || field}`
+      })
+
+      return query
+    }
+
     /**
      * Creates a new resource in the database
      *
@@ -1052,9 +1339,15 @@ export const RestApiKnexPlugin = {
 
         // Update the record (replace all fields)
         if (Object.keys(finalAttributes).length > 0) {
-          await db(tableName)
-            .where(idProperty, id)
-            .update(finalAttributes)
+          const updated = await applyExpectedAttributes(
+            db(tableName).where(idProperty, id),
+            context.expectedAttributes,
+            storageAdapter?.translateColumn
+          ).update(finalAttributes)
+
+          if (updated === 0 && context.expectedAttributes) {
+            throw preconditionFailedError(scopeName, id)
+          }
         }
       }
     }
@@ -1128,9 +1421,15 @@ export const RestApiKnexPlugin = {
 
       // Update only if there are changes
       if (Object.keys(finalAttributes).length > 0) {
-        await db(tableName)
-          .where(idProperty, id)
-          .update(finalAttributes)
+        const updated = await applyExpectedAttributes(
+          db(tableName).where(idProperty, id),
+          context.expectedAttributes,
+          storageAdapter?.translateColumn
+        ).update(finalAttributes)
+
+        if (updated === 0 && context.expectedAttributes) {
+          throw preconditionFailedError(scopeName, id)
+        }
       }
     }
 
@@ -1178,9 +1477,15 @@ export const RestApiKnexPlugin = {
       }
 
       // Delete the record
-      await db(tableName)
-        .where(idProperty, id)
-        .delete()
+      const deleted = await applyExpectedAttributes(
+        db(tableName).where(idProperty, id),
+        context.expectedAttributes,
+        storageAdapter?.translateColumn
+      ).delete()
+
+      if (deleted === 0 && context.expectedAttributes) {
+        throw preconditionFailedError(scopeName, id)
+      }
 
       return { success: true }
     }
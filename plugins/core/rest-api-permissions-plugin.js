@@ -0,0 +1,271 @@
+import { RestApiResourceError } from '../../lib/rest-api-errors.js'
+import { runRowPolicy } from './lib/querying/row-policy-runner.js'
+import { getVisibleRelationshipParent } from './rest-api-plugin-methods/common.js'
+
+// Methods without a rule of their own use the rule of a closely related method
+const METHOD_FALLBACKS = {
+  put: 'patch',
+  aggregate: 'query',
+  getRelated: 'get',
+  getRelationship: 'get',
+  postRelationship: 'patch',
+  patchRelationship: 'patch',
+  deleteRelationship: 'patch'
+}
+
+// Methods that select many rows: ownership is enforced by the row policy, not per record
+const COLLECTION_METHODS = new Set(['query', 'aggregate'])
+
+// Methods that run checkPermissions in their own context, before the parent record is loaded
+const RELATIONSHIP_METHODS = new Set([
+  'getRelated',
+  'getRelationship',
+  'postRelationship',
+  'patchRelationship',
+  'deleteRelationship'
+])
+
+// Single-record lookups are visible under the `get` rule; everything else under the `query` rule
+const SINGLE_RECORD_PURPOSES = new Set(['single', 'relationship-parent', 'relationship-validation'])
+
+function createPermissionsError (message) {
+  const error = new Error(message)
+  error.code = 'REST_API_PERMISSIONS_CONTRACT'
+  return error
+}
+
+/**
+ * A grant is 'public', 'authenticated', or `{ roles, owner }`; both keys of the object form
+ * must hold. A rule is a grant or an array of grants, any of which allows the call.
+ * `false` (or an empty array) allows nobody.
+ */
+function normalizeGrant (grant, { scopeName, method, schemaStructure }) {
+  const label = `Permission rule '${method}' on resource '${scopeName}'`
+
+  if (grant === true || grant === 'public') return { public: true }
+  if (grant === 'authenticated') return { authenticated: true }
+
+  if (!grant || typeof grant !== 'object' || Array.isArray(grant)) {
+    throw createPermissionsError(`${label} must be 'public', 'authenticated', { roles, owner }, an array of those, or false.`)
+  }
+
+  const unknownKeys = Object.keys(grant).filter((key) => key !== 'roles' && key !== 'owner')
+  if (unknownKeys.length > 0) {
+    throw createPermissionsError(`${label} has unknown keys: ${unknownKeys.join(', ')}.`)
+  }
+
+  const roles = grant.roles === undefined ? null : [].concat(grant.roles)
+  if (roles && (roles.length === 0 || roles.some((role) => typeof role !== 'string' || !role))) {
+    throw createPermissionsError(`${label} needs roles to be a non-empty list of role names.`)
+  }
+
+  const owner = grant.owner ?? null
+  if (owner !== null && !schemaStructure[owner]) {
+    throw createPermissionsError(`${label} uses owner field '${owner}', which is not in the schema.`)
+  }
+
+  if (!roles && !owner) {
+    throw createPermissionsError(`${label} needs roles, owner, or both.`)
+  }
+
+  return { roles, owner }
+}
+
+function compilePermissions ({ scopeName, scopeOptions = {}, schemaStructure }) {
+  const definition = scopeOptions.permissions
+  if (definition === undefined || definition === null || definition === false) return null
+
+  if (typeof definition !== 'object' || Array.isArray(definition)) {
+    throw createPermissionsError(`Permissions for resource '${scopeName}' must be an object of rules by method.`)
+  }
+
+  const rules = {}
+  for (const [method, rule] of Object.entries(definition)) {
+    const grants = rule === false ? [] : [].concat(rule)
+    rules[method] = grants.map((grant) => normalizeGrant(grant, { scopeName, method, schemaStructure }))
+  }
+  return { rules }
+}
+
+// A method without a rule, a fallback rule or a default is denied
+function resolveGrants (compiled, method) {
+  return compiled.rules[method] ||
+    (METHOD_FALLBACKS[method] && compiled.rules[METHOD_FALLBACKS[method]]) ||
+    compiled.rules.default ||
+    []
+}
+
+function hasUser (auth) {
+  return auth?.userId !== undefined && auth?.userId !== null
+}
+
+function hasRoles (auth, roles) {
+  if (!roles) return true
+  const callerRoles = [].concat(auth?.roles || [])
+  return roles.some((role) => callerRoles.includes(role))
+}
+
+/**
+ * Splits the grants for a caller: granted outright, or only for the rows in `ownerFields`
+ * @returns {{ unrestricted: boolean, ownerFields: Array<string> }}
+ */
+function evaluateGrants (grants, auth) {
+  const ownerFields = []
+
+  for (const grant of grants) {
+    if (grant.public) return { unrestricted: true, ownerFields }
+    if (grant.authenticated) {
+      if (hasUser(auth)) return { unrestricted: true, ownerFields }
+      continue
+    }
+    if (!hasRoles(auth, grant.roles)) continue
+    if (!grant.owner) return { unrestricted: true, ownerFields }
+    if (hasUser(auth) && !ownerFields.includes(grant.owner)) ownerFields.push(grant.owner)
+  }
+
+  return { unrestricted: false, ownerFields }
+}
+
+// Owner fields that are belongsTo foreign keys live in relationships of JSON:API records
+function readOwner (record, field, schemaStructure) {
+  if (!record) return undefined
+  if (record.attributes && Object.prototype.hasOwnProperty.call(record.attributes, field)) {
+    return record.attributes[field]
+  }
+  const relationshipName = schemaStructure[field]?.as
+  const data = relationshipName ? record.relationships?.[relationshipName]?.data : undefined
+  return data === undefined ? undefined : data?.id ?? null
+}
+
+function isOwnedBy (record, field, auth, schemaStructure) {
+  const owner = readOwner(record, field, schemaStructure)
+  return owner !== undefined && owner !== null && String(owner) === String(auth.userId)
+}
+
+export const PermissionsPlugin = {
+  name: 'permissions',
+  dependencies: ['rest-api', 'rest-api-knex|rest-api-anyapi-knex'],
+
+  install ({ api, addHook, helpers, log, scopes }) {
+    if (!api.knex?.instance) {
+      throw new Error('PermissionsPlugin requires a storage plugin with knex support (rest-api-knex or rest-api-anyapi-knex).')
+    }
+
+    const schemaStructureOf = (scopeName) => scopes[scopeName]?.vars?.schemaInfo?.schemaStructure || {}
+
+    const forbidden = (scopeName, method, id) => new RestApiResourceError(
+      `Not allowed to ${method} ${scopeName}${id !== undefined && id !== null ? `/${id}` : ''}`,
+      { subtype: 'forbidden', resourceType: scopeName, resourceId: id }
+    )
+
+    addHook('scope:added', 'compile-permissions', {}, ({ context }) => {
+      const { scopeName, scopeOptions = {} } = context
+      const scope = scopes[scopeName]
+      const schemaStructure = scope?.vars?.schemaInfo?.schemaStructure || scopeOptions.schema || {}
+
+      const compiled = compilePermissions({ scopeName, scopeOptions, schemaStructure })
+      scope.vars.permissions = compiled && {
+        ...compiled,
+        // The rules, as a row policy: rows outside the read rule do not exist for the caller
+        rowPolicy: {
+          name: `<permissions:${scopeName}>`,
+          applyQuery: ({ query, context: queryContext, queryPurpose, column, value }) => {
+            const method = SINGLE_RECORD_PURPOSES.has(queryPurpose) ? 'get' : 'query'
+            const auth = queryContext.auth
+            const { unrestricted, ownerFields } = evaluateGrants(resolveGrants(compiled, method), auth)
+
+            if (unrestricted) return true
+            if (ownerFields.length === 0) return false
+
+            query.where(function permissionOwnerGrants () {
+              for (const field of ownerFields) {
+                this.orWhere(column(field), value(field, auth.userId))
+              }
+            })
+            return true
+          }
+        }
+      }
+    })
+
+    addHook('knexQueryFiltering', 'apply-permissions', {}, async (hookParams) => {
+      const { query, scopeName } = hookParams.context.knexQuery || {}
+      if (!query || !scopeName) return
+
+      const compiled = scopes[scopeName]?.vars?.permissions
+      if (!compiled) return
+
+      await runRowPolicy(hookParams, compiled.rowPolicy, { api, helpers })
+    })
+
+    addHook('checkPermissions', 'enforce-permissions', {}, async ({ context, scopeName, runHooks }) => {
+      const compiled = scopes[scopeName]?.vars?.permissions
+      if (!compiled) return
+
+      // scope.checkPermissions() gets the caller's context as originalContext; relationship
+      // methods run the hook in their own context
+      const callerContext = context.originalContext || context
+      const auth = callerContext.auth
+      let method = context.method
+      // A PUT that creates the record is a create
+      if (method === 'put' && callerContext.isCreate) method = 'post'
+
+      const { unrestricted, ownerFields } = evaluateGrants(resolveGrants(compiled, method), auth)
+      if (unrestricted) return
+      if (ownerFields.length === 0) throw forbidden(scopeName, method, callerContext.id)
+
+      // The row policy already limits collections to the caller's rows
+      if (COLLECTION_METHODS.has(method)) return
+
+      const schemaStructure = schemaStructureOf(scopeName)
+      let record = callerContext.minimalRecord
+      if (!record && RELATIONSHIP_METHODS.has(method)) {
+        // getRelationship checks before it has a connection of its own
+        const lookupContext = { ...context, db: context.db || context.transaction || api.knex.instance }
+        record = await getVisibleRelationshipParent({
+          context: lookupContext,
+          helpers,
+          scopeName,
+          // Hook handlers get runHooks(name, context); the storage helpers pass only the name
+          runHooks: (hookName) => runHooks(hookName, lookupContext)
+        })
+        // Not visible to the caller: the method itself answers 404
+        if (!record) return
+      }
+
+      const owns = (candidate) => ownerFields.some((field) => isOwnedBy(candidate, field, auth, schemaStructure))
+      if (!owns(record)) throw forbidden(scopeName, method, callerContext.id)
+
+      // Updates cannot hand the record to someone else
+      const input = callerContext.inputRecord?.data
+      if ((method === 'patch' || method === 'put') && input) {
+        const changesOwner = ownerFields.some((field) => {
+          const incoming = readOwner(input, field, schemaStructure)
+          return incoming !== undefined && !isOwnedBy(input, field, auth, schemaStructure)
+        })
+        if (changesOwner) throw forbidden(scopeName, method, callerContext.id)
+      }
+    })
+
+    api.permissions = {
+      getScopeConfig: (scopeName) => {
+        const compiled = scopes[scopeName]?.vars?.permissions
+        return compiled ? structuredClone(compiled.rules) : null
+      },
+
+      /**
+       * Whether a caller may call a method, as far as roles decide it
+       * @returns {'allow'|'owner'|'deny'} 'owner' when only rows the caller owns are allowed
+       */
+      check: ({ scopeName, method, auth }) => {
+        const compiled = scopes[scopeName]?.vars?.permissions
+        if (!compiled) return 'allow'
+        const { unrestricted, ownerFields } = evaluateGrants(resolveGrants(compiled, method), auth)
+        if (unrestricted) return 'allow'
+        return ownerFields.length > 0 ? 'owner' : 'deny'
+      }
+    }
+
+    log.info('Permissions plugin installed')
+  }
+}
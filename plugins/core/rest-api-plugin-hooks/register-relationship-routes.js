@@ -1,4 +1,5 @@
 import { parseJsonApiQuery } from '../lib/querying-writing/connectors-query-parser.js'
+import { IDEMPOTENCY_KEY_HEADER, IDEMPOTENT_REPLAY_HEADER } from '../lib/querying-writing/idempotency-helpers.js'
 
 export default async function registerRelationshipRoutes ({ context, api, log }) {
   const { scopeName } = context
@@ -7,7 +8,7 @@ export default async function registerRelationshipRoutes ({ context, api, log })
 
   // Helper to create route handlers
   const createRouteHandler = (methodName) => {
-    return async ({ params, body, queryString }) => {
+    return async ({ params, body, queryString, headers, context = {} }) => {
       const scope = api.scopes[scopeName]
 
       const methodParams = {
@@ -26,7 +27,17 @@ export default async function registerRelationshipRoutes ({ context, api, log })
         methodParams.relationshipData = body.data
       }
 
-      return await scope[methodName](methodParams)
+      // Retried relationship POSTs: the stored outcome is returned for a key already seen
+      if (methodName === 'postRelationship' && headers?.[IDEMPOTENCY_KEY_HEADER] !== undefined) {
+        context.idempotencyKey = headers[IDEMPOTENCY_KEY_HEADER]
+      }
+
+      const result = await scope[methodName](methodParams, context)
+
+      if (context.idempotentReplay && context.transport?.response?.headers) {
+        context.transport.response.headers[IDEMPOTENT_REPLAY_HEADER] = 'true'
+      }
+      return result
     }
   }
 
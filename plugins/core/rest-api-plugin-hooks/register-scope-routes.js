@@ -1,5 +1,6 @@
 import { RestApiResourceError } from '../../../lib/rest-api-errors.js'
-import { parseJsonApiQuery } from '../lib/querying-writing/connectors-query-parser.js'
+import { parseJsonApiQuery, parseAggregateQuery } from '../lib/querying-writing/connectors-query-parser.js'
+import { IDEMPOTENCY_KEY_HEADER, IDEMPOTENT_REPLAY_HEADER } from '../lib/querying-writing/idempotency-helpers.js'
 
 export default async function registerScopeRoutes ({ context, api, vars, log }) {
   const { scopeName } = context
@@ -34,6 +35,11 @@ export default async function registerScopeRoutes ({ context, api, vars, log })
         methodParams.isTransport = true
       }
 
+      if (methodName === 'aggregate') {
+        methodParams.queryParams = parseAggregateQuery(queryString)
+        methodParams.isTransport = true
+      }
+
       // Add body for write operations
       if (['post', 'put', 'patch'].includes(methodName)) {
         methodParams.inputRecord = body
@@ -45,9 +51,27 @@ export default async function registerScopeRoutes ({ context, api, vars, log })
         }
       }
 
+      // Conditional requests: the write methods compare If-Match with the current ETag
+      if (['put', 'patch', 'delete'].includes(methodName) && headers?.['if-match'] !== undefined) {
+        context.ifMatch = headers['if-match']
+      }
+
+      // Retried creates: post returns the stored response for a key it has already seen
+      if (methodName === 'post' && headers?.[IDEMPOTENCY_KEY_HEADER] !== undefined) {
+        context.idempotencyKey = headers[IDEMPOTENCY_KEY_HEADER]
+      }
+
       // Call the scope method
       const result = await scope[methodName](methodParams, context)
 
+      if (context.etag && context.transport?.response?.headers) {
+        context.transport.response.headers.ETag = context.etag
+      }
+
+      if (context.idempotentReplay && context.transport?.response?.headers) {
+        context.transport.response.headers[IDEMPOTENT_REPLAY_HEADER] = 'true'
+      }
+
       // Return the result (transport plugin handles response formatting)
       return result
     }
@@ -64,6 +88,15 @@ export default async function registerScopeRoutes ({ context, api, vars, log })
     routeMeta: { kind: 'resource', scopeName, operation: 'query' }
   })
 
+  // GET /api/{scope}/aggregate - Grouped counts and sums; registered before /:id so that
+  // 'aggregate' is not taken for a resource id
+  await api.addRoute({
+    method: 'GET',
+    path: `${scopePath}/aggregate`,
+    handler: createRouteHandler(scopeName, 'aggregate'),
+    routeMeta: { kind: 'resource', scopeName, operation: 'aggregate' }
+  })
+
   // GET /api/{scope}/{id} - Get single resource
   await api.addRoute({
     method: 'GET',
@@ -1,4 +1,5 @@
 import { normalizeReturnRecordSetting } from '../lib/querying-writing/return-record-settings.js'
+import { normalizeEtagConfig } from '../lib/querying-writing/etag-helpers.js'
 
 export default async function turnScopeInitIntoVars ({ context, scopes, vars: apiVars }) {
   // Refer to the scope's vars
@@ -10,6 +11,9 @@ export default async function turnScopeInitIntoVars ({ context, scopes, vars: ap
   vars.sortableFields = scopeOptions.sortableFields || []
   vars.defaultSort = scopeOptions.defaultSort || null
 
+  // Optimistic concurrency: ETags from a version column or from a hash of the record
+  vars.etag = normalizeEtagConfig(scopeOptions, context.scopeName)
+
   // The general ones that are also set at api level, but overrideable
   if (typeof scopeOptions.queryDefaultLimit !== 'undefined') vars.queryDefaultLimit = scopeOptions.queryDefaultLimit
   if (typeof scopeOptions.queryMaxLimit !== 'undefined') vars.queryMaxLimit = scopeOptions.queryMaxLimit
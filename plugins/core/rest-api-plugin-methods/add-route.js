@@ -4,8 +4,8 @@ import { ValidationError } from 'hooked-api'
  * addRoute
  * Registers a new route with the transport layer
  */
-export default async ({ params, context, runHooks }) => {
-  const { method, path, handler } = params
+export default async ({ params, context, vars, runHooks }) => {
+  const { method, path, handler, routeMeta } = params
 
   // Validate route configuration
   if (!method || !path || !handler) {
@@ -16,6 +16,9 @@ export default async ({ params, context, runHooks }) => {
   // Create context for enrichAttributes hooks
   Object.assign(context, params)
 
+  // Keep track of every route, so that the API can describe itself (see generateOpenApi)
+  vars.routes.push({ method: String(method).toUpperCase(), path, routeMeta: routeMeta || null })
+
   // Run the addRoute hook to notify transport plugins
   await runHooks('addRoute')
 
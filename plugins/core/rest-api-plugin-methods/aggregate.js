@@ -0,0 +1,90 @@
+import { getEffectiveSortableFields } from '../lib/querying/query-field-sort-helpers.js'
+import { getRequestContracts, validateRequestContractOrThrow } from '../lib/querying-writing/request-contracts.js'
+import { parseAggregationParams, normalizeAggregationRows } from '../lib/querying/aggregation-helpers.js'
+import { assertReadableQueryParams } from '../lib/querying-writing/field-access.js'
+
+/**
+ * AGGREGATE
+ * Groups a filtered collection and computes count, sum, avg, min or max for each group.
+ * This function answers a GET request to /api/{resourceType}/aggregate.
+ *
+ * Filters go through the same searchSchema validation as `query()`, and the storage
+ * runs every knexQueryFiltering hook, so row policies and autofilters apply.
+ *
+ * @param {object} [queryParams={}] - What to aggregate.
+ * @param {string|string[]} [queryParams.group] - Fields to group by, e.g. `'status'` or `['status', 'customer_id']`.
+ * @param {object} [queryParams.aggregates] - Result names mapped to `'fn'` or `'fn:field'`, e.g. `{ total: 'sum:amount', orders: 'count' }`.
+ * @param {object} [queryParams.filters] - Same filters as `query()`.
+ * @param {string|string[]} [queryParams.sort] - Group fields or aggregate names; prefix with '-' for descending order.
+ * @returns {Promise<object>} A Promise that resolves to `{ meta: { aggregates: [...] } }`, one entry per group.
+ */
+export default async function aggregateMethod ({
+  params,
+  context,
+  vars,
+  helpers,
+  scope,
+  scopes,
+  runHooks,
+  scopeName,
+  api
+}) {
+  context.method = 'aggregate'
+  context.scopeName = scopeName
+  context.schemaInfo = scopes[scopeName].vars.schemaInfo
+
+  const { group, aggregates, sort, filters } = params.queryParams || {}
+
+  context.transaction = params.transaction
+  context.db = context.transaction || api.knex.instance
+
+  // Only the filters are shared with query(); grouping and sorting are checked below
+  const requestContracts = getRequestContracts({
+    scopeName,
+    schemaInfo: context.schemaInfo,
+    includeDepthLimit: vars.includeDepthLimit,
+    sortableFields: getEffectiveSortableFields(vars)
+  })
+  const validatedRequest = validateRequestContractOrThrow(
+    requestContracts.query,
+    { queryParams: { filters: filters || {}, include: [], fields: {}, sort: [], page: {} } },
+    'Query parameters are invalid'
+  )
+
+  context.queryParams = { filters: validatedRequest.queryParams?.filters || {} }
+  context.aggregation = parseAggregationParams({ group, aggregates, sort }, {
+    scopeName,
+    schemaInfo: context.schemaInfo
+  })
+  await assertReadableQueryParams({
+    scopes,
+    scopeName,
+    context,
+    queryParams: { filters: context.queryParams.filters, group, aggregates }
+  })
+
+  await scope.checkPermissions({
+    method: 'aggregate',
+    originalContext: context
+  })
+
+  await runHooks('beforeData')
+  await runHooks('beforeDataAggregate')
+  const rows = await helpers.dataAggregate({
+    scopeName,
+    context,
+    runHooks
+  })
+
+  context.record = {
+    meta: {
+      aggregates: normalizeAggregationRows(rows, context.aggregation, context.schemaInfo)
+    }
+  }
+
+  // The called hooks should NOT change context.record
+  await runHooks('finish')
+  await runHooks('finishAggregate')
+
+  return context.record
+}
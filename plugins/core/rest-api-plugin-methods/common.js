@@ -5,6 +5,7 @@ import {
 import { transformSimplifiedToJsonApi } from '../lib/querying-writing/simplified-helpers.js'
 import { normalizeRelationshipIdentifiers } from '../lib/querying-writing/resource-id-normalization.js'
 import { createEnhancedLogger } from '../../../lib/enhanced-logger.js'
+import { computeRecordEtag } from '../lib/querying-writing/etag-helpers.js'
 import {
   normalizeReturnRecordMode,
   normalizeReturnRecordSetting
@@ -13,6 +14,7 @@ import {
   getRequestContracts,
   validateRequestContractOrThrow
 } from '../lib/querying-writing/request-contracts.js'
+import { assertWritableFields } from '../lib/querying-writing/field-access.js'
 
 export { normalizeReturnRecordMode as normalizeReturnValue }
 
@@ -222,9 +224,30 @@ export const getMethodHookSuffix = (method) => {
   return method.charAt(0).toUpperCase() + method.slice(1)
 }
 
+/**
+ * The record a create is about to write, in the shape of dataGetMinimal, so that
+ * permission checks can judge a new record the way they judge a stored one
+ *
+ * @param {Object} context - Write context with `inputRecord`; belongsTo keys already merged into its attributes
+ * @param {string} scopeName - The resource being created
+ * @returns {Object|undefined} undefined when there is no input document
+ */
+export const buildCreateMinimalRecord = (context, scopeName) => {
+  const inputData = context.inputRecord?.data
+  if (!inputData) return undefined
+
+  return {
+    type: scopeName,
+    ...(inputData.id !== undefined && inputData.id !== null ? { id: String(inputData.id) } : {}),
+    attributes: structuredClone(inputData.attributes || {}),
+    relationships: structuredClone(inputData.relationships || {})
+  }
+}
+
 export const validateCompleteReplacePayload = ({
   context,
-  belongsToUpdates
+  belongsToUpdates,
+  ignoredFields = []
 }) => {
   const schemaInfo = context.schemaInfo || {}
   const schemaStructure = schemaInfo.schemaStructure || {}
@@ -235,6 +258,7 @@ export const validateCompleteReplacePayload = ({
   for (const [fieldName, fieldDef] of Object.entries(schemaStructure)) {
     if (!fieldDef) continue
     if (fieldName === idProperty) continue
+    if (ignoredFields.includes(fieldName)) continue
     if (fieldDef.computed === true || fieldDef.virtual === true) continue
     if (fieldDef.type === undefined) continue
 
@@ -360,6 +384,15 @@ export const validateResourceAttributesBeforeWrite = async ({
     )
   }
 
+  // Reject fields whose canWrite() refuses the caller
+  await assertWritableFields({
+    context,
+    scopeName: context.scopeName,
+    schemaStructure,
+    values: { ...context.inputRecord.data.attributes, ...belongsToUpdates },
+    currentRecord: context.isUpdate ? context.minimalRecord : null
+  })
+
   // Filter out computed fields and foreign key fields from validation
   // Virtual fields MUST go through validation
   const attributesForValidation = Object.entries(attributesToValidate)
@@ -638,6 +671,7 @@ export async function handleRecordReturnAfterWrite ({
         runHooks
       })
       context.minimalRecord = currentRecord
+      if (vars?.etag) context.etag = computeRecordEtag(currentRecord, vars.etag)
     } catch (error) {
       enhancedLog.warn(`Could not fetch minimal record after ${context.method} operation`, { error, id: context.id })
     }
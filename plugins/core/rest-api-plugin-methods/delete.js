@@ -1,6 +1,7 @@
 import { RestApiResourceError } from '../../../lib/rest-api-errors.js'
 import { commitOwnedTransaction, handleWriteMethodError } from './common.js'
 import { requireExistingResourceId } from '../lib/querying-writing/resource-id-normalization.js'
+import { assertIfMatchPrecondition, lockRecordForIfMatch } from '../lib/querying-writing/etag-helpers.js'
 
 /**
  * DELETE
@@ -52,7 +53,8 @@ export default async function deleteMethod ({
     const minimalRecord = await helpers.dataGetMinimal({
       scopeName,
       context,
-      runHooks
+      runHooks,
+      forUpdate: lockRecordForIfMatch(context, vars.etag)
     })
 
     if (!minimalRecord) {
@@ -75,6 +77,9 @@ export default async function deleteMethod ({
       originalContext: context,
     })
 
+    // Optimistic concurrency: reject the delete if the client's ETag is stale
+    assertIfMatchPrecondition({ context, etagConfig: vars.etag, scopeName })
+
     // Before data operations
     await runHooks('beforeDataCall')
     await runHooks('beforeDataCallDelete')
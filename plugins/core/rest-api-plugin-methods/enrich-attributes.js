@@ -1,4 +1,5 @@
 import { filterHiddenFields } from '../lib/querying-writing/field-utils.js'
+import { stripUnreadableAttributes } from '../lib/querying-writing/field-access.js'
 
 /**
  * enrichAttributes
@@ -185,6 +186,9 @@ export default async function enrichAttributesMethod ({ context, params, runHook
     })
   }
 
+  // Remove fields whose canRead() refuses the caller
+  await stripUnreadableAttributes(finalAttributes, { scopes, scopeName, context: parentContext })
+
   // Create context for enrichAttributes hooks
   Object.assign(context, {
     parentContext,
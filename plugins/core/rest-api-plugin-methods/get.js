@@ -3,8 +3,10 @@ import { normalizeRecordAttributes } from '../lib/querying-writing/database-valu
 import { getRequestedComputedFields } from '../lib/querying-writing/knex-field-helpers.js'
 import { transformJsonApiToSimplified } from '../lib/querying-writing/simplified-helpers.js'
 import { getRequestContracts, validateRequestContractOrThrow } from '../lib/querying-writing/request-contracts.js'
+import { assertReadableQueryParams } from '../lib/querying-writing/field-access.js'
 import { requireExistingResourceId } from '../lib/querying-writing/resource-id-normalization.js'
 import { cascadeConfig } from './common.js'
+import { computeRecordEtag } from '../lib/querying-writing/etag-helpers.js'
 
 /**
  * GET
@@ -79,6 +81,7 @@ export default async function getMethod ({
 
   context.id = validatedRequest.id
   context.queryParams = validatedRequest.queryParams || {}
+  await assertReadableQueryParams({ scopes, scopeName, context, queryParams: context.queryParams })
 
   // Fetch minimal record for authorization checks
   const minimalRecord = await helpers.dataGetMinimal({
@@ -100,6 +103,9 @@ export default async function getMethod ({
 
   context.minimalRecord = minimalRecord
 
+  // Transports send this back as the ETag header
+  if (vars.etag) context.etag = computeRecordEtag(minimalRecord, vars.etag)
+
   // Centralised checkPermissions function
   await scope.checkPermissions({
     method: 'get',
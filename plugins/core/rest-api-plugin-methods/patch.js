@@ -2,6 +2,7 @@ import { RestApiResourceError, RestApiValidationError } from '../../../lib/rest-
 import { processRelationships } from '../lib/writing/relationship-processor.js'
 import { updateManyToManyRelationship } from '../lib/writing/many-to-many-manipulations.js'
 import { ERROR_SUBTYPES } from '../lib/querying-writing/knex-constants.js'
+import { assertIfMatchPrecondition, lockRecordForIfMatch, stampRecordVersion } from '../lib/querying-writing/etag-helpers.js'
 import { getRequestContracts, validateRequestContractOrThrow } from '../lib/querying-writing/request-contracts.js'
 import {
   requireDocumentResourceId,
@@ -132,7 +133,8 @@ export default async function patchMethod ({
     const minimalRecord = await helpers.dataGetMinimal({
       scopeName,
       context,
-      runHooks
+      runHooks,
+      forUpdate: lockRecordForIfMatch(context, vars.etag)
     })
 
     if (!minimalRecord) {
@@ -150,6 +152,9 @@ export default async function patchMethod ({
       originalContext: context,
     })
 
+    // Optimistic concurrency: reject the write if the client's ETag is stale
+    assertIfMatchPrecondition({ context, etagConfig: vars.etag, scopeName })
+
     // Merge belongsTo updates into attributes before patching the record
     if (Object.keys(belongsToUpdates).length > 0) {
       context.inputRecord.data.attributes = {
@@ -172,6 +177,8 @@ export default async function patchMethod ({
       )
     }
 
+    stampRecordVersion({ context, etagConfig: vars.etag })
+
     // Call the storage helper - should return the patched record
     await helpers.dataPatch({
       scopeName,
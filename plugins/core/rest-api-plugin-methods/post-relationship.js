@@ -7,6 +7,10 @@ import {
   validateRelationshipRoutePayload
 } from './common.js'
 import { createPivotRecords } from '../lib/writing/many-to-many-manipulations.js'
+import {
+  beginIdempotentRequest,
+  completeIdempotentRequest
+} from '../lib/querying-writing/idempotency-helpers.js'
 import {
   normalizeRelationshipIdentifiers,
   requireExistingResourceId
@@ -81,6 +85,19 @@ export default async function postRelationshipMethod ({ params, context, vars, h
       throw new RestApiResourceError('Resource not found', { subtype: 'not_found' })
     }
 
+    const idempotent = await beginIdempotentRequest({
+      config: vars.idempotency,
+      context,
+      db: context.transaction,
+      scopeName,
+      operation: 'postRelationship',
+      payload: params.relationshipData
+    })
+    if (idempotent?.replayed) {
+      await commitOwnedTransaction(context, runHooks)
+      return
+    }
+
     // Add relationships
     if (relDef?.through) {
       if (api.anyapi?.links?.attachMany) {
@@ -120,6 +137,8 @@ export default async function postRelationshipMethod ({ params, context, vars, h
     await runHooks('finish')
     await runHooks('finishPostRelationship')
 
+    await completeIdempotentRequest({ config: vars.idempotency, context, db: context.transaction })
+
     await commitOwnedTransaction(context, runHooks)
 
     // 204 No Content
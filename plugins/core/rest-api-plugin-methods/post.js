@@ -2,8 +2,14 @@ import { processRelationships } from '../lib/writing/relationship-processor.js'
 import { getRequestContracts, validateRequestContractOrThrow } from '../lib/querying-writing/request-contracts.js'
 import { createPivotRecords } from '../lib/writing/many-to-many-manipulations.js'
 import { requireDocumentResourceId } from '../lib/querying-writing/resource-id-normalization.js'
+import { stampRecordVersion } from '../lib/querying-writing/etag-helpers.js'
+import {
+  beginIdempotentRequest,
+  completeIdempotentRequest
+} from '../lib/querying-writing/idempotency-helpers.js'
 import {
   setupCommonRequest,
+  buildCreateMinimalRecord,
   validateResourceAttributesBeforeWrite,
   validateRelationshipAccess,
   applyFieldSetters,
@@ -18,6 +24,7 @@ import {
  * Creates a new resource. The request must include a JSON:API document with a 'data' object
  * containing 'type' and 'attributes'. It can also establish relationships to existing resources.
  * The returned document contains the created resource with its server-assigned ID.
+ * With `context.idempotencyKey`, a repeated request returns the stored response instead.
  */
 export default async function postMethod ({
   params,
@@ -48,6 +55,26 @@ export default async function postMethod ({
       helpers
     })
 
+    const idempotent = await beginIdempotentRequest({
+      config: vars.idempotency,
+      context,
+      db: context.transaction,
+      scopeName,
+      operation: 'post',
+      payload: context.inputRecord
+    })
+    if (idempotent?.replayed) {
+      // The stored response only goes to a caller who may still create the record
+      context.minimalRecord = buildCreateMinimalRecord(context, scopeName)
+      await scope.checkPermissions({
+        method: 'post',
+        originalContext: context,
+      })
+
+      await commitOwnedTransaction(context, runHooks)
+      return idempotent.response
+    }
+
     // Run early hooks for pre-processing (e.g., file handling)
     await runHooks('beforeProcessing')
     await runHooks('beforeProcessingPost')
@@ -99,13 +126,7 @@ export default async function postMethod ({
     })
 
     if (context.inputRecord?.data) {
-      const inputData = context.inputRecord.data
-      context.minimalRecord = {
-        type: scopeName,
-        ...(inputData.id !== undefined && inputData.id !== null ? { id: String(inputData.id) } : {}),
-        attributes: structuredClone(inputData.attributes || {}),
-        relationships: structuredClone(inputData.relationships || {})
-      }
+      context.minimalRecord = buildCreateMinimalRecord(context, scopeName)
     }
 
     // Centralised checkPermissions function
@@ -128,6 +149,8 @@ export default async function postMethod ({
       )
     }
 
+    stampRecordVersion({ context, etagConfig: vars.etag })
+
     // Create the main record - storage helper should return the created record with its ID
     context.id = await helpers.dataPost({
       scopeName,
@@ -169,6 +192,8 @@ export default async function postMethod ({
       log
     })
 
+    await completeIdempotentRequest({ config: vars.idempotency, context, db: context.transaction, response: ret })
+
     await commitOwnedTransaction(context, runHooks)
 
     return ret
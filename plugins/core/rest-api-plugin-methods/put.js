@@ -2,6 +2,7 @@ import { RestApiResourceError, RestApiValidationError } from '../../../lib/rest-
 import { processRelationships } from '../lib/writing/relationship-processor.js'
 import { updateManyToManyRelationship, createPivotRecords } from '../lib/writing/many-to-many-manipulations.js'
 import { ERROR_SUBTYPES } from '../lib/querying-writing/knex-constants.js'
+import { assertIfMatchPrecondition, lockRecordForIfMatch, stampRecordVersion } from '../lib/querying-writing/etag-helpers.js'
 import { getRequestContracts, validateRequestContractOrThrow } from '../lib/querying-writing/request-contracts.js'
 import {
   requireDocumentResourceId,
@@ -9,6 +10,7 @@ import {
 } from '../lib/querying-writing/resource-id-normalization.js'
 import {
   setupCommonRequest,
+  buildCreateMinimalRecord,
   validateCompleteReplacePayload,
   validateResourceAttributesBeforeWrite,
   validateRelationshipAccess,
@@ -136,7 +138,8 @@ export default async function putMethod ({
       const minimalRecord = await helpers.dataGetMinimal({
         scopeName,
         context,
-        runHooks
+        runHooks,
+        forUpdate: lockRecordForIfMatch(context, vars.etag)
       })
 
       if (!minimalRecord) {
@@ -151,7 +154,8 @@ export default async function putMethod ({
 
     validateCompleteReplacePayload({
       context,
-      belongsToUpdates
+      belongsToUpdates,
+      ignoredFields: vars.etag?.versionField ? [vars.etag.versionField] : []
     })
 
     await validateResourceAttributesBeforeWrite({
@@ -220,12 +224,20 @@ export default async function putMethod ({
       }
     }
 
+    // A PUT that creates is checked like a POST: against the record it is about to write
+    if (context.isCreate) {
+      context.minimalRecord = buildCreateMinimalRecord(context, scopeName)
+    }
+
     // Centralised checkPermissions function
     await scope.checkPermissions({
       method: 'put',
       originalContext: context,
     })
 
+    // Optimistic concurrency: a PUT that creates the record has no current ETag to match
+    assertIfMatchPrecondition({ context, etagConfig: vars.etag, scopeName })
+
     await runHooks('beforeDataCall')
     await runHooks('beforeDataCallPut')
 
@@ -240,6 +252,8 @@ export default async function putMethod ({
       )
     }
 
+    stampRecordVersion({ context, etagConfig: vars.etag })
+
     // Pass the operation type to the helper
     await helpers.dataPut({
       scopeName,
@@ -1,8 +1,10 @@
 import { normalizeRecordAttributes } from '../lib/querying-writing/database-value-normalizers.js'
 import { getRequestedComputedFields } from '../lib/querying-writing/knex-field-helpers.js'
 import { getEffectiveSortableFields } from '../lib/querying/query-field-sort-helpers.js'
+import { assertRelevanceSort } from '../lib/querying/full-text-search.js'
 import { transformJsonApiToSimplified } from '../lib/querying-writing/simplified-helpers.js'
 import { getRequestContracts, validateRequestContractOrThrow } from '../lib/querying-writing/request-contracts.js'
+import { assertReadableQueryParams } from '../lib/querying-writing/field-access.js'
 import { cascadeConfig } from './common.js'
 
 /**
@@ -83,6 +85,8 @@ export default async function queryMethod ({
     'Query parameters are invalid'
   )
   context.queryParams = validatedRequest.queryParams || {}
+  assertRelevanceSort({ queryParams: context.queryParams, schemaInfo: context.schemaInfo })
+  await assertReadableQueryParams({ scopes, scopeName, context, queryParams: context.queryParams })
 
   // Centralised checkPermissions function
   await scope.checkPermissions({
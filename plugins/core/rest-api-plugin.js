@@ -9,6 +9,7 @@ import registerRelationshipRoutes from './rest-api-plugin-hooks/register-relatio
 
 // Import method functions
 import queryMethod from './rest-api-plugin-methods/query.js'
+import aggregateMethod from './rest-api-plugin-methods/aggregate.js'
 import getMethod from './rest-api-plugin-methods/get.js'
 import postMethod from './rest-api-plugin-methods/post.js'
 import putMethod from './rest-api-plugin-methods/put.js'
@@ -22,12 +23,14 @@ import releaseMethod from './rest-api-plugin-methods/release.js'
 import { defaultDataHelpers } from './lib/querying-writing/default-data-helpers.js'
 import { DEFAULT_QUERY_LIMIT, DEFAULT_MAX_QUERY_LIMIT, DEFAULT_INCLUDE_DEPTH_LIMIT } from './lib/querying-writing/knex-constants.js'
 import { normalizeReturnRecordSetting } from './lib/querying-writing/return-record-settings.js'
+import { normalizeIdempotencyConfig, deleteExpiredIdempotencyKeys } from './lib/querying-writing/idempotency-helpers.js'
 
 import getRelatedMethod from './rest-api-plugin-methods/get-related.js'
 import postRelationshipMethod from './rest-api-plugin-methods/post-relationship.js'
 import getRelationshipMethod from './rest-api-plugin-methods/get-relationship.js'
 import patchRelationshipMethod from './rest-api-plugin-methods/patch-relationship.js'
 import deleteRelationshipMethod from './rest-api-plugin-methods/delete-relationship.js'
+import { buildOpenApiDocument } from './lib/openapi/openapi-document.js'
 import { defaultNormalizeResourceId } from './lib/querying-writing/resource-id-normalization.js'
 
 export const RestApiPlugin = {
@@ -78,6 +81,9 @@ export const RestApiPlugin = {
     vars.returnRecordApi = normalizeReturnRecordSetting(restApiOptions.returnRecordApi, 'full')
     vars.returnRecordTransport = normalizeReturnRecordSetting(restApiOptions.returnRecordTransport, 'no')
 
+    // Idempotency-Key handling for post, bulkPost and postRelationship; false ignores the keys
+    vars.idempotency = normalizeIdempotencyConfig(restApiOptions.idempotency)
+
     log.debug('returnRecordApi configuration:', vars.returnRecordApi)
     log.debug('returnRecordTransport configuration:', vars.returnRecordTransport)
 
@@ -85,6 +91,9 @@ export const RestApiPlugin = {
     vars.schemaProcessed = false
     vars.schema = null
 
+    // Routes registered through api.addRoute(), in registration order
+    vars.routes = []
+
     // ******************************
     // Scope (resources) added hooks
     // ******************************
@@ -102,6 +111,20 @@ export const RestApiPlugin = {
 
     addApiMethod('release', releaseMethod)
 
+    // Removes expired Idempotency-Key rows; run it on a schedule
+    api.rest.deleteExpiredIdempotencyKeys = () => deleteExpiredIdempotencyKeys({
+      config: vars.idempotency,
+      db: api.knex?.instance
+    })
+
+    // Describe the whole API as an OpenAPI 3.1 document
+    api.rest.generateOpenApi = (options = {}) => buildOpenApiDocument({
+      api,
+      scopes,
+      routes: vars.routes,
+      options
+    })
+
     // Main REST methods
     addScopeMethod('query', queryMethod)
     addScopeMethod('get', getMethod)
@@ -109,6 +132,7 @@ export const RestApiPlugin = {
     addScopeMethod('put', putMethod)
     addScopeMethod('patch', patchMethod)
     addScopeMethod('delete', deleteMethod)
+    addScopeMethod('aggregate', aggregateMethod)
 
     // Relationship methods
     addScopeMethod('getRelationship', getRelationshipMethod)
@@ -433,7 +433,7 @@ export const PositioningPlugin = {
 
       // Check if we have a transaction to use
       // Build base query with filter conditions
-      const baseQuery = adapter.buildBaseQuery({ transaction: context.transaction })
+      let baseQuery = adapter.buildBaseQuery({ transaction: context.transaction })
       Object.entries(filterConditions).forEach(([column, value]) => {
         if (value === null) {
           baseQuery.whereNull(column)
@@ -442,6 +442,23 @@ export const PositioningPlugin = {
         }
       })
 
+      // Plugins that scope every query (tenancy, autofilters) scope the position group too
+      const scope = api.resources[scopeName]
+      if (scope?.applyQueryFilters) {
+        const scopedQueryState = await scope.applyQueryFilters({
+          query: baseQuery,
+          filters: {},
+          schemaInfo,
+          scopeName,
+          tableName,
+          db: context.transaction || api.knex.instance,
+          isAnyApi: adapter.isCanonical(),
+          queryPurpose: 'positioning',
+          storageAdapter: adapter
+        }, { ...context })
+        baseQuery = scopedQueryState?.query || baseQuery
+      }
+
       // For updates, exclude the current record
       if ((context.method === 'patch' || context.method === 'put') && context.id) {
         const translatedId = adapter.translateFilterValue(idProperty, context.id)
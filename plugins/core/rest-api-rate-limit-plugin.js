@@ -0,0 +1,270 @@
+import { createHash } from 'node:crypto'
+import { compileRoutePath } from './connectors/lib/route-table.js'
+import { createMemoryRateLimitStore } from './lib/rate-limit/token-bucket-stores.js'
+
+const KEY_SOURCES = ['user', 'apiKey', 'ip']
+
+function createRateLimitError (message) {
+  const error = new Error(message)
+  error.code = 'REST_API_RATE_LIMIT_CONTRACT'
+  return error
+}
+
+/**
+ * A bucket is `{ capacity, refillPerSecond }`: bursts of up to `capacity` requests,
+ * then `refillPerSecond` on average. `false` lifts the limit.
+ */
+function normalizeBucket (definition, label) {
+  if (definition === undefined || definition === null) return undefined
+  if (definition === false) return false
+
+  const { capacity, refillPerSecond } = definition || {}
+  if (!Number.isInteger(capacity) || capacity < 1) {
+    throw createRateLimitError(`Rate limit '${label}' needs a positive integer capacity.`)
+  }
+  if (typeof refillPerSecond !== 'number' || !(refillPerSecond > 0)) {
+    throw createRateLimitError(`Rate limit '${label}' needs a positive refillPerSecond.`)
+  }
+  return { capacity, refillPerSecond }
+}
+
+/**
+ * `trustProxy` is the number of proxies in front of the server; `true` means one
+ */
+function normalizeTrustProxy (trustProxy) {
+  if (trustProxy === false) return 0
+  if (trustProxy === true) return 1
+  if (Number.isInteger(trustProxy) && trustProxy > 0) return trustProxy
+  throw createRateLimitError('Rate limit trustProxy must be false, true or a positive integer.')
+}
+
+function compileRules ({ limit, methods = {}, resources = {} }) {
+  const rules = new Map()
+  const add = (id, definition) => {
+    const bucket = normalizeBucket(definition, id)
+    if (bucket !== undefined) rules.set(id, bucket)
+  }
+
+  add('*', limit)
+  for (const [method, definition] of Object.entries(methods)) add(`*.${method}`, definition)
+  for (const [scopeName, perMethod] of Object.entries(resources)) {
+    for (const [method, definition] of Object.entries(perMethod || {})) {
+      add(method === 'default' ? `${scopeName}.*` : `${scopeName}.${method}`, definition)
+    }
+  }
+  return rules
+}
+
+/**
+ * The most specific rule wins: resource and method, then resource, then method, then the
+ * global limit. Each rule has its own buckets.
+ */
+function findRule (rules, scopeName, operation) {
+  const candidates = [
+    scopeName && operation ? `${scopeName}.${operation}` : null,
+    scopeName ? `${scopeName}.*` : null,
+    operation ? `*.${operation}` : null,
+    '*'
+  ]
+  for (const id of candidates) {
+    if (id && rules.has(id)) return { id, bucket: rules.get(id) }
+  }
+  return null
+}
+
+export const RateLimitPlugin = {
+  name: 'rate-limit',
+  dependencies: ['rest-api'],
+
+  install ({ api, addHook, vars, scopes, log, pluginOptions = {} }) {
+    const {
+      limit,
+      methods,
+      resources,
+      keyBy = KEY_SOURCES,
+      apiKeyHeader = 'x-api-key',
+      getKey = null,
+      store = createMemoryRateLimitStore(),
+      socketio = true,
+      onRejected = null,
+      trustProxy = false
+    } = pluginOptions
+
+    const rules = compileRules({ limit, methods, resources })
+    const proxyHops = normalizeTrustProxy(trustProxy)
+
+    for (const source of keyBy) {
+      if (!KEY_SOURCES.includes(source)) {
+        throw createRateLimitError(`Unknown rate limit key source '${source}'. Use ${KEY_SOURCES.join(', ')}.`)
+      }
+    }
+    if (typeof store?.consume !== 'function') {
+      throw createRateLimitError('Rate limit store must have a consume({ key, capacity, refillPerSecond }) method.')
+    }
+
+    /**
+     * The client's IP address. Without trusted proxies it is the peer of the connection:
+     * X-Forwarded-For is written by the client and would let it pick a fresh bucket.
+     * Each trusted proxy appends the address it was called from, so the client is the
+     * entry right before the last `proxyHops` ones; anything further left is unverified.
+     */
+    const clientAddressFor = ({ headers, socketAddress }) => {
+      if (!proxyHops) return socketAddress
+
+      const chain = String(headers?.['x-forwarded-for'] || '')
+        .split(',')
+        .map((address) => address.trim())
+        .filter(Boolean)
+      if (socketAddress) chain.push(socketAddress)
+      return chain[Math.max(0, chain.length - 1 - proxyHops)]
+    }
+
+    /**
+     * Who is asking: the authenticated user, else the API key, else the IP address.
+     * API keys are hashed, so stores never hold them in clear.
+     */
+    const clientKeyFor = ({ context, auth, headers, ip }) => {
+      if (getKey) return getKey(context)
+
+      for (const source of keyBy) {
+        if (source === 'user' && auth?.userId !== undefined && auth?.userId !== null) {
+          return `user:${auth.userId}`
+        }
+        if (source === 'apiKey' && headers?.[apiKeyHeader]) {
+          return `apikey:${createHash('sha256').update(String(headers[apiKeyHeader])).digest('hex').slice(0, 32)}`
+        }
+        if (source === 'ip' && ip) {
+          return `ip:${ip}`
+        }
+      }
+      return 'anonymous'
+    }
+
+    // Express and Fastify ask before routing, so the route is found here from vars.routes
+    let compiledRoutes = []
+    const findRoute = (method, path) => {
+      if (compiledRoutes.length !== vars.routes.length) {
+        compiledRoutes = vars.routes.map((route) => ({ ...route, ...compileRoutePath(route.path) }))
+      }
+
+      const upperMethod = String(method || '').toUpperCase()
+      const route = compiledRoutes.find((candidate) => candidate.method === upperMethod && candidate.regex.test(path))
+      if (!route) return { scopeName: null, operation: null }
+
+      // Routes without metadata (bulk, custom) count against their resource's limits
+      const mountPath = vars.transport?.mountPath || ''
+      const firstSegment = path.slice(mountPath.length).split('/').filter(Boolean)[0]
+      return {
+        scopeName: route.routeMeta?.scopeName || (scopes[firstSegment] ? firstSegment : null),
+        operation: route.routeMeta?.operation || null
+      }
+    }
+
+    /**
+     * Takes a token for the request
+     * @returns {Promise<Object|null>} null when no rule applies
+     */
+    const take = async ({ scopeName, operation, clientKey }) => {
+      const rule = findRule(rules, scopeName, operation)
+      if (!rule || rule.bucket === false) return null
+
+      const { capacity, refillPerSecond } = rule.bucket
+      const { allowed, tokens } = await store.consume({
+        key: `${rule.id}:${clientKey}`,
+        capacity,
+        refillPerSecond
+      })
+
+      return {
+        allowed,
+        rule: rule.id,
+        limit: capacity,
+        remaining: Math.max(0, Math.floor(tokens)),
+        // Seconds until the bucket is full again
+        reset: Math.ceil((capacity - tokens) / refillPerSecond),
+        // Seconds until the next token
+        retryAfter: allowed ? 0 : Math.max(1, Math.ceil((1 - tokens) / refillPerSecond)),
+        policy: `${capacity};w=${Math.ceil(capacity / refillPerSecond)}`
+      }
+    }
+
+    // Buckets are keyed on context.auth, so authentication has to run first, whatever the
+    // installation order; JwtAuthPlugin places itself before this hook when installed later
+    addHook('transport:request', 'rate-limit', { afterPlugin: 'jwt-auth' }, async ({ context }) => {
+      if (context.rejection) return
+
+      const request = context.transport?.request || {}
+      // CORS preflights are answered by the browser on the client's behalf
+      if (String(request.method).toUpperCase() === 'OPTIONS') return
+
+      const path = String(request.path || request.url || '').split('?')[0]
+      const { scopeName, operation } = findRoute(request.method, path)
+
+      const requestHeaders = request.headers || context.request?.headers
+      const outcome = await take({
+        scopeName,
+        operation,
+        clientKey: clientKeyFor({
+          context,
+          auth: context.auth,
+          headers: requestHeaders,
+          ip: clientAddressFor({ headers: requestHeaders, socketAddress: context.request?.remoteAddress })
+        })
+      })
+      if (!outcome) return
+
+      const headers = context.transport.response.headers
+      headers['RateLimit-Limit'] = String(outcome.limit)
+      headers['RateLimit-Remaining'] = String(outcome.remaining)
+      headers['RateLimit-Reset'] = String(outcome.reset)
+      headers['RateLimit-Policy'] = outcome.policy
+
+      if (outcome.allowed) return
+
+      headers['Retry-After'] = String(outcome.retryAfter)
+      await onRejected?.({ context, scopeName, operation, ...outcome })
+      context.reject(429, `Rate limit exceeded. Retry in ${outcome.retryAfter} seconds.`, {
+        title: 'Too Many Requests',
+        retryAfter: outcome.retryAfter
+      })
+    })
+
+    // Socket.IO events are limited like methods named after the event ('subscribe', ...),
+    // on the resource named in the payload
+    if (socketio) {
+      addHook('socketio:event', 'rate-limit', {}, async ({ context }) => {
+        if (context.rejection) return
+
+        const { socket, event, payload } = context
+        const scopeName = typeof payload?.resource === 'string' && scopes[payload.resource] ? payload.resource : null
+
+        const outcome = await take({
+          scopeName,
+          operation: event,
+          clientKey: clientKeyFor({
+            context,
+            auth: context.auth,
+            headers: socket.handshake?.headers,
+            ip: clientAddressFor({ headers: socket.handshake?.headers, socketAddress: socket.handshake?.address })
+          })
+        })
+        if (!outcome || outcome.allowed) return
+
+        await onRejected?.({ context, scopeName, operation: event, ...outcome })
+        context.rejection = {
+          code: 'RATE_LIMITED',
+          message: `Rate limit exceeded. Retry in ${outcome.retryAfter} seconds.`,
+          retryAfter: outcome.retryAfter
+        }
+      })
+    }
+
+    api.rateLimit = {
+      store,
+      // For custom routes and jobs: `{ allowed, limit, remaining, reset, retryAfter }`, or null
+      consume: ({ scopeName = null, operation = null, key }) => take({ scopeName, operation, clientKey: key })
+    }
+
+    log.info('Rate limit plugin installed', { rules: [...rules.keys()] })
+  }
+}
@@ -1,13 +1,7 @@
-import { createStorageAdapterUtilities } from './lib/querying/storage-adapter-utils.js'
+import { createRowPolicyError, runRowPolicy } from './lib/querying/row-policy-runner.js'
 
 const INLINE_POLICY_NAME = '<inline>'
 
-function createRowPolicyError (message, code = 'REST_API_ROW_POLICY_CONTRACT') {
-  const error = new Error(message)
-  error.code = code
-  return error
-}
-
 function compileRowPolicy ({ scopeName, scopeOptions = {}, policies }) {
   const definition = scopeOptions.rowPolicy
 
@@ -77,61 +71,13 @@ export const RowPolicyPlugin = {
     })
 
     addHook('knexQueryFiltering', 'apply-row-policy', {}, async (hookParams) => {
-      const { context } = hookParams
-      const {
-        query,
-        scopeName,
-        tableName,
-        db,
-        queryPurpose = 'unspecified',
-        isAnyApi = false,
-        storageAdapter: hookStorageAdapter
-      } = context.knexQuery || {}
-
+      const { query, scopeName } = hookParams.context.knexQuery || {}
       if (!query || !scopeName) return
 
       const compiledPolicy = scopes[scopeName]?.vars?.rowPolicy
       if (!compiledPolicy) return
 
-      const adapterUtils = createStorageAdapterUtilities(hookParams, {
-        getStorageAdapter: helpers.getStorageAdapter
-      })
-      const storageAdapter = hookStorageAdapter || adapterUtils.fetchStorageAdapter(scopeName)
-
-      const column = (field, options = {}) => {
-        const targetScopeName = options.scopeName || scopeName
-        const alias = Object.prototype.hasOwnProperty.call(options, 'alias')
-          ? options.alias
-          : adapterUtils.defaultAliasForScope(targetScopeName)
-        return adapterUtils.translateColumn(targetScopeName, field, alias)
-      }
-
-      const value = (field, rawValue, options = {}) => {
-        const targetScopeName = options.scopeName || scopeName
-        return adapterUtils.translateFilterValue(targetScopeName, field, rawValue)
-      }
-
-      const result = await compiledPolicy.applyQuery({
-        query,
-        context,
-        scopeName,
-        tableName,
-        queryPurpose,
-        db,
-        isAnyApi,
-        storageAdapter,
-        column,
-        value,
-        api
-      })
-
-      if (result === false) {
-        query.whereRaw('1 = 0')
-      } else if (result !== true) {
-        throw createRowPolicyError(
-          `Row policy '${compiledPolicy.name}' on resource '${scopeName}' must return true after applying its predicate, or false to deny all rows.`
-        )
-      }
+      await runRowPolicy(hookParams, compiledPolicy, { api, helpers })
     })
 
     api.rowPolicies = {
@@ -0,0 +1,265 @@
+import { RestApiResourceError } from '../../lib/rest-api-errors.js'
+import { createStorageAdapterUtilities } from './lib/querying/storage-adapter-utils.js'
+import { requireExistingResourceId } from './lib/querying-writing/resource-id-normalization.js'
+import { ERROR_SUBTYPES } from './lib/querying-writing/knex-constants.js'
+import { commitOwnedTransaction, handleWriteMethodError } from './rest-api-plugin-methods/common.js'
+
+const TRASHED_FILTER = 'trashed'
+const TRASHED_MODES = ['without', 'with', 'only']
+
+// Only the record(s) a request is about can be switched to 'with'/'only'.
+// Includes, relationship linkage and parent lookups always hide deleted rows.
+const PRIMARY_QUERY_PURPOSES = new Set(['collection', 'count', 'single', 'aggregate'])
+
+function createSoftDeleteError (message) {
+  const error = new Error(message)
+  error.code = 'REST_API_SOFT_DELETE_CONTRACT'
+  return error
+}
+
+function compileSoftDelete ({ scopeName, scopeOptions = {}, defaultField }) {
+  const definition = scopeOptions.softDelete
+
+  if (definition === undefined || definition === null || definition === false) {
+    return null
+  }
+
+  if (definition !== true && (typeof definition !== 'object' || Array.isArray(definition))) {
+    throw createSoftDeleteError(
+      `softDelete for resource '${scopeName}' must be true, false, or an object like { field: 'deleted_at' }.`
+    )
+  }
+
+  const field = (definition === true ? null : definition.field) || defaultField
+  if (!scopeOptions.schema?.[field]) {
+    throw createSoftDeleteError(
+      `Soft delete field '${field}' must be declared in the schema of resource '${scopeName}' (e.g. { type: 'dateTime', nullable: true }).`
+    )
+  }
+
+  return { field }
+}
+
+export const SoftDeletePlugin = {
+  name: 'soft-delete',
+  dependencies: ['rest-api', 'rest-api-knex|rest-api-anyapi-knex'],
+
+  install ({ api, addHook, addScopeMethod, helpers, log, scopes, pluginOptions = {} }) {
+    if (!api.knex?.instance) {
+      throw new Error('SoftDeletePlugin requires a storage plugin with knex support (rest-api-knex or rest-api-anyapi-knex).')
+    }
+
+    const defaultField = pluginOptions.field || 'deleted_at'
+    const hardDelete = helpers.dataDelete
+
+    // Runs before the schemas are compiled so that both storage plugins build
+    // their search schema with the trashed filter already in place
+    addHook('scope:added', 'compile-soft-delete', { beforeFunction: 'compileResourceSchemas' }, ({ context }) => {
+      const { scopeName, scopeOptions = {} } = context
+      const scope = scopes[scopeName]
+
+      scope.vars.softDelete = compileSoftDelete({ scopeName, scopeOptions, defaultField })
+      if (!scope.vars.softDelete) return
+
+      // filter[trashed] is handled by the knexQueryFiltering hook below; the search
+      // field only exists so that the query contract accepts it.
+      context.scopeOptions.searchSchema = {
+        ...(scopeOptions.searchSchema || {}),
+        [TRASHED_FILTER]: {
+          type: 'string',
+          enum: TRASHED_MODES,
+          applyFilter: () => {}
+        }
+      }
+    })
+
+    addHook('knexQueryFiltering', 'apply-soft-delete', {}, async (hookParams) => {
+      const { context } = hookParams
+      const {
+        query,
+        filters,
+        scopeName,
+        queryPurpose = 'unspecified'
+      } = context.knexQuery || {}
+
+      if (!query || !scopeName) return
+
+      const config = scopes[scopeName]?.vars?.softDelete
+      if (!config) return
+
+      const mode = PRIMARY_QUERY_PURPOSES.has(queryPurpose)
+        ? (filters?.[TRASHED_FILTER] || context.trashed || 'without')
+        : 'without'
+
+      if (mode === 'with') return
+
+      const adapterUtils = createStorageAdapterUtilities(hookParams, {
+        getStorageAdapter: helpers.getStorageAdapter
+      })
+      const columnRef = adapterUtils.translateColumn(scopeName, config.field)
+
+      if (mode === 'only') {
+        query.whereNotNull(columnRef)
+      } else {
+        query.whereNull(columnRef)
+      }
+    })
+
+    // DELETE keeps going through the normal method (permissions, hooks, transaction);
+    // only the storage call is swapped for an update of the soft delete column.
+    helpers.dataDelete = async (deleteParams) => {
+      const { scopeName, context } = deleteParams
+      const config = scopes[scopeName]?.vars?.softDelete
+
+      if (!config || context.purge === true) {
+        return hardDelete(deleteParams)
+      }
+
+      await writeSoftDeleteColumn({ scopeName, context, value: new Date() })
+      context.softDeleted = true
+
+      return { success: true, softDeleted: true }
+    }
+
+    const writeSoftDeleteColumn = async ({ scopeName, context, value }) => {
+      const config = scopes[scopeName].vars.softDelete
+      const previousInputRecord = context.inputRecord
+
+      context.inputRecord = {
+        data: {
+          type: scopeName,
+          id: String(context.id),
+          attributes: { [config.field]: value }
+        }
+      }
+
+      try {
+        await helpers.dataPatch({ scopeName, context })
+      } finally {
+        context.inputRecord = previousInputRecord
+      }
+    }
+
+    const prepareSoftDeleteCall = async ({ method, params, context, scopes, scopeName, scopeOptions, vars }) => {
+      if (!scopes[scopeName].vars.softDelete) {
+        throw createSoftDeleteError(`Resource '${scopeName}' does not have soft delete enabled.`)
+      }
+
+      context.method = method
+      context.scopeName = scopeName
+      context.schemaInfo = scopes[scopeName].vars.schemaInfo
+      context.id = requireExistingResourceId(params.id, {
+        scopeOptions,
+        vars,
+        scopeName
+      })
+
+      context.transaction = params.transaction ||
+        (helpers.newTransaction ? await helpers.newTransaction() : null)
+      context.shouldCommit = !params.transaction && !!context.transaction
+      context.db = context.transaction || api.knex.instance
+    }
+
+    const fetchTargetRecord = async ({ context, scope, scopeName, runHooks }) => {
+      const minimalRecord = await helpers.dataGetMinimal({
+        scopeName,
+        context,
+        runHooks
+      })
+
+      if (!minimalRecord) {
+        throw new RestApiResourceError(
+          'Resource not found',
+          {
+            subtype: ERROR_SUBTYPES.NOT_FOUND,
+            resourceType: scopeName,
+            resourceId: context.id
+          }
+        )
+      }
+
+      context.originalMinimalRecord = minimalRecord
+      context.minimalRecord = minimalRecord
+
+      await scope.checkPermissions({
+        method: context.method,
+        originalContext: context,
+      })
+    }
+
+    /**
+     * RESTORE
+     * Clears the soft delete column of a deleted record.
+     * Only deleted records can be restored; anything else is a 404.
+     * Returns the restored record, like GET.
+     */
+    addScopeMethod('restore', async (methodParams) => {
+      const { params, context, scope, scopeName, runHooks } = methodParams
+      await prepareSoftDeleteCall({ ...methodParams, method: 'restore' })
+
+      try {
+        context.trashed = 'only'
+        await fetchTargetRecord({ context, scope, scopeName, runHooks })
+        delete context.trashed
+
+        await runHooks('beforeDataCall')
+        await runHooks('beforeDataCallRestore')
+
+        await writeSoftDeleteColumn({ scopeName, context, value: null })
+
+        await runHooks('afterDataCallRestore')
+        await runHooks('afterDataCall')
+
+        const record = await scope.get({
+          id: context.id,
+          transaction: context.transaction,
+          simplified: params.simplified
+        }, { ...context })
+
+        await runHooks('finish')
+        await runHooks('finishRestore')
+
+        await commitOwnedTransaction(context, runHooks)
+
+        return record
+      } catch (error) {
+        delete context.trashed
+        await handleWriteMethodError(error, context, 'RESTORE', scopeName, log, runHooks)
+      }
+    })
+
+    /**
+     * PURGE
+     * Permanently deletes a record, whether it was soft deleted or not.
+     */
+    addScopeMethod('purge', async (methodParams) => {
+      const { context, scope, scopeName, runHooks } = methodParams
+      await prepareSoftDeleteCall({ ...methodParams, method: 'purge' })
+
+      try {
+        context.trashed = 'with'
+        await fetchTargetRecord({ context, scope, scopeName, runHooks })
+        delete context.trashed
+
+        await runHooks('beforeDataCall')
+        await runHooks('beforeDataCallPurge')
+
+        context.purge = true
+        await helpers.dataDelete({ scopeName, context })
+
+        await runHooks('afterDataCallPurge')
+        await runHooks('afterDataCall')
+
+        await runHooks('finish')
+        await runHooks('finishPurge')
+
+        await commitOwnedTransaction(context, runHooks)
+      } catch (error) {
+        delete context.trashed
+        await handleWriteMethodError(error, context, 'PURGE', scopeName, log, runHooks)
+      }
+    })
+
+    log.info('Soft delete plugin installed', { field: defaultField })
+  }
+}
@@ -0,0 +1,209 @@
+import { RestApiResourceError, RestApiValidationError } from '../../lib/rest-api-errors.js'
+import { createStorageAdapterUtilities } from './lib/querying/storage-adapter-utils.js'
+
+function createTenancyError (message) {
+  const error = new Error(message)
+  error.code = 'REST_API_TENANCY_CONTRACT'
+  return error
+}
+
+function defaultResolveTenant ({ context }) {
+  return context.tenantId ?? context.auth?.tenant
+}
+
+/**
+ * A resource is scoped when its schema declares the tenant field, unless it sets
+ * `tenancy: false`. `tenancy: true` insists on the field; `{ field }` names another one.
+ */
+function compileTenancy ({ scopeName, scopeOptions = {}, defaultField }) {
+  const definition = scopeOptions.tenancy
+
+  if (definition === false) return null
+
+  if (definition !== undefined && definition !== true && (typeof definition !== 'object' || definition === null || Array.isArray(definition))) {
+    throw createTenancyError(
+      `tenancy for resource '${scopeName}' must be true, false, or an object like { field: 'tenant_id' }.`
+    )
+  }
+
+  const field = (typeof definition === 'object' ? definition.field : null) || defaultField
+  const fieldDef = scopeOptions.schema?.[field]
+
+  if (!fieldDef) {
+    if (definition === undefined) return null
+    throw createTenancyError(
+      `Tenant field '${field}' must be declared in the schema of resource '${scopeName}' (e.g. { type: 'string', required: true, hidden: true }).`
+    )
+  }
+
+  if (fieldDef.virtual === true || fieldDef.computed === true || fieldDef.belongsTo) {
+    throw createTenancyError(
+      `Tenant field '${field}' on resource '${scopeName}' must be a plain stored attribute.`
+    )
+  }
+
+  return { field }
+}
+
+/**
+ * Unique values and lookups are per tenant: every generated index starts with the tenant column
+ * @returns {{ schema: Object, indexes: Array<Object> }} Replacements for the scope options
+ */
+function scopeIndexesToTenant ({ schema, indexes = [] }, field) {
+  const scopedSchema = {}
+  const scopedIndexes = []
+
+  for (const [fieldName, fieldDef] of Object.entries(schema)) {
+    const indexed = fieldDef.unique === true || fieldDef.index === true
+    if (fieldName === field || fieldDef.type === 'id' || !indexed) {
+      scopedSchema[fieldName] = fieldDef
+      continue
+    }
+
+    const { unique, index, ...rest } = fieldDef
+    scopedSchema[fieldName] = rest
+    scopedIndexes.push({ columns: [field, fieldName], unique: unique === true })
+  }
+
+  for (const indexDef of indexes) {
+    const columns = [].concat(indexDef?.columns ?? [])
+    scopedIndexes.push(columns[0] === field
+      ? indexDef
+      : { ...indexDef, columns: [field, ...columns.filter((column) => column !== field)] })
+  }
+
+  // Lookups by tenant alone need an index too
+  const tenantDef = scopedSchema[field]
+  const tenantLeadsAnIndex = scopedIndexes.some((indexDef) => [].concat(indexDef.columns)[0] === field)
+  if (!tenantLeadsAnIndex && tenantDef.index !== true && tenantDef.unique !== true) {
+    scopedSchema[field] = { ...tenantDef, index: true }
+  }
+
+  return { schema: scopedSchema, indexes: scopedIndexes }
+}
+
+function buildTenantConsistencyError (field, tenant) {
+  const fieldPath = `data.attributes.${field}`
+  return new RestApiValidationError(
+    `Tenant field '${field}' must match the tenant of the request`,
+    {
+      fields: [fieldPath],
+      violations: [{
+        field: fieldPath,
+        rule: 'tenant_consistency',
+        message: `Field must match tenant '${tenant}'`
+      }]
+    }
+  )
+}
+
+export const TenancyPlugin = {
+  name: 'tenancy',
+  dependencies: ['rest-api', 'rest-api-knex'],
+
+  install ({ api, addHook, helpers, log, scopes, pluginOptions = {} }) {
+    if (!api.knex?.instance) {
+      throw new Error('TenancyPlugin requires the rest-api-knex storage plugin.')
+    }
+
+    const defaultField = pluginOptions.field || 'tenant_id'
+    const resolveTenant = pluginOptions.resolveTenant || defaultResolveTenant
+    if (typeof resolveTenant !== 'function') {
+      throw createTenancyError('TenancyPlugin resolveTenant must be a function.')
+    }
+
+    // Calls without a tenant see nothing and write nothing
+    const requireTenant = async ({ context, scopeName }) => {
+      const tenant = await resolveTenant({ context, scopeName, api })
+      if (tenant === undefined || tenant === null || tenant === '') {
+        throw new RestApiResourceError(
+          `No tenant for ${scopeName}`,
+          { subtype: 'forbidden', resourceType: scopeName }
+        )
+      }
+      return tenant
+    }
+
+    // Runs before the schemas are compiled, so that schemaInfo and createKnexTable()
+    // see the tenant-scoped indexes
+    addHook('scope:added', 'compile-tenancy', { beforeFunction: 'compileResourceSchemas' }, ({ context }) => {
+      const { scopeName, scopeOptions = {} } = context
+      const scope = scopes[scopeName]
+
+      scope.vars.tenancy = compileTenancy({ scopeName, scopeOptions, defaultField })
+      if (!scope.vars.tenancy) return
+
+      const { schema, indexes } = scopeIndexesToTenant(scopeOptions, scope.vars.tenancy.field)
+      context.scopeOptions.schema = schema
+      context.scopeOptions.indexes = indexes
+    })
+
+    addHook('knexQueryFiltering', 'tenancy-scope', {}, async (hookParams) => {
+      const { context } = hookParams
+      const { query, tableName, scopeName } = context.knexQuery || {}
+      if (!query || !scopeName) return
+
+      const config = scopes[scopeName]?.vars?.tenancy
+      if (!config) return
+
+      const tenant = await requireTenant({ context, scopeName })
+      const adapterUtils = createStorageAdapterUtilities(hookParams, {
+        getStorageAdapter: helpers.getStorageAdapter
+      })
+
+      query.where(
+        adapterUtils.translateColumn(scopeName, config.field, tableName),
+        adapterUtils.translateFilterValue(scopeName, config.field, tenant)
+      )
+    })
+
+    // Creates and replacements get the tenant of the request; a different one is an error
+    const stampTenant = async ({ context, scopeName, injectMissing }) => {
+      const config = scopes[scopeName]?.vars?.tenancy
+      if (!config || !context.inputRecord?.data) return
+
+      const tenant = await requireTenant({ context, scopeName })
+      const data = context.inputRecord.data
+      data.attributes = data.attributes || {}
+
+      const current = data.attributes[config.field]
+      if (current !== undefined) {
+        if (current === null || String(current) !== String(tenant)) {
+          throw buildTenantConsistencyError(config.field, tenant)
+        }
+        return
+      }
+
+      if (injectMissing) {
+        data.attributes[config.field] = tenant
+      }
+    }
+
+    addHook('beforeProcessingPost', 'tenancy-stamp-post', {}, async ({ context, scopeName }) => {
+      await stampTenant({ context, scopeName, injectMissing: true })
+    })
+
+    addHook('beforeProcessingPut', 'tenancy-stamp-put', {}, async ({ context, scopeName }) => {
+      await stampTenant({ context, scopeName, injectMissing: true })
+    })
+
+    addHook('beforeProcessingPatch', 'tenancy-validate-patch', {}, async ({ context, scopeName }) => {
+      await stampTenant({ context, scopeName, injectMissing: false })
+    })
+
+    api.tenancy = {
+      getScopeConfig: (scopeName) => {
+        const config = scopes[scopeName]?.vars?.tenancy
+        return config ? { ...config } : null
+      },
+
+      /**
+       * The tenant a call runs for
+       * @returns {Promise<*>} The resolved tenant; throws a forbidden error when there is none
+       */
+      resolve: (context = {}, scopeName) => requireTenant({ context, scopeName })
+    }
+
+    log.info('Tenancy plugin installed', { field: defaultField })
+  }
+}
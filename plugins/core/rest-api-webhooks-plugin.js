@@ -0,0 +1,536 @@
+import crypto from 'node:crypto'
+import { RestApiValidationError } from '../../lib/rest-api-errors.js'
+import { createWebhookUrlPolicy } from './lib/webhooks/webhook-url-policy.js'
+
+// Writes turned into events, and the event each one becomes
+const WEBHOOK_METHODS = new Set(['post', 'put', 'patch', 'delete'])
+const SUBSCRIPTION_WRITE_METHODS = new Set(['post', 'put', 'patch'])
+const EVENT_TYPES = ['created', 'updated', 'deleted']
+
+const DELIVERY_STATUSES = {
+  PENDING: 'pending',
+  DELIVERED: 'delivered',
+  FAILED: 'failed'
+}
+
+function createWebhooksError (message) {
+  const error = new Error(message)
+  error.code = 'REST_API_WEBHOOKS_CONTRACT'
+  return error
+}
+
+function buildUrlError (problem) {
+  return new RestApiValidationError(
+    `Webhook URL ${problem}`,
+    {
+      fields: ['data.attributes.url'],
+      violations: [{
+        field: 'data.attributes.url',
+        rule: 'webhook_url',
+        message: `URL ${problem}`
+      }]
+    }
+  )
+}
+
+function eventTypeFor (context) {
+  if (context.method === 'delete') return 'deleted'
+  if (context.method === 'post') return 'created'
+  if (context.method === 'put' && context.isCreate === true) return 'created'
+  return 'updated'
+}
+
+/**
+ * `events` is stored as a comma-separated list: 'created,deleted', or '*' for all of them
+ */
+function parseEventList (value) {
+  const events = String(value ?? '*').split(',').map((event) => event.trim()).filter(Boolean)
+  return events.length ? events : ['*']
+}
+
+/**
+ * Signature sent in the X-Webhook-Signature header: HMAC-SHA256 over
+ * `${timestamp}.${body}`, so a captured request cannot be replayed with a new timestamp
+ *
+ * @param {Object} params
+ * @param {string} params.secret - The subscription's secret
+ * @param {string} params.body - The raw request body
+ * @param {number|string} params.timestamp - Unix seconds, from X-Webhook-Timestamp
+ * @returns {string} 'sha256=<hex>'
+ */
+export function signWebhookPayload ({ secret, body, timestamp }) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')
+  return `sha256=${digest}`
+}
+
+/**
+ * Checks a received webhook. Receivers should use it on the raw body, before parsing it.
+ *
+ * @param {Object} params
+ * @param {string} params.secret
+ * @param {string} params.body - The raw request body
+ * @param {number|string} params.timestamp - X-Webhook-Timestamp
+ * @param {string} params.signature - X-Webhook-Signature
+ * @param {number} [params.tolerance=300] - Maximum age of the timestamp, in seconds
+ * @returns {boolean}
+ */
+export function verifyWebhookSignature ({ secret, body, timestamp, signature, tolerance = 300 }) {
+  const age = Math.abs(Date.now() / 1000 - Number(timestamp))
+  if (!Number.isFinite(age) || age > tolerance) return false
+
+  const expected = Buffer.from(signWebhookPayload({ secret, body, timestamp }))
+  const received = Buffer.from(String(signature || ''))
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received)
+}
+
+export const WebhooksPlugin = {
+  name: 'webhooks',
+  dependencies: ['rest-api', 'rest-api-knex|rest-api-anyapi-knex'],
+
+  async install ({ api, addHook, helpers, log, scopes, pluginOptions = {} }) {
+    if (!api.knex?.instance) {
+      throw new Error('WebhooksPlugin requires a storage plugin with knex support (rest-api-knex or rest-api-anyapi-knex).')
+    }
+
+    const {
+      resourceName = 'webhook_subscriptions',
+      subscriptionsTableName = resourceName,
+      outboxTableName = 'webhook_outbox',
+      createTables = true,
+      maxAttempts = 8,
+      backoff = {},
+      timeout = 10000,
+      worker = {},
+      urlPolicy = {},
+      permissions,
+      public: isPublic = false
+    } = pluginOptions
+
+    const { baseDelay = 30000, maxDelay = 6 * 60 * 60 * 1000 } = backoff
+    const { autoStart = false, interval = 5000, batchSize = 20 } = worker
+
+    if (!Number.isInteger(maxAttempts) || maxAttempts < 1) {
+      throw createWebhooksError('WebhooksPlugin maxAttempts must be a positive integer.')
+    }
+
+    const knex = api.knex.instance
+    const { describeProblem, resolveProblem } = createWebhookUrlPolicy(urlPolicy)
+
+    // Subscribing a URL sends it the data of every write: nobody can, unless the app says who
+    if (!permissions && isPublic !== true) {
+      throw createWebhooksError(
+        `WebhooksPlugin needs a permissions option for '${resourceName}', or public: true to let every caller subscribe.`
+      )
+    }
+    if (permissions && !api.permissions) {
+      throw createWebhooksError('WebhooksPlugin permissions need PermissionsPlugin: install it before WebhooksPlugin.')
+    }
+
+    await api.addResource(resourceName, {
+      schema: {
+        id: { type: 'id' },
+        url: { type: 'string', required: true, maxLength: 2000 },
+        // Comma-separated: created, updated, deleted, or '*'
+        events: { type: 'string', maxLength: 200, defaultTo: '*' },
+        // Resource the subscription listens to; null for all of them
+        resource: { type: 'string', nullable: true, maxLength: 200, search: true },
+        secret: { type: 'string', required: true, maxLength: 500, hidden: true },
+        active: { type: 'boolean', defaultTo: true, search: true },
+        // Who created the subscription: { auth, tenantId }. Payloads are read as them.
+        subscriber: {
+          type: 'object',
+          nullable: true,
+          hidden: true,
+          setter: (value) => (value === null || value === undefined ? null : JSON.stringify(value))
+        }
+      },
+      tableName: subscriptionsTableName,
+      ...(permissions ? { permissions } : {})
+    })
+
+    if (createTables) {
+      if (!(await knex.schema.hasTable(subscriptionsTableName))) {
+        await api.resources[resourceName].createKnexTable()
+      }
+
+      if (!(await knex.schema.hasTable(outboxTableName))) {
+        await knex.schema.createTable(outboxTableName, (table) => {
+          table.increments('id')
+          table.string('subscription_id').notNullable()
+          table.string('event').notNullable()
+          table.string('resource_type').notNullable()
+          table.string('resource_id').notNullable()
+          table.text('payload').notNullable()
+          table.string('status').notNullable()
+          table.integer('attempts').notNullable().defaultTo(0)
+          table.timestamp('next_attempt_at')
+          table.timestamp('locked_until').nullable()
+          table.integer('response_status').nullable()
+          table.text('last_error').nullable()
+          table.timestamp('created_at')
+          table.timestamp('delivered_at').nullable()
+          table.index(['status', 'next_attempt_at'])
+        })
+      }
+    }
+
+    const parseSubscriber = (value) => {
+      if (typeof value !== 'string') return value ?? null
+      try {
+        return JSON.parse(value)
+      } catch {
+        return null
+      }
+    }
+
+    /**
+     * Active subscriptions to the event, read straight from their table: the caller of the
+     * write does not matter here. What each subscription may see is checked by readAs().
+     */
+    const matchingSubscriptions = async ({ event, db }) => {
+      const adapter = helpers.getStorageAdapter(resourceName)
+      const column = (field) => adapter.translateColumn(field)
+
+      const rows = await adapter.buildBaseQuery({ transaction: db })
+        .where(column('active'), adapter.translateFilterValue('active', true))
+        .where((query) => query
+          .whereNull(column('resource'))
+          .orWhere(column('resource'), '')
+          .orWhere(column('resource'), event.scopeName))
+        .orderBy(adapter.getIdColumn(), 'asc')
+
+      return rows
+        .map((row) => ({
+          id: adapter.getFieldValue(row, 'id'),
+          events: adapter.getFieldValue(row, 'events'),
+          subscriber: parseSubscriber(adapter.getFieldValue(row, 'subscriber'))
+        }))
+        .filter((subscription) => {
+          const events = parseEventList(subscription.events)
+          return events.includes('*') || events.includes(event.type)
+        })
+    }
+
+    /**
+     * The record as the subscriber would get it from the API: row rules, tenancy, canRead
+     * and hidden fields all apply. Null when the subscriber cannot see it.
+     */
+    const readAs = async ({ subscriber, scopeName, id, db }) => {
+      try {
+        const result = await api.resources[scopeName].get(
+          { id, transaction: db, simplified: false },
+          { auth: subscriber?.auth ?? null, tenantId: subscriber?.tenantId }
+        )
+        const { links, ...data } = result.data
+        return data
+      } catch (error) {
+        if (error.subtype === 'not_found' || error.subtype === 'forbidden') return null
+        throw error
+      }
+    }
+
+    /**
+     * One delivery per matching subscription that can see the record. Subscriptions made
+     * by the same subscriber share one read.
+     */
+    const resolveDeliveries = async ({ event, db, read }) => {
+      const subscriptions = await matchingSubscriptions({ event, db })
+      const readsBySubscriber = new Map()
+      const deliveries = []
+
+      for (const subscription of subscriptions) {
+        const key = JSON.stringify(subscription.subscriber)
+        if (!readsBySubscriber.has(key)) readsBySubscriber.set(key, await read(subscription.subscriber))
+
+        const data = readsBySubscriber.get(key)
+        if (data) deliveries.push({ subscription, data })
+      }
+      return deliveries
+    }
+
+    /**
+     * Writes one outbox row per delivery, in the transaction of the write: the rows commit
+     * or roll back with it, and the worker only ever sees committed ones
+     */
+    const enqueue = async ({ event, deliveries, db }) => {
+      if (!deliveries.length) return
+
+      const now = new Date()
+      const name = `${event.scopeName}.${event.type}`
+
+      await db(outboxTableName).insert(deliveries.map(({ subscription, data }) => ({
+        subscription_id: String(subscription.id),
+        event: name,
+        resource_type: event.scopeName,
+        resource_id: event.id,
+        payload: JSON.stringify({
+          data,
+          meta: { event: name, occurredAt: event.occurredAt }
+        }),
+        status: DELIVERY_STATUSES.PENDING,
+        attempts: 0,
+        next_attempt_at: now,
+        created_at: now
+      })))
+    }
+
+    const isWatchedWrite = ({ method, scopeName, id }) =>
+      WEBHOOK_METHODS.has(method) && Boolean(scopeName) && scopeName !== resourceName &&
+      id !== undefined && id !== null
+
+    // A deleted record can no longer be read: who may hear of it is settled before it goes
+    addHook('beforeDataCall', 'collect-webhook-delete-audience', {}, async ({ context }) => {
+      if (context.method !== 'delete' || !isWatchedWrite(context)) return
+
+      const { scopeName } = context
+      const id = String(context.id)
+      const db = context.transaction || context.db || knex
+      const reference = { type: scopeName, id }
+
+      context.webhookDeliveries = await resolveDeliveries({
+        event: { scopeName, type: 'deleted' },
+        db,
+        read: async (subscriber) => (await readAs({ subscriber, scopeName, id, db })) ? reference : null
+      })
+    })
+
+    addHook('afterDataCall', 'queue-webhook-event', {}, async ({ context }) => {
+      if (!isWatchedWrite(context)) return
+
+      const { scopeName } = context
+      const id = String(context.id)
+      const db = context.transaction || context.db || knex
+      const type = eventTypeFor(context)
+      const event = { scopeName, id, type, occurredAt: new Date().toISOString() }
+
+      const deliveries = type === 'deleted'
+        ? context.webhookDeliveries || []
+        : await resolveDeliveries({
+          event,
+          db,
+          read: (subscriber) => readAs({ subscriber, scopeName, id, db })
+        })
+
+      await enqueue({ event, deliveries, db })
+    })
+
+    // The subscriber is whoever creates or replaces the subscription, never what the body says
+    const stampSubscriber = async ({ context }) => {
+      const data = context.inputRecord?.data
+      if (!data) return
+
+      const tenantId = context.tenantId ??
+        (api.tenancy ? await api.tenancy.resolve(context, resourceName).catch(() => undefined) : undefined)
+
+      data.attributes = data.attributes || {}
+      data.attributes.subscriber = { auth: context.auth ?? null, tenantId: tenantId ?? null }
+    }
+
+    addHook('beforeProcessingPost', 'webhook-subscriber-post', {}, async ({ context, scopeName }) => {
+      if (scopeName === resourceName) await stampSubscriber({ context })
+    })
+
+    addHook('beforeProcessingPut', 'webhook-subscriber-put', {}, async ({ context, scopeName }) => {
+      if (scopeName === resourceName) await stampSubscriber({ context })
+    })
+
+    addHook('beforeProcessingPatch', 'webhook-subscriber-patch', {}, async ({ context, scopeName }) => {
+      if (scopeName === resourceName) delete context.inputRecord?.data?.attributes?.subscriber
+    })
+
+    // Refuses URLs that would make the server call its own network
+    addHook('beforeDataCall', 'validate-webhook-url', {}, async ({ context }) => {
+      if (context.scopeName !== resourceName || !SUBSCRIPTION_WRITE_METHODS.has(context.method)) return
+
+      const url = context.inputRecord?.data?.attributes?.url
+      if (url === undefined) return
+
+      const problem = describeProblem(url)
+      if (problem) throw buildUrlError(problem)
+    })
+
+    const retryDelay = (attempts) => Math.min(baseDelay * 2 ** (attempts - 1), maxDelay)
+
+    const loadSubscription = async (id) => {
+      const subscription = await helpers.dataGetMinimal({
+        scopeName: resourceName,
+        context: { id, schemaInfo: scopes[resourceName].vars.schemaInfo, db: knex }
+      })
+      return subscription ? { id: subscription.id, ...subscription.attributes } : null
+    }
+
+    const send = async ({ row, subscription }) => {
+      const timestamp = Math.floor(Date.now() / 1000)
+      const response = await fetch(subscription.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/vnd.api+json',
+          'User-Agent': 'json-rest-api-webhooks',
+          'X-Webhook-Id': String(row.id),
+          'X-Webhook-Event': row.event,
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': signWebhookPayload({ secret: subscription.secret, body: row.payload, timestamp })
+        },
+        body: row.payload,
+        // A redirect could lead to an address the URL policy refuses: 3xx is a failed attempt
+        redirect: 'manual',
+        signal: AbortSignal.timeout(timeout)
+      })
+      // Lets the connection be reused
+      await response.arrayBuffer().catch(() => {})
+      return response.status
+    }
+
+    const deliver = async (row) => {
+      const attempts = row.attempts + 1
+      let responseStatus = null
+      let error = null
+
+      const subscription = await loadSubscription(row.subscription_id)
+      if (!subscription || subscription.active === false || subscription.active === 0) {
+        await knex(outboxTableName).where('id', row.id).update({
+          status: DELIVERY_STATUSES.FAILED,
+          locked_until: null,
+          last_error: 'Subscription was removed or deactivated'
+        })
+        return DELIVERY_STATUSES.FAILED
+      }
+
+      // Checked again at every attempt: DNS answers change after the subscription is saved.
+      // A name that cannot be resolved is not sent to, and the attempt counts as failed.
+      let urlProblem = null
+      try {
+        urlProblem = await resolveProblem(subscription.url)
+      } catch (lookupError) {
+        error = `Webhook URL could not be resolved: ${lookupError.message}`
+      }
+      if (urlProblem) {
+        await knex(outboxTableName).where('id', row.id).update({
+          status: DELIVERY_STATUSES.FAILED,
+          attempts,
+          locked_until: null,
+          last_error: `Webhook URL ${urlProblem}`
+        })
+        return DELIVERY_STATUSES.FAILED
+      }
+
+      if (!error) {
+        try {
+          responseStatus = await send({ row, subscription })
+          if (responseStatus >= 300 && responseStatus < 400) {
+            error = `Receiver answered ${responseStatus}; redirects are not followed`
+          } else if (responseStatus < 200 || responseStatus >= 300) {
+            error = `Receiver answered ${responseStatus}`
+          }
+        } catch (sendError) {
+          error = sendError.message
+        }
+      }
+
+      const now = new Date()
+      if (!error) {
+        await knex(outboxTableName).where('id', row.id).update({
+          status: DELIVERY_STATUSES.DELIVERED,
+          attempts,
+          response_status: responseStatus,
+          last_error: null,
+          locked_until: null,
+          delivered_at: now
+        })
+        return DELIVERY_STATUSES.DELIVERED
+      }
+
+      const status = attempts >= maxAttempts ? DELIVERY_STATUSES.FAILED : DELIVERY_STATUSES.PENDING
+      await knex(outboxTableName).where('id', row.id).update({
+        status,
+        attempts,
+        response_status: responseStatus,
+        last_error: error,
+        locked_until: null,
+        next_attempt_at: new Date(now.getTime() + retryDelay(attempts))
+      })
+      return status
+    }
+
+    // Claims a row for this worker. The lease runs out if the process dies mid-delivery,
+    // so the row is sent again: receivers should ignore X-Webhook-Id values they have seen.
+    const claim = async (row) => {
+      const now = new Date()
+      const updated = await knex(outboxTableName)
+        .where('id', row.id)
+        .where('status', DELIVERY_STATUSES.PENDING)
+        .where((query) => query.whereNull('locked_until').orWhere('locked_until', '<', now))
+        .update({ locked_until: new Date(now.getTime() + timeout * 2) })
+      return updated === 1
+    }
+
+    /**
+     * Sends the deliveries that are due, oldest first
+     *
+     * @param {Object} [params]
+     * @param {number} [params.limit] - Most deliveries to attempt; defaults to worker.batchSize
+     * @returns {Promise<Object>} { delivered, retrying, failed }
+     */
+    const processOutbox = async ({ limit = batchSize } = {}) => {
+      const now = new Date()
+      const rows = await knex(outboxTableName)
+        .where('status', DELIVERY_STATUSES.PENDING)
+        .where('next_attempt_at', '<=', now)
+        .where((query) => query.whereNull('locked_until').orWhere('locked_until', '<', now))
+        .orderBy('id', 'asc')
+        .limit(limit)
+
+      const summary = { delivered: 0, retrying: 0, failed: 0 }
+      for (const row of rows) {
+        if (!(await claim(row))) continue
+
+        const status = await deliver(row)
+        if (status === DELIVERY_STATUSES.DELIVERED) summary.delivered++
+        else if (status === DELIVERY_STATUSES.FAILED) summary.failed++
+        else summary.retrying++
+      }
+      return summary
+    }
+
+    let timer = null
+    let running = null
+
+    const tick = () => {
+      if (running) return
+      running = processOutbox()
+        .catch((error) => log.error('Webhooks worker failed', { error: error.message }))
+        .finally(() => { running = null })
+    }
+
+    api.webhooks = {
+      EVENT_TYPES,
+      processOutbox,
+
+      startWorker () {
+        if (timer) return
+        timer = setInterval(tick, interval)
+        timer.unref?.()
+      },
+
+      async stopWorker () {
+        clearInterval(timer)
+        timer = null
+        await running
+      },
+
+      // Puts a failed delivery back in the queue, with a fresh set of attempts
+      async retryDelivery (id) {
+        return knex(outboxTableName).where('id', id).update({
+          status: DELIVERY_STATUSES.PENDING,
+          attempts: 0,
+          next_attempt_at: new Date(),
+          locked_until: null
+        })
+      }
+    }
+
+    if (autoStart) api.webhooks.startWorker()
+
+    log.info('Webhooks plugin installed', { resourceName, outboxTableName })
+  }
+}
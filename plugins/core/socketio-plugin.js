@@ -1,4 +1,5 @@
 import { requirePackage } from 'hooked-api'
+import { RestApiResourceError } from '../../lib/rest-api-errors.js'
 
 const pendingBroadcasts = new WeakMap()
 
@@ -107,9 +108,17 @@ function matchesFilters (record, filters, searchSchemaStructure) {
   return true
 }
 
+const NOTIFICATION_PAYLOADS = ['minimal', 'record']
+
 function buildConfig (pluginOptions = {}) {
   const authOptions = pluginOptions.auth || {}
   const subscriptionOptions = pluginOptions.subscriptions || {}
+  const notificationOptions = pluginOptions.notifications || {}
+
+  const payload = notificationOptions.payload || 'minimal'
+  if (!NOTIFICATION_PAYLOADS.includes(payload)) {
+    throw new Error(`Socket.IO notifications.payload must be one of: ${NOTIFICATION_PAYLOADS.join(', ')}`)
+  }
 
   return {
     auth: {
@@ -122,11 +131,15 @@ function buildConfig (pluginOptions = {}) {
     subscriptions: {
       maxPerSocket: subscriptionOptions.maxPerSocket ?? 100
     },
+    notifications: {
+      payload,
+      buildContext: notificationOptions.buildContext || (({ auth }) => ({ auth }))
+    },
     transport: pluginOptions.transport || {}
   }
 }
 
-async function authenticateSocket ({ socket, api, helpers, log, config }) {
+async function authenticateSocket ({ socket, api, helpers, log, config, runHooks }) {
   const { authenticate, allowClientProvidedAuth, anonymousContext, requireAuth, onAuthenticationFailed } = config.auth
 
   try {
@@ -134,10 +147,17 @@ async function authenticateSocket ({ socket, api, helpers, log, config }) {
 
     if (authenticate) {
       authContext = await authenticate({ socket, api, helpers, log })
-    } else if (allowClientProvidedAuth && socket.handshake.auth && typeof socket.handshake.auth === 'object') {
-      authContext = socket.handshake.auth
-    } else if (anonymousContext) {
-      authContext = anonymousContext
+    } else {
+      // Authentication plugins (JWT, ...) set context.auth from the handshake
+      const hookContext = { source: 'socketio', socket, auth: null }
+      await runHooks('socketio:authenticate', hookContext)
+      authContext = hookContext.auth
+
+      if (!authContext && allowClientProvidedAuth && socket.handshake.auth && typeof socket.handshake.auth === 'object') {
+        authContext = socket.handshake.auth
+      } else if (!authContext && anonymousContext) {
+        authContext = anonymousContext
+      }
     }
 
     const normalized = normalizeAuthContext(authContext)
@@ -223,10 +243,14 @@ async function registerSubscription ({
       throw Object.assign(new Error('Include parameter must be an array'), { code: 'INVALID_INCLUDE' })
     }
 
-    const relationships = schemaInfo?.schemaRelationships || {}
+    const relationshipNames = new Set(Object.keys(schemaInfo?.schemaRelationships || {}))
+    for (const fieldDef of Object.values(schemaInfo?.schemaStructure || {})) {
+      if (fieldDef?.belongsTo && fieldDef.as) relationshipNames.add(fieldDef.as)
+    }
+
     for (const includePath of include) {
       const baseName = includePath.split('.')[0]
-      if (!relationships[baseName]) {
+      if (!relationshipNames.has(baseName)) {
         throw Object.assign(new Error(`Invalid relationship '${baseName}' for resource '${resource}'`), {
           code: 'INVALID_INCLUDE'
         })
@@ -318,58 +342,152 @@ function getRecordForFiltering (context) {
   return context?.minimalRecord || context?.originalMinimalRecord || null
 }
 
-async function performBroadcast ({ method, scopeName, id, context, api, io, log }) {
-  if (!io) return
+/**
+ * Loads the record the way the subscriber would see it: under the subscriber's own
+ * context, so row policies, autofilter and permission hooks all apply.
+ * Returns null when the record is hidden from the subscriber.
+ */
+async function loadRecordForSubscriber ({ scope, id, socket, subscription, transaction, config, log }) {
+  const queryParams = {}
+  if (subscription.include.length > 0) {
+    queryParams.include = subscription.include
+  }
+  const fieldEntries = Object.entries(subscription.fields)
+  if (fieldEntries.length > 0) {
+    queryParams.fields = Object.fromEntries(fieldEntries.map(([type, fieldList]) => [type, fieldList.join(',')]))
+  }
 
-  const scope = api.resources[scopeName]
-  if (!scope) {
-    log.warn(`Socket.IO broadcast skipped: unknown resource ${scopeName}`)
-    return
+  try {
+    const context = await config.notifications.buildContext({ socket, subscription, auth: subscription.auth })
+    return await scope.get({
+      id,
+      queryParams,
+      simplified: false,
+      ...(transaction ? { transaction } : {})
+    }, { ...context })
+  } catch (error) {
+    if (!(error instanceof RestApiResourceError) || !['not_found', 'forbidden'].includes(error.subtype)) {
+      log.warn(`Socket.IO notification skipped: could not load ${subscription.resource}/${id} for socket ${socket.id}`, error)
+    }
+    return null
+  }
+}
+
+/**
+ * Returns the first subscription of the socket that should hear about the record.
+ * When `load` is given, it returns the document for that subscription, or null to skip it.
+ */
+async function findSubscription ({ socket, scopeName, recordForFiltering, searchSchemaStructure, load }) {
+  const subscriptions = socket.data.subscriptions
+  if (!subscriptions || subscriptions.size === 0) return null
+
+  for (const subscription of subscriptions.values()) {
+    if (subscription.resource !== scopeName) continue
+
+    if (recordForFiltering && subscription.filters && Object.keys(subscription.filters).length > 0) {
+      if (!matchesFilters(recordForFiltering, subscription.filters, searchSchemaStructure)) {
+        continue
+      }
+    }
+
+    if (!load) return { subscription, document: null }
+
+    const document = await load(subscription)
+    if (document) return { subscription, document }
   }
 
+  return null
+}
+
+async function fetchSubscribedSockets ({ io, scopeName, log }) {
   const roomName = `${scopeName}:updates`
   const socketsInRoom = await io.in(roomName).fetchSockets()
   if (!socketsInRoom || socketsInRoom.length === 0) {
     log.debug(`Socket.IO broadcast skipped: no subscribers for ${roomName}`)
+    return []
+  }
+  return socketsInRoom
+}
+
+/**
+ * A deleted record can no longer be loaded, so with record payloads the sockets allowed to
+ * see it are worked out before the delete runs, inside the same transaction.
+ * Returns a Map of socket id to subscription id.
+ */
+async function collectDeleteAudience ({ scopeName, id, context, api, io, config, log }) {
+  const scope = api.resources[scopeName]
+  const audience = new Map()
+  if (!scope) return audience
+
+  const socketsInRoom = await fetchSubscribedSockets({ io, scopeName, log })
+  const searchSchemaStructure = scope.vars?.schemaInfo?.searchSchemaStructure
+
+  for (const socket of socketsInRoom) {
+    const match = await findSubscription({
+      socket,
+      scopeName,
+      recordForFiltering: getRecordForFiltering(context),
+      searchSchemaStructure,
+      load: (subscription) => loadRecordForSubscriber({
+        scope, id, socket, subscription, transaction: context.transaction, config, log
+      })
+    })
+    if (match) audience.set(socket.id, match.subscription.id)
+  }
+
+  return audience
+}
+
+async function performBroadcast ({ method, scopeName, id, context, api, io, config, log }) {
+  if (!io) return
+
+  const scope = api.resources[scopeName]
+  if (!scope) {
+    log.warn(`Socket.IO broadcast skipped: unknown resource ${scopeName}`)
     return
   }
 
+  const socketsInRoom = await fetchSubscribedSockets({ io, scopeName, log })
+  if (socketsInRoom.length === 0) return
+
   const schemaInfo = scope.vars?.schemaInfo
   const searchSchemaStructure = schemaInfo?.searchSchemaStructure
   const recordForFiltering = getRecordForFiltering(context)
+  const sendsRecord = config.notifications.payload === 'record'
+  const deleteAudience = context?.socketioDeleteAudience
 
   for (const socket of socketsInRoom) {
-    const subscriptions = socket.data.subscriptions
-    if (!subscriptions || subscriptions.size === 0) continue
-
-    for (const subscription of subscriptions.values()) {
-      if (subscription.resource !== scopeName) continue
-
-      if (recordForFiltering && subscription.filters && Object.keys(subscription.filters).length > 0) {
-        if (!matchesFilters(recordForFiltering, subscription.filters, searchSchemaStructure)) {
-          continue
-        }
-      }
-
-      const notification = {
-        type: `resource.${method}d`,
-        resource: scopeName,
-        id,
-        action: method,
-        subscriptionId: subscription.id,
-        meta: {
-          timestamp: new Date().toISOString()
-        }
-      }
+    let load = null
+    if (sendsRecord && method === 'delete') {
+      // Only sockets that could see the record before it was deleted
+      load = async (subscription) => (deleteAudience?.get(socket.id) === subscription.id ? { data: null } : null)
+    } else if (sendsRecord) {
+      load = (subscription) => loadRecordForSubscriber({ scope, id, socket, subscription, config, log })
+    }
 
-      if (method === 'delete') {
-        notification.deletedRecord = { id }
+    const match = await findSubscription({ socket, scopeName, recordForFiltering, searchSchemaStructure, load })
+    if (!match) continue
+
+    const { subscription, document } = match
+    const notification = {
+      type: `resource.${method}d`,
+      resource: scopeName,
+      id,
+      action: method,
+      subscriptionId: subscription.id,
+      meta: {
+        timestamp: new Date().toISOString()
       }
+    }
 
-      socket.emit('subscription.update', notification)
-      log.debug(`Socket.IO broadcast: ${scopeName}/${id} -> socket ${socket.id}`)
-      break
+    if (method === 'delete') {
+      notification.deletedRecord = { id }
+    } else if (sendsRecord) {
+      notification.record = document
     }
+
+    socket.emit('subscription.update', notification)
+    log.debug(`Socket.IO broadcast: ${scopeName}/${id} -> socket ${socket.id}`)
   }
 }
 
@@ -442,7 +560,7 @@ export const SocketIOPlugin = {
 
       io.use(async (socket, next) => {
         try {
-          const authContext = await authenticateSocket({ socket, api, helpers, log, config })
+          const authContext = await authenticateSocket({ socket, api, helpers, log, config, runHooks })
           socket.data.auth = authContext
           socket.data.subscriptions = new Map()
           next()
@@ -462,6 +580,33 @@ export const SocketIOPlugin = {
           serverTime: new Date().toISOString()
         })
 
+        // Checks on every incoming event (rate limits, ...): a socketio:event hook that sets
+        // context.rejection stops the event, and the client gets the error instead
+        socket.use(async ([event, ...args], next) => {
+          const ack = typeof args[args.length - 1] === 'function' ? args[args.length - 1] : null
+          const context = {
+            source: 'socketio',
+            socket,
+            event,
+            payload: args[0],
+            auth: socket.data.auth,
+            rejection: null
+          }
+
+          try {
+            await runHooks('socketio:event', context)
+          } catch (error) {
+            return next(error)
+          }
+
+          if (!context.rejection) return next()
+
+          const { code = 'EVENT_REJECTED', message = 'Event rejected', ...details } = context.rejection
+          const error = { code, message, ...details }
+          if (ack) ack({ error })
+          else socket.emit('event.rejected', { event, error })
+        })
+
         socket.on('subscribe', async (payload, callback) => {
           try {
             const result = await registerSubscription({
@@ -595,7 +740,21 @@ export const SocketIOPlugin = {
         return
       }
 
-      await performBroadcast({ method, scopeName, id, context, api, io, log })
+      await performBroadcast({ method, scopeName, id, context, api, io, config, log })
+    })
+
+    addHook('beforeDataCallDelete', 'socketio-collect-delete-audience', {}, async ({ context }) => {
+      if (!io || config.notifications.payload !== 'record') return
+
+      context.socketioDeleteAudience = await collectDeleteAudience({
+        scopeName: context.scopeName,
+        id: context.id,
+        context,
+        api,
+        io,
+        config,
+        log
+      })
     })
 
     addHook('afterCommit', 'socketio-broadcast-deferred', {}, async ({ context }) => {
@@ -604,7 +763,7 @@ export const SocketIOPlugin = {
       if (!broadcasts) return
 
       for (const broadcast of broadcasts) {
-        await performBroadcast({ ...broadcast, api, io, log })
+        await performBroadcast({ ...broadcast, api, io, config, log })
       }
 
       pendingBroadcasts.delete(context.transaction)
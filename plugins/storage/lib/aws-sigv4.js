@@ -0,0 +1,197 @@
+/**
+ * AWS Signature Version 4 signing, as used by S3 and S3-compatible servers.
+ *
+ * Only what S3Storage needs: signing a request with an Authorization header,
+ * and presigning a URL with query string authentication.
+ */
+
+import crypto from 'crypto'
+
+export const SIGV4_ALGORITHM = 'AWS4-HMAC-SHA256'
+export const UNSIGNED_PAYLOAD = 'UNSIGNED-PAYLOAD'
+
+export const sha256Hex = (data) => crypto.createHash('sha256').update(data).digest('hex')
+
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest()
+
+/**
+ * Percent-encodes a string the way SigV4 expects (RFC 3986, unreserved characters kept)
+ * @param {string} value - Value to encode
+ * @returns {string} Encoded value
+ */
+export function encodeRfc3986 (value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`)
+}
+
+/**
+ * Encodes an object key for use in a URL path, keeping the slashes
+ * @param {string} key - Object key
+ * @returns {string} Encoded path
+ */
+export function encodeKeyPath (key) {
+  return String(key).split('/').map(encodeRfc3986).join('/')
+}
+
+/**
+ * @param {Date} date - Signing time
+ * @returns {{ amzDate: string, dateStamp: string }} `20130524T000000Z` and `20130524`
+ */
+export function formatAmzDate (date) {
+  const amzDate = date.toISOString().replace(/[:-]|\.\d{3}/g, '')
+  return { amzDate, dateStamp: amzDate.slice(0, 8) }
+}
+
+function canonicalQueryString (searchParams) {
+  return [...searchParams.entries()]
+    .map(([name, value]) => [encodeRfc3986(name), encodeRfc3986(value)])
+    .sort(([nameA, valueA], [nameB, valueB]) => {
+      if (nameA !== nameB) return nameA < nameB ? -1 : 1
+      return valueA < valueB ? -1 : valueA > valueB ? 1 : 0
+    })
+    .map(([name, value]) => `${name}=${value}`)
+    .join('&')
+}
+
+function canonicalHeaders (headers) {
+  const normalized = Object.entries(headers)
+    .map(([name, value]) => [name.toLowerCase(), String(value).trim().replace(/\s+/g, ' ')])
+    .sort(([nameA], [nameB]) => (nameA < nameB ? -1 : 1))
+
+  return {
+    canonical: normalized.map(([name, value]) => `${name}:${value}\n`).join(''),
+    signedHeaders: normalized.map(([name]) => name).join(';')
+  }
+}
+
+/**
+ * Builds the SigV4 signature for a canonical request
+ *
+ * @param {Object} params
+ * @param {string} params.method - HTTP method
+ * @param {string} params.pathname - URL path, already encoded exactly as sent
+ * @param {URLSearchParams} params.searchParams - Query parameters, without X-Amz-Signature
+ * @param {Object} params.headers - Headers to sign (must include host)
+ * @param {string} params.payloadHash - Hex SHA-256 of the body, or UNSIGNED-PAYLOAD
+ * @param {Object} params.credentials - { accessKeyId, secretAccessKey }
+ * @param {string} params.region - Signing region
+ * @param {string} params.service - Signing service, 's3'
+ * @param {string} params.amzDate - Signing time as formatted by formatAmzDate
+ * @returns {{ signature: string, signedHeaders: string, credentialScope: string }}
+ */
+export function computeSignature ({ method, pathname, searchParams, headers, payloadHash, credentials, region, service, amzDate }) {
+  const dateStamp = amzDate.slice(0, 8)
+  const credentialScope = `${dateStamp}/${region}/${service}/aws4_request`
+  const { canonical, signedHeaders } = canonicalHeaders(headers)
+
+  const canonicalRequest = [
+    method.toUpperCase(),
+    pathname || '/',
+    canonicalQueryString(searchParams),
+    canonical,
+    signedHeaders,
+    payloadHash
+  ].join('\n')
+
+  const stringToSign = [
+    SIGV4_ALGORITHM,
+    amzDate,
+    credentialScope,
+    sha256Hex(canonicalRequest)
+  ].join('\n')
+
+  const signingKey = hmac(hmac(hmac(hmac(`AWS4${credentials.secretAccessKey}`, dateStamp), region), service), 'aws4_request')
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex')
+
+  return { signature, signedHeaders, credentialScope }
+}
+
+/**
+ * Signs a request with an Authorization header
+ *
+ * @param {Object} params
+ * @param {string} params.method - HTTP method
+ * @param {URL} params.url - Full request URL
+ * @param {Object} [params.headers] - Extra headers to send and sign
+ * @param {string} params.payloadHash - Hex SHA-256 of the body, or UNSIGNED-PAYLOAD
+ * @param {Object} params.credentials - { accessKeyId, secretAccessKey, sessionToken? }
+ * @param {string} params.region - Signing region
+ * @param {string} [params.service] - Signing service
+ * @param {Date} [params.date] - Signing time
+ * @returns {Object} Headers to send, including Authorization
+ */
+export function signRequest ({ method, url, headers = {}, payloadHash, credentials, region, service = 's3', date = new Date() }) {
+  const { amzDate } = formatAmzDate(date)
+  const signedHeaders = {
+    ...headers,
+    host: url.host,
+    'x-amz-content-sha256': payloadHash,
+    'x-amz-date': amzDate,
+    ...(credentials.sessionToken ? { 'x-amz-security-token': credentials.sessionToken } : {})
+  }
+
+  const { signature, signedHeaders: signedHeaderNames, credentialScope } = computeSignature({
+    method,
+    pathname: url.pathname,
+    searchParams: url.searchParams,
+    headers: signedHeaders,
+    payloadHash,
+    credentials,
+    region,
+    service,
+    amzDate
+  })
+
+  // fetch() sets Host itself, from the URL
+  delete signedHeaders.host
+
+  return {
+    ...signedHeaders,
+    authorization: `${SIGV4_ALGORITHM} Credential=${credentials.accessKeyId}/${credentialScope}, SignedHeaders=${signedHeaderNames}, Signature=${signature}`
+  }
+}
+
+/**
+ * Presigns a URL with query string authentication
+ *
+ * @param {Object} params
+ * @param {string} [params.method] - HTTP method the URL is valid for
+ * @param {URL} params.url - Object URL
+ * @param {Object} params.credentials - { accessKeyId, secretAccessKey, sessionToken? }
+ * @param {string} params.region - Signing region
+ * @param {string} [params.service] - Signing service
+ * @param {number} [params.expiresIn] - Validity in seconds (max 604800)
+ * @param {Date} [params.date] - Signing time
+ * @returns {string} The presigned URL
+ */
+export function presignUrl ({ method = 'GET', url, credentials, region, service = 's3', expiresIn = 3600, date = new Date() }) {
+  const { amzDate, dateStamp } = formatAmzDate(date)
+  const presigned = new URL(url)
+
+  presigned.searchParams.set('X-Amz-Algorithm', SIGV4_ALGORITHM)
+  presigned.searchParams.set('X-Amz-Credential', `${credentials.accessKeyId}/${dateStamp}/${region}/${service}/aws4_request`)
+  presigned.searchParams.set('X-Amz-Date', amzDate)
+  presigned.searchParams.set('X-Amz-Expires', String(expiresIn))
+  if (credentials.sessionToken) {
+    presigned.searchParams.set('X-Amz-Security-Token', credentials.sessionToken)
+  }
+  presigned.searchParams.set('X-Amz-SignedHeaders', 'host')
+
+  const { signature } = computeSignature({
+    method,
+    pathname: presigned.pathname,
+    searchParams: presigned.searchParams,
+    headers: { host: presigned.host },
+    payloadHash: UNSIGNED_PAYLOAD,
+    credentials,
+    region,
+    service,
+    amzDate
+  })
+
+  // Built by hand: URLSearchParams would encode spaces as '+', which S3 reads differently
+  const query = [...presigned.searchParams.entries()]
+    .map(([name, value]) => `${encodeRfc3986(name)}=${encodeRfc3986(value)}`)
+    .join('&')
+
+  return `${presigned.origin}${presigned.pathname}?${query}&X-Amz-Signature=${signature}`
+}
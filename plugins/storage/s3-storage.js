@@ -1,7 +1,9 @@
 /**
- * S3 Storage Adapter (mock/demo)
+ * S3 Storage Adapter
  *
- * Generates S3-style URLs without uploading files to Amazon S3.
+ * Stores files in Amazon S3 or any S3-compatible server (MinIO, R2, Ceph...).
+ * Requests are signed with AWS Signature Version 4; no AWS SDK is needed.
+ * Large files are sent with a multipart upload, one part in memory at a time.
  *
  * Usage:
  * ```javascript
@@ -9,32 +11,93 @@
  *
  * const storage = new S3Storage({
  *   bucket: 'my-uploads',
- *   region: 'us-east-1',
+ *   region: 'eu-west-1',
  *   prefix: 'uploads/',
- *   mockMode: true
+ *   mockMode: false,
+ *   credentials: { accessKeyId, secretAccessKey } // Defaults to AWS_* environment variables
  * });
  *
  * const schema = {
  *   image: { type: 'file', storage }
  * };
  * ```
+ *
+ * With the default `mockMode: true`, it generates S3-style URLs without uploading anything.
  */
 
 import crypto from 'crypto'
+import fs from 'fs'
 import path from 'path'
+import { encodeKeyPath, presignUrl, sha256Hex, signRequest } from './lib/aws-sigv4.js'
 
-const REAL_S3_NOT_IMPLEMENTED_MESSAGE = 'S3Storage real S3 mode is not implemented. The included adapter only supports mockMode: true; provide a production storage adapter or add an AWS SDK-backed implementation.'
+const DEFAULT_PART_SIZE = 8 * 1024 * 1024
+const DEFAULT_SIGNED_URL_EXPIRES = 3600
 
-function createRealS3NotImplementedError () {
-  return new Error(REAL_S3_NOT_IMPLEMENTED_MESSAGE)
+const xmlValue = (xml, tag) => {
+  const match = String(xml).match(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`))
+  return match
+    ? match[1].replace(/&quot;/g, '"').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&')
+    : null
+}
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+
+/**
+ * Yields the file contents as Buffers of exactly `partSize` bytes (the last one may be shorter)
+ * @param {AsyncIterable<Buffer>|Iterable<Buffer>} source - File contents
+ * @param {number} partSize - Part size in bytes
+ */
+async function * readParts (source, partSize) {
+  let pending = []
+  let pendingSize = 0
+
+  for await (const chunk of source) {
+    let buffer = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk)
+
+    while (pendingSize + buffer.length >= partSize) {
+      const needed = partSize - pendingSize
+      pending.push(buffer.subarray(0, needed))
+      yield Buffer.concat(pending)
+      buffer = buffer.subarray(needed)
+      pending = []
+      pendingSize = 0
+    }
+
+    if (buffer.length > 0) {
+      pending.push(buffer)
+      pendingSize += buffer.length
+    }
+  }
+
+  if (pendingSize > 0) {
+    yield Buffer.concat(pending)
+  }
 }
 
 export class S3Storage {
+  /**
+   * @param {Object} options
+   * @param {string} options.bucket - Bucket name
+   * @param {string} [options.region] - Region (default 'us-east-1')
+   * @param {string} [options.prefix] - Key prefix, for example 'uploads/'
+   * @param {string} [options.acl] - Canned ACL sent with uploads, for example 'public-read'
+   * @param {boolean} [options.mockMode] - Generate URLs without uploading (default true)
+   * @param {Object} [options.credentials] - { accessKeyId, secretAccessKey, sessionToken }
+   * @param {string} [options.endpoint] - S3-compatible server, for example 'http://127.0.0.1:9000'
+   * @param {boolean} [options.forcePathStyle] - Use '<endpoint>/<bucket>/<key>' URLs (default true with an endpoint)
+   * @param {string} [options.publicUrl] - Base URL returned for stored objects, for example a CDN
+   * @param {number} [options.partSize] - Multipart part size in bytes (default 8 MiB; S3 needs at least 5 MiB)
+   * @param {number} [options.signedUrlExpires] - Default validity of presigned URLs, in seconds
+   */
   constructor (options = {}) {
     this.bucket = options.bucket
     this.region = options.region || 'us-east-1'
     this.prefix = options.prefix || ''
-    this.acl = options.acl || 'public-read'
+    this.acl = options.acl || null
 
     if (!this.bucket) {
       throw new Error('S3Storage requires a bucket name')
@@ -42,52 +105,260 @@ export class S3Storage {
 
     this.mockMode = options.mockMode !== false // Default to mock mode
 
-    if (!this.mockMode) {
-      throw createRealS3NotImplementedError()
+    this.endpoint = options.endpoint ? String(options.endpoint).replace(/\/+$/, '') : null
+    this.forcePathStyle = options.forcePathStyle ?? Boolean(this.endpoint)
+    this.publicUrl = options.publicUrl ? String(options.publicUrl).replace(/\/+$/, '') : null
+    this.partSize = options.partSize || DEFAULT_PART_SIZE
+    this.signedUrlExpires = options.signedUrlExpires || DEFAULT_SIGNED_URL_EXPIRES
+
+    if (this.mockMode) return
+
+    const credentials = options.credentials || {}
+    this.credentials = {
+      accessKeyId: credentials.accessKeyId || process.env.AWS_ACCESS_KEY_ID,
+      secretAccessKey: credentials.secretAccessKey || process.env.AWS_SECRET_ACCESS_KEY,
+      sessionToken: credentials.sessionToken || process.env.AWS_SESSION_TOKEN
     }
+
+    if (!this.credentials.accessKeyId || !this.credentials.secretAccessKey) {
+      throw new Error('S3Storage requires credentials (accessKeyId and secretAccessKey, or AWS_ACCESS_KEY_ID and AWS_SECRET_ACCESS_KEY) when mockMode is false')
+    }
+  }
+
+  /**
+   * Base URL of the bucket, used to sign requests
+   * @returns {string}
+   */
+  get bucketUrl () {
+    if (this.endpoint) {
+      if (this.forcePathStyle) return `${this.endpoint}/${this.bucket}`
+      const endpointUrl = new URL(this.endpoint)
+      return `${endpointUrl.protocol}//${this.bucket}.${endpointUrl.host}`
+    }
+
+    return this.forcePathStyle
+      ? `https://s3.${this.region}.amazonaws.com/${this.bucket}`
+      : `https://${this.bucket}.s3.${this.region}.amazonaws.com`
+  }
+
+  /**
+   * URL returned for a stored object (publicUrl when set)
+   * @param {string} key - Object key
+   * @returns {string}
+   */
+  getObjectUrl (key) {
+    return `${this.publicUrl || this.bucketUrl}/${encodeKeyPath(key)}`
   }
 
   /**
-   * Upload a file to mock S3 storage.
-   * @param {Object} file - File object from detector
+   * Extracts the object key from a URL returned by upload(), or returns a bare key as it is
+   * @param {string} urlOrKey - Object URL or key
+   * @returns {string} The object key
+   * @throws {Error} When the URL does not belong to this bucket
+   */
+  getKeyFromUrl (urlOrKey) {
+    const value = String(urlOrKey || '')
+    if (!/^[a-z][a-z0-9+.-]*:\/\//i.test(value)) {
+      if (!value) throw new Error('Invalid S3 object URL')
+      return value
+    }
+
+    for (const base of [this.publicUrl, this.bucketUrl]) {
+      if (base && value.startsWith(`${base}/`)) {
+        const key = decodeURIComponent(value.slice(base.length + 1).split('?')[0])
+        if (key) return key
+      }
+    }
+
+    throw new Error(`Invalid S3 object URL for bucket '${this.bucket}': ${value}`)
+  }
+
+  /**
+   * Upload a file to S3.
+   * @param {Object} file - File object from detector: `data` (Buffer), `stream` (Readable) or `filepath`
    * @returns {Promise<string>} URL of the uploaded file
    */
   async upload (file) {
     // Generate S3 key
-    const ext = path.extname(file.filename)
+    const ext = path.extname(file.filename || '')
     const hash = crypto.randomBytes(16).toString('hex')
     const key = `${this.prefix}${hash}${ext}`
 
     if (this.mockMode) {
-      // Mock mode - just return a fake URL
-      const url = `https://${this.bucket}.s3.${this.region}.amazonaws.com/${key}`
-
       // Simulate upload delay
       await new Promise(resolve => setTimeout(resolve, 100))
 
-      return url
+      return this.getObjectUrl(key)
     }
 
-    throw createRealS3NotImplementedError()
+    const contentType = file.mimetype || 'application/octet-stream'
+    const parts = readParts(this._getFileSource(file), this.partSize)
+
+    const first = await parts.next()
+    const second = first.done ? { done: true } : await parts.next()
+
+    if (second.done) {
+      await this._putObject(key, first.value || Buffer.alloc(0), contentType)
+    } else {
+      await this._multipartUpload(key, contentType, [first.value, second.value], parts)
+    }
+
+    return this.getObjectUrl(key)
   }
 
   /**
-   * Delete a file from mock S3 storage.
-   * @param {string} url - URL returned by upload()
+   * Delete a file from S3. Deleting a missing object succeeds.
+   * @param {string} url - URL returned by upload(), or an object key
    * @returns {Promise<void>}
    */
   async delete (url) {
-    if (!this.mockMode) {
-      throw createRealS3NotImplementedError()
+    const key = this.getKeyFromUrl(url)
+
+    if (this.mockMode) {
+      // Mock mode - just simulate deletion
+      await new Promise(resolve => setTimeout(resolve, 50))
+      return
+    }
+
+    await this._request('DeleteObject', 'DELETE', key, { expectedStatus: [200, 204, 404] })
+  }
+
+  /**
+   * Presigned GET URL, for private buckets
+   * @param {string} url - URL returned by upload(), or an object key
+   * @param {Object} [options]
+   * @param {number} [options.expiresIn] - Validity in seconds (max 604800)
+   * @returns {string} The presigned URL (the plain object URL in mock mode)
+   */
+  getSignedUrl (url, { expiresIn = this.signedUrlExpires } = {}) {
+    const key = this.getKeyFromUrl(url)
+    const objectUrl = `${this.bucketUrl}/${encodeKeyPath(key)}`
+
+    if (this.mockMode) return objectUrl
+
+    return presignUrl({
+      url: new URL(objectUrl),
+      credentials: this.credentials,
+      region: this.region,
+      expiresIn
+    })
+  }
+
+  _getFileSource (file) {
+    if (file.stream) return file.stream
+    if (file.data !== undefined) return [Buffer.isBuffer(file.data) ? file.data : Buffer.from(file.data)]
+    if (file.filepath) return fs.createReadStream(file.filepath)
+
+    throw new Error('S3Storage cannot upload a file without data, stream or filepath')
+  }
+
+  async _putObject (key, body, contentType) {
+    await this._request('PutObject', 'PUT', key, {
+      body,
+      headers: {
+        'content-type': contentType,
+        ...(this.acl ? { 'x-amz-acl': this.acl } : {})
+      }
+    })
+  }
+
+  async _multipartUpload (key, contentType, firstParts, remainingParts) {
+    const created = await this._request('CreateMultipartUpload', 'POST', key, {
+      query: { uploads: '' },
+      headers: {
+        'content-type': contentType,
+        ...(this.acl ? { 'x-amz-acl': this.acl } : {})
+      }
+    })
+    const uploadId = xmlValue(created.text, 'UploadId')
+    if (!uploadId) {
+      throw new Error('S3 CreateMultipartUpload did not return an UploadId')
+    }
+
+    const completed = []
+    const uploadPart = async (body) => {
+      const partNumber = completed.length + 1
+      const response = await this._request('UploadPart', 'PUT', key, {
+        query: { partNumber: String(partNumber), uploadId },
+        body
+      })
+      completed.push({ partNumber, etag: response.headers.get('etag') })
+    }
+
+    try {
+      for (const part of firstParts) {
+        await uploadPart(part)
+      }
+      for await (const part of remainingParts) {
+        await uploadPart(part)
+      }
+
+      const body = '<CompleteMultipartUpload>' +
+        completed.map(({ partNumber, etag }) => `<Part><PartNumber>${partNumber}</PartNumber><ETag>${escapeXml(etag)}</ETag></Part>`).join('') +
+        '</CompleteMultipartUpload>'
+
+      const response = await this._request('CompleteMultipartUpload', 'POST', key, {
+        query: { uploadId },
+        body: Buffer.from(body),
+        headers: { 'content-type': 'application/xml' }
+      })
+
+      // S3 can report a failed completion with a 200 status
+      if (/<Error>/.test(response.text)) {
+        throw this._createError('CompleteMultipartUpload', response.status, response.text)
+      }
+    } catch (error) {
+      try {
+        await this._request('AbortMultipartUpload', 'DELETE', key, {
+          query: { uploadId },
+          expectedStatus: [200, 204, 404]
+        })
+      } catch (abortError) {
+        error.abortError = abortError
+      }
+      throw error
     }
+  }
 
-    const urlObj = new URL(url)
+  async _request (operation, method, key, { query = {}, headers = {}, body, expectedStatus } = {}) {
+    const url = new URL(`${this.bucketUrl}/${encodeKeyPath(key)}`)
+    for (const [name, value] of Object.entries(query)) {
+      url.searchParams.set(name, value)
+    }
 
-    if (urlObj.pathname.length === 0) {
-      throw new Error('Invalid S3 object URL')
+    const payload = body || Buffer.alloc(0)
+    const signedHeaders = signRequest({
+      method,
+      url,
+      headers,
+      payloadHash: sha256Hex(payload),
+      credentials: this.credentials,
+      region: this.region
+    })
+
+    // URLSearchParams turns '?uploads' into '?uploads=', which signs the same way
+    const response = await fetch(url, {
+      method,
+      headers: signedHeaders,
+      ...(body ? { body: payload } : {})
+    })
+    const text = await response.text()
+
+    const ok = expectedStatus ? expectedStatus.includes(response.status) : response.ok
+    if (!ok) {
+      throw this._createError(operation, response.status, text)
     }
 
-    // Mock mode - just simulate deletion
-    await new Promise(resolve => setTimeout(resolve, 50))
+    return { status: response.status, headers: response.headers, text }
+  }
+
+  _createError (operation, status, text) {
+    const code = xmlValue(text, 'Code') || 'UnknownError'
+    const message = xmlValue(text, 'Message') || text || 'No response body'
+    const error = new Error(`S3 ${operation} failed (${status} ${code}): ${message}`)
+    // Not statusCode: connectors would pass S3's status on to API clients
+    error.s3Status = status
+    error.s3Code = code
+    return error
   }
 }
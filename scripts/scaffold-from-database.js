@@ -0,0 +1,76 @@
+#!/usr/bin/env node
+
+import { writeFile } from 'fs/promises'
+import { parseArgs } from 'util'
+import knexLib from 'knex'
+import { Api } from 'hooked-api'
+import { RestApiPlugin, RestApiKnexPlugin } from '../index.js'
+
+const USAGE = `Usage: scaffold-from-database --client <client> --connection <connection> [options]
+
+Prints addResource() definitions for the tables of an existing database.
+
+  --client      Knex client: better-sqlite3, sqlite3, mysql2 or pg
+  --connection  Connection string, or the database file for SQLite
+  --tables      Comma-separated tables to scaffold (default: all of them)
+  --exclude     Comma-separated tables to leave out
+  --out         File to write the definitions to (default: stdout)`
+
+const SQLITE_CLIENTS = ['better-sqlite3', 'sqlite3']
+
+function splitList (value) {
+  return value ? value.split(',').map((entry) => entry.trim()).filter(Boolean) : undefined
+}
+
+async function main () {
+  const { values } = parseArgs({
+    options: {
+      client: { type: 'string' },
+      connection: { type: 'string' },
+      tables: { type: 'string' },
+      exclude: { type: 'string' },
+      out: { type: 'string' },
+      help: { type: 'boolean', short: 'h' }
+    }
+  })
+
+  if (values.help || !values.client || !values.connection) {
+    console.error(USAGE)
+    process.exitCode = values.help ? 0 : 1
+    return
+  }
+
+  const knex = knexLib({
+    client: values.client,
+    connection: SQLITE_CLIENTS.includes(values.client) ? { filename: values.connection } : values.connection,
+    useNullAsDefault: true
+  })
+
+  try {
+    const api = new Api({ name: 'scaffold', logging: { level: 'warn' } })
+    await api.use(RestApiPlugin)
+    await api.use(RestApiKnexPlugin, { knex })
+
+    const { code, warnings } = await api.rest.scaffoldFromDatabase({
+      tables: splitList(values.tables),
+      exclude: splitList(values.exclude)
+    })
+
+    for (const warning of warnings) {
+      console.error(`Warning: ${warning}`)
+    }
+
+    if (values.out) {
+      await writeFile(values.out, `${code}\n`)
+    } else {
+      process.stdout.write(`${code}\n`)
+    }
+  } finally {
+    await knex.destroy()
+  }
+}
+
+main().catch((error) => {
+  console.error(error.message)
+  process.exitCode = 1
+})
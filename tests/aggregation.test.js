@@ -0,0 +1,166 @@
+import { describe, it, before, beforeEach, after } from 'node:test'
+import assert from 'node:assert/strict'
+import express from 'express'
+import request from 'supertest'
+import knexLib from 'knex'
+import { createAggregationApi } from './fixtures/api-configs.js'
+import { cleanTables } from './helpers/test-utils.js'
+
+const knex = knexLib({
+  client: 'better-sqlite3',
+  connection: {
+    filename: ':memory:'
+  },
+  useNullAsDefault: true
+})
+
+let api
+let app
+
+const ORDERS = [
+  { status: 'paid', region: 'eu', amount: 10, customer: 'ada', workspace_id: 'w1' },
+  { status: 'paid', region: 'eu', amount: 30, customer: 'bob', workspace_id: 'w1' },
+  { status: 'paid', region: 'us', amount: 100, customer: 'ada', workspace_id: 'w1' },
+  { status: 'open', region: 'eu', amount: 5, customer: 'ada', workspace_id: 'w1' },
+  { status: 'open', region: 'us', amount: 7, customer: 'bob', workspace_id: 'w2' }
+]
+
+async function seedOrders () {
+  for (const attributes of ORDERS) {
+    await api.resources.orders.post({
+      inputRecord: { data: { type: 'orders', attributes } }
+    })
+  }
+}
+
+async function aggregate (queryParams, context) {
+  const result = await api.resources.orders.aggregate({ queryParams }, context)
+  return result.meta.aggregates
+}
+
+describe('Aggregation queries', () => {
+  before(async () => {
+    api = await createAggregationApi(knex)
+    app = express()
+    api.http.express.mount(app)
+  })
+
+  after(async () => {
+    await knex.destroy()
+  })
+
+  beforeEach(async () => {
+    await cleanTables(knex, ['aggregation_orders'])
+    await seedOrders()
+  })
+
+  it('groups a collection and computes count, sum, avg, min and max', async () => {
+    const rows = await aggregate({
+      group: 'status',
+      aggregates: {
+        orders: 'count',
+        total: 'sum:amount',
+        average: 'avg:amount',
+        smallest: 'min:amount',
+        largest: 'max:amount'
+      }
+    })
+
+    assert.deepEqual(rows, [
+      { status: 'open', orders: 2, total: 12, average: 6, smallest: 5, largest: 7 },
+      { status: 'paid', orders: 3, total: 140, average: 140 / 3, smallest: 10, largest: 100 }
+    ])
+  })
+
+  it('supports several group fields, no group at all, and sorting by aggregate', async () => {
+    const byCustomer = await aggregate({
+      group: ['status', 'customer'],
+      aggregates: { total: 'sum:amount' },
+      sort: ['-total']
+    })
+    assert.deepEqual(byCustomer.map((row) => [row.status, row.customer, row.total]), [
+      ['paid', 'ada', 110],
+      ['paid', 'bob', 30],
+      ['open', 'bob', 7],
+      ['open', 'ada', 5]
+    ])
+
+    const overall = await aggregate({ aggregates: { orders: 'count', total: 'sum:amount' } })
+    assert.deepEqual(overall, [{ orders: 5, total: 152 }])
+  })
+
+  it('applies search filters, row policies and autofilters', async () => {
+    const filtered = await aggregate({
+      group: 'status',
+      aggregates: { total: 'sum:amount' },
+      filters: { customer: 'ada' }
+    })
+    assert.deepEqual(filtered, [
+      { status: 'open', total: 5 },
+      { status: 'paid', total: 110 }
+    ])
+
+    const euOnly = await aggregate(
+      { group: 'status', aggregates: { total: 'sum:amount' } },
+      { visibility: { regions: ['eu'] } }
+    )
+    assert.deepEqual(euOnly, [
+      { status: 'open', total: 5 },
+      { status: 'paid', total: 40 }
+    ])
+
+    const workspace = await aggregate(
+      { group: 'status', aggregates: { orders: 'count' } },
+      { scopeValues: { workspaceId: 'w2' } }
+    )
+    assert.deepEqual(workspace, [{ status: 'open', orders: 1 }])
+
+    const nothingVisible = await aggregate(
+      { aggregates: { orders: 'count', total: 'sum:amount' } },
+      { visibility: { regions: ['apac'] } }
+    )
+    assert.deepEqual(nothingVisible, [{ orders: 0, total: null }])
+  })
+
+  it('rejects unknown functions, non-numeric sums, hidden fields and bad sort keys', async () => {
+    const attempts = [
+      { group: 'status', aggregates: { total: 'median:amount' } },
+      { group: 'status', aggregates: { total: 'sum:customer' } },
+      { group: 'internal_note', aggregates: { orders: 'count' } },
+      { group: 'nope', aggregates: { orders: 'count' } },
+      { group: 'status', aggregates: { total: 'sum' } },
+      { group: 'status', aggregates: { orders: 'count' }, sort: ['amount'] },
+      { group: 'status', aggregates: { 'bad alias': 'count' } },
+      {},
+      { group: 'status', filters: { region: 'eu' } }
+    ]
+
+    for (const queryParams of attempts) {
+      await assert.rejects(
+        () => aggregate(queryParams),
+        (error) => error.code === 'REST_API_VALIDATION',
+        JSON.stringify(queryParams)
+      )
+    }
+  })
+
+  it('serves GET /{resource}/aggregate', async () => {
+    const response = await request(app)
+      .get('/api/orders/aggregate')
+      .query('group=status&agg[total]=sum:amount&agg[orders]=count&filter[customer]=bob&sort=-total')
+
+    assert.equal(response.status, 200)
+    assert.deepEqual(response.body.meta.aggregates, [
+      { status: 'paid', total: 30, orders: 1 },
+      { status: 'open', total: 7, orders: 1 }
+    ])
+
+    const invalid = await request(app).get('/api/orders/aggregate?group=status&agg[total]=sum:customer')
+    assert.equal(invalid.status, 422)
+
+    // 'aggregate' must not be taken for an id
+    const { data } = await api.resources.orders.query({ queryParams: { page: { size: 1 } } })
+    const single = await request(app).get(`/api/orders/${data[0].id}`)
+    assert.equal(single.status, 200)
+  })
+})
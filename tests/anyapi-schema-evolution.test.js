@@ -0,0 +1,152 @@
+import { describe, it, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import knexLib from 'knex'
+import { Api } from 'hooked-api'
+
+import { RestApiPlugin, RestApiAnyapiKnexPlugin } from '../index.js'
+import { storageMode } from './helpers/storage-mode.js'
+
+const maybeDescribe = storageMode.isAnyApi() ? describe : describe.skip
+
+maybeDescribe('AnyAPI schema evolution', () => {
+  let knex
+
+  beforeEach(() => {
+    knex = knexLib({
+      client: 'better-sqlite3',
+      connection: { filename: ':memory:' },
+      useNullAsDefault: true,
+    })
+  })
+
+  afterEach(async () => {
+    await knex.destroy()
+  })
+
+  const createBooksApi = async (name, schema) => {
+    const api = new Api({ name, log: { level: 'warn' } })
+    await api.use(RestApiPlugin)
+    await api.use(RestApiAnyapiKnexPlugin, { knex })
+    await api.addResource('books', { schema })
+    return api
+  }
+
+  const bookSchema = {
+    id: { type: 'id' },
+    title: { type: 'string' },
+    subtitle: { type: 'string' },
+    rating: { type: 'string' },
+    inStock: { type: 'number' },
+  }
+
+  const slotRows = () => knex('any_records')
+    .where('resource', 'books')
+    .orderBy('id')
+    .select('string_1', 'string_2', 'string_3', 'number_1', 'number_2', 'boolean_1')
+
+  it('converts, renames and drops fields as one migration plan', async () => {
+    const api = await createBooksApi('anyapi-evolution-test', bookSchema)
+    await api.resources.books.post({ title: 'Dune', subtitle: 'Book one', rating: '4.5', inStock: 1 })
+    await api.resources.books.post({ title: 'Emma', rating: '3', inStock: 0 })
+
+    const changes = {
+      fields: { rating: { type: 'number' }, inStock: { type: 'boolean' } },
+      rename: { title: 'heading' },
+      drop: ['subtitle'],
+    }
+
+    const dryRun = await api.resources.books.alterKnexFields({ ...changes, dryRun: true })
+    assert.equal(dryRun.dryRun, true)
+    assert.deepEqual(await slotRows(), [
+      { string_1: 'Dune', string_2: 'Book one', string_3: '4.5', number_1: 1, number_2: null, boolean_1: null },
+      { string_1: 'Emma', string_2: null, string_3: '3', number_1: 0, number_2: null, boolean_1: null },
+    ])
+
+    const plan = await api.resources.books.alterKnexFields(changes)
+    assert.deepEqual(plan, {
+      tenant: 'default',
+      resource: 'books',
+      dryRun: false,
+      steps: [
+        { action: 'drop', field: 'subtitle', slot: 'string_2', rows: 1 },
+        { action: 'rename', field: 'title', to: 'heading', slot: 'string_1' },
+        {
+          action: 'convert',
+          field: 'rating',
+          from: { type: 'string', slot: 'string_3' },
+          to: { type: 'number', slot: 'number_2' },
+          rows: 2,
+        },
+        {
+          action: 'convert',
+          field: 'inStock',
+          from: { type: 'number', slot: 'number_1' },
+          to: { type: 'boolean', slot: 'boolean_1' },
+          rows: 2,
+        },
+      ],
+    })
+    assert.deepEqual(dryRun.steps, plan.steps)
+
+    assert.deepEqual(await slotRows(), [
+      { string_1: 'Dune', string_2: null, string_3: null, number_1: null, number_2: 4.5, boolean_1: 1 },
+      { string_1: 'Emma', string_2: null, string_3: null, number_1: null, number_2: 3, boolean_1: 0 },
+    ])
+
+    const books = await api.resources.books.query({})
+    assert.deepEqual(books.data.map(({ id, ...attributes }) => attributes), [
+      { heading: 'Dune', rating: 4.5, inStock: true },
+      { heading: 'Emma', rating: 3, inStock: false },
+    ])
+
+    const created = await api.resources.books.post({ heading: 'Ulysses', rating: 5, inStock: true })
+    assert.equal((await api.resources.books.get({ id: created.id })).heading, 'Ulysses')
+  })
+
+  it('leaves every record untouched when a value cannot be converted', async () => {
+    const api = await createBooksApi('anyapi-evolution-rollback-test', bookSchema)
+    await api.resources.books.post({ title: 'Dune', subtitle: 'Book one', rating: 'great', inStock: 1 })
+    const before = await slotRows()
+
+    await assert.rejects(
+      api.resources.books.alterKnexFields({ drop: ['subtitle'], fields: { rating: { type: 'number' } } }),
+      /Field 'rating' of record '1': Value "great" cannot be converted to a number slot/
+    )
+    assert.deepEqual(await slotRows(), before)
+
+    await assert.rejects(
+      api.resources.books.alterKnexFields({ rename: { title: 'rating' } }),
+      /Cannot rename field 'title' to 'rating'/
+    )
+    await assert.rejects(
+      api.resources.books.alterKnexFields({ drop: ['isbn'] }),
+      /Cannot drop field 'isbn'/
+    )
+  })
+
+  it('reuses freed slots and keeps slots when the resource is registered again', async () => {
+    const api = await createBooksApi('anyapi-evolution-restart-test', {
+      id: { type: 'id' },
+      title: { type: 'string' },
+      subtitle: { type: 'string' },
+      body: { type: 'string' },
+    })
+    await api.resources.books.post({ title: 'Dune', subtitle: 'Book one', body: 'Sand' })
+    await api.resources.books.alterKnexFields({ drop: ['subtitle'] })
+
+    // The application restarts with the new schema and one more field
+    const restarted = await createBooksApi('anyapi-evolution-restarted-test', {
+      id: { type: 'id' },
+      title: { type: 'string' },
+      body: { type: 'string' },
+      summary: { type: 'string' },
+    })
+
+    const descriptor = await restarted.anyapi.registry.getDescriptor('default', 'books')
+    assert.deepEqual(descriptor.canonicalFieldMap, { title: 'string_1', body: 'string_3', summary: 'string_2' })
+
+    const [{ id, ...attributes }] = (await restarted.resources.books.query({})).data
+    assert.equal(id, '1')
+    assert.deepEqual(attributes, { title: 'Dune', body: 'Sand', summary: null })
+  })
+})
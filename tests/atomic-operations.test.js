@@ -0,0 +1,227 @@
+import { describe, it, before, beforeEach, after } from 'node:test'
+import assert from 'node:assert/strict'
+import express from 'express'
+import request from 'supertest'
+import knexLib from 'knex'
+import { createAtomicOperationsApi } from './fixtures/api-configs.js'
+import { cleanTables, countRecords, validateJsonApiStructure } from './helpers/test-utils.js'
+import {
+  JSON_API_ATOMIC_EXTENSION,
+  hasJsonApiExtension
+} from '../plugins/core/connectors/lib/transport-http-helpers.js'
+
+const knex = knexLib({
+  client: 'better-sqlite3',
+  connection: {
+    filename: ':memory:'
+  },
+  useNullAsDefault: true
+})
+
+const ATOMIC_CONTENT_TYPE = 'application/vnd.api+json; ext="https://jsonapi.org/ext/atomic"'
+
+let api
+let app
+
+describe('Atomic Operations', () => {
+  before(async () => {
+    api = await createAtomicOperationsApi(knex)
+    app = express()
+    api.http.express.mount(app)
+  })
+
+  after(async () => {
+    await knex.destroy()
+  })
+
+  beforeEach(async () => {
+    await cleanTables(knex, [
+      'atomic_countries', 'atomic_publishers', 'atomic_authors', 'atomic_books', 'atomic_book_authors'
+    ])
+  })
+
+  it('creates related resources in one document using lid references', async () => {
+    const result = await api.atomicOperations({
+      operations: [
+        {
+          op: 'add',
+          data: { type: 'countries', lid: 'c1', attributes: { name: 'Atomic Country', code: 'AC' } }
+        },
+        {
+          op: 'add',
+          data: {
+            type: 'publishers',
+            lid: 'p1',
+            attributes: { name: 'Atomic Publisher' },
+            relationships: { country: { data: { type: 'countries', lid: 'c1' } } }
+          }
+        }
+      ]
+    })
+
+    const results = result['atomic:results']
+    assert.equal(results.length, 2)
+    validateJsonApiStructure(results[0])
+    validateJsonApiStructure(results[1])
+    assert.equal(results[0].data.type, 'countries')
+    assert.equal(results[1].data.type, 'publishers')
+    assert.deepEqual(results[1].data.relationships.country.data, {
+      type: 'countries',
+      id: results[0].data.id
+    })
+  })
+
+  it('updates, removes and edits relationships across resources', async () => {
+    const created = await api.atomicOperations({
+      operations: [
+        { op: 'add', data: { type: 'countries', lid: 'c', attributes: { name: 'Country', code: 'CO' } } },
+        { op: 'add', data: { type: 'authors', lid: 'a', attributes: { name: 'Author' } } },
+        {
+          op: 'add',
+          data: {
+            type: 'books',
+            lid: 'b',
+            attributes: { title: 'Book' },
+            relationships: { country: { data: { type: 'countries', lid: 'c' } } }
+          }
+        },
+        {
+          op: 'add',
+          ref: { type: 'books', lid: 'b', relationship: 'authors' },
+          data: [{ type: 'authors', lid: 'a' }]
+        }
+      ]
+    })
+
+    const [country, author, book, relationshipResult] = created['atomic:results']
+    assert.deepEqual(relationshipResult, {})
+
+    const bookWithAuthors = await api.resources.books.get({ id: book.data.id, simplified: false })
+    assert.deepEqual(bookWithAuthors.data.relationships.authors.data, [
+      { type: 'authors', id: author.data.id }
+    ])
+
+    const updated = await api.atomicOperations({
+      operations: [
+        { op: 'update', data: { type: 'countries', id: country.data.id, attributes: { name: 'Renamed' } } },
+        { op: 'remove', ref: { type: 'books', id: book.data.id, relationship: 'authors' }, data: [{ type: 'authors', id: author.data.id }] },
+        { op: 'remove', ref: { type: 'authors', id: author.data.id } }
+      ]
+    })
+
+    const [updatedCountry, removedLink, removedAuthor] = updated['atomic:results']
+    assert.equal(updatedCountry.data.attributes.name, 'Renamed')
+    assert.deepEqual(removedLink, {})
+    assert.deepEqual(removedAuthor, {})
+    assert.equal(await countRecords(knex, 'atomic_authors'), 0)
+    assert.equal(await countRecords(knex, 'atomic_book_authors'), 0)
+  })
+
+  it('rolls back every operation when one fails and points at the failing operation', async () => {
+    await assert.rejects(
+      api.atomicOperations({
+        operations: [
+          { op: 'add', data: { type: 'countries', attributes: { name: 'Rolled Back', code: 'RB' } } },
+          { op: 'add', data: { type: 'authors', attributes: {} } }
+        ]
+      }),
+      (error) => {
+        assert.equal(error.code, 'REST_API_VALIDATION')
+        assert.equal(error.atomicOperationIndex, 1)
+        assert.ok(error.details.violations.every((violation) => violation.field.startsWith('atomic:operations[1].')))
+        return true
+      }
+    )
+
+    assert.equal(await countRecords(knex, 'atomic_countries'), 0)
+  })
+
+  it('rejects references to unassigned local identifiers', async () => {
+    await assert.rejects(
+      api.atomicOperations({
+        operations: [
+          { op: 'remove', ref: { type: 'countries', lid: 'missing' } }
+        ]
+      }),
+      (error) => {
+        assert.equal(error.code, 'REST_API_VALIDATION')
+        assert.equal(error.details.violations[0].field, 'atomic:operations[0].ref.lid')
+        return true
+      }
+    )
+  })
+
+  it('enforces the configured operation limit', async () => {
+    const operations = Array.from({ length: 11 }, (_, index) => ({
+      op: 'add',
+      data: { type: 'countries', attributes: { name: `Country ${index}` } }
+    }))
+
+    await assert.rejects(api.atomicOperations({ operations }), /Cannot process more than 10 operations/)
+  })
+
+  describe('HTTP endpoint', () => {
+    it('accepts atomic documents and answers with the atomic media type', async () => {
+      const response = await request(app)
+        .post('/api/operations')
+        .set('Content-Type', ATOMIC_CONTENT_TYPE)
+        .send(JSON.stringify({
+          'atomic:operations': [
+            { op: 'add', data: { type: 'countries', attributes: { name: 'HTTP Country', code: 'HC' } } }
+          ]
+        }))
+
+      assert.equal(response.status, 200)
+      assert.ok(hasJsonApiExtension(response.headers['content-type'], JSON_API_ATOMIC_EXTENSION))
+      assert.equal(response.body['atomic:results'][0].data.attributes.name, 'HTTP Country')
+    })
+
+    it('returns 204 when no operation produces data', async () => {
+      const country = await api.resources.countries.post({
+        inputRecord: { data: { type: 'countries', attributes: { name: 'To Remove' } } },
+        simplified: false
+      })
+
+      const response = await request(app)
+        .post('/api/operations')
+        .set('Content-Type', ATOMIC_CONTENT_TYPE)
+        .send(JSON.stringify({
+          'atomic:operations': [{ op: 'remove', ref: { type: 'countries', id: country.data.id } }]
+        }))
+
+      assert.equal(response.status, 204)
+      assert.equal(await countRecords(knex, 'atomic_countries'), 0)
+    })
+
+    it('requires the atomic extension in the Content-Type', async () => {
+      const response = await request(app)
+        .post('/api/operations')
+        .set('Content-Type', 'application/vnd.api+json')
+        .send(JSON.stringify({
+          'atomic:operations': [
+            { op: 'add', data: { type: 'countries', attributes: { name: 'No Ext' } } }
+          ]
+        }))
+
+      assert.equal(response.status, 415)
+      assert.equal(response.body.errors[0].title, 'Unsupported Media Type')
+      assert.equal(await countRecords(knex, 'atomic_countries'), 0)
+    })
+
+    it('maps a failing operation to a 422 error document', async () => {
+      const response = await request(app)
+        .post('/api/operations')
+        .set('Content-Type', ATOMIC_CONTENT_TYPE)
+        .send(JSON.stringify({
+          'atomic:operations': [
+            { op: 'add', data: { type: 'countries', attributes: { name: 'Kept Out', code: 'KO' } } },
+            { op: 'launch', data: { type: 'countries' } }
+          ]
+        }))
+
+      assert.equal(response.status, 422)
+      assert.equal(response.body.errors[0].source.pointer, 'atomic:operations[1].op')
+      assert.equal(await countRecords(knex, 'atomic_countries'), 0)
+    })
+  })
+})
@@ -0,0 +1,170 @@
+import { describe, it, before, beforeEach, after } from 'node:test'
+import assert from 'node:assert/strict'
+import express from 'express'
+import request from 'supertest'
+import knexLib from 'knex'
+import { createAuditLogApi } from './fixtures/api-configs.js'
+import { cleanTables, countRecords } from './helpers/test-utils.js'
+
+const knex = knexLib({
+  client: 'better-sqlite3',
+  connection: {
+    filename: ':memory:'
+  },
+  useNullAsDefault: true
+})
+
+let api
+let app
+
+async function createArticle (attributes = { title: 'Draft' }, context = {}) {
+  return api.resources.articles.post({
+    inputRecord: { data: { type: 'articles', attributes } }
+  }, context)
+}
+
+async function history (scopeName, id) {
+  const result = await api.resources[scopeName].history({ id })
+  return result.data.map((entry) => entry.attributes)
+}
+
+describe('Audit Log Plugin', () => {
+  before(async () => {
+    api = await createAuditLogApi(knex)
+    app = express()
+    api.http.express.mount(app)
+  })
+
+  after(async () => {
+    await knex.destroy()
+  })
+
+  beforeEach(async () => {
+    await cleanTables(knex, ['audit_people', 'audit_articles', 'audit_entries'])
+  })
+
+  it('records the actor and a field-level diff for every write', async () => {
+    const created = await createArticle({ title: 'Draft', body: 'First' }, { auth: { userId: 7 } })
+    const id = created.data.id
+
+    await api.resources.articles.patch({
+      id,
+      inputRecord: { data: { type: 'articles', id, attributes: { title: 'Final', views: 10 } } }
+    }, { auth: { userId: 'editor-1' } })
+
+    await api.resources.articles.put({
+      id,
+      inputRecord: { data: { type: 'articles', id, attributes: { title: 'Final', body: 'Rewritten', views: 10 } } }
+    })
+
+    await api.resources.articles.delete({ id })
+
+    const entries = await history('articles', id).catch((error) => error)
+    assert.equal(entries.subtype, 'not_found')
+
+    const rows = await knex('audit_entries').orderBy('id')
+    assert.deepEqual(rows.map((row) => row.operation), ['post', 'patch', 'put', 'delete'])
+    assert.deepEqual(rows.map((row) => row.actor), ['7', 'editor-1', null, null])
+
+    const changes = rows.map((row) => JSON.parse(row.changes))
+    assert.deepEqual(changes[0].title, { before: null, after: 'Draft' })
+    // views is excluded in the resource's audit options
+    assert.deepEqual(changes[1], { title: { before: 'Draft', after: 'Final' } })
+    assert.deepEqual(changes[2], { body: { before: 'First', after: 'Rewritten' } })
+    assert.deepEqual(changes[3].title, { before: 'Final', after: null })
+  })
+
+  it('skips no-op updates and never records hidden fields', async () => {
+    const person = await api.resources.people.post({
+      inputRecord: {
+        data: { type: 'people', attributes: { name: 'Ada', password_hash: 'secret', recovery_hint: 'first pet' } }
+      }
+    })
+    const id = person.data.id
+
+    await api.resources.people.patch({
+      id,
+      inputRecord: { data: { type: 'people', id, attributes: { name: 'Ada', recovery_hint: 'first car' } } }
+    })
+
+    const entries = await history('people', id)
+    assert.equal(entries.length, 1)
+    assert.equal(entries[0].operation, 'post')
+    assert.deepEqual(Object.keys(entries[0].changes), ['name'])
+  })
+
+  it('leaves fields the caller cannot read out of the history', async () => {
+    const person = await api.resources.people.post({
+      inputRecord: { data: { type: 'people', attributes: { name: 'Ada', salary: 1000 } } }
+    })
+    const id = person.data.id
+
+    await api.resources.people.patch({
+      id,
+      inputRecord: { data: { type: 'people', id, attributes: { name: 'Ada L.', salary: 2000 } } }
+    })
+
+    const hr = await api.resources.people.history({ id }, { auth: { userId: '1', roles: ['hr'] } })
+    assert.deepEqual(hr.data[1].attributes.changes.salary, { before: 1000, after: 2000 })
+
+    const others = await api.resources.people.history({ id }, { auth: { userId: '2', roles: ['staff'] } })
+    assert.deepEqual(others.data.map((entry) => entry.attributes.changes), [
+      { name: { before: null, after: 'Ada' } },
+      { name: { before: 'Ada', after: 'Ada L.' } }
+    ])
+  })
+
+  it('records relationship endpoint writes once, as a linkage diff', async () => {
+    const author = await api.resources.people.post({
+      inputRecord: { data: { type: 'people', attributes: { name: 'Grace' } } }
+    })
+    const article = await createArticle()
+    const articleId = article.data.id
+
+    await api.resources.articles.patchRelationship({
+      id: articleId,
+      relationshipName: 'author',
+      relationshipData: { type: 'people', id: author.data.id }
+    })
+
+    await api.resources.articles.patchRelationship({
+      id: articleId,
+      relationshipName: 'author',
+      relationshipData: null
+    })
+
+    const entries = await history('articles', articleId)
+    assert.deepEqual(entries.map((entry) => entry.operation), ['post', 'patchRelationship', 'patchRelationship'])
+    assert.deepEqual(entries[1].changes, {
+      author: { before: null, after: { type: 'people', id: author.data.id } }
+    })
+    assert.deepEqual(entries[2].changes, {
+      author: { before: { type: 'people', id: author.data.id }, after: null }
+    })
+  })
+
+  it('writes audit entries in the same transaction as the change', async () => {
+    const trx = await knex.transaction()
+    await api.resources.articles.post({
+      inputRecord: { data: { type: 'articles', attributes: { title: 'Rolled back' } } },
+      transaction: trx
+    })
+    await trx.rollback()
+
+    assert.equal(await countRecords(knex, 'audit_entries'), 0)
+  })
+
+  it('serves GET /{resource}/:id/history', async () => {
+    const created = await createArticle({ title: 'Over HTTP' })
+
+    const response = await request(app).get(`/api/articles/${created.data.id}/history`)
+    assert.equal(response.status, 200)
+    assert.equal(response.body.data.length, 1)
+    assert.equal(response.body.data[0].type, 'audit')
+    assert.equal(response.body.data[0].attributes.operation, 'post')
+    assert.ok(response.body.data[0].attributes.createdAt)
+
+    const missing = await request(app).get('/api/articles/999/history')
+    assert.equal(missing.status, 404)
+  })
+})
@@ -0,0 +1,377 @@
+import { describe, it, before, beforeEach, after, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import http from 'node:http'
+import express from 'express'
+import knexLib from 'knex'
+import { Api } from 'hooked-api'
+import { createChangeFeedApi } from './fixtures/api-configs.js'
+import { cleanTables } from './helpers/test-utils.js'
+import { FakeFastifyApp, invokeFastifyRoute } from './helpers/fake-fastify.js'
+import { RestApiPlugin, RestApiKnexPlugin, FastifyPlugin, ChangeFeedPlugin } from '../index.js'
+
+const knex = knexLib({
+  client: 'better-sqlite3',
+  connection: {
+    filename: ':memory:'
+  },
+  useNullAsDefault: true
+})
+
+let api
+let server
+let baseUrl
+const openedStreams = []
+
+function parseEventBlock (block) {
+  const event = {}
+  for (const line of block.split('\n')) {
+    if (!line || line.startsWith(':')) continue
+    const separator = line.indexOf(':')
+    const name = line.slice(0, separator)
+    const value = line.slice(separator + 1).replace(/^ /, '')
+    event[name] = name === 'data' ? JSON.parse(value) : value
+  }
+  return event.event ? event : null
+}
+
+/**
+ * Minimal EventSource: collects parsed events, `next(count)` waits for that many more
+ */
+function openChangeStream (path, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const request = http.get(`${baseUrl}${path}`, { headers: { Accept: 'text/event-stream', ...headers } }, (response) => {
+      const events = []
+      const waiters = []
+      let buffer = ''
+      let consumed = 0
+
+      const notify = () => {
+        for (const waiter of [...waiters]) {
+          if (events.length - consumed >= waiter.count) {
+            waiters.splice(waiters.indexOf(waiter), 1)
+            clearTimeout(waiter.timer)
+            const batch = events.slice(consumed, consumed + waiter.count)
+            consumed += waiter.count
+            waiter.resolve(batch)
+          }
+        }
+      }
+
+      response.setEncoding('utf8')
+      response.on('data', (chunk) => {
+        buffer += chunk
+        let boundary = buffer.indexOf('\n\n')
+        while (boundary !== -1) {
+          const event = parseEventBlock(buffer.slice(0, boundary))
+          if (event) events.push(event)
+          buffer = buffer.slice(boundary + 2)
+          boundary = buffer.indexOf('\n\n')
+        }
+        notify()
+      })
+
+      const stream = {
+        response,
+        events,
+        next (count = 1) {
+          return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => reject(new Error(`Timed out waiting for ${count} event(s)`)), 2000)
+            waiters.push({ count, resolve, timer })
+            notify()
+          })
+        },
+        close () {
+          request.destroy()
+        }
+      }
+      openedStreams.push(stream)
+      resolve(stream)
+    })
+    request.on('error', reject)
+  })
+}
+
+async function createTask (attributes) {
+  const result = await api.resources.tasks.post({
+    inputRecord: { data: { type: 'tasks', attributes: { access_group: 'red', ...attributes } } }
+  })
+  return result.data.id
+}
+
+async function patchTask (id, attributes) {
+  await api.resources.tasks.patch({
+    id,
+    inputRecord: { data: { type: 'tasks', id, attributes } }
+  })
+}
+
+describe('Change Feed Plugin', () => {
+  before(async () => {
+    api = await createChangeFeedApi(knex, { 'change-feed': { maxAudiences: 4, maxAudiencesPerUser: 2 } })
+    const app = express()
+    api.http.express.mount(app)
+    server = http.createServer(app)
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve))
+    baseUrl = `http://127.0.0.1:${server.address().port}`
+  })
+
+  after(async () => {
+    api.changeFeed.closeStreams()
+    server.closeAllConnections?.()
+    await new Promise((resolve) => server.close(resolve))
+    await knex.destroy()
+  })
+
+  beforeEach(async () => {
+    await cleanTables(knex, ['change_feed_projects', 'change_feed_tasks'])
+  })
+
+  afterEach(() => {
+    for (const stream of openedStreams.splice(0)) stream.close()
+  })
+
+  it('streams create, update and delete events with increasing ids', async () => {
+    const stream = await openChangeStream('/api/tasks/changes')
+    assert.equal(stream.response.statusCode, 200)
+    assert.match(stream.response.headers['content-type'], /^text\/event-stream/)
+    assert.equal(stream.response.headers['cache-control'], 'no-cache, no-transform')
+
+    // Events carry the record as it is when they are sent, so each write waits for its event
+    const id = await createTask({ title: 'Write docs' })
+    const [created] = await stream.next(1)
+    await patchTask(id, { title: 'Write better docs' })
+    const [updated] = await stream.next(1)
+    await api.resources.tasks.delete({ id })
+    const [deleted] = await stream.next(1)
+
+    assert.deepEqual([created.event, updated.event, deleted.event], ['create', 'update', 'delete'])
+    assert.ok(Number(created.id) < Number(updated.id))
+    assert.ok(Number(updated.id) < Number(deleted.id))
+    assert.equal(deleted.id, String(api.changeFeed.lastEventId))
+
+    assert.equal(created.data.data.type, 'tasks')
+    assert.equal(created.data.data.id, id)
+    assert.equal(created.data.data.attributes.title, 'Write docs')
+    assert.equal(updated.data.data.attributes.title, 'Write better docs')
+    assert.deepEqual(deleted.data, { data: { type: 'tasks', id } })
+  })
+
+  it('applies the same filters, include and fields as the collection query', async () => {
+    const project = await api.resources.projects.post({
+      inputRecord: { data: { type: 'projects', attributes: { name: 'Launch' } } }
+    })
+    const stream = await openChangeStream(
+      '/api/tasks/changes?filter[status]=done&include=project&fields[tasks]=title'
+    )
+
+    const openId = await createTask({ title: 'Still open', status: 'open' })
+    const doneId = await createTask({ title: 'Shipped', status: 'done' })
+    const [created] = await stream.next(1)
+
+    await api.resources.tasks.patch({
+      id: doneId,
+      inputRecord: {
+        data: {
+          type: 'tasks',
+          id: doneId,
+          relationships: { project: { data: { type: 'projects', id: project.data.id } } }
+        }
+      }
+    })
+    const [updated] = await stream.next(1)
+
+    await api.resources.tasks.delete({ id: openId })
+    await api.resources.tasks.delete({ id: doneId })
+    const [deleted] = await stream.next(1)
+
+    assert.equal(created.event, 'create')
+    assert.equal(created.data.data.id, doneId)
+    assert.deepEqual(Object.keys(created.data.data.attributes), ['title'])
+
+    assert.equal(updated.event, 'update')
+    assert.deepEqual(updated.data.data.relationships.project.data, { type: 'projects', id: project.data.id })
+    assert.deepEqual(updated.data.included.map((resource) => [resource.type, resource.id]), [['projects', project.data.id]])
+
+    assert.equal(deleted.event, 'delete')
+    assert.equal(deleted.data.data.id, doneId)
+    assert.equal(stream.events.length, 3)
+  })
+
+  it('only sends changes the caller is allowed to read', async () => {
+    const stream = await openChangeStream('/api/tasks/changes', { 'x-user': 'ada', 'x-groups': 'red' })
+
+    const blueId = await createTask({ title: 'Blue', access_group: 'blue' })
+    await patchTask(blueId, { title: 'Still blue' })
+    await api.resources.tasks.delete({ id: blueId })
+    const redId = await createTask({ title: 'Red' })
+
+    const [event] = await stream.next(1)
+    assert.equal(event.event, 'create')
+    assert.equal(event.data.data.id, redId)
+    assert.equal(stream.events.length, 1)
+  })
+
+  it('replays missed events after Last-Event-ID and resets when history is gone', async () => {
+    const first = await openChangeStream('/api/tasks/changes', { 'x-user': 'ada', 'x-groups': 'red' })
+    const keptId = await createTask({ title: 'Kept' })
+    const [seen] = await first.next(1)
+    first.close()
+
+    await patchTask(keptId, { title: 'Renamed while away' })
+    await createTask({ title: 'Hidden', access_group: 'blue' })
+    const laterId = await createTask({ title: 'Created while away' })
+
+    const resumed = await openChangeStream('/api/tasks/changes', {
+      'x-user': 'ada',
+      'x-groups': 'red',
+      'Last-Event-ID': seen.id
+    })
+    const replayed = await resumed.next(2)
+
+    // Replayed events carry records as they are now
+    assert.deepEqual(replayed.map((event) => [event.event, event.data.data.id]), [
+      ['update', keptId],
+      ['create', laterId]
+    ])
+    assert.equal(replayed[0].data.data.attributes.title, 'Renamed while away')
+    assert.ok(replayed.every((event) => Number(event.id) > Number(seen.id)))
+
+    const stale = await openChangeStream('/api/tasks/changes', { 'Last-Event-ID': '12' })
+    const [reset] = await stale.next(1)
+    assert.equal(reset.event, 'reset')
+    assert.deepEqual(reset.data, { reason: 'history_unavailable' })
+    assert.equal(reset.id, String(api.changeFeed.lastEventId))
+  })
+
+  it('resets instead of replaying deletes nobody checked for the audience', async () => {
+    const lastSeen = api.changeFeed.lastEventId
+    const id = await createTask({ title: 'Deleted before anyone listened' })
+    await api.resources.tasks.delete({ id })
+
+    const stream = await openChangeStream('/api/tasks/changes', {
+      'x-user': 'grace',
+      'x-groups': 'red',
+      'Last-Event-ID': String(lastSeen)
+    })
+    const [reset] = await stream.next(1)
+    assert.equal(reset.event, 'reset')
+    assert.deepEqual(reset.data, { reason: 'history_unavailable' })
+  })
+
+  it('publishes after commit and never for rolled back writes', async () => {
+    const stream = await openChangeStream('/api/tasks/changes')
+
+    const trx = await knex.transaction()
+    await api.resources.tasks.post({
+      inputRecord: { data: { type: 'tasks', attributes: { title: 'Rolled back', access_group: 'red' } } },
+      transaction: trx
+    })
+    await trx.rollback()
+
+    const committed = await knex.transaction()
+    const result = await api.resources.tasks.post({
+      inputRecord: { data: { type: 'tasks', attributes: { title: 'Committed', access_group: 'red' } } },
+      transaction: committed
+    })
+    assert.equal(stream.events.length, 0)
+    await committed.commit()
+
+    const [event] = await stream.next(1)
+    assert.equal(event.data.data.id, result.data.id)
+    assert.equal(event.data.data.attributes.title, 'Committed')
+  })
+
+  it('answers invalid parameters with a JSON:API error instead of a stream', async () => {
+    const response = await fetch(`${baseUrl}/api/tasks/changes?filter[unknown]=1`)
+    assert.equal(response.status, 422)
+    assert.match(response.headers.get('content-type'), /json/)
+    const body = await response.json()
+    assert.ok(body.errors?.length)
+  })
+
+  it('caps the audiences per user and overall, and drops them with their last stream', async () => {
+    const path = (status) => `/api/tasks/changes?filter[status]=${status}`
+
+    // Streams closed by earlier tests may take a moment to go
+    const openWhenRoom = async (status, user) => {
+      for (let attempt = 0; attempt < 40; attempt++) {
+        const stream = await openChangeStream(path(status), { 'x-user': user })
+        if (stream.response.statusCode === 200) return stream
+        stream.close()
+        await new Promise((resolve) => setTimeout(resolve, 50))
+      }
+      throw new Error('No room for another change feed')
+    }
+
+    const grace = await openWhenRoom('open', 'grace')
+    await openWhenRoom('done', 'grace')
+
+    const perUser = await openChangeStream(path('blocked'), { 'x-user': 'grace' })
+    assert.equal(perUser.response.statusCode, 429)
+
+    // Another stream with the same filters shares its audience
+    const shared = await openChangeStream(path('open'), { 'x-user': 'grace' })
+    assert.equal(shared.response.statusCode, 200)
+
+    await openWhenRoom('open', 'linus')
+    await openWhenRoom('done', 'linus')
+    const overall = await openChangeStream(path('open'), { 'x-user': 'mia' })
+    assert.equal(overall.response.statusCode, 429)
+
+    grace.close()
+    shared.close()
+    await openWhenRoom('blocked', 'grace')
+  })
+
+  it('rejects a changeFeed option that is not a boolean', async () => {
+    await assert.rejects(
+      api.addResource('bad_feed', {
+        schema: { id: { type: 'id' }, name: { type: 'string' } },
+        changeFeed: 'yes'
+      }),
+      (error) => error.code === 'REST_API_CHANGE_FEED_CONTRACT'
+    )
+  })
+})
+
+describe('Change Feed Plugin with Fastify', () => {
+  it('hijacks the reply and writes the stream to the raw response', async () => {
+    const fastifyKnex = knexLib({ client: 'better-sqlite3', connection: { filename: ':memory:' }, useNullAsDefault: true })
+    const app = new FakeFastifyApp()
+    const fastifyApi = new Api({ name: 'change-feed-fastify-api', log: { level: process.env.LOG_LEVEL || 'silent' } })
+
+    await fastifyApi.use(RestApiPlugin, { simplifiedApi: false, simplifiedTransport: false })
+    await fastifyApi.use(RestApiKnexPlugin, { knex: fastifyKnex })
+    await fastifyApi.use(FastifyPlugin, { app, mountPath: '/api' })
+    await fastifyApi.use(ChangeFeedPlugin)
+    await fastifyApi.addResource('notes', {
+      schema: { id: { type: 'id' }, text: { type: 'string', required: true } },
+      changeFeed: true
+    })
+    await fastifyApi.resources.notes.createKnexTable()
+
+    try {
+      const { reply } = await invokeFastifyRoute(app, { method: 'GET', routeUrl: '/api/notes/changes' })
+      assert.equal(reply.hijacked, true)
+      assert.equal(reply.raw.statusCode, 200)
+      assert.match(reply.raw.headers['Content-Type'], /^text\/event-stream/)
+
+      const created = await fastifyApi.resources.notes.post({
+        inputRecord: { data: { type: 'notes', attributes: { text: 'Hello' } } }
+      })
+
+      let event = null
+      for (let attempt = 0; attempt < 50 && !event; attempt++) {
+        await new Promise((resolve) => setTimeout(resolve, 10))
+        event = reply.raw.body.split('\n\n').map(parseEventBlock).find(Boolean)
+      }
+      assert.equal(event.event, 'create')
+      assert.equal(event.data.data.id, String(created.data.id))
+
+      fastifyApi.changeFeed.closeStreams()
+      assert.equal(reply.raw.ended, true)
+    } finally {
+      await fastifyKnex.destroy()
+    }
+  })
+})
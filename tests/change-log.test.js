@@ -0,0 +1,282 @@
+import { describe, it, before, beforeEach, after } from 'node:test'
+import assert from 'node:assert/strict'
+import express from 'express'
+import request from 'supertest'
+import knexLib from 'knex'
+import { createChangeLogApi } from './fixtures/api-configs.js'
+import { cleanTables } from './helpers/test-utils.js'
+import { storageMode } from './helpers/storage-mode.js'
+
+const knex = knexLib({
+  client: 'better-sqlite3',
+  connection: {
+    filename: ':memory:'
+  },
+  useNullAsDefault: true
+})
+
+let api
+let app
+
+// Tests that add triggers to the resource table
+const knexIt = storageMode.isAnyApi() ? it.skip : it
+
+async function createNote (attributes = { text: 'Draft' }, params = {}) {
+  const result = await api.resources.notes.post({
+    inputRecord: { data: { type: 'notes', attributes } },
+    ...params
+  })
+  return result.data.id
+}
+
+async function patchNote (id, attributes) {
+  await api.resources.notes.patch({
+    id,
+    inputRecord: { data: { type: 'notes', id, attributes } }
+  })
+}
+
+async function latestCursor () {
+  const result = await api.resources.notes.changesSince({ cursor: 0, limit: 1000 })
+  return result.meta.changes.cursor
+}
+
+describe('Change Log Plugin', () => {
+  before(async () => {
+    api = await createChangeLogApi(knex)
+    app = express()
+    api.http.express.mount(app)
+
+    // Stands in for a row policy: callers with hideSecrets cannot read secret notes
+    await api.customize({
+      hooks: {
+        knexQueryFiltering: {
+          functionName: 'change-log-test-secrets',
+          handler: async ({ context }) => {
+            const { query, scopeName, storageAdapter } = context.knexQuery || {}
+            if (!context.hideSecrets || scopeName !== 'notes' || !query) return
+            query.whereNot(storageAdapter?.translateColumn?.('text') || 'text', 'Secret')
+          }
+        }
+      }
+    })
+  })
+
+  after(async () => {
+    await knex.destroy()
+  })
+
+  beforeEach(async () => {
+    await cleanTables(knex, ['change_log_note_tags', 'change_log_notes', 'change_log_tags', '_changes'])
+  })
+
+  it('writes a change row per committed write, in the same transaction', async () => {
+    const id = await createNote({ text: 'First' })
+    await patchNote(id, { text: 'Second' })
+    await api.resources.notes.delete({ id })
+
+    const trx = await knex.transaction()
+    await createNote({ text: 'Rolled back' }, { transaction: trx })
+    await trx.rollback()
+
+    const rows = await knex('_changes').orderBy('id')
+    assert.deepEqual(
+      rows.map((row) => [row.resource_type, row.resource_id, row.operation]),
+      [['notes', id, 'upsert'], ['notes', id, 'upsert'], ['notes', id, 'delete']]
+    )
+    assert.ok(rows.every((row, index) => index === 0 || row.id > rows[index - 1].id))
+  })
+
+  it('returns each changed record once, as it is now, and tombstones for deletes', async () => {
+    const keptId = await createNote({ text: 'Kept' })
+    await patchNote(keptId, { text: 'Kept and edited' })
+    const deletedId = await createNote({ text: 'Gone soon' })
+    await api.resources.notes.delete({ id: deletedId })
+
+    const first = await api.resources.notes.changesSince({ cursor: 0 })
+    assert.deepEqual(first.data.map((note) => [note.id, note.attributes.text]), [[keptId, 'Kept and edited']])
+    assert.deepEqual(first.meta.changes.tombstones.map(({ type, id }) => ({ type, id })), [{ type: 'notes', id: deletedId }])
+    assert.ok(first.meta.changes.tombstones[0].deletedAt)
+    assert.equal(first.meta.changes.hasMore, false)
+
+    // Nothing new since the cursor
+    const empty = await api.resources.notes.changesSince({ cursor: first.meta.changes.cursor })
+    assert.deepEqual(empty.data, [])
+    assert.deepEqual(empty.meta.changes.tombstones, [])
+    assert.equal(empty.meta.changes.cursor, first.meta.changes.cursor)
+
+    // Restoring a soft deleted record brings it back
+    await api.resources.notes.restore({ id: deletedId })
+    const restored = await api.resources.notes.changesSince({ cursor: first.meta.changes.cursor })
+    assert.deepEqual(restored.data.map((note) => note.id), [deletedId])
+    assert.deepEqual(restored.meta.changes.tombstones, [])
+  })
+
+  it('pages through the log with limit and hasMore', async () => {
+    const ids = []
+    for (const text of ['One', 'Two', 'Three']) ids.push(await createNote({ text }))
+
+    const page1 = await api.resources.notes.changesSince({ cursor: 0, limit: 2 })
+    assert.deepEqual(page1.data.map((note) => note.id), ids.slice(0, 2))
+    assert.equal(page1.meta.changes.hasMore, true)
+
+    const page2 = await api.resources.notes.changesSince({ cursor: page1.meta.changes.cursor, limit: 2 })
+    assert.deepEqual(page2.data.map((note) => note.id), ids.slice(2))
+    assert.equal(page2.meta.changes.hasMore, false)
+  })
+
+  it('records many-to-many relationship changes on the record that owns them', async () => {
+    const noteId = await createNote({ text: 'Tagged' })
+    const tag = await api.resources.tags.post({
+      inputRecord: { data: { type: 'tags', attributes: { label: 'urgent' } } }
+    })
+    const cursor = await latestCursor()
+
+    await api.resources.notes.postRelationship({
+      id: noteId,
+      relationshipName: 'tags',
+      relationshipData: [{ type: 'tags', id: tag.data.id }]
+    })
+
+    const changes = await api.resources.notes.changesSince({ cursor, queryParams: { include: ['tags'] } })
+    assert.deepEqual(changes.data.map((note) => note.id), [noteId])
+    assert.deepEqual(changes.data[0].relationships.tags.data, [{ type: 'tags', id: tag.data.id }])
+
+    const row = await knex('_changes').where({ resource_type: 'notes' }).orderBy('id', 'desc').first()
+    assert.equal(row.relationship, 'tags')
+  })
+
+  it('narrows the changed records with the other filters', async () => {
+    const pinnedId = await createNote({ text: 'Pinned', pinned: true })
+    await createNote({ text: 'Loose', pinned: false })
+
+    const changes = await api.resources.notes.changesSince({ cursor: 0, queryParams: { filters: { pinned: true } } })
+    assert.deepEqual(changes.data.map((note) => note.id), [pinnedId])
+  })
+
+  it('serves GET /{resource}?filter[changedSince]=cursor', async () => {
+    const id = await createNote({ text: 'Over HTTP' })
+    await createNote({ text: 'Deleted over HTTP' }).then((deletedId) => api.resources.notes.delete({ id: deletedId }))
+
+    const response = await request(app)
+      .get('/api/notes?filter[changedSince]=0&page[size]=10')
+      .expect(200)
+
+    assert.deepEqual(response.body.data.map((note) => note.id), [id])
+    assert.equal(response.body.meta.changes.tombstones.length, 1)
+    assert.equal(response.body.meta.changes.hasMore, false)
+
+    const next = await request(app)
+      .get(`/api/notes?filter[changedSince]=${response.body.meta.changes.cursor}`)
+      .expect(200)
+    assert.deepEqual(next.body.data, [])
+
+    await request(app)
+      .get('/api/notes?filter[changedSince]=yesterday')
+      .expect(422)
+  })
+
+  it('returns every changed record of a page larger than the default query limit', async () => {
+    for (let index = 0; index < 25; index++) await createNote({ text: `Note ${index}` })
+
+    const changes = await api.resources.notes.changesSince({ cursor: 0, limit: 50 })
+    assert.equal(changes.data.length, 25)
+    assert.equal(changes.meta.pagination, undefined)
+  })
+
+  it('only returns tombstones of records the caller could read', async () => {
+    const ids = {}
+    for (const text of ['Secret', 'Public']) {
+      ids[`soft${text}`] = await createNote({ text })
+      ids[`hard${text}`] = await createNote({ text })
+    }
+    await api.resources.notes.delete({ id: ids.softSecret })
+    await api.resources.notes.delete({ id: ids.softPublic })
+    await api.resources.notes.purge({ id: ids.hardSecret })
+    await api.resources.notes.purge({ id: ids.hardPublic })
+
+    const hidden = await api.resources.notes.changesSince({ cursor: 0 }, { hideSecrets: true })
+    assert.deepEqual(hidden.meta.changes.tombstones.map((tombstone) => tombstone.id), [ids.softPublic, ids.hardPublic])
+
+    const all = await api.resources.notes.changesSince({ cursor: 0 })
+    assert.equal(all.meta.changes.tombstones.length, 4)
+
+    // The purged rows were only put back while checking
+    const stored = await api.resources.notes.query({ queryParams: { filters: { trashed: 'with' } } })
+    assert.deepEqual(stored.data.map((note) => note.id).sort(), [ids.softSecret, ids.softPublic].sort())
+  })
+
+  knexIt('checks tombstones without writing to the resource table', async () => {
+    const id = await createNote({ text: 'Purged' })
+    await api.resources.notes.purge({ id })
+
+    await knex.raw(`CREATE TRIGGER change_log_notes_read_only BEFORE INSERT ON change_log_notes
+      BEGIN SELECT RAISE(ABORT, 'change_log_notes is read only'); END`)
+    try {
+      const changes = await api.resources.notes.changesSince({ cursor: 0 })
+      assert.deepEqual(changes.meta.changes.tombstones.map((tombstone) => tombstone.id), [id])
+
+      const hidden = await api.resources.notes.changesSince({ cursor: 0, queryParams: { filters: { pinned: true } } })
+      assert.deepEqual(hidden.meta.changes.tombstones, [])
+    } finally {
+      await knex.raw('DROP TRIGGER change_log_notes_read_only')
+    }
+  })
+
+  it('holds back changes written after one of a transaction still open', async () => {
+    const trx = await knex.transaction()
+    const id = await createNote({ text: 'Slow' }, { transaction: trx })
+
+    // Readers stop before the open transaction's change, even the ones that can see it
+    const during = await api.resources.notes.changesSince({ cursor: 0, transaction: trx })
+    assert.deepEqual(during.data, [])
+    assert.equal(during.meta.changes.cursor, '0')
+
+    await trx.commit()
+    const after = await api.resources.notes.changesSince({ cursor: 0 })
+    assert.deepEqual(after.data.map((note) => note.id), [id])
+  })
+
+  it('rejects changesSince on resources without a change log', async () => {
+    await api.addResource('unlogged', {
+      schema: { id: { type: 'id' }, name: { type: 'string' } },
+      tableName: 'change_log_unlogged'
+    })
+
+    await assert.rejects(
+      api.resources.unlogged.changesSince({ cursor: 0 }),
+      (error) => error.code === 'REST_API_CHANGE_LOG_CONTRACT'
+    )
+  })
+})
+
+describe('Change Log Plugin with lagMs', () => {
+  const laggingKnex = knexLib({
+    client: 'better-sqlite3',
+    connection: { filename: ':memory:' },
+    useNullAsDefault: true
+  })
+  let laggingApi
+
+  before(async () => {
+    laggingApi = await createChangeLogApi(laggingKnex, { 'change-log': { lagMs: 60000 } })
+  })
+
+  after(async () => {
+    await laggingKnex.destroy()
+  })
+
+  it('holds back changes younger than the lag', async () => {
+    await laggingApi.resources.notes.post({
+      inputRecord: { data: { type: 'notes', attributes: { text: 'Fresh' } } }
+    })
+
+    const changes = await laggingApi.resources.notes.changesSince({ cursor: 0 })
+    assert.deepEqual(changes.data, [])
+    assert.equal(changes.meta.changes.cursor, '0')
+
+    await laggingKnex('_changes').update({ changed_at: new Date(Date.now() - 120000) })
+    const settled = await laggingApi.resources.notes.changesSince({ cursor: 0 })
+    assert.equal(settled.data.length, 1)
+  })
+})
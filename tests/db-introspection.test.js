@@ -3,7 +3,7 @@ import assert from 'node:assert/strict'
 import knexLib from 'knex'
 
 import { introspectKnexTableSnapshot } from '../plugins/core/lib/dbIntrospection.js'
-import { createKnexTable } from '../plugins/core/lib/dbTablesOperations.js'
+import { createKnexTable, generateKnexMigrationDiff } from '../plugins/core/lib/dbTablesOperations.js'
 import { createBasicApi } from './fixtures/api-configs.js'
 import { storageMode } from './helpers/storage-mode.js'
 
@@ -54,6 +54,178 @@ function createMysqlKnexRawDouble ({
   return knex
 }
 
+function createPostgresKnexRawDouble ({
+  schemaName = 'public',
+  columns = [],
+  enumLabels = [],
+  primaryKeyColumns = [],
+  indexes = [],
+  foreignKeys = [],
+  checkConstraints = []
+} = {}) {
+  const knex = {
+    client: {
+      config: {
+        client: 'pg'
+      }
+    },
+    async raw (sql, bindings = []) {
+      const normalizedSql = String(sql || '').toLowerCase()
+
+      if (normalizedSql.includes('select current_schema()')) {
+        return { rows: [{ schemaName }] }
+      }
+      if (normalizedSql.includes('from information_schema.columns')) {
+        return { rows: [...columns] }
+      }
+      if (normalizedSql.includes('join pg_catalog.pg_enum')) {
+        return { rows: [...enumLabels] }
+      }
+      if (normalizedSql.includes("tc.constraint_type = 'primary key'")) {
+        return { rows: [...primaryKeyColumns] }
+      }
+      if (normalizedSql.includes('from pg_catalog.pg_index')) {
+        return { rows: [...indexes] }
+      }
+      if (normalizedSql.includes("con.contype = 'f'")) {
+        return { rows: [...foreignKeys] }
+      }
+      if (normalizedSql.includes("con.contype = 'c'")) {
+        return { rows: [...checkConstraints] }
+      }
+
+      throw new Error(`Unexpected SQL in test double: ${normalizedSql} with bindings ${JSON.stringify(bindings)}`)
+    }
+  }
+
+  return knex
+}
+
+function pgColumn (columnName, udtName, columnType, overrides = {}) {
+  return {
+    columnName,
+    udtName,
+    columnType,
+    isNullable: 'YES',
+    columnDefault: null,
+    isIdentity: 'NO',
+    isGenerated: 'NEVER',
+    characterMaximumLength: null,
+    numericPrecision: null,
+    numericScale: null,
+    datetimePrecision: null,
+    collationName: null,
+    ordinalPosition: 1,
+    ...overrides
+  }
+}
+
+function createPostgresContactsDouble () {
+  return createPostgresKnexRawDouble({
+    columns: [
+      pgColumn('id', 'int4', 'integer', {
+        isNullable: 'NO',
+        columnDefault: "nextval('contacts_id_seq'::regclass)",
+        numericPrecision: 32,
+        numericScale: 0
+      }),
+      pgColumn('workspace_id', 'int4', 'integer', { numericPrecision: 32, numericScale: 0 }),
+      pgColumn('email', 'varchar', 'character varying(160)', {
+        isNullable: 'NO',
+        characterMaximumLength: 160
+      }),
+      pgColumn('status', 'text', 'text', { isNullable: 'NO', columnDefault: "'active'::text" }),
+      pgColumn('tier', 'contact_tier', 'contact_tier', { columnDefault: "'VIP'::contact_tier" }),
+      pgColumn('vip', 'bool', 'boolean', { isNullable: 'NO', columnDefault: 'true' }),
+      pgColumn('balance', 'numeric', 'numeric(10,2)', {
+        columnDefault: "'-1.50'::numeric",
+        numericPrecision: 10,
+        numericScale: 2
+      }),
+      pgColumn('score', 'float4', 'real', { numericPrecision: 24 }),
+      pgColumn('settings', 'jsonb', 'jsonb', { columnDefault: "'{}'::jsonb" }),
+      pgColumn('updated_at', 'timestamptz', 'timestamp with time zone', {
+        columnDefault: 'CURRENT_TIMESTAMP',
+        datetimePrecision: 6
+      }),
+      pgColumn('deleted_at', 'timestamptz', 'timestamp with time zone', { datetimePrecision: 6 })
+    ],
+    enumLabels: [
+      { columnName: 'tier', label: 'VIP' },
+      { columnName: 'tier', label: 'New' }
+    ],
+    primaryKeyColumns: [{ columnName: 'id', ordinalPosition: 1 }],
+    indexes: [
+      {
+        indexName: 'uq_contacts_email',
+        nonUnique: 0,
+        accessMethod: 'btree',
+        columnName: 'email',
+        definition: 'email',
+        predicate: null,
+        seqInIndex: 1
+      },
+      {
+        indexName: 'idx_contacts_live_status',
+        nonUnique: 1,
+        accessMethod: 'btree',
+        columnName: 'status',
+        definition: 'status',
+        predicate: 'deleted_at IS NULL',
+        seqInIndex: 1
+      },
+      {
+        indexName: 'idx_contacts_workspace_lower_email',
+        nonUnique: 0,
+        accessMethod: 'btree',
+        columnName: 'workspace_id',
+        definition: 'workspace_id',
+        predicate: null,
+        seqInIndex: 1
+      },
+      {
+        indexName: 'idx_contacts_workspace_lower_email',
+        nonUnique: 0,
+        accessMethod: 'btree',
+        columnName: null,
+        definition: 'lower(email::text)',
+        predicate: null,
+        seqInIndex: 2
+      },
+      {
+        indexName: 'idx_contacts_settings',
+        nonUnique: 1,
+        accessMethod: 'gin',
+        columnName: 'settings',
+        definition: 'settings',
+        predicate: null,
+        seqInIndex: 1
+      }
+    ],
+    foreignKeys: [
+      {
+        constraintName: 'contacts_workspace_id_foreign',
+        columnName: 'workspace_id',
+        referencedTableName: 'workspaces',
+        referencedColumnName: 'id',
+        ordinalPosition: 1,
+        updateAction: 'c',
+        deleteAction: 'n'
+      }
+    ],
+    checkConstraints: [
+      {
+        constraintName: 'contacts_balance_check',
+        definition: 'CHECK (balance >= 0::numeric)'
+      },
+      {
+        constraintName: 'contacts_status_check',
+        definition: "CHECK (status = ANY (ARRAY['active'::text, 'archived'::text, 'it''s'::text]))"
+      }
+    ]
+  })
+}
+
 function makeSchemaInfo (tableName, idProperty = 'id') {
   return { tableName, idProperty }
 }
@@ -307,7 +479,7 @@ describe('dbIntrospection.introspectKnexTableSnapshot (sqlite)', () => {
     const unsupportedKnex = {
       client: {
         config: {
-          client: 'pg'
+          client: 'mssql'
         }
       },
       async raw () {
@@ -485,6 +657,165 @@ describe('dbIntrospection.introspectKnexTableSnapshot (mysql raw double)', () =>
   })
 })
 
+describe('dbIntrospection.introspectKnexTableSnapshot (postgres raw double)', () => {
+  it('maps Postgres catalog metadata to a normalized snapshot', async () => {
+    const snapshot = await introspectKnexTableSnapshot(createPostgresContactsDouble(), {
+      tableName: 'contacts',
+      idColumn: 'id'
+    })
+
+    assert.equal(snapshot.dialect, 'pg')
+    assert.equal(snapshot.schemaName, 'public')
+    assert.equal(snapshot.tableCollation, '')
+    assert.deepEqual(snapshot.primaryKeyColumns, ['id'])
+    assert.equal(snapshot.hasWorkspaceIdColumn, true)
+
+    const column = (name) => snapshot.columns.find((entry) => entry.name === name)
+
+    assert.equal(column('id').autoIncrement, true)
+    assert.equal(column('id').hasDefault, false)
+    assert.equal(column('id').numericPrecision, null)
+
+    assert.equal(column('email').typeKind, 'string')
+    assert.equal(column('email').maxLength, 160)
+
+    assert.equal(column('status').defaultValue, 'active')
+    assert.deepEqual(column('status').enumValues, ['active', 'archived', "it's"])
+
+    assert.equal(column('tier').dataType, 'enum')
+    assert.equal(column('tier').typeKind, 'string')
+    assert.deepEqual(column('tier').enumValues, ['VIP', 'New'])
+    assert.equal(column('tier').defaultValue, 'VIP')
+
+    assert.equal(column('vip').typeKind, 'boolean')
+    assert.equal(column('vip').defaultValue, '1')
+
+    assert.equal(column('balance').defaultValue, '-1.50')
+    assert.equal(column('balance').numericPrecision, 10)
+    assert.equal(column('balance').numericScale, 2)
+
+    assert.equal(column('score').dataType, 'real')
+    assert.equal(column('score').numericPrecision, null)
+
+    assert.equal(column('settings').dataType, 'jsonb')
+    assert.equal(column('settings').typeKind, 'json')
+    assert.equal(column('settings').defaultValue, '{}')
+
+    assert.equal(column('updated_at').typeKind, 'datetime')
+    assert.equal(column('updated_at').defaultValue, 'CURRENT_TIMESTAMP')
+    assert.equal(column('updated_at').datetimePrecision, 6)
+
+    assert.deepEqual(snapshot.indexes, [
+      {
+        name: 'idx_contacts_live_status',
+        unique: false,
+        indexType: '',
+        columns: ['status'],
+        predicate: 'deleted_at IS NULL'
+      },
+      {
+        name: 'idx_contacts_settings',
+        unique: false,
+        indexType: 'GIN',
+        columns: ['settings']
+      },
+      {
+        name: 'idx_contacts_workspace_lower_email',
+        unique: true,
+        indexType: '',
+        columns: ['workspace_id', 'lower(email::text)'],
+        expression: true
+      },
+      {
+        name: 'uq_contacts_email',
+        unique: true,
+        indexType: '',
+        columns: ['email']
+      }
+    ])
+
+    assert.deepEqual(snapshot.foreignKeys, [
+      {
+        name: 'contacts_workspace_id_foreign',
+        referencedTableName: 'workspaces',
+        updateRule: 'CASCADE',
+        deleteRule: 'SET NULL',
+        columns: [
+          {
+            name: 'workspace_id',
+            referencedName: 'id'
+          }
+        ]
+      }
+    ])
+
+    assert.deepEqual(snapshot.checkConstraints, [
+      {
+        name: 'contacts_balance_check',
+        clause: 'balance >= 0::numeric'
+      },
+      {
+        name: 'contacts_status_check',
+        clause: "status in ('active', 'archived', 'it''s')"
+      }
+    ])
+  })
+
+  it('feeds generateKnexMigrationDiff without spurious changes', async () => {
+    const snapshot = await introspectKnexTableSnapshot(createPostgresContactsDouble(), {
+      tableName: 'contacts',
+      idColumn: 'id'
+    })
+
+    const diff = generateKnexMigrationDiff('contacts', snapshot, {
+      structure: {
+        id: { type: 'id' },
+        workspace_id: {
+          type: 'id',
+          unsigned: false,
+          references: { table: 'workspaces', onDelete: 'set null', onUpdate: 'cascade' }
+        },
+        email: { type: 'string', required: true, maxLength: 160, unique: true },
+        status: { type: 'string', required: true, enum: ['active', 'archived', "it's"], defaultTo: 'active' },
+        tier: { type: 'string', enum: ['VIP', 'New'], defaultTo: 'VIP' },
+        vip: { type: 'boolean', required: true, defaultTo: true },
+        balance: { type: 'number', precision: 10, scale: 2, defaultTo: '-1.50' },
+        score: { type: 'number' },
+        settings: { type: 'object', defaultTo: '{}' },
+        updated_at: { type: 'dateTime', defaultTo: 'CURRENT_TIMESTAMP' },
+        deleted_at: { type: 'dateTime' }
+      },
+      indexes: [
+        { columns: ['status'], name: 'idx_contacts_live_status' },
+        { columns: ['settings'], name: 'idx_contacts_settings', indexType: 'gin' }
+      ],
+      checkConstraints: [
+        { name: 'contacts_balance_check', clause: 'balance >= 0::numeric' }
+      ]
+    }, { dialect: 'pg' })
+
+    assert.deepEqual(diff.plan.addColumns, [])
+    assert.deepEqual(diff.plan.alterColumns, [])
+    assert.deepEqual(diff.plan.addForeignKeys, [])
+    assert.deepEqual(diff.plan.addCheckConstraints, [])
+
+    // The live index is partial, so it is rebuilt to match the schema
+    assert.deepEqual(diff.plan.addIndexes.map((index) => index.name), ['idx_contacts_live_status'])
+    assert.deepEqual(diff.plan.dropIndexes.map((index) => index.name), [
+      'idx_contacts_live_status',
+      'idx_contacts_workspace_lower_email'
+    ])
+    assert.match(diff.migration, /table\.dropIndex\(\['workspace_id', 'lower\(email::text\)'\], 'idx_contacts_workspace_lower_email'\)/)
+  })
+
+  it('reports a missing Postgres table', async () => {
+    await assert.rejects(
+      () => introspectKnexTableSnapshot(createPostgresKnexRawDouble(), { tableName: 'missing_table', idColumn: 'id' }),
+      /Could not introspect table "missing_table" in schema "public"/
+    )
+  })
+})
+
 const describeKnexIntrospection = storageMode.isAnyApi() ? describe.skip : describe
 
 describeKnexIntrospection('RestApiKnexPlugin introspection scope method', () => {
@@ -8,7 +8,8 @@ import {
   addKnexFields,
   alterKnexFields,
   generateKnexMigration,
-  generateKnexMigrationDiff
+  generateKnexMigrationDiff,
+  generateKnexMigrationPlan
 } from '../plugins/core/lib/dbTablesOperations.js'
 import { introspectKnexTableSnapshot } from '../plugins/core/lib/dbIntrospection.js'
 
@@ -784,3 +785,424 @@ describe('RestApiKnexPlugin migration scope methods', () => {
     assert.equal(diff.plan.addCheckConstraints.length, 0)
   })
 })
+
+describe('dbTablesOperations.generateKnexMigrationPlan', () => {
+  beforeEach(() => {
+    db = knexLib({
+      client: 'better-sqlite3',
+      connection: {
+        filename: ':memory:'
+      },
+      useNullAsDefault: true
+    })
+  })
+
+  afterEach(async () => {
+    await db.destroy()
+  })
+
+  it('adds foreign keys between tables of a dependency cycle once both exist', async () => {
+    const result = generateKnexMigrationPlan([
+      {
+        tableName: 'employees',
+        snapshot: null,
+        schema: makeTableSchema({
+          name: { type: 'string', required: true },
+          department_id: { type: 'id', references: { table: 'departments', column: 'id' } }
+        })
+      },
+      {
+        tableName: 'departments',
+        snapshot: null,
+        schema: makeTableSchema({
+          name: { type: 'string', required: true },
+          manager_id: { type: 'id', references: { table: 'employees', column: 'id' } }
+        })
+      }
+    ], { dialect: 'better-sqlite3' })
+
+    assert.deepEqual(result.plan.order, ['departments', 'employees'])
+    assert.deepEqual(result.plan.createTables, ['departments', 'employees'])
+    assert.ok(result.warnings[0].includes("'departments'"))
+
+    const createDepartments = result.migration.indexOf("createTable('departments'")
+    const deferredForeignKey = result.migration.indexOf("table.foreign(['manager_id'], 'departments_manager_id_foreign')")
+    assert.ok(deferredForeignKey > result.migration.indexOf("createTable('employees'"))
+    assert.ok(createDepartments < deferredForeignKey)
+
+    const migrationModule = {}
+    new Function('migrationModule', result.migration
+      .replace(/exports\.up/g, 'migrationModule.up')
+      .replace(/exports\.down/g, 'migrationModule.down'))(migrationModule)
+
+    await migrationModule.up(db)
+    const foreignKeys = await db.raw("PRAGMA foreign_key_list('departments')")
+    assert.equal(foreignKeys[0].table, 'employees')
+
+    await migrationModule.down(db)
+    assert.equal(await db.schema.hasTable('departments'), false)
+    assert.equal(await db.schema.hasTable('employees'), false)
+  })
+})
+
+describe('RestApiKnexPlugin planMigrations', () => {
+  let api
+
+  const loadMigration = (migration) => {
+    const migrationModule = {}
+    new Function('migrationModule', migration
+      .replace(/exports\.up/g, 'migrationModule.up')
+      .replace(/exports\.down/g, 'migrationModule.down'))(migrationModule)
+    return migrationModule
+  }
+
+  before(async () => {
+    db = knexLib({
+      client: 'better-sqlite3',
+      connection: {
+        filename: ':memory:'
+      },
+      useNullAsDefault: true
+    })
+
+    api = new Api({
+      name: 'migration-plan-test-api',
+      log: { level: 'warn' }
+    })
+
+    await api.use(RestApiPlugin)
+    await api.use(RestApiKnexPlugin, { knex: db })
+
+    // Added in an order that would break creation one resource at a time
+    await api.addResource('book_authors', {
+      schema: {
+        id: { type: 'id' },
+        book_id: { type: 'id', belongsTo: 'books', as: 'book', references: { table: 'plan_books', column: 'id' } },
+        author_id: { type: 'id', belongsTo: 'authors', as: 'author' }
+      },
+      tableName: 'plan_book_authors'
+    })
+    await api.addResource('books', {
+      schema: {
+        id: { type: 'id' },
+        title: { type: 'string', required: true, index: true },
+        publisher_id: {
+          type: 'id',
+          belongsTo: 'publishers',
+          as: 'publisher',
+          references: { table: 'plan_publishers', column: 'id', onDelete: 'CASCADE' }
+        }
+      },
+      relationships: {
+        authors: { type: 'manyToMany', through: 'book_authors', foreignKey: 'book_id', otherKey: 'author_id' }
+      },
+      tableName: 'plan_books'
+    })
+    await api.addResource('authors', {
+      schema: {
+        id: { type: 'id' },
+        name: { type: 'string', required: true, maxLength: 100 }
+      },
+      relationships: {
+        books: { type: 'manyToMany', through: 'book_authors', foreignKey: 'author_id', otherKey: 'book_id' }
+      },
+      tableName: 'plan_authors'
+    })
+    await api.addResource('publishers', {
+      schema: {
+        id: { type: 'id' },
+        name: { type: 'string' },
+        country: { type: 'string', maxLength: 2 }
+      },
+      timestamps: true,
+      tableName: 'plan_publishers'
+    })
+
+    await db.schema.createTable('plan_publishers', (table) => {
+      table.increments('id')
+      table.string('name')
+      table.string('legacy_code').defaultTo('none')
+      table.index(['legacy_code'], 'idx_plan_publishers_legacy_code')
+    })
+  })
+
+  after(async () => {
+    await db.destroy()
+  })
+
+  it('plans one reversible migration ordered by relationships', async () => {
+    const result = await api.rest.planMigrations({ allowDropColumns: true })
+
+    assert.deepEqual(result.plan.createTables, ['plan_authors', 'plan_books', 'plan_book_authors'])
+    assert.deepEqual(result.plan.alterTables, ['plan_publishers'])
+    assert.deepEqual(result.plan.tables.plan_book_authors.dependencies, ['plan_authors', 'plan_books'])
+    assert.deepEqual(result.plan.tables.plan_books.dependencies, ['plan_publishers'])
+    assert.ok(result.plan.order.indexOf('plan_publishers') < result.plan.order.indexOf('plan_books'))
+
+    assert.deepEqual(result.destructive.map(({ tableName, change, name }) => ({ tableName, change, name })), [
+      { tableName: 'plan_publishers', change: 'dropIndex', name: 'idx_plan_publishers_legacy_code' },
+      { tableName: 'plan_publishers', change: 'dropColumn', name: 'legacy_code' }
+    ])
+    assert.ok(result.migration.startsWith('// Destructive changes:'))
+
+    const migration = loadMigration(result.migration)
+    await migration.up(db)
+
+    await db('plan_publishers').insert({ id: 1, name: 'Acme', country: 'UK' })
+    await db('plan_books').insert({ id: 1, title: 'Dune', publisher_id: 1 })
+    assert.equal('legacy_code' in await db('plan_publishers').columnInfo(), false)
+
+    const replanned = await api.rest.planMigrations({ allowDropColumns: true })
+    assert.deepEqual(replanned.plan.createTables, [])
+    assert.deepEqual(replanned.plan.alterTables, [])
+    assert.deepEqual(replanned.destructive, [])
+
+    await db('plan_books').delete()
+    await migration.down(db)
+
+    for (const tableName of ['plan_authors', 'plan_books', 'plan_book_authors']) {
+      assert.equal(await db.schema.hasTable(tableName), false)
+    }
+    const publisherColumns = await db('plan_publishers').columnInfo()
+    assert.ok(publisherColumns.legacy_code)
+    assert.equal(publisherColumns.country, undefined)
+    const indexes = await db.raw("PRAGMA index_list('plan_publishers')")
+    assert.ok(indexes.some((index) => index.name === 'idx_plan_publishers_legacy_code'))
+  })
+})
+
+describe('RestApiKnexPlugin verifySchema', () => {
+  beforeEach(async () => {
+    db = knexLib({
+      client: 'better-sqlite3',
+      connection: {
+        filename: ':memory:'
+      },
+      useNullAsDefault: true
+    })
+
+    await db.schema.createTable('drift_publishers', (table) => {
+      table.increments('id')
+      table.string('name')
+    })
+    await db.schema.createTable('drift_books', (table) => {
+      table.increments('id')
+      table.string('title', 100)
+      table.integer('publisher_id').unsigned()
+    })
+  })
+
+  afterEach(async () => {
+    await db.destroy()
+  })
+
+  const createDriftApi = async (verifySchema) => {
+    const api = new Api({
+      name: `drift-${verifySchema}-test-api`,
+      log: { level: 'warn' }
+    })
+
+    await api.use(RestApiPlugin)
+    await api.use(RestApiKnexPlugin, { knex: db, verifySchema })
+    return api
+  }
+
+  const addBooks = (api) => api.addResource('books', {
+    schema: {
+      id: { type: 'id' },
+      title: { type: 'string', required: true, maxLength: 100, index: true },
+      isbn: { type: 'string', maxLength: 13 },
+      publisher_id: { type: 'id', references: { table: 'drift_publishers', column: 'id' } }
+    },
+    tableName: 'drift_books'
+  })
+
+  it('refuses resources whose table drifted from the schema', async () => {
+    const api = await createDriftApi('error')
+
+    await api.addResource('publishers', {
+      schema: {
+        id: { type: 'id' },
+        name: { type: 'string' }
+      },
+      tableName: 'drift_publishers'
+    })
+
+    await assert.rejects(addBooks(api), (error) => {
+      assert.equal(error.code, 'REST_API_SCHEMA_DRIFT')
+      assert.equal(error.drift.scopeName, 'books')
+      assert.equal(error.drift.tableName, 'drift_books')
+      assert.deepEqual(error.drift.issues.map(({ kind, name }) => ({ kind, name })), [
+        { kind: 'missingColumn', name: 'isbn' },
+        { kind: 'columnMismatch', name: 'title' },
+        { kind: 'missingIndex', name: 'idx_drift_books_title' },
+        { kind: 'missingForeignKey', name: 'drift_books_publisher_id_foreign' }
+      ])
+      assert.deepEqual(error.drift.issues[1].differences, [{ property: 'nullable', live: true, desired: false }])
+      return true
+    })
+
+    // Resources can opt out, e.g. while their migration is pending
+    await api.addResource('writers', {
+      schema: { id: { type: 'id' }, name: { type: 'string', maxLength: 50 } },
+      tableName: 'drift_publishers',
+      verifySchema: false
+    })
+  })
+
+  it('lets resources create their table after they are added, and reports tables still missing', async () => {
+    const api = await createDriftApi('error')
+
+    await api.addResource('authors', { schema: { id: { type: 'id' }, name: { type: 'string' } }, tableName: 'drift_authors' })
+    await api.addResource('editors', { schema: { id: { type: 'id' }, name: { type: 'string' } }, tableName: 'drift_editors' })
+    await api.resources.authors.createKnexTable()
+
+    assert.deepEqual(await api.knex.verifySchema(), [{
+      scopeName: 'editors',
+      tableName: 'drift_editors',
+      issues: [{ kind: 'missingTable', name: 'drift_editors', message: "Table 'drift_editors' does not exist." }]
+    }])
+
+    await api.resources.editors.createKnexTable()
+    assert.deepEqual(await api.knex.verifySchema(), [])
+  })
+
+  it('only warns in warn mode and reports the drift on demand', async () => {
+    const api = await createDriftApi('warn')
+    await addBooks(api)
+
+    const drift = await api.knex.verifySchema()
+    assert.equal(drift.length, 1)
+    assert.equal(drift[0].tableName, 'drift_books')
+    assert.equal(drift[0].issues.length, 4)
+
+    // Columns that exist only in the database are not drift
+    await db.schema.alterTable('drift_books', (table) => {
+      table.string('isbn', 13)
+      table.string('legacy_code')
+      table.index(['title'], 'idx_drift_books_title')
+    })
+    const remaining = await api.knex.verifySchema(['books'])
+    assert.deepEqual(remaining[0].issues.map((issue) => issue.kind), ['columnMismatch', 'missingForeignKey'])
+  })
+
+  it('rejects unknown modes', async () => {
+    await assert.rejects(createDriftApi('strict'), /verifySchema must be 'warn' or 'error'/)
+  })
+})
+
+describe('RestApiKnexPlugin scaffoldFromDatabase', () => {
+  before(async () => {
+    db = knexLib({
+      client: 'better-sqlite3',
+      connection: {
+        filename: ':memory:'
+      },
+      useNullAsDefault: true
+    })
+
+    await db.schema.createTable('legacy_authors', (table) => {
+      table.increments('id')
+      table.string('full_name', 120).notNullable()
+      table.string('status', 20).notNullable().defaultTo('active')
+      table.timestamp('joined_at').defaultTo(db.fn.now())
+    })
+    await db.schema.createTable('legacy_books', (table) => {
+      table.increments('id')
+      table.string('title').notNullable()
+      table.enu('format', ['paper', 'ebook'])
+      table.integer('author_id').unsigned().references('id').inTable('legacy_authors').onDelete('CASCADE')
+      table.unique(['title'], { indexName: 'uq_legacy_books_title' })
+    })
+    await db.schema.createTable('legacy_tags', (table) => {
+      table.increments('id')
+      table.string('label', 40).notNullable()
+    })
+    await db.schema.createTable('legacy_book_tags', (table) => {
+      table.increments('id')
+      table.integer('book_id').unsigned().notNullable().references('id').inTable('legacy_books')
+      table.integer('tag_id').unsigned().notNullable().references('id').inTable('legacy_tags')
+    })
+    await db.schema.createTable('legacy_settings', (table) => {
+      table.string('key').primary()
+      table.string('value')
+    })
+  })
+
+  after(async () => {
+    await db.destroy()
+  })
+
+  const createScaffoldApi = async (name, options = {}) => {
+    const api = new Api({ name, log: { level: 'warn' } })
+    await api.use(RestApiPlugin)
+    await api.use(RestApiKnexPlugin, { knex: db, ...options })
+    return api
+  }
+
+  it('turns the tables of a legacy database into resources', async () => {
+    const api = await createScaffoldApi('scaffold-test-api')
+    const { resources, code, warnings } = await api.rest.scaffoldFromDatabase()
+
+    assert.deepEqual(resources.map((resource) => resource.scopeName), [
+      'legacy_authors', 'legacy_tags', 'legacy_books', 'legacy_book_tags'
+    ])
+    const [authors, tags, books] = resources.map((resource) => resource.options)
+
+    assert.deepEqual(authors.schema.fullName, { type: 'string', maxLength: 120, required: true })
+    assert.deepEqual(authors.schema.status, { type: 'string', maxLength: 20, nullable: false, defaultTo: 'active' })
+    assert.deepEqual(authors.relationships, {
+      legacy_books: { type: 'hasMany', target: 'legacy_books', foreignKey: 'author_id' }
+    })
+    assert.deepEqual(books.schema.format, { type: 'string', enum: ['paper', 'ebook'], nullable: true })
+    assert.equal(books.schema.author_id.belongsTo, 'legacy_authors')
+    assert.equal(books.schema.author_id.as, 'author')
+    assert.equal(books.schema.author_id.references.onDelete, 'CASCADE')
+    assert.deepEqual(books.indexes, [{ name: 'uq_legacy_books_title', columns: ['title'], unique: true }])
+
+    // The junction table links books and tags both ways instead of adding hasMany
+    assert.deepEqual(books.relationships, {
+      legacy_tags: { type: 'manyToMany', through: 'legacy_book_tags', foreignKey: 'book_id', otherKey: 'tag_id' }
+    })
+    assert.deepEqual(tags.relationships, {
+      legacy_books: { type: 'manyToMany', through: 'legacy_book_tags', foreignKey: 'tag_id', otherKey: 'book_id' }
+    })
+
+    assert.match(code, /await api\.addResource\('legacy_authors', \{\n {2}schema: \{\n {4}id: \{ type: 'id' \},/)
+    assert.equal(warnings.length, 2)
+    assert.match(warnings[0], /^legacy_settings: Skipped/)
+    assert.match(warnings[1], /Default "CURRENT_TIMESTAMP" of column 'joined_at'/)
+  })
+
+  it('produces definitions that match the live tables', async () => {
+    const { resources } = await (await createScaffoldApi('scaffold-source-api')).rest.scaffoldFromDatabase({
+      exclude: ['legacy_settings']
+    })
+
+    const api = await createScaffoldApi('scaffold-target-api')
+    for (const { scopeName, options } of resources) {
+      await api.addResource(scopeName, options)
+    }
+
+    // Only the default the scaffold warned about is left to the database
+    const drift = await api.knex.verifySchema()
+    assert.deepEqual(drift.map(({ tableName, issues }) => ({ tableName, issues: issues.map((issue) => issue.differences) })), [{
+      tableName: 'legacy_authors',
+      issues: [[{ property: 'defaultValue', live: 'CURRENT_TIMESTAMP', desired: undefined }]]
+    }])
+
+    const author = await api.resources.legacy_authors.post({ fullName: 'Ada' })
+    const tag = await api.resources.legacy_tags.post({ label: 'classic' })
+    const book = await api.resources.legacy_books.post({ title: 'Notes', author: author.id, legacy_tags: [tag.id] })
+
+    const row = await db('legacy_authors').where('id', author.id).first()
+    assert.equal(row.full_name, 'Ada')
+
+    const loaded = await api.resources.legacy_books.get({
+      id: book.id,
+      queryParams: { include: ['author', 'legacy_tags'] }
+    })
+    assert.equal(loaded.author.fullName, 'Ada')
+    assert.deepEqual(loaded.legacy_tags.map((entry) => entry.label), ['classic'])
+  })
+})
@@ -0,0 +1,213 @@
+import { describe, it, before, beforeEach, after } from 'node:test'
+import assert from 'node:assert/strict'
+import express from 'express'
+import request from 'supertest'
+import knexLib from 'knex'
+import { createEtagApi } from './fixtures/api-configs.js'
+import { cleanTables } from './helpers/test-utils.js'
+
+const knex = knexLib({
+  client: 'better-sqlite3',
+  connection: {
+    filename: ':memory:'
+  },
+  useNullAsDefault: true
+})
+
+let api
+let app
+
+async function createDocument (title = 'Draft') {
+  return api.resources.documents.post({
+    inputRecord: { data: { type: 'documents', attributes: { title } } }
+  })
+}
+
+describe('ETag and If-Match optimistic concurrency', () => {
+  before(async () => {
+    api = await createEtagApi(knex)
+    app = express()
+    api.http.express.mount(app)
+
+    // Another writer updates the record after If-Match was checked, before the write
+    await api.customize({
+      hooks: {
+        beforeDataCall: {
+          functionName: 'etag-concurrent-writer',
+          handler: async ({ context }) => {
+            if (!context.concurrentWrite) return
+            const id = context.id
+            await api.resources.documents.patch({
+              id,
+              inputRecord: { data: { type: 'documents', id, attributes: { body: 'Concurrent' } } },
+              transaction: context.transaction
+            })
+          }
+        }
+      }
+    })
+  })
+
+  after(async () => {
+    await knex.destroy()
+  })
+
+  beforeEach(async () => {
+    await cleanTables(knex, ['etag_documents', 'etag_notes'])
+  })
+
+  describe('version field', () => {
+    it('starts at 1 and bumps the version on every update', async () => {
+      const created = await createDocument()
+      assert.equal(created.data.attributes.version, 1)
+
+      const context = {}
+      await api.resources.documents.get({ id: created.data.id }, context)
+      assert.equal(context.etag, '"1"')
+
+      const patched = await api.resources.documents.patch({
+        id: created.data.id,
+        inputRecord: { data: { type: 'documents', id: created.data.id, attributes: { body: 'Text', version: 99 } } }
+      })
+      assert.equal(patched.data.attributes.version, 2)
+
+      const replaced = await api.resources.documents.put({
+        id: created.data.id,
+        inputRecord: { data: { type: 'documents', id: created.data.id, attributes: { title: 'Final', body: 'Text' } } }
+      })
+      assert.equal(replaced.data.attributes.version, 3)
+    })
+
+    it('rejects programmatic writes whose context.ifMatch is stale', async () => {
+      const created = await createDocument()
+      const id = created.data.id
+
+      await api.resources.documents.patch({
+        id,
+        inputRecord: { data: { type: 'documents', id, attributes: { body: 'First' } } }
+      }, { ifMatch: '"1"' })
+
+      await assert.rejects(
+        api.resources.documents.patch({
+          id,
+          inputRecord: { data: { type: 'documents', id, attributes: { body: 'Second' } } }
+        }, { ifMatch: '"1"' }),
+        (error) => {
+          assert.equal(error.code, 'REST_API_RESOURCE')
+          assert.equal(error.subtype, 'precondition_failed')
+          return true
+        }
+      )
+
+      await assert.rejects(
+        api.resources.documents.delete({ id }, { ifMatch: '"1"' }),
+        { subtype: 'precondition_failed' }
+      )
+
+      const current = await api.resources.documents.get({ id })
+      assert.equal(current.data.attributes.body, 'First')
+      assert.equal(current.data.attributes.version, 2)
+
+      await api.resources.documents.delete({ id }, { ifMatch: '"2"' })
+    })
+
+    it('rejects a write whose version changed after If-Match was checked', async () => {
+      const created = await createDocument()
+      const id = created.data.id
+
+      await assert.rejects(
+        api.resources.documents.patch({
+          id,
+          inputRecord: { data: { type: 'documents', id, attributes: { body: 'Mine' } } }
+        }, { ifMatch: '"1"', concurrentWrite: true }),
+        { subtype: 'precondition_failed' }
+      )
+
+      await assert.rejects(
+        api.resources.documents.put({
+          id,
+          inputRecord: { data: { type: 'documents', id, attributes: { title: 'Mine' } } }
+        }, { ifMatch: '"1"', concurrentWrite: true }),
+        { subtype: 'precondition_failed' }
+      )
+
+      await assert.rejects(
+        api.resources.documents.delete({ id }, { ifMatch: '"1"', concurrentWrite: true }),
+        { subtype: 'precondition_failed' }
+      )
+
+      const current = await api.resources.documents.get({ id })
+      assert.equal(current.data.attributes.version, 1)
+    })
+
+    it('fails a conditional PUT that would create the record', async () => {
+      await assert.rejects(
+        api.resources.documents.put({
+          id: '123',
+          inputRecord: { data: { type: 'documents', id: '123', attributes: { title: 'New' } } }
+        }, { ifMatch: '*' }),
+        { subtype: 'precondition_failed' }
+      )
+    })
+  })
+
+  describe('attribute hash', () => {
+    it('changes the ETag when attributes change and accepts matching If-Match lists', async () => {
+      const created = await api.resources.notes.post({
+        inputRecord: { data: { type: 'notes', attributes: { text: 'Hello' } } }
+      })
+      const id = created.data.id
+
+      const before = {}
+      await api.resources.notes.get({ id }, before)
+      assert.match(before.etag, /^"[A-Za-z0-9_-]+"$/)
+
+      const patchContext = { ifMatch: `"stale", ${before.etag}` }
+      await api.resources.notes.patch({
+        id,
+        inputRecord: { data: { type: 'notes', id, attributes: { text: 'Changed' } } }
+      }, patchContext)
+      assert.notEqual(patchContext.etag, before.etag)
+
+      await assert.rejects(
+        api.resources.notes.patch({
+          id,
+          inputRecord: { data: { type: 'notes', id, attributes: { text: 'Lost update' } } }
+        }, { ifMatch: before.etag }),
+        { subtype: 'precondition_failed' }
+      )
+    })
+  })
+
+  describe('HTTP', () => {
+    it('sends ETag on GET and answers a stale If-Match with 412', async () => {
+      const created = await createDocument('HTTP')
+      const id = created.data.id
+
+      const getResponse = await request(app).get(`/api/documents/${id}`)
+      assert.equal(getResponse.status, 200)
+      assert.equal(getResponse.headers.etag, '"1"')
+
+      const patchResponse = await request(app)
+        .patch(`/api/documents/${id}`)
+        .set('Content-Type', 'application/vnd.api+json')
+        .set('If-Match', getResponse.headers.etag)
+        .send(JSON.stringify({ data: { type: 'documents', id, attributes: { body: 'Updated' } } }))
+      assert.equal(patchResponse.status, 200)
+      assert.equal(patchResponse.headers.etag, '"2"')
+
+      const staleResponse = await request(app)
+        .patch(`/api/documents/${id}`)
+        .set('Content-Type', 'application/vnd.api+json')
+        .set('If-Match', getResponse.headers.etag)
+        .send(JSON.stringify({ data: { type: 'documents', id, attributes: { body: 'Stale' } } }))
+      assert.equal(staleResponse.status, 412)
+      assert.equal(staleResponse.body.errors[0].title, 'Precondition Failed')
+
+      const deleteResponse = await request(app)
+        .delete(`/api/documents/${id}`)
+        .set('If-Match', '"1"')
+      assert.equal(deleteResponse.status, 412)
+    })
+  })
+})
@@ -0,0 +1,152 @@
+import { describe, it, before, beforeEach, after } from 'node:test'
+import assert from 'node:assert/strict'
+import knexLib from 'knex'
+import { createFieldPermissionsApi } from './fixtures/api-configs.js'
+import { cleanTables, createJsonApiDocument, createRelationship, resourceIdentifier } from './helpers/test-utils.js'
+
+const knex = knexLib({
+  client: 'better-sqlite3',
+  connection: {
+    filename: ':memory:'
+  },
+  useNullAsDefault: true
+})
+
+// Every call gets a context of its own: methods keep their state on it
+const asHr = () => ({ auth: { userId: '1', roles: ['hr'] } })
+const asAdmin = () => ({ auth: { userId: '2', roles: ['admin'] } })
+const asStaff = () => ({ auth: { userId: '3', roles: ['staff'] } })
+
+function employeeDocument (id, attributes, departmentId) {
+  const document = createJsonApiDocument('fp_employees', attributes, {
+    department: createRelationship(resourceIdentifier('fp_departments', departmentId))
+  })
+  document.data.id = String(id)
+  return document
+}
+
+describe('Field permissions', () => {
+  let api
+  let departmentId
+  let employeeId
+
+  before(async () => {
+    api = await createFieldPermissionsApi(knex)
+  })
+
+  after(async () => {
+    await knex.destroy()
+  })
+
+  beforeEach(async () => {
+    await cleanTables(knex, ['field_permissions_departments', 'field_permissions_employees'])
+
+    const department = await api.resources.fp_departments.post({
+      inputRecord: createJsonApiDocument('fp_departments', { name: 'Sales', budget: 1000 })
+    }, asHr())
+    departmentId = department.data.id
+
+    const employee = await api.resources.fp_employees.post({
+      inputRecord: createJsonApiDocument('fp_employees', { name: 'Ada', salary: 5000, status: 'active' }, {
+        department: createRelationship(resourceIdentifier('fp_departments', departmentId))
+      })
+    }, { auth: { userId: '0', roles: ['hr', 'admin'] } })
+    employeeId = employee.data.id
+  })
+
+  it('strips attributes the caller cannot read', async () => {
+    const asSeenByStaff = await api.resources.fp_employees.get({
+      id: employeeId,
+      queryParams: { include: ['department'] },
+      simplified: false
+    }, asStaff())
+    assert.equal(asSeenByStaff.data.attributes.name, 'Ada')
+    assert.equal('salary' in asSeenByStaff.data.attributes, false)
+    assert.equal(asSeenByStaff.included[0].attributes.name, 'Sales')
+    assert.equal('budget' in asSeenByStaff.included[0].attributes, false)
+
+    const asSeenByHr = await api.resources.fp_employees.query({ queryParams: {}, simplified: false }, asHr())
+    assert.equal(asSeenByHr.data[0].attributes.salary, 5000)
+
+    // Write responses go through the same rules
+    const patched = await api.resources.fp_employees.patch({
+      id: employeeId,
+      inputRecord: { data: { type: 'fp_employees', id: String(employeeId), attributes: { name: 'Ada L.' } } }
+    }, asStaff())
+    assert.equal(patched.data.attributes.name, 'Ada L.')
+    assert.equal('salary' in patched.data.attributes, false)
+  })
+
+  it('refuses sparse fieldsets, sorts and filters on unreadable fields', async () => {
+    const refusals = [
+      { fields: { fp_employees: 'name,salary' } },
+      { fields: { fp_departments: 'budget' }, include: ['department'] },
+      { sort: ['-salary'] },
+      { filters: { salary: 5000 } }
+    ]
+
+    for (const queryParams of refusals) {
+      await assert.rejects(
+        api.resources.fp_employees.query({ queryParams, simplified: false }, asStaff()),
+        (error) => {
+          assert.equal(error.code, 'REST_API_VALIDATION')
+          assert.equal(error.details.violations[0].rule, 'forbidden_field')
+          return true
+        }
+      )
+    }
+
+    await assert.rejects(
+      api.resources.fp_employees.get({ id: employeeId, queryParams: { fields: { fp_employees: 'salary' } } }, asStaff()),
+      { code: 'REST_API_VALIDATION' }
+    )
+
+    const sorted = await api.resources.fp_employees.query({
+      queryParams: { sort: ['-salary'], filters: { salary: 5000 }, fields: { fp_employees: 'salary' } },
+      simplified: false
+    }, asHr())
+    assert.deepEqual(sorted.data[0].attributes, { salary: 5000 })
+  })
+
+  it('rejects writes to fields the caller cannot write, naming them', async () => {
+    await assert.rejects(
+      api.resources.fp_employees.patch({
+        id: employeeId,
+        inputRecord: employeeDocument(employeeId, { status: 'fired', salary: 1 }, departmentId)
+      }, asStaff()),
+      (error) => {
+        assert.equal(error.code, 'REST_API_VALIDATION')
+        assert.deepEqual(error.details.fields.sort(), [
+          'data.attributes.salary',
+          'data.attributes.status',
+          'data.relationships.department'
+        ])
+        return true
+      }
+    )
+
+    await assert.rejects(
+      api.resources.fp_employees.post({
+        inputRecord: createJsonApiDocument('fp_employees', { name: 'Bob', status: 'on_leave' })
+      }, asStaff()),
+      { code: 'REST_API_VALIDATION' }
+    )
+
+    // Defaults are not input: the caller did not write status
+    await api.resources.fp_employees.post({
+      inputRecord: createJsonApiDocument('fp_employees', { name: 'Bob' })
+    }, asStaff())
+
+    await api.resources.fp_employees.patch({
+      id: employeeId,
+      inputRecord: { data: { type: 'fp_employees', id: String(employeeId), attributes: { status: 'on_leave' } } }
+    }, asAdmin())
+
+    // A PUT may repeat stored values of fields the caller cannot change
+    const replaced = await api.resources.fp_employees.put({
+      id: employeeId,
+      inputRecord: employeeDocument(employeeId, { name: 'Ada King', salary: 5000, status: 'on_leave' }, departmentId)
+    }, asHr())
+    assert.equal(replaced.data.attributes.name, 'Ada King')
+  })
+})
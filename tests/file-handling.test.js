@@ -55,7 +55,7 @@ describe('File handling cleanup', () => {
   })
 
   beforeEach(async () => {
-    await cleanTables(knex, ['file_documents'])
+    await cleanTables(knex, ['file_documents', 'file_notes'])
     detectorState.payload = null
     storage.uploaded = []
     storage.deleted = []
@@ -115,4 +115,72 @@ describe('File handling cleanup', () => {
     assert.deepEqual(storage.uploaded, ['/uploads/valid.png'])
     assert.deepEqual(storage.deleted, ['/uploads/valid.png'])
   })
+
+  it('deletes the stored file when a record is deleted', async () => {
+    detectorState.payload = {
+      fields: { title: 'To delete' },
+      files: { attachment: createTestFile({ filename: 'gone.png' }) }
+    }
+    const created = await api.resources.documents.post({
+      inputRecord: { data: { type: 'documents', attributes: {} } },
+      simplified: false
+    })
+    detectorState.payload = null
+
+    await api.resources.documents.delete({ id: created.data.id })
+
+    assert.deepEqual(storage.uploaded, ['/uploads/gone.png'])
+    assert.deepEqual(storage.deleted, ['/uploads/gone.png'])
+  })
+
+  it('keeps the stored file of a soft-deleted record until it is purged', async () => {
+    detectorState.payload = {
+      fields: { title: 'Trashed' },
+      files: { attachment: createTestFile({ filename: 'kept.png' }) }
+    }
+    const created = await api.resources.notes.post({
+      inputRecord: { data: { type: 'notes', attributes: {} } },
+      simplified: false
+    })
+    detectorState.payload = null
+
+    await api.resources.notes.delete({ id: created.data.id })
+    assert.deepEqual(storage.deleted, [])
+
+    await api.resources.notes.purge({ id: created.data.id })
+    assert.deepEqual(storage.deleted, ['/uploads/kept.png'])
+  })
+
+  it('deletes the previous file only when PATCH replaces it', async () => {
+    detectorState.payload = {
+      fields: { title: 'Versioned' },
+      files: { attachment: createTestFile({ filename: 'first.png' }) }
+    }
+    const created = await api.resources.documents.post({
+      inputRecord: { data: { type: 'documents', attributes: {} } },
+      simplified: false
+    })
+    const id = created.data.id
+
+    detectorState.payload = null
+    await api.resources.documents.patch({
+      id,
+      inputRecord: { data: { type: 'documents', id, attributes: { title: 'Renamed' } } },
+      simplified: false
+    })
+    assert.deepEqual(storage.deleted, [])
+
+    detectorState.payload = {
+      fields: {},
+      files: { attachment: createTestFile({ filename: 'second.png' }) }
+    }
+    await api.resources.documents.patch({
+      id,
+      inputRecord: { data: { type: 'documents', id, attributes: {} } },
+      simplified: false
+    })
+
+    assert.deepEqual(storage.uploaded, ['/uploads/first.png', '/uploads/second.png'])
+    assert.deepEqual(storage.deleted, ['/uploads/first.png'])
+  })
 })
@@ -492,6 +492,587 @@ export async function createBulkOperationsApi (knex, pluginOptions = {}) {
   return api
 }
 
+/**
+ * Creates the basic API with the JSON:API atomic operations extension and Express routes
+ */
+export async function createAtomicOperationsApi (knex, pluginOptions = {}) {
+  const { AtomicOperationsPlugin } = await import('../../plugins/core/atomic-operations-plugin.js')
+
+  const api = await createBasicApi(knex, {
+    ...pluginOptions,
+    apiName: 'atomic-operations-test-api',
+    tablePrefix: 'atomic',
+    includeExpress: true,
+    tenantId: pluginOptions.tenantId || 'atomic_ops_tenant'
+  })
+
+  await api.use(AtomicOperationsPlugin, {
+    maxOperations: 10,
+    ...pluginOptions['atomic-operations']
+  })
+
+  return api
+}
+
+/**
+ * Creates an API with optimistic concurrency enabled:
+ * `documents` uses a version column, `notes` uses attribute-hash ETags
+ */
+export async function createEtagApi (knex, pluginOptions = {}) {
+  const apiName = pluginOptions.apiName || 'etag-test-api'
+  const tablePrefix = pluginOptions.tablePrefix || 'etag'
+  if (storageMode.isAnyApi()) {
+    storageMode.clearRegistry()
+  }
+
+  const api = new Api({
+    name: apiName,
+    log: { level: process.env.LOG_LEVEL || 'info' }
+  })
+
+  const previousTenant = storageMode.currentTenant
+  const tenantId = storageMode.isAnyApi()
+    ? (pluginOptions.tenantId || `${tablePrefix}_tenant`)
+    : storageMode.defaultTenant
+  if (storageMode.isAnyApi()) {
+    storageMode.setCurrentTenant(tenantId)
+  }
+
+  await api.use(RestApiPlugin, {
+    simplifiedApi: false,
+    simplifiedTransport: false,
+    returnRecordApi: {
+      post: true,
+      put: true,
+      patch: true
+    },
+    returnRecordTransport: {
+      post: 'full',
+      put: 'full',
+      patch: 'full'
+    },
+    ...pluginOptions['rest-api']
+  })
+  await useStoragePlugin(api, knex, { tenantId })
+  await resetAnyApiTables(knex)
+  await api.use(ExpressPlugin, { mountPath: '/api' })
+
+  try {
+    await api.addResource('documents', {
+      schema: {
+        id: { type: 'id' },
+        title: { type: 'string', required: true, max: 100 },
+        body: { type: 'string', nullable: true },
+        version: { type: 'number', defaultTo: 1 }
+      },
+      versionField: 'version',
+      tableName: `${tablePrefix}_documents`
+    })
+    await api.resources.documents.createKnexTable()
+    mapTable(`${tablePrefix}_documents`, 'documents')
+
+    await api.addResource('notes', {
+      schema: {
+        id: { type: 'id' },
+        text: { type: 'string', required: true, max: 200 }
+      },
+      etag: 'hash',
+      tableName: `${tablePrefix}_notes`
+    })
+    await api.resources.notes.createKnexTable()
+    mapTable(`${tablePrefix}_notes`, 'notes')
+  } finally {
+    if (storageMode.isAnyApi()) {
+      storageMode.setCurrentTenant(previousTenant)
+    }
+  }
+
+  return api
+}
+
+/**
+ * Creates an API where publishers and books are soft deleted through a deleted_at column
+ */
+export async function createSoftDeleteApi (knex, pluginOptions = {}) {
+  const { SoftDeletePlugin } = await import('../../plugins/core/rest-api-soft-delete-plugin.js')
+  const apiName = pluginOptions.apiName || 'soft-delete-test-api'
+  const tablePrefix = pluginOptions.tablePrefix || 'soft'
+  if (storageMode.isAnyApi()) {
+    storageMode.clearRegistry()
+  }
+
+  const api = new Api({
+    name: apiName,
+    log: { level: process.env.LOG_LEVEL || 'info' }
+  })
+
+  const previousTenant = storageMode.currentTenant
+  const tenantId = storageMode.isAnyApi()
+    ? (pluginOptions.tenantId || `${tablePrefix}_tenant`)
+    : storageMode.defaultTenant
+  if (storageMode.isAnyApi()) {
+    storageMode.setCurrentTenant(tenantId)
+  }
+
+  await api.use(RestApiPlugin, {
+    simplifiedApi: false,
+    simplifiedTransport: false,
+    returnRecordApi: {
+      post: true,
+      put: false,
+      patch: false
+    },
+    enablePaginationCounts: true,
+    ...pluginOptions['rest-api']
+  })
+  await useStoragePlugin(api, knex, { tenantId })
+  await resetAnyApiTables(knex)
+  await api.use(SoftDeletePlugin, pluginOptions['soft-delete'] || {})
+  await api.use(ExpressPlugin, { mountPath: '/api' })
+
+  try {
+    await api.addResource('publishers', {
+      schema: {
+        id: { type: 'id' },
+        name: { type: 'string', required: true, max: 200, search: true },
+        deleted_at: { type: 'dateTime', nullable: true }
+      },
+      relationships: {
+        books: { type: 'hasMany', target: 'books', foreignKey: 'publisher_id' }
+      },
+      softDelete: true,
+      tableName: `${tablePrefix}_publishers`
+    })
+    await api.resources.publishers.createKnexTable()
+    mapTable(`${tablePrefix}_publishers`, 'publishers')
+
+    await api.addResource('books', {
+      schema: {
+        id: { type: 'id' },
+        title: { type: 'string', required: true, max: 300 },
+        publisher_id: { type: 'number', nullable: true, belongsTo: 'publishers', as: 'publisher', search: true },
+        removed_on: { type: 'dateTime', nullable: true }
+      },
+      softDelete: { field: 'removed_on' },
+      tableName: `${tablePrefix}_books`
+    })
+    await api.resources.books.createKnexTable()
+    mapTable(`${tablePrefix}_books`, 'books')
+  } finally {
+    if (storageMode.isAnyApi()) {
+      storageMode.setCurrentTenant(previousTenant)
+    }
+  }
+
+  return api
+}
+
+export async function createAuditLogApi (knex, pluginOptions = {}) {
+  const { AuditLogPlugin } = await import('../../plugins/core/rest-api-audit-log-plugin.js')
+  const apiName = pluginOptions.apiName || 'audit-log-test-api'
+  const tablePrefix = pluginOptions.tablePrefix || 'audit'
+  if (storageMode.isAnyApi()) {
+    storageMode.clearRegistry()
+  }
+
+  const api = new Api({
+    name: apiName,
+    log: { level: process.env.LOG_LEVEL || 'info' }
+  })
+
+  const previousTenant = storageMode.currentTenant
+  const tenantId = storageMode.isAnyApi()
+    ? (pluginOptions.tenantId || `${tablePrefix}_tenant`)
+    : storageMode.defaultTenant
+  if (storageMode.isAnyApi()) {
+    storageMode.setCurrentTenant(tenantId)
+  }
+
+  await api.use(RestApiPlugin, {
+    simplifiedApi: false,
+    simplifiedTransport: false,
+    returnRecordApi: {
+      post: true,
+      put: false,
+      patch: false
+    },
+    ...pluginOptions['rest-api']
+  })
+  await useStoragePlugin(api, knex, { tenantId })
+  await resetAnyApiTables(knex)
+  await api.use(AuditLogPlugin, {
+    tableName: `${tablePrefix}_entries`,
+    ...pluginOptions['audit-log']
+  })
+  await api.use(ExpressPlugin, { mountPath: '/api' })
+
+  try {
+    await api.addResource('people', {
+      schema: {
+        id: { type: 'id' },
+        name: { type: 'string', required: true, max: 200 },
+        password_hash: { type: 'string', hidden: true },
+        recovery_hint: { type: 'string', nullable: true, normallyHidden: true },
+        salary: { type: 'number', nullable: true, canRead: (context) => Boolean(context.auth?.roles?.includes('hr')) }
+      },
+      relationships: {
+        articles: { type: 'hasMany', target: 'articles', foreignKey: 'author_id' }
+      },
+      audit: true,
+      tableName: `${tablePrefix}_people`
+    })
+    await api.resources.people.createKnexTable()
+    mapTable(`${tablePrefix}_people`, 'people')
+
+    await api.addResource('articles', {
+      schema: {
+        id: { type: 'id' },
+        title: { type: 'string', required: true, max: 300 },
+        body: { type: 'string', nullable: true },
+        views: { type: 'number', defaultTo: 0 },
+        author_id: { type: 'number', nullable: true, belongsTo: 'people', as: 'author' }
+      },
+      audit: { exclude: ['views'] },
+      tableName: `${tablePrefix}_articles`
+    })
+    await api.resources.articles.createKnexTable()
+    mapTable(`${tablePrefix}_articles`, 'articles')
+  } finally {
+    if (storageMode.isAnyApi()) {
+      storageMode.setCurrentTenant(previousTenant)
+    }
+  }
+
+  return api
+}
+
+/**
+ * Creates an API for change log tests: soft deleted notes with many-to-many tags,
+ * both recorded in the change log
+ */
+export async function createChangeLogApi (knex, pluginOptions = {}) {
+  const { ChangeLogPlugin } = await import('../../plugins/core/rest-api-change-log-plugin.js')
+  const { SoftDeletePlugin } = await import('../../plugins/core/rest-api-soft-delete-plugin.js')
+  if (storageMode.isAnyApi()) {
+    storageMode.clearRegistry()
+  }
+
+  const api = new Api({
+    name: 'change-log-test-api',
+    log: { level: process.env.LOG_LEVEL || 'info' }
+  })
+
+  const previousTenant = storageMode.currentTenant
+  const tenantId = storageMode.isAnyApi() ? 'change_log_tenant' : storageMode.defaultTenant
+  if (storageMode.isAnyApi()) {
+    storageMode.setCurrentTenant(tenantId)
+  }
+
+  await api.use(RestApiPlugin, {
+    simplifiedApi: false,
+    simplifiedTransport: false,
+    returnRecordApi: {
+      post: true,
+      put: false,
+      patch: false
+    },
+    ...pluginOptions['rest-api']
+  })
+  await useStoragePlugin(api, knex, { tenantId })
+  await resetAnyApiTables(knex)
+  await api.use(SoftDeletePlugin)
+  await api.use(ChangeLogPlugin, { ...pluginOptions['change-log'] })
+  await api.use(ExpressPlugin, { mountPath: '/api' })
+
+  try {
+    await api.addResource('tags', {
+      schema: {
+        id: { type: 'id' },
+        label: { type: 'string', required: true, max: 100 }
+      },
+      relationships: {
+        notes: { type: 'manyToMany', through: 'note_tags', foreignKey: 'tag_id', otherKey: 'note_id' }
+      },
+      changeLog: true,
+      tableName: 'change_log_tags'
+    })
+    await api.resources.tags.createKnexTable()
+    mapTable('change_log_tags', 'tags')
+
+    await api.addResource('notes', {
+      schema: {
+        id: { type: 'id' },
+        text: { type: 'string', required: true, max: 500 },
+        pinned: { type: 'boolean', defaultTo: false, search: true },
+        deleted_at: { type: 'dateTime', nullable: true }
+      },
+      relationships: {
+        tags: { type: 'manyToMany', through: 'note_tags', foreignKey: 'note_id', otherKey: 'tag_id' }
+      },
+      softDelete: true,
+      changeLog: true,
+      tableName: 'change_log_notes'
+    })
+    await api.resources.notes.createKnexTable()
+    mapTable('change_log_notes', 'notes')
+
+    await api.addResource('note_tags', {
+      schema: {
+        id: { type: 'id' },
+        note_id: { type: 'number', required: true, belongsTo: 'notes', as: 'note' },
+        tag_id: { type: 'number', required: true, belongsTo: 'tags', as: 'tag' }
+      },
+      tableName: 'change_log_note_tags'
+    })
+    await api.resources.note_tags.createKnexTable()
+    mapTable('change_log_note_tags', 'note_tags')
+
+    if (storageMode.isAnyApi()) {
+      const descriptorTenant = api.anyapi?.tenantId || tenantId
+      const notesDescriptor = await api.anyapi.registry.getDescriptor(descriptorTenant, 'notes')
+      const tagsDescriptor = await api.anyapi.registry.getDescriptor(descriptorTenant, 'tags')
+      storageMode.registerLink(
+        'change_log_note_tags',
+        'notes',
+        'tags',
+        notesDescriptor?.manyToMany?.tags?.relationship,
+        tagsDescriptor?.manyToMany?.notes?.relationship
+      )
+    }
+  } finally {
+    if (storageMode.isAnyApi()) {
+      storageMode.setCurrentTenant(previousTenant)
+    }
+  }
+
+  return api
+}
+
+/**
+ * Creates an API for change feed tests: tasks stream their changes over Express,
+ * behind a row policy that reads the caller's groups from the x-groups header
+ */
+export async function createChangeFeedApi (knex, pluginOptions = {}) {
+  const { ChangeFeedPlugin } = await import('../../plugins/core/rest-api-change-feed-plugin.js')
+  const api = new Api({
+    name: 'change-feed-test-api',
+    log: { level: process.env.LOG_LEVEL || 'info' }
+  })
+
+  const previousTenant = storageMode.currentTenant
+  const tenantId = storageMode.isAnyApi() ? 'change_feed_tenant' : storageMode.defaultTenant
+  if (storageMode.isAnyApi()) {
+    storageMode.setCurrentTenant(tenantId)
+  }
+
+  await api.use(RestApiPlugin, {
+    simplifiedApi: false,
+    simplifiedTransport: false,
+    returnRecordApi: {
+      post: true,
+      put: false,
+      patch: false
+    }
+  })
+  await useStoragePlugin(api, knex, { tenantId })
+  await resetAnyApiTables(knex)
+  await api.use(RowPolicyPlugin, {
+    policies: {
+      groupVisibility: ({ query, context, column, value }) => {
+        const groups = context.auth?.groups
+        if (!Array.isArray(groups)) return true
+        if (groups.length === 0) return false
+
+        query.whereIn(column('access_group'), groups.map((group) => value('access_group', group)))
+        return true
+      }
+    }
+  })
+  await api.use(ExpressPlugin, { mountPath: '/api' })
+  await api.use(ChangeFeedPlugin, { ...pluginOptions['change-feed'] })
+
+  await api.customize({
+    hooks: {
+      'transport:request': {
+        functionName: 'change-feed-test-auth',
+        handler: async ({ context }) => {
+          const headers = context.transport?.request?.headers || {}
+          if (headers['x-user']) {
+            context.auth = {
+              userId: headers['x-user'],
+              groups: String(headers['x-groups'] || '').split(',').filter(Boolean)
+            }
+          }
+        }
+      }
+    }
+  })
+
+  try {
+    await api.addResource('projects', {
+      schema: {
+        id: { type: 'id' },
+        name: { type: 'string', required: true, max: 200 }
+      },
+      tableName: 'change_feed_projects'
+    })
+    await api.resources.projects.createKnexTable()
+    mapTable('change_feed_projects', 'projects')
+
+    await api.addResource('tasks', {
+      schema: {
+        id: { type: 'id' },
+        title: { type: 'string', required: true, max: 200 },
+        status: { type: 'string', defaultTo: 'open', search: true },
+        access_group: { type: 'string', required: true },
+        project_id: { type: 'id', nullable: true, belongsTo: 'projects', as: 'project' }
+      },
+      rowPolicy: 'groupVisibility',
+      changeFeed: true,
+      tableName: 'change_feed_tasks'
+    })
+    await api.resources.tasks.createKnexTable()
+    mapTable('change_feed_tasks', 'tasks')
+  } finally {
+    if (storageMode.isAnyApi()) {
+      storageMode.setCurrentTenant(previousTenant)
+    }
+  }
+
+  return api
+}
+
+/**
+ * Creates an API for aggregation tests: orders grouped by status or customer,
+ * behind a region row policy and a workspace autofilter
+ */
+export async function createAggregationApi (knex, pluginOptions = {}) {
+  const tenantId = storageMode.isAnyApi() ? 'aggregation_tenant' : storageMode.defaultTenant
+  const previousTenant = storageMode.currentTenant
+  if (storageMode.isAnyApi()) {
+    storageMode.clearRegistry()
+    storageMode.setCurrentTenant(tenantId)
+  }
+
+  const api = new Api({
+    name: 'aggregation-test-api',
+    log: { level: process.env.LOG_LEVEL || 'info' }
+  })
+
+  await api.use(RestApiPlugin, {
+    simplifiedApi: false,
+    simplifiedTransport: false,
+    returnRecordApi: {
+      post: true,
+      put: false,
+      patch: false
+    },
+    ...pluginOptions['rest-api']
+  })
+  await useStoragePlugin(api, knex, { tenantId })
+  await resetAnyApiTables(knex)
+
+  await api.use(RowPolicyPlugin, {
+    policies: {
+      region: ({ query, context, column, value }) => {
+        const regions = context.visibility?.regions
+        if (!Array.isArray(regions)) return true
+
+        query.whereIn(column('region'), regions.map((region) => value('region', region)))
+        return true
+      }
+    }
+  })
+  await api.use(AutoFilterPlugin, {
+    resolvers: {
+      workspace: ({ context }) => context.scopeValues?.workspaceId
+    },
+    presets: {
+      workspace: {
+        filters: [{ field: 'workspace_id', resolver: 'workspace', required: false }]
+      }
+    }
+  })
+  await api.use(ExpressPlugin, { mountPath: '/api' })
+
+  try {
+    await api.addResource('orders', {
+      schema: {
+        id: { type: 'id' },
+        status: { type: 'string', required: true, search: true },
+        region: { type: 'string', required: true },
+        amount: { type: 'number', required: true },
+        customer: { type: 'string', required: true, search: true },
+        workspace_id: { type: 'string', nullable: true },
+        internal_note: { type: 'string', nullable: true, hidden: true }
+      },
+      autofilter: 'workspace',
+      rowPolicy: 'region',
+      tableName: 'aggregation_orders'
+    })
+    await api.resources.orders.createKnexTable()
+    mapTable('aggregation_orders', 'orders')
+  } finally {
+    if (storageMode.isAnyApi()) {
+      storageMode.setCurrentTenant(previousTenant)
+    }
+  }
+
+  return api
+}
+
+/**
+ * Creates an API for full-text search tests: posts with fullText title and body
+ */
+export async function createFullTextApi (knex, pluginOptions = {}) {
+  const tenantId = storageMode.isAnyApi() ? 'full_text_tenant' : storageMode.defaultTenant
+  const previousTenant = storageMode.currentTenant
+  if (storageMode.isAnyApi()) {
+    storageMode.clearRegistry()
+    storageMode.setCurrentTenant(tenantId)
+  }
+
+  const api = new Api({
+    name: 'full-text-test-api',
+    log: { level: process.env.LOG_LEVEL || 'info' }
+  })
+
+  await api.use(RestApiPlugin, {
+    simplifiedApi: false,
+    simplifiedTransport: false,
+    returnRecordApi: {
+      post: true,
+      put: false,
+      patch: false
+    },
+    sortableFields: ['title', 'category'],
+    ...pluginOptions['rest-api']
+  })
+  await useStoragePlugin(api, knex, { tenantId })
+  await resetAnyApiTables(knex)
+  await api.use(ExpressPlugin, { mountPath: '/api' })
+
+  try {
+    await api.addResource('posts', {
+      schema: {
+        id: { type: 'id' },
+        title: { type: 'string', required: true, max: 200, fullText: true },
+        body: { type: 'string', nullable: true, fullText: true },
+        category: { type: 'string', required: true, search: true }
+      },
+      tableName: 'full_text_posts'
+    })
+    await api.resources.posts.createKnexTable()
+    mapTable('full_text_posts', 'posts')
+  } finally {
+    if (storageMode.isAnyApi()) {
+      storageMode.setCurrentTenant(previousTenant)
+    }
+  }
+
+  return api
+}
+
 /**
  * Creates an extended API with additional fields for more complex testing
  */
@@ -932,6 +1513,40 @@ export async function createWebSocketApi (knex, pluginOptions = {}) {
   return { api, server }
 }
 
+/**
+ * Creates the row-policy API with Socket.IO sending full records.
+ * Sockets authenticate with `{ userId, groups, workspaceId }` in the handshake auth.
+ */
+export async function createWebSocketRowPolicyApi (knex, pluginOptions = {}) {
+  const api = await createRowPolicyApi(knex, pluginOptions)
+
+  await api.use(SocketIOPlugin, {
+    auth: {
+      requireAuth: true,
+      authenticate: async ({ socket }) => {
+        const { userId, groups = [], workspaceId = 'workspace-a' } = socket.handshake.auth || {}
+        if (!userId) throw new Error('Authentication required')
+        return { userId, groups, workspaceId }
+      }
+    },
+    notifications: {
+      payload: 'record',
+      buildContext: ({ auth }) => ({
+        auth,
+        visibility: { groups: auth.groups },
+        scopeValues: { workspaceId: auth.workspaceId }
+      }),
+      ...(pluginOptions.notifications || {})
+    }
+  })
+
+  const server = createServer()
+  await api.startSocketServer(server)
+  await new Promise((resolve) => server.listen(0, resolve))
+
+  return { api, server }
+}
+
 /**
  * Creates an API with computed fields for testing
  */
@@ -2348,7 +2963,11 @@ export async function createSearchSchemaMergeApi (knex, pluginOptions = {}) {
   return api
 }
 
+/**
+ * Creates an API with file fields: documents, and soft-deletable notes
+ */
 export async function createFileUploadApi (knex, pluginOptions = {}) {
+  const { SoftDeletePlugin } = await import('../../plugins/core/rest-api-soft-delete-plugin.js')
   const apiName = pluginOptions.apiName || 'file-upload-test-api'
   const tableName = pluginOptions.tableName || 'file_documents'
   const tablePrefix = pluginOptions.tablePrefix || 'file'
@@ -2396,6 +3015,7 @@ export async function createFileUploadApi (knex, pluginOptions = {}) {
     })
     await useStoragePlugin(api, knex, { tenantId })
     await resetAnyApiTables(knex)
+    await api.use(SoftDeletePlugin)
     await api.use(FileHandlingPlugin)
 
     api.rest.registerFileDetector({
@@ -2420,6 +3040,91 @@ export async function createFileUploadApi (knex, pluginOptions = {}) {
     await api.resources.documents.createKnexTable()
     mapTable(tableName, 'documents')
 
+    await api.addResource('notes', {
+      schema: {
+        id: { type: 'id' },
+        title: { type: 'string', required: true },
+        attachment: { type: 'file', storage, accepts: ['image/png'] },
+        deleted_at: { type: 'dateTime', nullable: true }
+      },
+      softDelete: true,
+      tableName: `${tablePrefix}_notes`
+    })
+    await api.resources.notes.createKnexTable()
+    mapTable(`${tablePrefix}_notes`, 'notes')
+
+    return api
+  } finally {
+    if (storageMode.isAnyApi()) {
+      storageMode.setCurrentTenant(previousTenant)
+    }
+  }
+}
+
+/**
+ * Creates an API for webhook tests: articles and comments, with subscriptions
+ * stored in the plugin's own resource
+ */
+export async function createWebhooksApi (knex, pluginOptions = {}) {
+  const { WebhooksPlugin } = await import('../../plugins/core/rest-api-webhooks-plugin.js')
+  const api = new Api({
+    name: 'webhooks-test-api',
+    log: { level: process.env.LOG_LEVEL || 'info' }
+  })
+
+  const previousTenant = storageMode.currentTenant
+  const tenantId = storageMode.isAnyApi() ? 'webhooks_tenant' : storageMode.defaultTenant
+  if (storageMode.isAnyApi()) {
+    storageMode.clearRegistry()
+    storageMode.setCurrentTenant(tenantId)
+  }
+
+  try {
+    await api.use(RestApiPlugin, {
+      simplifiedApi: false,
+      simplifiedTransport: false,
+      returnRecordApi: {
+        post: true,
+        put: false,
+        patch: false
+      },
+      ...pluginOptions['rest-api']
+    })
+    await useStoragePlugin(api, knex, { tenantId })
+    await resetAnyApiTables(knex)
+    await api.use(WebhooksPlugin, {
+      backoff: { baseDelay: 1000, maxDelay: 4000 },
+      maxAttempts: 3,
+      timeout: 2000,
+      // The receiver runs on this machine
+      urlPolicy: { allowedHosts: ['127.0.0.1'] },
+      public: true,
+      ...pluginOptions.webhooks
+    })
+    mapTable('webhook_subscriptions', 'webhook_subscriptions')
+
+    await api.addResource('articles', {
+      schema: {
+        id: { type: 'id' },
+        title: { type: 'string', required: true, max: 200 },
+        internal_notes: { type: 'string', nullable: true, hidden: true },
+        score: { type: 'number', nullable: true, canRead: (context) => Boolean(context.auth?.roles?.includes('editor')) }
+      },
+      tableName: 'webhooks_articles'
+    })
+    await api.resources.articles.createKnexTable()
+    mapTable('webhooks_articles', 'articles')
+
+    await api.addResource('comments', {
+      schema: {
+        id: { type: 'id' },
+        body: { type: 'string', required: true, max: 500 }
+      },
+      tableName: 'webhooks_comments'
+    })
+    await api.resources.comments.createKnexTable()
+    mapTable('webhooks_comments', 'comments')
+
     return api
   } finally {
     if (storageMode.isAnyApi()) {
@@ -2427,3 +3132,228 @@ export async function createFileUploadApi (knex, pluginOptions = {}) {
     }
   }
 }
+
+/**
+ * Creates the basic API behind RateLimitPlugin, with Express routes and Socket.IO.
+ * HTTP callers authenticate with the x-user header, sockets with `{ userId }` in the handshake auth.
+ */
+export async function createRateLimitApi (knex, pluginOptions = {}) {
+  const { RateLimitPlugin } = await import('../../plugins/core/rest-api-rate-limit-plugin.js')
+
+  const api = await createBasicApi(knex, {
+    ...pluginOptions,
+    tenantId: pluginOptions.tenantId || 'rate_limit_tenant',
+    includeExpress: true
+  })
+
+  // Authentication runs before the rate limit, which keys on context.auth.userId
+  await api.customize({
+    hooks: {
+      'transport:request': {
+        functionName: 'rate-limit-test-auth',
+        handler: async ({ context }) => {
+          const userId = context.transport?.request?.headers?.['x-user']
+          if (userId) context.auth = { userId }
+        }
+      }
+    }
+  })
+
+  await api.use(RateLimitPlugin, { ...pluginOptions['rate-limit'] })
+
+  await api.use(SocketIOPlugin, {
+    auth: {
+      authenticate: async ({ socket }) => ({ userId: socket.handshake.auth?.userId || null })
+    }
+  })
+
+  const server = createServer()
+  await api.startSocketServer(server)
+  await new Promise((resolve) => server.listen(0, resolve))
+
+  return { api, server }
+}
+
+export async function createJwtAuthApi (knex, pluginOptions = {}) {
+  const { JwtAuthPlugin } = await import('../../plugins/core/rest-api-jwt-auth-plugin.js')
+
+  const api = await createBasicApi(knex, {
+    ...pluginOptions,
+    tenantId: pluginOptions.tenantId || 'jwt_auth_tenant',
+    includeExpress: true
+  })
+
+  await api.use(JwtAuthPlugin, { ...pluginOptions['jwt-auth'] })
+
+  await api.use(SocketIOPlugin, { auth: { requireAuth: true } })
+
+  const server = createServer()
+  await api.startSocketServer(server)
+  await new Promise((resolve) => server.listen(0, resolve))
+
+  return { api, server }
+}
+
+/**
+ * Creates an API with declarative permissions: admins see and change every document,
+ * other users only their own, and only admins delete
+ */
+export async function createPermissionsApi (knex) {
+  const { PermissionsPlugin } = await import('../../plugins/core/rest-api-permissions-plugin.js')
+
+  const api = new Api({
+    name: 'permissions-test-api',
+    log: { level: process.env.LOG_LEVEL || 'info' }
+  })
+
+  const tenantId = storageMode.isAnyApi() ? 'permissions_tenant' : storageMode.defaultTenant
+
+  await api.use(RestApiPlugin, {
+    simplifiedApi: false,
+    simplifiedTransport: false,
+    returnRecordApi: { post: true, put: false, patch: false },
+    sortableFields: ['id', 'title']
+  })
+
+  await withTenantContext(tenantId, async () => {
+    await useStoragePlugin(api, knex, { tenantId })
+    await resetAnyApiTables(knex)
+
+    await api.use(PermissionsPlugin)
+
+    await api.addResource('perm_users', {
+      schema: {
+        id: { type: 'id' },
+        name: { type: 'string', required: true }
+      },
+      permissions: { default: 'public' },
+      tableName: 'permissions_users'
+    })
+    await api.resources.perm_users.createKnexTable()
+    mapTable('permissions_users', 'perm_users')
+
+    await api.addResource('perm_documents', {
+      schema: {
+        id: { type: 'id' },
+        title: { type: 'string', required: true, search: true },
+        owner_id: { type: 'number', required: true, belongsTo: 'perm_users', as: 'owner' }
+      },
+      permissions: {
+        default: [{ roles: ['admin'] }, { owner: 'owner_id' }],
+        delete: { roles: 'admin' }
+      },
+      tableName: 'permissions_documents'
+    })
+    await api.resources.perm_documents.createKnexTable()
+    mapTable('permissions_documents', 'perm_documents')
+  })
+
+  return api
+}
+
+export async function createFieldPermissionsApi (knex) {
+  const api = new Api({
+    name: 'field-permissions-test-api',
+    log: { level: process.env.LOG_LEVEL || 'info' }
+  })
+
+  const tenantId = storageMode.isAnyApi() ? 'field_permissions_tenant' : storageMode.defaultTenant
+  const hasRole = (role) => (context) => Boolean(context.auth?.roles?.includes(role))
+
+  await api.use(RestApiPlugin, {
+    simplifiedApi: false,
+    simplifiedTransport: false,
+    returnRecordApi: { post: true, put: true, patch: true },
+    sortableFields: ['id', 'name', 'salary']
+  })
+
+  await withTenantContext(tenantId, async () => {
+    await useStoragePlugin(api, knex, { tenantId })
+    await resetAnyApiTables(knex)
+
+    await api.addResource('fp_departments', {
+      schema: {
+        id: { type: 'id' },
+        name: { type: 'string', required: true },
+        budget: { type: 'number', canRead: hasRole('hr') }
+      },
+      tableName: 'field_permissions_departments'
+    })
+    await api.resources.fp_departments.createKnexTable()
+    mapTable('field_permissions_departments', 'fp_departments')
+
+    await api.addResource('fp_employees', {
+      schema: {
+        id: { type: 'id' },
+        name: { type: 'string', required: true, search: true },
+        salary: { type: 'number', search: true, canRead: hasRole('hr'), canWrite: hasRole('hr') },
+        status: { type: 'string', defaultTo: 'active', search: true, canWrite: hasRole('admin') },
+        department_id: { type: 'number', belongsTo: 'fp_departments', as: 'department', canWrite: hasRole('admin') }
+      },
+      tableName: 'field_permissions_employees'
+    })
+    await api.resources.fp_employees.createKnexTable()
+    mapTable('field_permissions_employees', 'fp_employees')
+  })
+
+  return api
+}
+
+export async function createTenancyApi (knex) {
+  const { TenancyPlugin } = await import('../../plugins/core/rest-api-tenancy-plugin.js')
+  const { PositioningPlugin } = await import('../../plugins/core/rest-api-positioning-plugin.js')
+
+  const api = new Api({
+    name: 'tenancy-test-api',
+    log: { level: process.env.LOG_LEVEL || 'info' }
+  })
+
+  await api.use(RestApiPlugin, {
+    simplifiedApi: false,
+    simplifiedTransport: false,
+    returnRecordApi: { post: true, put: true, patch: true },
+    sortableFields: ['id', 'name', 'title', 'position'],
+    enablePaginationCounts: true
+  })
+  await api.use(RestApiKnexPlugin, { knex })
+  await api.use(TenancyPlugin)
+  await api.use(PositioningPlugin, { excludeResources: ['tn_projects', 'tn_tags'] })
+
+  await api.addResource('tn_projects', {
+    schema: {
+      id: { type: 'id' },
+      name: { type: 'string', required: true, unique: true, search: true },
+      tenant_id: { type: 'string', required: true, hidden: true }
+    },
+    relationships: {
+      tasks: { type: 'hasMany', target: 'tn_tasks', foreignKey: 'project_id' }
+    },
+    tableName: 'tenancy_projects'
+  })
+  await api.resources.tn_projects.createKnexTable()
+
+  await api.addResource('tn_tasks', {
+    schema: {
+      id: { type: 'id' },
+      title: { type: 'string', required: true },
+      position: { type: 'string', max: 255, nullable: true },
+      beforeId: { type: 'string', virtual: true },
+      project_id: { type: 'number', nullable: true, belongsTo: 'tn_projects', as: 'project', search: true },
+      tenant_id: { type: 'string', required: true, hidden: true }
+    },
+    tableName: 'tenancy_tasks'
+  })
+  await api.resources.tn_tasks.createKnexTable()
+
+  // Shared by every tenant: no tenant field
+  await api.addResource('tn_tags', {
+    schema: {
+      id: { type: 'id' },
+      label: { type: 'string', required: true }
+    },
+    tableName: 'tenancy_tags'
+  })
+  await api.resources.tn_tags.createKnexTable()
+
+  return api
+}
@@ -0,0 +1,217 @@
+import { describe, it, before, beforeEach, after } from 'node:test'
+import assert from 'node:assert/strict'
+import express from 'express'
+import request from 'supertest'
+import knexLib from 'knex'
+import { createFullTextApi } from './fixtures/api-configs.js'
+import { cleanTables } from './helpers/test-utils.js'
+import { storageMode } from './helpers/storage-mode.js'
+import {
+  addKnexFields,
+  collectSchemaDrift,
+  generateKnexMigration,
+  generateKnexMigrationDiff
+} from '../plugins/core/lib/dbTablesOperations.js'
+import { introspectKnexTableSnapshot } from '../plugins/core/lib/dbIntrospection.js'
+
+// Runs the `up` (or `down`) function of generated migration code
+async function runMigration (db, migration, direction = 'up') {
+  const migrationModule = {}
+  new Function('migrationModule', migration
+    .replace(/exports\.up/g, 'migrationModule.up')
+    .replace(/exports\.down/g, 'migrationModule.down'))(migrationModule)
+  await migrationModule[direction](db)
+}
+
+const knex = knexLib({
+  client: 'better-sqlite3',
+  connection: {
+    filename: ':memory:'
+  },
+  useNullAsDefault: true
+})
+
+let api
+let app
+
+async function createPost (attributes) {
+  const result = await api.resources.posts.post({
+    inputRecord: { data: { type: 'posts', attributes } }
+  })
+  return result.data.id
+}
+
+async function search (queryParams) {
+  const result = await api.resources.posts.query({ queryParams })
+  return result.data.map((post) => post.attributes.title)
+}
+
+describe('Full-text search', () => {
+  before(async () => {
+    api = await createFullTextApi(knex)
+    app = express()
+    api.http.express.mount(app)
+  })
+
+  after(async () => {
+    await knex.destroy()
+  })
+
+  beforeEach(async () => {
+    await cleanTables(knex, ['full_text_posts'])
+  })
+
+  it('matches every term across all fullText fields and combines with other filters', async () => {
+    await createPost({ title: 'Knex migrations', body: 'Creating tables with knex', category: 'db' })
+    await createPost({ title: 'Express routing', body: 'Mounting knex backed resources', category: 'http' })
+    await createPost({ title: 'Unrelated', body: 'Nothing to see', category: 'db' })
+
+    assert.deepEqual((await search({ filters: { q: 'knex' } })).sort(), ['Express routing', 'Knex migrations'])
+    assert.deepEqual(await search({ filters: { q: 'knex tables' } }), ['Knex migrations'])
+    assert.deepEqual(await search({ filters: { q: 'knex', category: 'http' } }), ['Express routing'])
+    // Query syntax characters are treated as plain text
+    assert.deepEqual(await search({ filters: { q: '"routing" -(*' } }), ['Express routing'])
+  })
+
+  it('keeps the index in sync with updates and deletes', async () => {
+    const id = await createPost({ title: 'Draft', body: 'first version', category: 'db' })
+
+    await api.resources.posts.patch({
+      id,
+      inputRecord: { data: { type: 'posts', id, attributes: { body: 'second revision' } } }
+    })
+    assert.deepEqual(await search({ filters: { q: 'first' } }), [])
+    assert.deepEqual(await search({ filters: { q: 'revision' } }), ['Draft'])
+
+    await api.resources.posts.delete({ id })
+    assert.deepEqual(await search({ filters: { q: 'revision' } }), [])
+  })
+
+  it('sorts by relevance and rejects relevance without a search', async () => {
+    await createPost({ title: 'Passing mention', body: 'Talks about other things, and sqlite once', category: 'db' })
+    await createPost({ title: 'SQLite all the way', body: 'sqlite sqlite sqlite', category: 'db' })
+
+    const ranked = await search({ filters: { q: 'sqlite' }, sort: ['-relevance'] })
+    assert.equal(ranked.length, 2)
+    if (!storageMode.isAnyApi()) {
+      // AnyAPI storage has no index and returns matches unranked
+      assert.deepEqual(ranked, ['SQLite all the way', 'Passing mention'])
+    }
+
+    await assert.rejects(
+      () => search({ sort: ['-relevance'] }),
+      (error) => error.code === 'REST_API_VALIDATION'
+    )
+  })
+
+  it('serves filter[q] and sort=-relevance over HTTP', async () => {
+    await createPost({ title: 'Cursor pagination', body: 'page after and before', category: 'http' })
+
+    const response = await request(app).get('/api/posts?filter[q]=pagination&sort=-relevance')
+    assert.equal(response.status, 200)
+    assert.deepEqual(response.body.data.map((post) => post.attributes.title), ['Cursor pagination'])
+
+    const cursor = await request(app).get('/api/posts?filter[q]=pagination&sort=-relevance&page[size]=1&page[after]=abc')
+    assert.equal(cursor.status, 422)
+  })
+
+  it('creates an FTS5 table with sync triggers', { skip: storageMode.isAnyApi() }, async () => {
+    const objects = await knex('sqlite_master')
+      .whereIn('name', ['full_text_posts_fts', 'full_text_posts_fts_ai', 'full_text_posts_fts_ad', 'full_text_posts_fts_au'])
+      .orderBy('name')
+      .pluck('type')
+    assert.deepEqual(objects, ['table', 'trigger', 'trigger', 'trigger'])
+  })
+
+  it('refuses fullText fields on resources without integer ids', async () => {
+    await assert.rejects(
+      api.addResource('full_text_codes', {
+        schema: {
+          id: { type: 'string', required: true },
+          title: { type: 'string', fullText: true }
+        }
+      }),
+      (error) => error.code === 'REST_API_FULL_TEXT_CONTRACT' && /integer ids/.test(error.message)
+    )
+  })
+})
+
+describe('Full-text search migrations', () => {
+  const schema = {
+    structure: {
+      title: { type: 'string', fullText: true },
+      body: { type: 'string', fullText: true }
+    }
+  }
+
+  it('adds a tsvector column and GIN index for Postgres', () => {
+    const migration = generateKnexMigration('articles', schema, { dialect: 'pg', fullTextLanguage: 'simple' })
+
+    assert.match(migration, /ADD COLUMN "search_vector" tsvector GENERATED ALWAYS AS \(to_tsvector\(\\'simple\\'::regconfig, coalesce\("title", \\'\\'\) \|\| \\' \\' \|\| coalesce\("body", \\'\\'\)\)\) STORED/)
+    assert.match(migration, /USING GIN \("search_vector"\)/)
+  })
+
+  it('adds the tsvector column to an existing Postgres table in the diff', () => {
+    const { migration, plan } = generateKnexMigrationDiff('articles', { dialect: 'pg', columns: [], fullTextColumns: null }, schema)
+
+    assert.match(plan.replaceFullText[0], /DROP COLUMN IF EXISTS "search_vector"/)
+    assert.match(migration, /ADD COLUMN "search_vector" tsvector GENERATED ALWAYS AS/)
+    assert.ok(migration.indexOf('table.string') < migration.indexOf('search_vector'))
+  })
+
+  it('generates an executable SQLite migration with FTS5 and triggers', async () => {
+    const db = knexLib({ client: 'better-sqlite3', connection: { filename: ':memory:' }, useNullAsDefault: true })
+    const migration = generateKnexMigration('articles', schema, { dialect: 'better-sqlite3' })
+
+    try {
+      await runMigration(db, migration)
+      await db('articles').insert({ title: 'Hello', body: 'full text world' })
+      const rows = await db.raw('SELECT rowid FROM articles_fts WHERE articles_fts MATCH ?', ['world'])
+      assert.equal(rows.length, 1)
+
+      await runMigration(db, migration, 'down')
+      assert.equal(await db.schema.hasTable('articles_fts'), false)
+    } finally {
+      await db.destroy()
+    }
+  })
+
+  it('indexes an existing table when its fields become fullText', async () => {
+    const db = knexLib({ client: 'better-sqlite3', connection: { filename: ':memory:' }, useNullAsDefault: true })
+    const match = (term) => db.raw('SELECT rowid FROM articles_fts WHERE articles_fts MATCH ?', [term])
+
+    try {
+      await db.schema.createTable('articles', (table) => {
+        table.increments('id').primary()
+        table.string('title')
+        table.string('body')
+      })
+      await db('articles').insert({ title: 'Hello', body: 'written before the index' })
+
+      const before = await introspectKnexTableSnapshot(db, { tableName: 'articles' })
+      assert.equal(before.fullTextColumns, null)
+      assert.deepEqual(collectSchemaDrift('articles', before, schema).map((issue) => issue.kind), ['missingFullTextIndex'])
+
+      const { migration } = generateKnexMigrationDiff('articles', before, schema)
+      await runMigration(db, migration)
+      assert.equal((await match('written')).length, 1)
+
+      const after = await introspectKnexTableSnapshot(db, { tableName: 'articles' })
+      assert.deepEqual(after.fullTextColumns, ['title', 'body'])
+      assert.deepEqual(collectSchemaDrift('articles', after, schema), [])
+      assert.deepEqual(generateKnexMigrationDiff('articles', after, schema).plan.replaceFullText, [])
+
+      // A fullText field added later joins the index, and the triggers keep it in sync
+      await addKnexFields(db, 'articles', { summary: { type: 'string', fullText: true } })
+      await db('articles').update({ summary: 'summarised afterwards' })
+      assert.equal((await match('summarised')).length, 1)
+      assert.equal((await match('written')).length, 1)
+      assert.deepEqual(
+        (await introspectKnexTableSnapshot(db, { tableName: 'articles' })).fullTextColumns,
+        ['title', 'body', 'summary']
+      )
+    } finally {
+      await db.destroy()
+    }
+  })
+})
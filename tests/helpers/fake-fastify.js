@@ -1,3 +1,5 @@
+import { EventEmitter } from 'node:events'
+
 export class FakeFastifyApp {
   constructor () {
     this.routes = []
@@ -23,6 +25,13 @@ export class FakeReply {
     this.contentType = null
     this.headers = {}
     this.payload = undefined
+    this.hijacked = false
+    this.raw = new FakeRawResponse()
+  }
+
+  hijack () {
+    this.hijacked = true
+    return this
   }
 
   code (statusCode) {
@@ -46,6 +55,39 @@ export class FakeReply {
   }
 }
 
+/**
+ * Records what is written to `reply.raw` once a route has hijacked the reply
+ */
+export class FakeRawResponse extends EventEmitter {
+  constructor () {
+    super()
+    this.statusCode = null
+    this.headers = {}
+    this.chunks = []
+    this.ended = false
+  }
+
+  writeHead (statusCode, headers = {}) {
+    this.statusCode = statusCode
+    this.headers = headers
+    return this
+  }
+
+  write (chunk) {
+    this.chunks.push(String(chunk))
+    return true
+  }
+
+  end () {
+    this.ended = true
+    this.emit('close')
+  }
+
+  get body () {
+    return this.chunks.join('')
+  }
+}
+
 export function findFastifyRoute (app, method, url) {
   return app.routes.find((route) => route.method === method && route.url === url)
 }
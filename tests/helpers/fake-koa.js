@@ -0,0 +1,97 @@
+/**
+ * Minimal stand-in for a Koa application: composes `(ctx, next)` middleware
+ * and exposes the subset of the ctx API used by KoaPlugin. `callback()` returns
+ * a Node request listener, so it can be driven with supertest.
+ */
+export class FakeKoaApp {
+  constructor () {
+    this.middleware = []
+  }
+
+  use (fn) {
+    this.middleware.push(fn)
+    return this
+  }
+
+  callback () {
+    return async (req, res) => {
+      const ctx = createFakeKoaContext(req, res)
+
+      const dispatch = async (index) => {
+        const fn = this.middleware[index]
+        if (fn) await fn(ctx, () => dispatch(index + 1))
+      }
+
+      try {
+        await dispatch(0)
+      } catch (error) {
+        ctx.status = 500
+        ctx.body = error.message
+      }
+
+      respond(ctx)
+    }
+  }
+}
+
+function createFakeKoaContext (req, res) {
+  const [path, querystring = ''] = req.url.split('?')
+  const responseHeaders = {}
+
+  return {
+    req,
+    res,
+    state: {},
+    request: {},
+    method: req.method,
+    url: req.url,
+    path,
+    querystring,
+    query: Object.fromEntries(new URLSearchParams(querystring)),
+    headers: req.headers,
+    status: 404,
+    body: undefined,
+    responseHeaders,
+
+    get (name) {
+      return req.headers[name.toLowerCase()] || ''
+    },
+
+    set (name, value) {
+      if (typeof name === 'object') {
+        for (const [key, headerValue] of Object.entries(name || {})) {
+          responseHeaders[key.toLowerCase()] = headerValue
+        }
+        return
+      }
+      responseHeaders[name.toLowerCase()] = value
+    }
+  }
+}
+
+function respond (ctx) {
+  const { res } = ctx
+
+  // Like Koa: the middleware wrote to ctx.res itself
+  if (ctx.respond === false) return
+
+  for (const [name, value] of Object.entries(ctx.responseHeaders)) {
+    res.setHeader(name, value)
+  }
+  res.statusCode = ctx.status
+
+  if (ctx.status === 204 || ctx.body == null) {
+    res.end(ctx.status === 404 ? 'Not Found' : undefined)
+    return
+  }
+
+  if (typeof ctx.body === 'string') {
+    res.end(ctx.body)
+    return
+  }
+
+  if (!res.hasHeader('content-type')) {
+    res.setHeader('content-type', 'application/json')
+  }
+  res.end(JSON.stringify(ctx.body))
+}
@@ -0,0 +1,230 @@
+/**
+ * Local stand-in for an S3-compatible server (path-style URLs), for S3Storage tests.
+ *
+ * It checks SigV4 signatures (Authorization header and presigned URLs) against the
+ * request as received, and keeps objects and multipart uploads in memory.
+ */
+import http from 'node:http'
+import crypto from 'node:crypto'
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex')
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest()
+const encode = (value) => encodeURIComponent(value).replace(/[!'()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`)
+
+function parseQuery (rawQuery) {
+  return rawQuery
+    .split('&')
+    .filter(Boolean)
+    .map((pair) => {
+      const [name, value = ''] = pair.split('=')
+      return [decodeURIComponent(name), decodeURIComponent(value)]
+    })
+}
+
+function signature ({ secretAccessKey, method, path, query, headers, signedHeaders, payloadHash, amzDate, scope }) {
+  const [dateStamp, region, service] = scope.split('/')
+  const canonicalQuery = query
+    .map(([name, value]) => `${encode(name)}=${encode(value)}`)
+    .sort()
+    .join('&')
+  const canonicalHeaders = signedHeaders
+    .map((name) => `${name}:${String(headers[name] ?? '').trim().replace(/\s+/g, ' ')}\n`)
+    .join('')
+  const canonicalRequest = [method, path, canonicalQuery, canonicalHeaders, signedHeaders.join(';'), payloadHash].join('\n')
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n')
+  const key = hmac(hmac(hmac(hmac(`AWS4${secretAccessKey}`, dateStamp), region), service), 'aws4_request')
+  return crypto.createHmac('sha256', key).update(stringToSign).digest('hex')
+}
+
+function amzDateToTime (amzDate) {
+  const iso = amzDate.replace(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/, '$1-$2-$3T$4:$5:$6Z')
+  return Date.parse(iso)
+}
+
+/**
+ * @param {Object} options
+ * @param {string} options.accessKeyId
+ * @param {string} options.secretAccessKey
+ * @param {string} [options.bucket]
+ * @returns {Promise<Object>} { endpoint, bucket, objects, uploads, requests, failPart, close() }
+ */
+export async function startFakeS3Server ({ accessKeyId, secretAccessKey, bucket = 'test-bucket' }) {
+  const state = {
+    bucket,
+    objects: new Map(),
+    uploads: new Map(),
+    requests: [],
+    // Set to a part number to make that UploadPart fail
+    failPart: null
+  }
+
+  const sendError = (res, status, code, message) => {
+    res.statusCode = status
+    res.setHeader('Content-Type', 'application/xml')
+    res.end(`<?xml version="1.0" encoding="UTF-8"?><Error><Code>${code}</Code><Message>${message}</Message></Error>`)
+  }
+
+  const authenticate = (req, path, query, body) => {
+    const queryMap = Object.fromEntries(query)
+
+    if (queryMap['X-Amz-Signature']) {
+      const [keyId, ...scopeParts] = queryMap['X-Amz-Credential'].split('/')
+      const amzDate = queryMap['X-Amz-Date']
+      if (keyId !== accessKeyId) return 'InvalidAccessKeyId'
+      if (Date.now() > amzDateToTime(amzDate) + Number(queryMap['X-Amz-Expires']) * 1000) return 'AccessDenied'
+
+      const expected = signature({
+        secretAccessKey,
+        method: req.method,
+        path,
+        query: query.filter(([name]) => name !== 'X-Amz-Signature'),
+        headers: req.headers,
+        signedHeaders: queryMap['X-Amz-SignedHeaders'].split(';'),
+        payloadHash: 'UNSIGNED-PAYLOAD',
+        amzDate,
+        scope: scopeParts.join('/')
+      })
+      return expected === queryMap['X-Amz-Signature'] ? null : 'SignatureDoesNotMatch'
+    }
+
+    const match = String(req.headers.authorization || '')
+      .match(/^AWS4-HMAC-SHA256 Credential=([^/]+)\/([^,]+), SignedHeaders=([^,]+), Signature=([0-9a-f]+)$/)
+    if (!match) return 'AccessDenied'
+
+    const [, keyId, scope, signedHeaders, givenSignature] = match
+    if (keyId !== accessKeyId) return 'InvalidAccessKeyId'
+
+    const payloadHash = req.headers['x-amz-content-sha256']
+    if (payloadHash !== 'UNSIGNED-PAYLOAD' && payloadHash !== sha256(body)) return 'XAmzContentSHA256Mismatch'
+
+    const expected = signature({
+      secretAccessKey,
+      method: req.method,
+      path,
+      query,
+      headers: req.headers,
+      signedHeaders: signedHeaders.split(';'),
+      payloadHash,
+      amzDate: req.headers['x-amz-date'],
+      scope
+    })
+    return expected === givenSignature ? null : 'SignatureDoesNotMatch'
+  }
+
+  const server = http.createServer(async (req, res) => {
+    const chunks = []
+    for await (const chunk of req) chunks.push(chunk)
+    const body = Buffer.concat(chunks)
+
+    const [path, rawQuery = ''] = req.url.split('?')
+    const query = parseQuery(rawQuery)
+    const queryMap = Object.fromEntries(query)
+
+    state.requests.push({ method: req.method, path, query: queryMap, headers: req.headers, size: body.length })
+
+    const authError = authenticate(req, path, query, body)
+    if (authError) {
+      sendError(res, 403, authError, 'Request rejected by fake S3')
+      return
+    }
+
+    const prefix = `/${bucket}/`
+    if (!path.startsWith(prefix)) {
+      sendError(res, 404, 'NoSuchBucket', 'The specified bucket does not exist')
+      return
+    }
+    const key = decodeURIComponent(path.slice(prefix.length))
+
+    if (req.method === 'POST' && 'uploads' in queryMap) {
+      const uploadId = crypto.randomBytes(8).toString('hex')
+      state.uploads.set(uploadId, { key, parts: new Map(), contentType: req.headers['content-type'] })
+      res.setHeader('Content-Type', 'application/xml')
+      res.end(`<InitiateMultipartUploadResult><Bucket>${bucket}</Bucket><Key>${key}</Key><UploadId>${uploadId}</UploadId></InitiateMultipartUploadResult>`)
+      return
+    }
+
+    if (queryMap.uploadId) {
+      const upload = state.uploads.get(queryMap.uploadId)
+      if (!upload) {
+        sendError(res, 404, 'NoSuchUpload', 'The specified upload does not exist')
+        return
+      }
+
+      if (req.method === 'PUT') {
+        const partNumber = Number(queryMap.partNumber)
+        if (partNumber === state.failPart) {
+          sendError(res, 500, 'InternalError', 'Injected part failure')
+          return
+        }
+        const etag = `"${crypto.createHash('md5').update(body).digest('hex')}"`
+        upload.parts.set(partNumber, { etag, data: body })
+        res.setHeader('ETag', etag)
+        res.end()
+        return
+      }
+
+      if (req.method === 'POST') {
+        const listed = [...body.toString().matchAll(/<PartNumber>(\d+)<\/PartNumber><ETag>([^<]+)<\/ETag>/g)]
+          .map(([, partNumber, etag]) => ({ partNumber: Number(partNumber), etag: etag.replace(/&quot;/g, '"') }))
+        const data = []
+        for (const { partNumber, etag } of listed) {
+          const part = upload.parts.get(partNumber)
+          if (!part || part.etag !== etag) {
+            sendError(res, 400, 'InvalidPart', `Part ${partNumber} is missing or has a different ETag`)
+            return
+          }
+          data.push(part.data)
+        }
+        state.objects.set(key, { data: Buffer.concat(data), contentType: upload.contentType, parts: listed.length })
+        state.uploads.delete(queryMap.uploadId)
+        res.setHeader('Content-Type', 'application/xml')
+        res.end(`<CompleteMultipartUploadResult><Key>${key}</Key></CompleteMultipartUploadResult>`)
+        return
+      }
+
+      if (req.method === 'DELETE') {
+        state.uploads.delete(queryMap.uploadId)
+        res.statusCode = 204
+        res.end()
+        return
+      }
+    }
+
+    if (req.method === 'PUT') {
+      state.objects.set(key, { data: body, contentType: req.headers['content-type'], acl: req.headers['x-amz-acl'], parts: 0 })
+      res.setHeader('ETag', `"${crypto.createHash('md5').update(body).digest('hex')}"`)
+      res.end()
+      return
+    }
+
+    if (req.method === 'GET') {
+      const object = state.objects.get(key)
+      if (!object) {
+        sendError(res, 404, 'NoSuchKey', 'The specified key does not exist')
+        return
+      }
+      res.setHeader('Content-Type', object.contentType || 'application/octet-stream')
+      res.end(object.data)
+      return
+    }
+
+    if (req.method === 'DELETE') {
+      state.objects.delete(key)
+      res.statusCode = 204
+      res.end()
+      return
+    }
+
+    sendError(res, 405, 'MethodNotAllowed', 'Not supported by fake S3')
+  })
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve))
+
+  return Object.assign(state, {
+    endpoint: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise((resolve) => {
+      server.closeAllConnections?.()
+      server.close(resolve)
+    })
+  })
+}
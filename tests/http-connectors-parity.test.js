@@ -8,7 +8,8 @@ import {
   RestApiPlugin,
   RestApiKnexPlugin,
   ExpressPlugin,
-  FastifyPlugin
+  FastifyPlugin,
+  KoaPlugin
 } from '../index.js'
 import { getUnsupportedMediaTypeErrorBody } from '../plugins/core/connectors/lib/transport-http-helpers.js'
 import { cleanTables, createJsonApiDocument } from './helpers/test-utils.js'
@@ -16,6 +17,7 @@ import {
   FakeFastifyApp,
   invokeFastifyRoute
 } from './helpers/fake-fastify.js'
+import { FakeKoaApp } from './helpers/fake-koa.js'
 
 const knex = knexLib({
   client: 'better-sqlite3',
@@ -32,6 +34,7 @@ async function createConnectorParityApi ({
 } = {}) {
   const expressApp = express()
   const fastifyApp = new FakeFastifyApp()
+  const koaApp = new FakeKoaApp()
   const api = new Api({
     name,
     log: { level: process.env.LOG_LEVEL || 'silent' }
@@ -63,6 +66,10 @@ async function createConnectorParityApi ({
     app: fastifyApp,
     ...transportOptions
   })
+  await api.use(KoaPlugin, {
+    app: koaApp,
+    ...transportOptions
+  })
 
   await api.customize({
     hooks: {
@@ -101,7 +108,7 @@ async function createConnectorParityApi ({
   await api.resources.countries.createKnexTable()
   api.http.express.mount(expressApp)
 
-  return { api, expressApp, fastifyApp }
+  return { api, expressApp, fastifyApp, koaServer: koaApp.callback() }
 }
 
 function assertLocationSuffix (location, resourceId) {
@@ -123,9 +130,10 @@ describe('HTTP Connector Parity', () => {
   let api
   let expressApp
   let fastifyApp
+  let koaServer
 
   before(async () => {
-    ({ api, expressApp, fastifyApp } = await createConnectorParityApi())
+    ({ api, expressApp, fastifyApp, koaServer } = await createConnectorParityApi())
   })
 
   after(async () => {
@@ -136,7 +144,7 @@ describe('HTTP Connector Parity', () => {
     await cleanTables(knex, ['connector_parity_countries'])
   })
 
-  it('returns the same create semantics through Express and Fastify', async () => {
+  it('returns the same create semantics through Express, Fastify and Koa', async () => {
     const expressDoc = createJsonApiDocument('countries', {
       name: 'Express Country',
       code: 'EC'
@@ -145,6 +153,10 @@ describe('HTTP Connector Parity', () => {
       name: 'Fastify Country',
       code: 'FC'
     })
+    const koaDoc = createJsonApiDocument('countries', {
+      name: 'Koa Country',
+      code: 'KC'
+    })
 
     const expressResponse = await request(expressApp)
       .post('/api/countries')
@@ -163,18 +175,29 @@ describe('HTTP Connector Parity', () => {
       body: fastifyDoc
     })
 
+    const koaResponse = await request(koaServer)
+      .post('/api/countries')
+      .set('Content-Type', 'application/vnd.api+json')
+      .set('Accept', 'application/vnd.api+json')
+      .send(koaDoc)
+
     assert.equal(expressResponse.status, 201)
     assert.equal(fastifyReply.statusCode, 201)
+    assert.equal(koaResponse.status, 201)
 
     assert.equal(expressResponse.body.data.type, 'countries')
     assert.equal(fastifyReply.payload.data.type, 'countries')
     assert.equal(expressResponse.body.data.attributes.name, 'Express Country')
     assert.equal(fastifyReply.payload.data.attributes.name, 'Fastify Country')
+    assert.equal(koaResponse.body.data.attributes.name, 'Koa Country')
     assert.equal(expressResponse.headers['x-connector-test'], 'enabled')
     assert.equal(fastifyReply.headers['x-connector-test'], 'enabled')
+    assert.equal(koaResponse.headers['x-connector-test'], 'enabled')
+    assert.equal(koaResponse.headers['content-type'], 'application/vnd.api+json')
 
     assertLocationSuffix(expressResponse.headers.location, expressResponse.body.data.id)
     assertLocationSuffix(fastifyReply.headers.Location, fastifyReply.payload.data.id)
+    assertLocationSuffix(koaResponse.headers.location, koaResponse.body.data.id)
   })
 
   it('does not build response URLs from untrusted proxy headers', async () => {
@@ -186,6 +209,10 @@ describe('HTTP Connector Parity', () => {
       name: 'Fastify Hostile Header Country',
       code: 'FH'
     })
+    const koaDoc = createJsonApiDocument('countries', {
+      name: 'Koa Hostile Header Country',
+      code: 'KH'
+    })
 
     const expressResponse = await request(expressApp)
       .post('/api/countries')
@@ -210,8 +237,18 @@ describe('HTTP Connector Parity', () => {
       body: fastifyDoc
     })
 
+    const koaResponse = await request(koaServer)
+      .post('/api/countries')
+      .set('Content-Type', 'application/vnd.api+json')
+      .set('Accept', 'application/vnd.api+json')
+      .set('Host', 'attacker.example')
+      .set('X-Forwarded-Host', 'proxy-attacker.example')
+      .set('X-Forwarded-Proto', 'https')
+      .send(koaDoc)
+
     assert.equal(expressResponse.status, 201)
     assert.equal(fastifyReply.statusCode, 201)
+    assert.equal(koaResponse.status, 201)
     assert.equal(
       expressResponse.headers.location,
       `/api/countries/${expressResponse.body.data.id}`
@@ -220,14 +257,20 @@ describe('HTTP Connector Parity', () => {
       fastifyReply.headers.Location,
       `/api/countries/${fastifyReply.payload.data.id}`
     )
+    assert.equal(
+      koaResponse.headers.location,
+      `/api/countries/${koaResponse.body.data.id}`
+    )
     assertResourceLinksUsePrefix(expressResponse.body, '/api')
     assertResourceLinksUsePrefix(fastifyReply.payload, '/api')
+    assertResourceLinksUsePrefix(koaResponse.body, '/api')
   })
 
   it('uses explicit publicBaseUrl when a connector is configured with one', async () => {
     const {
       expressApp: publicExpressApp,
-      fastifyApp: publicFastifyApp
+      fastifyApp: publicFastifyApp,
+      koaServer: publicKoaServer
     } = await createConnectorParityApi({
       name: 'connector-parity-public-url-test-api',
       tableName: 'connector_parity_public_countries',
@@ -242,6 +285,10 @@ describe('HTTP Connector Parity', () => {
       name: 'Fastify Public Country',
       code: 'FP'
     })
+    const koaDoc = createJsonApiDocument('countries', {
+      name: 'Koa Public Country',
+      code: 'KP'
+    })
 
     const expressResponse = await request(publicExpressApp)
       .post('/api/countries')
@@ -260,8 +307,15 @@ describe('HTTP Connector Parity', () => {
       body: fastifyDoc
     })
 
+    const koaResponse = await request(publicKoaServer)
+      .post('/api/countries')
+      .set('Content-Type', 'application/vnd.api+json')
+      .set('Accept', 'application/vnd.api+json')
+      .send(koaDoc)
+
     assert.equal(expressResponse.status, 201)
     assert.equal(fastifyReply.statusCode, 201)
+    assert.equal(koaResponse.status, 201)
     assert.equal(
       expressResponse.headers.location,
       `https://public.example/api/countries/${expressResponse.body.data.id}`
@@ -270,8 +324,13 @@ describe('HTTP Connector Parity', () => {
       fastifyReply.headers.Location,
       `https://public.example/api/countries/${fastifyReply.payload.data.id}`
     )
+    assert.equal(
+      koaResponse.headers.location,
+      `https://public.example/api/countries/${koaResponse.body.data.id}`
+    )
     assertResourceLinksUsePrefix(expressResponse.body, 'https://public.example/api')
     assertResourceLinksUsePrefix(fastifyReply.payload, 'https://public.example/api')
+    assertResourceLinksUsePrefix(koaResponse.body, 'https://public.example/api')
 
     await cleanTables(knex, ['connector_parity_public_countries'])
   })
@@ -285,6 +344,10 @@ describe('HTTP Connector Parity', () => {
       name: 'Fastify Override Country',
       code: 'FO'
     })
+    const koaDoc = createJsonApiDocument('countries', {
+      name: 'Koa Override Country',
+      code: 'KO'
+    })
 
     const expressResponse = await request(expressApp)
       .post('/api/countries')
@@ -305,8 +368,16 @@ describe('HTTP Connector Parity', () => {
       body: fastifyDoc
     })
 
+    const koaResponse = await request(koaServer)
+      .post('/api/countries')
+      .set('Content-Type', 'application/vnd.api+json')
+      .set('Accept', 'application/vnd.api+json')
+      .set('x-use-public-url-override', 'yes')
+      .send(koaDoc)
+
     assert.equal(expressResponse.status, 201)
     assert.equal(fastifyReply.statusCode, 201)
+    assert.equal(koaResponse.status, 201)
     assert.equal(
       expressResponse.headers.location,
       `https://trusted.example/api/countries/${expressResponse.body.data.id}`
@@ -315,8 +386,13 @@ describe('HTTP Connector Parity', () => {
       fastifyReply.headers.Location,
       `https://trusted.example/api/countries/${fastifyReply.payload.data.id}`
     )
+    assert.equal(
+      koaResponse.headers.location,
+      `https://trusted.example/api/countries/${koaResponse.body.data.id}`
+    )
     assertResourceLinksUsePrefix(expressResponse.body, 'https://trusted.example/api')
     assertResourceLinksUsePrefix(fastifyReply.payload, 'https://trusted.example/api')
+    assertResourceLinksUsePrefix(koaResponse.body, 'https://trusted.example/api')
   })
 
   it('rejects unsupported write content types using each connector transport policy', async () => {
@@ -333,8 +409,14 @@ describe('HTTP Connector Parity', () => {
       body: 'invalid payload'
     })
 
+    const koaResponse = await request(koaServer)
+      .post('/api/countries')
+      .set('Content-Type', 'text/plain')
+      .send('invalid payload')
+
     assert.equal(expressResponse.status, 415)
     assert.equal(fastifyReply.statusCode, 415)
+    assert.equal(koaResponse.status, 415)
     assert.deepEqual(
       expressResponse.body,
       getUnsupportedMediaTypeErrorBody({ allowMultipart: true })
@@ -343,9 +425,14 @@ describe('HTTP Connector Parity', () => {
       fastifyReply.payload,
       getUnsupportedMediaTypeErrorBody()
     )
+    // Multipart is only accepted when a file detector is registered
+    assert.deepEqual(
+      koaResponse.body,
+      getUnsupportedMediaTypeErrorBody()
+    )
   })
 
-  it('maps validation errors the same way in both connectors', async () => {
+  it('maps validation errors the same way in every connector', async () => {
     const invalidDoc = createJsonApiDocument('countries', {
       code: 'IV'
     })
@@ -367,14 +454,23 @@ describe('HTTP Connector Parity', () => {
       body: invalidDoc
     })
 
+    const koaResponse = await request(koaServer)
+      .post('/api/countries')
+      .set('Content-Type', 'application/vnd.api+json')
+      .set('Accept', 'application/vnd.api+json')
+      .send(invalidDoc)
+
     assert.equal(expressResponse.status, 422)
     assert.equal(fastifyReply.statusCode, 422)
+    assert.equal(koaResponse.status, 422)
     assert.deepEqual(fastifyReply.payload, expressResponse.body)
+    assert.deepEqual(koaResponse.body, expressResponse.body)
     assert.equal(expressResponse.headers['x-connector-test'], 'enabled')
     assert.equal(fastifyReply.headers['x-connector-test'], 'enabled')
+    assert.equal(koaResponse.headers['x-connector-test'], 'enabled')
   })
 
-  it('honors transport request rejection hooks the same way in both connectors', async () => {
+  it('honors transport request rejection hooks the same way in every connector', async () => {
     const expressResponse = await request(expressApp)
       .get('/api/countries')
       .set('x-block-request', 'yes')
@@ -386,10 +482,17 @@ describe('HTTP Connector Parity', () => {
       headers: { 'x-block-request': 'yes' }
     })
 
+    const koaResponse = await request(koaServer)
+      .get('/api/countries')
+      .set('x-block-request', 'yes')
+
     assert.equal(expressResponse.status, 401)
     assert.equal(fastifyReply.statusCode, 401)
+    assert.equal(koaResponse.status, 401)
     assert.deepEqual(fastifyReply.payload, expressResponse.body)
+    assert.deepEqual(koaResponse.body, expressResponse.body)
     assert.equal(expressResponse.headers['x-connector-test'], undefined)
     assert.equal(fastifyReply.headers['x-connector-test'], undefined)
+    assert.equal(koaResponse.headers['x-connector-test'], undefined)
   })
 })
@@ -0,0 +1,247 @@
+import { describe, it, before, beforeEach, after } from 'node:test'
+import assert from 'node:assert/strict'
+import express from 'express'
+import request from 'supertest'
+import knexLib from 'knex'
+import { createBulkOperationsApi } from './fixtures/api-configs.js'
+import { cleanTables, createJsonApiDocument } from './helpers/test-utils.js'
+import { RestApiResourceError } from '../lib/rest-api-errors.js'
+
+const knex = knexLib({
+  client: 'better-sqlite3',
+  connection: {
+    filename: ':memory:'
+  },
+  useNullAsDefault: true
+})
+
+let api
+let app
+
+async function authorNames () {
+  const result = await api.resources.authors.query({ queryParams: { sort: ['id'] }, simplified: true })
+  return result.data.map((author) => author.name)
+}
+
+async function postAuthor (name, context = {}) {
+  return api.resources.authors.post({
+    inputRecord: createJsonApiDocument('authors', { name })
+  }, context)
+}
+
+describe('Idempotency-Key', () => {
+  before(async () => {
+    api = await createBulkOperationsApi(knex, { includeExpress: true })
+    await api.customize({
+      hooks: {
+        'transport:request': {
+          functionName: 'idempotency-test-auth',
+          handler: async ({ context }) => {
+            const userId = context.transport?.request?.headers?.['x-user']
+            if (userId) context.auth = { userId }
+          }
+        },
+        checkPermissions: {
+          functionName: 'idempotency-test-revoked',
+          handler: async ({ context }) => {
+            // scope.checkPermissions() passes the caller's context; postRelationship runs the hook in its own
+            if ((context.originalContext || context).auth?.revoked) {
+              throw new RestApiResourceError('Access revoked', { subtype: 'forbidden' })
+            }
+          }
+        }
+      }
+    })
+    app = express()
+    api.http.express.mount(app)
+  })
+
+  after(async () => {
+    await knex.destroy()
+  })
+
+  beforeEach(async () => {
+    await cleanTables(knex, [
+      'basic_countries', 'basic_publishers', 'basic_authors', 'basic_books', 'basic_book_authors'
+    ])
+    await knex('_idempotency_keys').delete()
+  })
+
+  it('creates the key table at install time', async () => {
+    assert.deepEqual(
+      Object.keys(await knex('_idempotency_keys').columnInfo()),
+      ['id', 'owner', 'idempotency_key', 'operation', 'request_hash', 'response', 'created_at', 'expires_at']
+    )
+  })
+
+  it('returns the stored response when a post is repeated with the same key', async () => {
+    const first = await postAuthor('Ann', { idempotencyKey: 'order-1' })
+
+    const replayContext = { idempotencyKey: 'order-1' }
+    const second = await postAuthor('Ann', replayContext)
+
+    assert.deepEqual(second, first)
+    assert.equal(replayContext.idempotentReplay, true)
+    assert.deepEqual(await authorNames(), ['Ann'])
+  })
+
+  it('rejects a key reused with a different body', async () => {
+    await postAuthor('Ann', { idempotencyKey: 'order-1' })
+
+    await assert.rejects(
+      postAuthor('Bob', { idempotencyKey: 'order-1' }),
+      (error) => error.code === 'REST_API_VALIDATION' && error.details.violations[0].rule === 'idempotency_key_reused'
+    )
+    assert.deepEqual(await authorNames(), ['Ann'])
+  })
+
+  it('frees the key when the write fails', async () => {
+    await assert.rejects(
+      api.resources.authors.post({
+        inputRecord: createJsonApiDocument('authors', {})
+      }, { idempotencyKey: 'order-1' })
+    )
+
+    await postAuthor('Ann', { idempotencyKey: 'order-1' })
+    assert.deepEqual(await authorNames(), ['Ann'])
+  })
+
+  it('keeps keys apart per owner', async () => {
+    await postAuthor('Ann', { idempotencyKey: 'order-1', auth: { userId: 'u1' } })
+    await postAuthor('Ann', { idempotencyKey: 'order-1', auth: { userId: 'u2' } })
+
+    assert.deepEqual(await authorNames(), ['Ann', 'Ann'])
+  })
+
+  it('forgets expired keys and deletes them on request', async () => {
+    await postAuthor('Ann', { idempotencyKey: 'order-1', auth: { userId: 'u1' } })
+    await postAuthor('Ann', { idempotencyKey: 'order-1', auth: { userId: 'u2' } })
+    await knex('_idempotency_keys').update({ expires_at: new Date(Date.now() - 1000) })
+
+    // The caller's expired key can be used again, for a different request
+    await postAuthor('Bob', { idempotencyKey: 'order-1', auth: { userId: 'u1' } })
+    assert.deepEqual(await authorNames(), ['Ann', 'Ann', 'Bob'])
+
+    assert.equal(await api.rest.deleteExpiredIdempotencyKeys(), 1)
+    assert.deepEqual(await knex('_idempotency_keys').pluck('owner'), ['u1'])
+  })
+
+  it('replays only to callers who pass the permission checks', async () => {
+    const forbidden = (error) => error.subtype === 'forbidden'
+    const inputRecords = [createJsonApiDocument('authors', { name: 'Batched' })]
+    await postAuthor('Ann', { idempotencyKey: 'order-1', auth: { userId: 'u1' } })
+    await api.scopes.authors.bulkPost({ inputRecords, atomic: true }, { idempotencyKey: 'batch-1', auth: { userId: 'u1' } })
+
+    const revoked = { userId: 'u1', revoked: true }
+    await assert.rejects(postAuthor('Ann', { idempotencyKey: 'order-1', auth: revoked }), forbidden)
+    await assert.rejects(
+      api.scopes.authors.bulkPost({ inputRecords, atomic: true }, { idempotencyKey: 'batch-1', auth: revoked }),
+      forbidden
+    )
+    assert.deepEqual((await authorNames()).sort(), ['Ann', 'Batched'])
+  })
+
+  it('replays POST requests that carry an Idempotency-Key header', async () => {
+    const body = createJsonApiDocument('authors', { name: 'Over HTTP' })
+
+    const first = await request(app)
+      .post('/api/authors')
+      .set('X-User', 'u1')
+      .set('Idempotency-Key', 'http-1')
+      .send(body)
+      .expect(201)
+    assert.equal(first.headers['idempotent-replayed'], undefined)
+
+    const second = await request(app)
+      .post('/api/authors')
+      .set('X-User', 'u1')
+      .set('Idempotency-Key', 'http-1')
+      .send(body)
+      .expect(201)
+    assert.equal(second.headers['idempotent-replayed'], 'true')
+    assert.deepEqual(second.body, first.body)
+
+    await request(app)
+      .post('/api/authors')
+      .set('X-User', 'u1')
+      .set('Idempotency-Key', 'http-1')
+      .send(createJsonApiDocument('authors', { name: 'Something else' }))
+      .expect(422)
+
+    assert.deepEqual(await authorNames(), ['Over HTTP'])
+  })
+
+  it('refuses keys from anonymous HTTP clients, so they cannot replay each other', async () => {
+    // Two unrelated clients that happen to pick the same key
+    for (const name of ['Client A', 'Client B']) {
+      const response = await request(app)
+        .post('/api/authors')
+        .set('Idempotency-Key', 'guess-me')
+        .send(createJsonApiDocument('authors', { name }))
+        .expect(422)
+      assert.equal(response.headers['idempotent-replayed'], undefined)
+      assert.equal(response.body.errors[0].detail, 'Authenticate to use idempotency keys')
+    }
+
+    assert.deepEqual(await authorNames(), [])
+  })
+
+  it('replays relationship POSTs', async () => {
+    const country = await api.resources.countries.post({
+      inputRecord: createJsonApiDocument('countries', { name: 'Italy', code: 'IT' })
+    })
+    const book = await api.resources.books.post({
+      inputRecord: createJsonApiDocument('books', { title: 'Linked' }, {
+        country: { data: { type: 'countries', id: country.data.id } }
+      })
+    })
+    const author = await postAuthor('Ann')
+    const body = { data: [{ type: 'authors', id: author.data.id }] }
+
+    for (let attempt = 0; attempt < 2; attempt++) {
+      await request(app)
+        .post(`/api/books/${book.data.id}/relationships/authors`)
+        .set('X-User', 'u1')
+        .set('Idempotency-Key', 'link-1')
+        .send(body)
+        .expect(204)
+    }
+
+    const linked = await api.resources.books.get({ id: book.data.id, queryParams: { include: ['authors'] } })
+    assert.deepEqual(linked.data.relationships.authors.data, [{ type: 'authors', id: author.data.id }])
+
+    await request(app)
+      .post(`/api/books/${book.data.id}/relationships/authors`)
+      .set('X-User', 'u1')
+      .set('Idempotency-Key', 'link-1')
+      .send({ data: [] })
+      .expect(422)
+
+    await assert.rejects(
+      api.resources.books.postRelationship({
+        id: book.data.id,
+        relationshipName: 'authors',
+        relationshipData: body.data
+      }, { idempotencyKey: 'link-1', auth: { userId: 'u1', revoked: true } }),
+      (error) => error.subtype === 'forbidden'
+    )
+  })
+
+  it('covers a whole atomic bulkPost with one key', async () => {
+    const inputRecords = [
+      createJsonApiDocument('authors', { name: 'One' }),
+      createJsonApiDocument('authors', { name: 'Two' })
+    ]
+
+    const first = await api.scopes.authors.bulkPost({ inputRecords, atomic: true }, { idempotencyKey: 'batch-1' })
+    const second = await api.scopes.authors.bulkPost({ inputRecords, atomic: true }, { idempotencyKey: 'batch-1' })
+
+    assert.deepEqual(second, JSON.parse(JSON.stringify(first)))
+    assert.deepEqual(await authorNames(), ['One', 'Two'])
+
+    await assert.rejects(
+      api.scopes.authors.bulkPost({ inputRecords, atomic: false }, { idempotencyKey: 'batch-2' }),
+      (error) => error.code === 'REST_API_VALIDATION'
+    )
+  })
+})
@@ -0,0 +1,202 @@
+import { describe, it, before, beforeEach, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { mkdtemp, rm, writeFile } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import express from 'express'
+import request from 'supertest'
+import knexLib from 'knex'
+import { Api } from 'hooked-api'
+import { SignJWT, exportJWK, generateKeyPair } from 'jose'
+import { io as ioClient } from 'socket.io-client'
+import { RestApiPlugin, JwtAuthPlugin } from '../index.js'
+import { createJwtAuthApi } from './fixtures/api-configs.js'
+import { cleanTables, createJsonApiDocument } from './helpers/test-utils.js'
+
+const knex = knexLib({
+  client: 'better-sqlite3',
+  connection: {
+    filename: ':memory:'
+  },
+  useNullAsDefault: true
+})
+
+const SECRET = 'jwt-auth-test-secret'
+
+async function createToken (payload = {}, { secret = SECRET, expiresIn = '1h' } = {}) {
+  return new SignJWT({ sub: '42', roles: ['editor'], org: { id: 'acme' }, ...payload })
+    .setProtectedHeader({ alg: 'HS256' })
+    .setIssuedAt()
+    .setIssuer('https://auth.example.com')
+    .setExpirationTime(expiresIn)
+    .sign(new TextEncoder().encode(secret))
+}
+
+function connectSocket (server, auth) {
+  const socket = ioClient(`http://localhost:${server.address().port}`, {
+    auth,
+    path: '/api/socket.io',
+    transports: ['websocket'],
+    reconnection: false
+  })
+
+  const connected = new Promise((resolve, reject) => {
+    socket.once('connect', resolve)
+    socket.once('connect_error', reject)
+  })
+  return { socket, connected }
+}
+
+describe('JWT Auth Plugin', () => {
+  let api
+  let server
+  let app
+  let seenAuth
+
+  before(async () => {
+    const result = await createJwtAuthApi(knex, {
+      'jwt-auth': {
+        secret: SECRET,
+        issuer: 'https://auth.example.com',
+        claims: { tenant: 'org.id' },
+        required: true
+      }
+    })
+    api = result.api
+    server = result.server
+
+    await api.customize({
+      hooks: {
+        checkPermissions: {
+          functionName: 'jwt-auth-test-record-auth',
+          handler: async ({ context }) => {
+            seenAuth = context.originalContext?.auth
+          }
+        }
+      }
+    })
+
+    app = express()
+    api.http.express.mount(app)
+  })
+
+  after(async () => {
+    await api.vars.socketIO.disconnectSockets()
+    await new Promise((resolve) => api.vars.socketIO.close(resolve))
+    await new Promise((resolve) => server.close(resolve))
+    await knex.destroy()
+  })
+
+  beforeEach(async () => {
+    seenAuth = undefined
+    await cleanTables(knex, [
+      'basic_countries', 'basic_publishers', 'basic_authors', 'basic_books', 'basic_book_authors'
+    ])
+  })
+
+  it('maps the claims of a valid bearer token to context.auth', async () => {
+    const token = await createToken()
+
+    await request(app)
+      .post('/api/authors')
+      .set('Authorization', `Bearer ${token}`)
+      .send(createJsonApiDocument('authors', { name: 'Ann' }))
+      .expect(201)
+
+    assert.equal(seenAuth.userId, '42')
+    assert.deepEqual(seenAuth.roles, ['editor'])
+    assert.equal(seenAuth.tenant, 'acme')
+    assert.equal(seenAuth.claims.iss, 'https://auth.example.com')
+  })
+
+  it('answers 401 with a challenge when the token is missing', async () => {
+    const response = await request(app).get('/api/authors').expect(401)
+
+    assert.equal(response.headers['www-authenticate'], 'Bearer realm="api"')
+    assert.equal(response.body.errors[0].status, '401')
+    assert.equal(response.body.errors[0].code, 'missing_token')
+    assert.equal(response.body.errors[0].title, 'Unauthorized')
+    assert.equal(seenAuth, undefined)
+  })
+
+  it('answers 401 for expired, forged and foreign tokens', async () => {
+    const expired = await createToken({}, { expiresIn: Math.floor(Date.now() / 1000) - 60 })
+    const forged = await createToken({}, { secret: 'another-secret' })
+    const foreign = await new SignJWT({ sub: '42' })
+      .setProtectedHeader({ alg: 'HS256' })
+      .setIssuer('https://elsewhere.example.com')
+      .setExpirationTime('1h')
+      .sign(new TextEncoder().encode(SECRET))
+
+    const expiredResponse = await request(app)
+      .get('/api/authors')
+      .set('Authorization', `Bearer ${expired}`)
+      .expect(401)
+    assert.equal(expiredResponse.body.errors[0].code, 'invalid_token')
+    assert.equal(expiredResponse.body.errors[0].detail, 'The access token has expired')
+    assert.match(expiredResponse.headers['www-authenticate'], /^Bearer realm="api", error="invalid_token"/)
+
+    for (const token of [forged, foreign, 'not-a-jwt']) {
+      const response = await request(app)
+        .get('/api/authors')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(401)
+      assert.equal(response.body.errors[0].detail, 'The access token is invalid')
+    }
+    assert.equal(seenAuth, undefined)
+  })
+
+  it('authenticates Socket.IO handshakes with the same tokens', async () => {
+    const { socket, connected } = connectSocket(server, { token: await createToken() })
+    try {
+      await connected
+      const [connectedSocket] = await api.vars.socketIO.fetchSockets()
+      assert.equal(connectedSocket.data.auth.userId, '42')
+      assert.equal(connectedSocket.data.auth.tenant, 'acme')
+    } finally {
+      socket.disconnect()
+    }
+
+    const rejected = connectSocket(server, { token: await createToken({}, { secret: 'another-secret' }) })
+    try {
+      await assert.rejects(rejected.connected, { message: 'The access token is invalid' })
+    } finally {
+      rejected.socket.disconnect()
+    }
+
+    const anonymous = connectSocket(server, {})
+    try {
+      await assert.rejects(anonymous.connected, { message: 'Authentication is required' })
+    } finally {
+      anonymous.socket.disconnect()
+    }
+  })
+
+  it('verifies tokens against a local JWKS file', async () => {
+    const directory = await mkdtemp(join(tmpdir(), 'jwt-auth-'))
+    try {
+      const { publicKey, privateKey } = await generateKeyPair('RS256')
+      const jwksFile = join(directory, 'jwks.json')
+      await writeFile(jwksFile, JSON.stringify({ keys: [{ ...(await exportJWK(publicKey)), kid: 'key-1', alg: 'RS256' }] }))
+
+      const jwksApi = new Api({ name: 'jwt-auth-jwks-test-api', log: { level: 'warn' } })
+      await jwksApi.use(RestApiPlugin)
+      await jwksApi.use(JwtAuthPlugin, { jwksFile, claims: { roles: 'scope' } })
+
+      const token = await new SignJWT({ sub: 'service-7', scope: 'read write' })
+        .setProtectedHeader({ alg: 'RS256', kid: 'key-1' })
+        .setExpirationTime('1h')
+        .sign(privateKey)
+
+      const auth = await jwksApi.jwtAuth.verify(token)
+      assert.equal(auth.userId, 'service-7')
+      assert.deepEqual(auth.roles, ['read', 'write'])
+      assert.equal(auth.tenant, null)
+
+      // HMAC tokens do not match any key of the set
+      await assert.rejects(jwksApi.jwtAuth.verify(await createToken()), { code: 'REST_API_JWT_AUTH_FAILED' })
+    } finally {
+      await rm(directory, { recursive: true, force: true })
+    }
+  })
+})
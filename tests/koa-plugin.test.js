@@ -0,0 +1,187 @@
+import { describe, it, before, beforeEach, after } from 'node:test'
+import assert from 'node:assert/strict'
+import os from 'node:os'
+import path from 'node:path'
+import request from 'supertest'
+import knexLib from 'knex'
+import { Api } from 'hooked-api'
+import {
+  RestApiPlugin,
+  RestApiKnexPlugin,
+  FileHandlingPlugin,
+  KoaPlugin
+} from '../index.js'
+import { cleanTables } from './helpers/test-utils.js'
+import { FakeKoaApp } from './helpers/fake-koa.js'
+
+const knex = knexLib({
+  client: 'better-sqlite3',
+  connection: {
+    filename: ':memory:'
+  },
+  useNullAsDefault: true
+})
+
+const uploadStorage = {
+  async upload (file) {
+    return `/uploads/${file.filename}`
+  },
+
+  async delete () {}
+}
+
+async function createKoaConnectorApi () {
+  const app = new FakeKoaApp()
+  const api = new Api({
+    name: 'koa-connector-test-api',
+    log: { level: process.env.LOG_LEVEL || 'silent' }
+  })
+
+  await api.use(RestApiPlugin, {
+    simplifiedApi: false,
+    simplifiedTransport: false,
+    returnRecordTransport: { post: 'full' }
+  })
+  await api.use(RestApiKnexPlugin, { knex })
+  await api.use(FileHandlingPlugin)
+  await api.use(KoaPlugin, {
+    mountPath: '/api',
+    requestSizeLimit: '1kb',
+    fileParser: 'formidable',
+    fileParserOptions: {
+      uploadDir: path.join(os.tmpdir(), 'json-rest-api-koa-test')
+    }
+  })
+
+  await api.customize({
+    hooks: {
+      'transport:response': {
+        functionName: 'koa-test-header',
+        handler: async ({ context }) => {
+          context.transport.response.headers['x-koa-test'] = 'enabled'
+        }
+      }
+    }
+  })
+
+  await api.addResource('documents', {
+    schema: {
+      id: { type: 'id' },
+      title: { type: 'string', required: true, search: true },
+      attachment: { type: 'file', storage: uploadStorage, accepts: ['text/*'] }
+    },
+    tableName: 'koa_documents'
+  })
+  await api.resources.documents.createKnexTable()
+
+  // Downstream middleware, to check that unmatched requests are passed on
+  app.use(async (ctx, next) => {
+    await next()
+    if (ctx.path === '/health') {
+      ctx.status = 200
+      ctx.body = { ok: true }
+    }
+  })
+  api.http.koa.mount(app)
+
+  return { api, server: app.callback() }
+}
+
+describe('Koa connector', () => {
+  let api
+  let server
+
+  before(async () => {
+    ({ api, server } = await createKoaConnectorApi())
+  })
+
+  after(async () => {
+    await knex.destroy()
+  })
+
+  beforeEach(async () => {
+    await cleanTables(knex, ['koa_documents'])
+  })
+
+  it('serves collection and single-resource routes with route params', async () => {
+    const created = await api.resources.documents.post({
+      inputRecord: { data: { type: 'documents', attributes: { title: 'Koa document' } } }
+    })
+
+    const collection = await request(server).get('/api/documents?filter[title]=Koa%20document')
+    assert.equal(collection.status, 200)
+    assert.deepEqual(collection.body.data.map((document) => document.id), [created.data.id])
+
+    const single = await request(server).get(`/api/documents/${created.data.id}`)
+    assert.equal(single.status, 200)
+    assert.equal(single.body.data.attributes.title, 'Koa document')
+    assert.equal(single.headers['x-koa-test'], 'enabled')
+  })
+
+  it('answers unknown API paths with a JSON:API 404 and passes other paths on', async () => {
+    const missing = await request(server).get('/api/nothing-here')
+    assert.equal(missing.status, 404)
+    assert.equal(missing.body.errors[0].title, 'Not Found')
+    assert.equal(missing.headers['x-koa-test'], 'enabled')
+
+    const health = await request(server).get('/health')
+    assert.equal(health.status, 200)
+    assert.deepEqual(health.body, { ok: true })
+  })
+
+  it('leaves the response to transport:request hooks that answered it themselves', async () => {
+    await api.customize({
+      hooks: {
+        'transport:request': {
+          functionName: 'koa-test-handled',
+          handler: async ({ context }) => {
+            if (!context.transport?.request?.headers?.['x-answer-in-hook']) return
+            // Answered later, as a proxy or a long-running handler would
+            const { res } = context.raw
+            setTimeout(() => {
+              res.writeHead(202, { 'content-type': 'text/plain' })
+              res.end('answered by the hook')
+            }, 10)
+            context.handled = true
+          }
+        }
+      }
+    })
+
+    const response = await request(server).get('/api/documents').set('x-answer-in-hook', '1')
+    assert.equal(response.status, 202)
+    assert.equal(response.text, 'answered by the hook')
+  })
+
+  it('rejects malformed and oversized JSON bodies', async () => {
+    const malformed = await request(server)
+      .post('/api/documents')
+      .set('Content-Type', 'application/vnd.api+json')
+      .send('{"data": ')
+    assert.equal(malformed.status, 400)
+    assert.equal(malformed.body.errors[0].status, '400')
+
+    const oversized = await request(server)
+      .post('/api/documents')
+      .set('Content-Type', 'application/vnd.api+json')
+      .send(JSON.stringify({ data: { type: 'documents', attributes: { title: 'x'.repeat(2048) } } }))
+    assert.equal(oversized.status, 413)
+    assert.equal(oversized.body.errors[0].title, 'Payload Too Large')
+  })
+
+  it('registers a file detector that reads multipart bodies from the Node request', async () => {
+    const detector = api.rest.fileDetectors.find((entry) => entry.name === 'koa-formidable-multipart')
+    assert.ok(detector)
+
+    const multipartReq = { headers: { 'content-type': 'multipart/form-data; boundary=x' } }
+    assert.equal(await detector.detect({}, { source: 'koa', raw: { req: multipartReq } }), true)
+    assert.equal(await detector.detect({}, { source: 'express', raw: { req: multipartReq } }), false)
+
+    // Multipart passes the strict content type check once a detector is registered
+    const response = await request(server)
+      .post('/api/documents')
+      .field('title', 'With attachment')
+      .attach('attachment', Buffer.from('hello koa'), { filename: 'notes.txt', contentType: 'text/plain' })
+    assert.notEqual(response.status, 415)
+  })
+})
@@ -0,0 +1,195 @@
+import { describe, it, before, beforeEach, after } from 'node:test'
+import assert from 'node:assert/strict'
+import request from 'supertest'
+import knexLib from 'knex'
+import { Api } from 'hooked-api'
+import {
+  RestApiPlugin,
+  RestApiKnexPlugin,
+  FileHandlingPlugin,
+  NodeHttpPlugin
+} from '../index.js'
+import { getUnsupportedMediaTypeErrorBody } from '../plugins/core/connectors/lib/transport-http-helpers.js'
+import { cleanTables, createJsonApiDocument } from './helpers/test-utils.js'
+
+const knex = knexLib({
+  client: 'better-sqlite3',
+  connection: {
+    filename: ':memory:'
+  },
+  useNullAsDefault: true
+})
+
+async function createNodeHttpConnectorApi () {
+  const api = new Api({
+    name: 'node-http-connector-test-api',
+    log: { level: process.env.LOG_LEVEL || 'silent' }
+  })
+
+  await api.use(RestApiPlugin, {
+    simplifiedApi: false,
+    simplifiedTransport: false,
+    returnRecordTransport: { post: 'full', patch: 'no' }
+  })
+  await api.use(RestApiKnexPlugin, { knex })
+  await api.use(FileHandlingPlugin)
+  await api.use(NodeHttpPlugin, {
+    mountPath: '/api',
+    requestSizeLimit: '1kb',
+    fileParser: 'formidable'
+  })
+
+  await api.customize({
+    hooks: {
+      'transport:request': {
+        functionName: 'node-http-test-rejector',
+        handler: async ({ context }) => {
+          if (context.transport?.request?.headers?.['x-block-request'] === 'yes') {
+            context.reject(401, 'Blocked by node http hook', { title: 'Unauthorized' })
+          }
+        }
+      },
+      'transport:response': {
+        functionName: 'node-http-test-header',
+        handler: async ({ context }) => {
+          context.transport.response.headers['x-node-http-test'] = 'enabled'
+        }
+      }
+    }
+  })
+
+  await api.addResource('countries', {
+    schema: {
+      id: { type: 'id' },
+      name: { type: 'string', required: true, max: 100, search: true },
+      code: { type: 'string', max: 2 }
+    },
+    tableName: 'node_http_countries'
+  })
+  await api.resources.countries.createKnexTable()
+
+  return api
+}
+
+describe('Node HTTP connector', () => {
+  let api
+  let handler
+
+  before(async () => {
+    api = await createNodeHttpConnectorApi()
+    handler = api.http.node.handler
+  })
+
+  after(async () => {
+    await knex.destroy()
+  })
+
+  beforeEach(async () => {
+    await cleanTables(knex, ['node_http_countries'])
+  })
+
+  it('creates, reads, queries, updates and deletes resources', async () => {
+    const created = await request(handler)
+      .post('/api/countries')
+      .set('Content-Type', 'application/vnd.api+json')
+      .send(createJsonApiDocument('countries', { name: 'Node Country', code: 'NC' }))
+
+    assert.equal(created.status, 201)
+    assert.equal(created.headers['content-type'], 'application/vnd.api+json')
+    assert.equal(created.headers.location, `/api/countries/${created.body.data.id}`)
+    assert.equal(created.headers['x-node-http-test'], 'enabled')
+
+    const id = created.body.data.id
+
+    const single = await request(handler).get(`/api/countries/${id}`)
+    assert.equal(single.status, 200)
+    assert.equal(single.body.data.attributes.name, 'Node Country')
+
+    const collection = await request(handler).get('/api/countries?filter[name]=Node%20Country')
+    assert.deepEqual(collection.body.data.map((country) => country.id), [id])
+
+    const patched = await request(handler)
+      .patch(`/api/countries/${id}`)
+      .set('Content-Type', 'application/json')
+      .send({ data: { type: 'countries', id, attributes: { code: 'NX' } } })
+    assert.equal(patched.status, 204)
+    assert.equal(patched.text, '')
+
+    const deleted = await request(handler).delete(`/api/countries/${id}`)
+    assert.equal(deleted.status, 204)
+
+    const missing = await request(handler).get(`/api/countries/${id}`)
+    assert.equal(missing.status, 404)
+  })
+
+  it('maps errors, content types and transport rejections like the other connectors', async () => {
+    const invalid = await request(handler)
+      .post('/api/countries')
+      .set('Content-Type', 'application/vnd.api+json')
+      .send(createJsonApiDocument('countries', { code: 'IV' }))
+    assert.equal(invalid.status, 422)
+    assert.equal(invalid.body.errors[0].source.pointer, 'data.attributes.name')
+    assert.equal(invalid.headers['x-node-http-test'], 'enabled')
+
+    const unsupported = await request(handler)
+      .post('/api/countries')
+      .set('Content-Type', 'text/plain')
+      .send('invalid payload')
+    assert.equal(unsupported.status, 415)
+    assert.deepEqual(unsupported.body, getUnsupportedMediaTypeErrorBody({ allowMultipart: true }))
+
+    const blocked = await request(handler)
+      .get('/api/countries')
+      .set('x-block-request', 'yes')
+    assert.equal(blocked.status, 401)
+    assert.equal(blocked.body.errors[0].detail, 'Blocked by node http hook')
+    assert.equal(blocked.headers['x-node-http-test'], undefined)
+  })
+
+  it('rejects malformed and oversized JSON bodies', async () => {
+    const malformed = await request(handler)
+      .post('/api/countries')
+      .set('Content-Type', 'application/vnd.api+json')
+      .send('{"data": ')
+    assert.equal(malformed.status, 400)
+
+    const oversized = await request(handler)
+      .post('/api/countries')
+      .set('Content-Type', 'application/vnd.api+json')
+      .send(JSON.stringify(createJsonApiDocument('countries', { name: 'x'.repeat(2048) })))
+    assert.equal(oversized.status, 413)
+    assert.equal(oversized.body.errors[0].title, 'Payload Too Large')
+
+    // transport:request hooks run before the body is read
+    const blocked = await request(handler)
+      .post('/api/countries')
+      .set('Content-Type', 'application/vnd.api+json')
+      .set('x-block-request', 'yes')
+      .send(JSON.stringify(createJsonApiDocument('countries', { name: 'x'.repeat(2048) })))
+    assert.equal(blocked.status, 401)
+  })
+
+  it('answers unknown paths with a JSON:API 404, or passes them to next()', async () => {
+    const missing = await request(handler).get('/api/nothing-here')
+    assert.equal(missing.status, 404)
+    assert.equal(missing.body.errors[0].title, 'Not Found')
+    assert.equal(missing.headers['x-node-http-test'], 'enabled')
+
+    const withNext = (req, res) => handler(req, res, () => {
+      res.statusCode = 200
+      res.end('fallthrough')
+    })
+    const passed = await request(withNext).get('/health')
+    assert.equal(passed.status, 200)
+    assert.equal(passed.text, 'fallthrough')
+  })
+
+  it('registers a file detector reading the Node request', async () => {
+    const detector = api.rest.fileDetectors.find((entry) => entry.name === 'node-http-formidable-multipart')
+    assert.ok(detector)
+
+    const multipartReq = { headers: { 'content-type': 'multipart/form-data; boundary=x' } }
+    assert.equal(await detector.detect({}, { source: 'http', raw: { req: multipartReq } }), true)
+    assert.equal(await detector.detect({}, { source: 'koa', raw: { req: multipartReq } }), false)
+  })
+})
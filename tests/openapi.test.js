@@ -0,0 +1,145 @@
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import express from 'express'
+import request from 'supertest'
+import knexLib from 'knex'
+import { OpenApiPlugin } from '../index.js'
+import { createBasicApi, createFileUploadApi } from './fixtures/api-configs.js'
+
+function createKnex () {
+  return knexLib({
+    client: 'better-sqlite3',
+    connection: {
+      filename: ':memory:'
+    },
+    useNullAsDefault: true
+  })
+}
+
+function collectRefs (node, refs = new Set()) {
+  if (Array.isArray(node)) {
+    node.forEach((item) => collectRefs(item, refs))
+  } else if (node && typeof node === 'object') {
+    for (const [key, value] of Object.entries(node)) {
+      if (key === '$ref') refs.add(value)
+      else collectRefs(value, refs)
+    }
+  }
+  return refs
+}
+
+describe('OpenAPI document generation', () => {
+  const knex = createKnex()
+  let api
+  let app
+  let doc
+
+  before(async () => {
+    api = await createBasicApi(knex, { includeExpress: true })
+    await api.use(OpenApiPlugin, { info: { title: 'Library', version: '2.0.0' } })
+    app = express()
+    api.http.express.mount(app)
+    doc = api.rest.generateOpenApi()
+  })
+
+  after(async () => {
+    await knex.destroy()
+  })
+
+  it('describes every registered resource and relationship route', () => {
+    assert.equal(doc.openapi, '3.1.0')
+    assert.equal(doc.info.title, 'basic-test-api')
+
+    assert.deepEqual(Object.keys(doc.paths['/api/books']).sort(), ['get', 'post'])
+    assert.deepEqual(Object.keys(doc.paths['/api/books/{id}']).sort(), ['delete', 'get', 'patch', 'put'])
+    assert.equal(doc.paths['/api/books'].get.operationId, 'books.query')
+    assert.equal(doc.paths['/api/books/{id}'].get.parameters[0].name, 'id')
+
+    assert.ok(doc.paths['/api/books/{id}/authors'].get)
+    assert.ok(doc.paths['/api/books/{id}/relationships/authors'].post)
+    assert.ok(doc.paths['/api/books/{id}/relationships/country'].patch)
+    // Only to-many relationships accept POST and DELETE on their linkage
+    assert.equal(doc.paths['/api/books/{id}/relationships/country'].post, undefined)
+    assert.equal(doc.paths['/api/books/{id}/authors'].get.responses['200'].content['application/vnd.api+json'].schema.$ref,
+      '#/components/schemas/AuthorsCollectionDocument')
+  })
+
+  it('derives attributes and relationships from the schema', () => {
+    const attributes = doc.components.schemas.BooksAttributes.properties
+    assert.deepEqual(attributes.title, { type: 'string', maxLength: 300 })
+    assert.equal(attributes.country_id, undefined)
+
+    const relationships = doc.components.schemas.BooksRelationships.properties
+    assert.deepEqual(Object.keys(relationships).sort(), ['authors', 'country', 'publisher'])
+    assert.equal(relationships.authors.properties.data.type, 'array')
+    assert.deepEqual(relationships.country.properties.data.oneOf[1], { type: 'null' })
+  })
+
+  it('documents include, sparse fieldsets, filters, sorting and pagination', () => {
+    const parameters = Object.fromEntries(doc.paths['/api/books'].get.parameters.map((param) => [param.name, param]))
+
+    assert.match(parameters.include.description, /country, publisher, authors/)
+    assert.equal(parameters.fields.style, 'deepObject')
+    assert.ok(parameters.fields.schema.properties.authors)
+    assert.ok(parameters.filter.schema.properties.title)
+    assert.ok(parameters.filter.schema.properties.publisher_id)
+    assert.match(parameters.sort.description, /prefix with '-'/)
+    assert.deepEqual(Object.keys(parameters.page.schema.properties), ['number', 'size', 'after', 'before'])
+
+    const getParameters = doc.paths['/api/books/{id}'].get.parameters.map((param) => param.name)
+    assert.deepEqual(getParameters, ['id', 'include', 'fields'])
+
+    const aggregateParameters = doc.paths['/api/books/aggregate'].get.parameters.map((param) => param.name)
+    assert.deepEqual(aggregateParameters, ['group', 'agg', 'filter', 'sort'])
+  })
+
+  it('reuses the transport request schemas and the error document shape', () => {
+    const post = doc.paths['/api/books'].post
+    assert.equal(post.requestBody.content['application/vnd.api+json'].schema.$ref, '#/components/schemas/BooksPostRequest')
+    assert.ok(post.responses['201'])
+    assert.equal(post.responses['422'].$ref, '#/components/responses/Error422')
+
+    // returnRecordTransport is 'no' for PUT in this API
+    assert.ok(doc.paths['/api/books/{id}'].put.responses['204'])
+    assert.ok(doc.paths['/api/books/{id}'].patch.responses['200'])
+
+    assert.deepEqual(doc.components.schemas.JsonApiErrorDocument.required, ['errors'])
+    assert.equal(doc.components.responses.Error404.content['application/vnd.api+json'].schema.$ref,
+      '#/components/schemas/JsonApiErrorDocument')
+
+    for (const reference of collectRefs(doc)) {
+      const [, section, name] = reference.match(/^#\/components\/(schemas|responses)\/(.+)$/)
+      assert.ok(doc.components[section][name], `missing ${reference}`)
+    }
+  })
+
+  it('serves the document over HTTP', async () => {
+    const response = await request(app).get('/api/openapi.json')
+    assert.equal(response.status, 200)
+    assert.match(response.headers['content-type'], /application\/json/)
+    assert.equal(response.body.info.title, 'Library')
+    assert.equal(response.body.info.version, '2.0.0')
+    assert.ok(response.body.paths['/api/openapi.json'].get)
+  })
+})
+
+describe('OpenAPI document generation with file fields', () => {
+  const knex = createKnex()
+
+  after(async () => {
+    await knex.destroy()
+  })
+
+  it('offers multipart/form-data for resources with file fields', async () => {
+    const api = await createFileUploadApi(knex, {
+      storage: { upload: async () => '/uploads/file.png' }
+    })
+    const doc = api.rest.generateOpenApi({ servers: [{ url: 'https://example.com' }] })
+
+    assert.deepEqual(doc.servers, [{ url: 'https://example.com' }])
+    const content = doc.paths['/documents'].post.requestBody.content
+    assert.ok(content['application/vnd.api+json'])
+    assert.equal(content['multipart/form-data'].schema.properties.attachment.contentMediaType, 'application/octet-stream')
+    assert.equal(doc.components.schemas.DocumentsAttributes.properties.attachment.type, 'string')
+  })
+})
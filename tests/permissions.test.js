@@ -0,0 +1,168 @@
+import { describe, it, before, beforeEach, after } from 'node:test'
+import assert from 'node:assert/strict'
+import knexLib from 'knex'
+import { createPermissionsApi } from './fixtures/api-configs.js'
+import { cleanTables, createJsonApiDocument, createRelationship, resourceIdentifier } from './helpers/test-utils.js'
+
+const knex = knexLib({
+  client: 'better-sqlite3',
+  connection: {
+    filename: ':memory:'
+  },
+  useNullAsDefault: true
+})
+
+// Every call gets a context of its own: methods keep their state on it
+const asAdmin = () => ({ auth: { userId: '99', roles: ['admin'] } })
+const asUser = (userId) => ({ auth: { userId, roles: ['user'] } })
+const asAnonymous = () => ({ auth: null })
+
+function documentPayload (title, ownerId) {
+  return createJsonApiDocument('perm_documents', { title }, {
+    owner: createRelationship(resourceIdentifier('perm_users', ownerId))
+  })
+}
+
+describe('Permissions Plugin', () => {
+  let api
+  let aliceId
+  let bobId
+  const documents = {}
+
+  before(async () => {
+    api = await createPermissionsApi(knex)
+  })
+
+  after(async () => {
+    await knex.destroy()
+  })
+
+  beforeEach(async () => {
+    await cleanTables(knex, ['permissions_users', 'permissions_documents'])
+
+    const createUser = async (name) => {
+      const result = await api.resources.perm_users.post({
+        inputRecord: createJsonApiDocument('perm_users', { name })
+      })
+      return result.data.id
+    }
+    aliceId = await createUser('Alice')
+    bobId = await createUser('Bob')
+
+    // Interleaved, so filtering after pagination could not pass by accident
+    for (const [title, ownerId] of [['A1', aliceId], ['B1', bobId], ['A2', aliceId], ['B2', bobId], ['A3', aliceId]]) {
+      const result = await api.resources.perm_documents.post({ inputRecord: documentPayload(title, ownerId) }, asAdmin())
+      documents[title] = result.data.id
+    }
+  })
+
+  it('filters collections by the same rule that single records enforce', async () => {
+    const page = await api.resources.perm_documents.query({
+      queryParams: { sort: ['id'], page: { number: 1, size: 2 } },
+      simplified: false
+    }, asUser(aliceId))
+    assert.deepEqual(page.data.map((record) => record.attributes.title), ['A1', 'A2'])
+    assert.equal(page.meta.pagination.total, 3)
+
+    const all = await api.resources.perm_documents.query({ queryParams: {}, simplified: false }, asAdmin())
+    assert.equal(all.data.length, 5)
+
+    const own = await api.resources.perm_documents.get({ id: documents.A1, simplified: false }, asUser(aliceId))
+    assert.equal(own.data.attributes.title, 'A1')
+
+    // Rows outside the rule do not exist for the caller
+    await assert.rejects(
+      api.resources.perm_documents.get({ id: documents.B1, simplified: false }, asUser(aliceId)),
+      { subtype: 'not_found' }
+    )
+  })
+
+  it('refuses callers that no rule can allow', async () => {
+    await assert.rejects(
+      api.resources.perm_documents.query({ queryParams: {}, simplified: false }, asAnonymous()),
+      { subtype: 'forbidden' }
+    )
+
+    // 'public' rules let anonymous callers through
+    const users = await api.resources.perm_users.query({ queryParams: {}, simplified: false }, asAnonymous())
+    assert.equal(users.data.length, 2)
+
+    const { auth } = asUser(aliceId)
+    assert.equal(api.permissions.check({ scopeName: 'perm_documents', method: 'patch', auth }), 'owner')
+    assert.equal(api.permissions.check({ scopeName: 'perm_documents', method: 'delete', auth }), 'deny')
+    assert.equal(api.permissions.check({ scopeName: 'perm_documents', method: 'delete', auth: asAdmin().auth }), 'allow')
+  })
+
+  it('checks ownership of created and updated records', async () => {
+    const created = await api.resources.perm_documents.post({ inputRecord: documentPayload('A4', aliceId) }, asUser(aliceId))
+    assert.equal(created.data.attributes.title, 'A4')
+
+    await assert.rejects(
+      api.resources.perm_documents.post({ inputRecord: documentPayload('Forged', bobId) }, asUser(aliceId)),
+      { subtype: 'forbidden' }
+    )
+
+    await api.resources.perm_documents.patch({
+      id: documents.A1,
+      inputRecord: { data: { type: 'perm_documents', id: String(documents.A1), attributes: { title: 'A1 edited' } } }
+    }, asUser(aliceId))
+
+    // Handing a record to someone else needs a rule that allows it
+    await assert.rejects(
+      api.resources.perm_documents.patch({ id: documents.A1, inputRecord: documentPayload('A1', bobId) }, asUser(aliceId)),
+      { subtype: 'forbidden' }
+    )
+    await api.resources.perm_documents.patch({ id: documents.A1, inputRecord: documentPayload('A1', bobId) }, asAdmin())
+
+    const moved = await api.resources.perm_documents.get({ id: documents.A1, simplified: false }, asUser(bobId))
+    assert.equal(moved.data.relationships.owner.data.id, String(bobId))
+  })
+
+  it('checks ownership of records created by put', async () => {
+    const putDocument = (id, title, ownerId) => api.resources.perm_documents.put({
+      id,
+      inputRecord: { data: { ...documentPayload(title, ownerId).data, id } }
+    }, asUser(aliceId))
+
+    await putDocument('1000', 'A5', aliceId)
+    const created = await api.resources.perm_documents.get({ id: '1000', simplified: false }, asUser(aliceId))
+    assert.equal(created.data.attributes.title, 'A5')
+
+    await assert.rejects(putDocument('1001', 'Forged', bobId), { subtype: 'forbidden' })
+    await assert.rejects(
+      api.resources.perm_documents.get({ id: '1001', simplified: false }, asAdmin()),
+      { subtype: 'not_found' }
+    )
+  })
+
+  it('applies the rule of each method', async () => {
+    await assert.rejects(
+      api.resources.perm_documents.delete({ id: documents.A1 }, asUser(aliceId)),
+      { subtype: 'forbidden' }
+    )
+    await api.resources.perm_documents.delete({ id: documents.A1 }, asAdmin())
+
+    // Relationship methods use the rule of get and patch
+    const owner = await api.resources.perm_documents.getRelationship({
+      id: documents.A2,
+      relationshipName: 'owner'
+    }, asUser(aliceId))
+    assert.equal(owner.data.id, String(aliceId))
+
+    await assert.rejects(
+      api.resources.perm_documents.getRelationship({ id: documents.B1, relationshipName: 'owner' }, asUser(aliceId)),
+      { subtype: 'not_found' }
+    )
+  })
+
+  it('rejects rules that name unknown fields', async () => {
+    await assert.rejects(
+      api.addResource('perm_broken', {
+        schema: { id: { type: 'id' }, title: { type: 'string' } },
+        permissions: { default: { owner: 'user_id' } },
+        tableName: 'permissions_broken'
+      }),
+      { code: 'REST_API_PERMISSIONS_CONTRACT' }
+    )
+  })
+})
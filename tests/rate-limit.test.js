@@ -0,0 +1,260 @@
+import { describe, it, before, beforeEach, after } from 'node:test'
+import assert from 'node:assert/strict'
+import express from 'express'
+import request from 'supertest'
+import knexLib from 'knex'
+import { io as ioClient } from 'socket.io-client'
+import { SignJWT } from 'jose'
+import { createRateLimitApi } from './fixtures/api-configs.js'
+import { cleanTables, createJsonApiDocument } from './helpers/test-utils.js'
+import { createMemoryRateLimitStore } from '../plugins/core/lib/rate-limit/token-bucket-stores.js'
+import { JwtAuthPlugin } from '../index.js'
+
+const knex = knexLib({
+  client: 'better-sqlite3',
+  connection: {
+    filename: ':memory:'
+  },
+  useNullAsDefault: true
+})
+
+// The store reads this clock, so refills happen when the tests say so
+let clock = 1_000_000
+const store = createMemoryRateLimitStore({ now: () => clock })
+
+let api
+let server
+let app
+
+function postAuthor (name, headers = {}) {
+  return request(app)
+    .post('/api/authors')
+    .set(headers)
+    .send(createJsonApiDocument('authors', { name }))
+}
+
+function emitWithAck (socket, event, payload) {
+  return new Promise((resolve) => socket.emit(event, payload, resolve))
+}
+
+describe('Rate Limit Plugin', () => {
+  before(async () => {
+    const result = await createRateLimitApi(knex, {
+      'rate-limit': {
+        store,
+        limit: { capacity: 50, refillPerSecond: 10 },
+        methods: { subscribe: { capacity: 1, refillPerSecond: 1 } },
+        resources: {
+          authors: { post: { capacity: 2, refillPerSecond: 0.5 } },
+          countries: { default: false }
+        }
+      }
+    })
+    api = result.api
+    server = result.server
+    app = express()
+    api.http.express.mount(app)
+  })
+
+  after(async () => {
+    await api.vars.socketIO.disconnectSockets()
+    await new Promise((resolve) => api.vars.socketIO.close(resolve))
+    await new Promise((resolve) => server.close(resolve))
+    await knex.destroy()
+  })
+
+  beforeEach(async () => {
+    store.reset()
+    await cleanTables(knex, [
+      'basic_countries', 'basic_publishers', 'basic_authors', 'basic_books', 'basic_book_authors'
+    ])
+  })
+
+  it('answers 429 with Retry-After once the bucket of the resource and method is empty', async () => {
+    const first = await postAuthor('One').expect(201)
+    assert.equal(first.headers['ratelimit-limit'], '2')
+    assert.equal(first.headers['ratelimit-remaining'], '1')
+    assert.equal(first.headers['ratelimit-policy'], '2;w=4')
+
+    const second = await postAuthor('Two').expect(201)
+    assert.equal(second.headers['ratelimit-remaining'], '0')
+
+    const rejected = await postAuthor('Three').expect(429)
+    assert.equal(rejected.headers['retry-after'], '2')
+    assert.equal(rejected.headers['ratelimit-remaining'], '0')
+    assert.equal(rejected.body.errors[0].status, '429')
+    assert.equal(rejected.body.errors[0].title, 'Too Many Requests')
+
+    // Reads use the global bucket
+    const read = await request(app).get('/api/authors').expect(200)
+    assert.equal(read.headers['ratelimit-limit'], '50')
+  })
+
+  it('refills the bucket over time', async () => {
+    await postAuthor('One').expect(201)
+    await postAuthor('Two').expect(201)
+    await postAuthor('Three').expect(429)
+
+    clock += 2000
+    await postAuthor('Three').expect(201)
+    await postAuthor('Four').expect(429)
+  })
+
+  it('keys buckets by user, then API key, then IP address', async () => {
+    await postAuthor('One', { 'x-user': 'ann' }).expect(201)
+    await postAuthor('Two', { 'x-user': 'ann' }).expect(201)
+    await postAuthor('Three', { 'x-user': 'ann' }).expect(429)
+
+    await postAuthor('Four', { 'x-user': 'bob' }).expect(201)
+    // An API key is used when there is no user, even with the same IP address
+    await postAuthor('Five', { 'x-api-key': 'key-1' }).expect(201)
+    await postAuthor('Six').expect(201)
+  })
+
+  it('ignores X-Forwarded-For unless proxies are trusted', async () => {
+    await postAuthor('One').expect(201)
+    await postAuthor('Two').expect(201)
+
+    // A client making up addresses still drains its own bucket
+    await postAuthor('Three', { 'x-forwarded-for': '203.0.113.7' }).expect(429)
+    await postAuthor('Four', { 'x-real-ip': '203.0.113.8', 'x-forwarded-for': '203.0.113.9, 10.0.0.1' }).expect(429)
+  })
+
+  it('lifts the limit for rules set to false', async () => {
+    for (let attempt = 0; attempt < 3; attempt++) {
+      const response = await request(app)
+        .post('/api/countries')
+        .send(createJsonApiDocument('countries', { name: `Country ${attempt}`, code: `C${attempt}` }))
+        .expect(201)
+      assert.equal(response.headers['ratelimit-limit'], undefined)
+    }
+  })
+
+  it('limits Socket.IO events and answers through the acknowledgement', async () => {
+    const socket = ioClient(`http://localhost:${server.address().port}`, {
+      auth: { userId: 'ann' },
+      path: '/api/socket.io',
+      transports: ['websocket']
+    })
+
+    try {
+      await new Promise((resolve, reject) => {
+        socket.once('connect', resolve)
+        socket.once('connect_error', reject)
+      })
+
+      const accepted = await emitWithAck(socket, 'subscribe', { resource: 'authors' })
+      assert.equal(accepted.success, true)
+
+      const rejected = await emitWithAck(socket, 'subscribe', { resource: 'authors' })
+      assert.equal(rejected.error.code, 'RATE_LIMITED')
+      assert.equal(rejected.error.retryAfter, 1)
+    } finally {
+      socket.disconnect()
+    }
+  })
+})
+
+describe('Rate Limit Plugin behind a trusted proxy', () => {
+  const proxiedKnex = knexLib({
+    client: 'better-sqlite3',
+    connection: {
+      filename: ':memory:'
+    },
+    useNullAsDefault: true
+  })
+
+  let proxiedApi
+  let proxiedServer
+  let proxiedApp
+
+  function postThroughProxy (name, forwardedFor) {
+    return request(proxiedApp)
+      .post('/api/authors')
+      .set('x-forwarded-for', forwardedFor)
+      .send(createJsonApiDocument('authors', { name }))
+  }
+
+  before(async () => {
+    const result = await createRateLimitApi(proxiedKnex, {
+      'rate-limit': {
+        store: createMemoryRateLimitStore({ now: () => clock }),
+        trustProxy: 1,
+        resources: { authors: { post: { capacity: 1, refillPerSecond: 0.5 } } }
+      }
+    })
+    proxiedApi = result.api
+    proxiedServer = result.server
+    proxiedApp = express()
+    proxiedApi.http.express.mount(proxiedApp)
+  })
+
+  after(async () => {
+    await new Promise((resolve) => proxiedApi.vars.socketIO.close(resolve))
+    await new Promise((resolve) => proxiedServer.close(resolve))
+    await proxiedKnex.destroy()
+  })
+
+  it('keys on the address the proxy saw, not on the ones the client sent', async () => {
+    // The proxy appends the address of its caller: the last entry
+    await postThroughProxy('One', '198.51.100.1').expect(201)
+    await postThroughProxy('Two', '198.51.100.2').expect(201)
+
+    // Entries the client wrote itself are further left, and do not count
+    await postThroughProxy('Three', '203.0.113.7, 198.51.100.1').expect(429)
+  })
+})
+
+describe('Rate Limit Plugin installed before JWT authentication', () => {
+  const jwtKnex = knexLib({
+    client: 'better-sqlite3',
+    connection: {
+      filename: ':memory:'
+    },
+    useNullAsDefault: true
+  })
+  const secret = 'rate-limit-jwt-secret'
+
+  let jwtApi
+  let jwtServer
+  let jwtApp
+
+  async function postAs (userId, name) {
+    const token = await new SignJWT({ sub: userId })
+      .setProtectedHeader({ alg: 'HS256' })
+      .setExpirationTime('1h')
+      .sign(new TextEncoder().encode(secret))
+    const response = await request(jwtApp)
+      .post('/api/authors')
+      .set('Authorization', `Bearer ${token}`)
+      .send(createJsonApiDocument('authors', { name }))
+    return response.status
+  }
+
+  before(async () => {
+    const result = await createRateLimitApi(jwtKnex, {
+      'rate-limit': {
+        store: createMemoryRateLimitStore({ now: () => clock }),
+        resources: { authors: { post: { capacity: 1, refillPerSecond: 0.5 } } }
+      }
+    })
+    jwtApi = result.api
+    jwtServer = result.server
+    await jwtApi.use(JwtAuthPlugin, { secret })
+    jwtApp = express()
+    jwtApi.http.express.mount(jwtApp)
+  })
+
+  after(async () => {
+    await new Promise((resolve) => jwtApi.vars.socketIO.close(resolve))
+    await new Promise((resolve) => jwtServer.close(resolve))
+    await jwtKnex.destroy()
+  })
+
+  it('still keys on the user the token authenticates', async () => {
+    assert.equal(await postAs('1', 'One'), 201)
+    // Same address, different user: a bucket of its own
+    assert.equal(await postAs('2', 'Two'), 201)
+    assert.equal(await postAs('1', 'Three'), 429)
+  })
+})
@@ -0,0 +1,207 @@
+import { describe, it, before, after, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+import knexLib from 'knex'
+import { io as ioClient } from 'socket.io-client'
+import {
+  cleanTables,
+  createJsonApiDocument,
+  createRelationship,
+  resourceIdentifier
+} from './helpers/test-utils.js'
+import { createWebSocketRowPolicyApi } from './fixtures/api-configs.js'
+import { Api } from 'hooked-api'
+import { RestApiPlugin, SocketIOPlugin } from '../index.js'
+
+const knex = knexLib({
+  client: 'better-sqlite3',
+  connection: {
+    filename: ':memory:'
+  },
+  useNullAsDefault: true
+})
+
+let api
+let server
+const sockets = []
+
+const adminContext = { visibility: { all: true }, scopeValues: { workspaceId: 'workspace-a' } }
+
+async function connect (auth) {
+  const socket = ioClient(`http://localhost:${server.address().port}`, {
+    path: '/socket.io',
+    auth,
+    transports: ['websocket']
+  })
+  sockets.push(socket)
+
+  socket.updates = []
+  socket.on('subscription.update', (notification) => socket.updates.push(notification))
+
+  await new Promise((resolve, reject) => {
+    socket.once('connect', resolve)
+    socket.once('connect_error', reject)
+  })
+  return socket
+}
+
+async function subscribe (socket, payload) {
+  const response = await new Promise((resolve) => socket.emit('subscribe', payload, resolve))
+  assert.equal(response.success, true, JSON.stringify(response.error))
+  return response.data
+}
+
+async function waitForUpdate (socket, predicate, timeout = 2000) {
+  const started = Date.now()
+  while (Date.now() - started < timeout) {
+    const found = socket.updates.find(predicate)
+    if (found) return found
+    await new Promise((resolve) => setTimeout(resolve, 10))
+  }
+  throw new Error('Timeout waiting for subscription.update')
+}
+
+const postProject = async (name, accessGroup) => {
+  const result = await api.resources.policy_projects.post({
+    inputRecord: createJsonApiDocument('policy_projects', {
+      name,
+      access_group: accessGroup
+    }),
+    simplified: false
+  }, { ...adminContext })
+  return result.data.id
+}
+
+const postTask = async (title, accessGroup, projectId) => {
+  const result = await api.resources.policy_tasks.post({
+    inputRecord: createJsonApiDocument('policy_tasks', {
+      title,
+      access_group: accessGroup
+    }, projectId
+      ? { project: createRelationship(resourceIdentifier('policy_projects', projectId)) }
+      : {}),
+    simplified: false
+  }, { ...adminContext })
+  return result.data.id
+}
+
+describe('Socket.IO record notifications', () => {
+  before(async () => {
+    ({ api, server } = await createWebSocketRowPolicyApi(knex))
+  })
+
+  after(async () => {
+    for (const socket of sockets) socket.disconnect()
+    await new Promise((resolve) => api.vars.socketIO.close(resolve))
+    await knex.destroy()
+  })
+
+  beforeEach(async () => {
+    for (const socket of sockets.splice(0)) socket.disconnect()
+    await cleanTables(knex, [
+      'row_policy_project_tasks',
+      'row_policy_projects',
+      'row_policy_tasks',
+      'row_policy_broken'
+    ])
+  })
+
+  it('rejects an unknown payload mode', async () => {
+    const plainApi = new Api({ name: 'socketio-payload-option-api' })
+    await plainApi.use(RestApiPlugin)
+
+    await assert.rejects(
+      plainApi.use(SocketIOPlugin, { notifications: { payload: 'everything' } }),
+      /notifications\.payload must be one of: minimal, record/
+    )
+  })
+
+  it('sends the full record only to subscribers the row policy lets see it', async () => {
+    const red = await connect({ userId: 'red-user', groups: ['red'] })
+    const blue = await connect({ userId: 'blue-user', groups: ['blue'] })
+    await subscribe(red, { resource: 'policy_projects' })
+    await subscribe(blue, { resource: 'policy_projects' })
+
+    const redId = await postProject('Red project', 'red')
+    const blueId = await postProject('Blue project', 'blue')
+
+    const redUpdate = await waitForUpdate(red, (update) => String(update.id) === redId)
+    assert.equal(redUpdate.type, 'resource.postd')
+    assert.equal(redUpdate.record.data.type, 'policy_projects')
+    assert.equal(redUpdate.record.data.id, redId)
+    assert.equal(redUpdate.record.data.attributes.name, 'Red project')
+
+    await waitForUpdate(blue, (update) => String(update.id) === blueId)
+
+    // Notifications arrive in order: once this one is in, any for the blue project would be too
+    const sentinelId = await postProject('Red sentinel', 'red')
+    await waitForUpdate(red, (update) => String(update.id) === sentinelId)
+
+    assert.deepEqual(red.updates.map((update) => String(update.id)), [redId, sentinelId])
+    assert.deepEqual(blue.updates.map((update) => String(update.id)), [blueId])
+  })
+
+  it('shapes the record with the subscription include and fields', async () => {
+    const red = await connect({ userId: 'red-user', groups: ['red'] })
+    await subscribe(red, {
+      resource: 'policy_tasks',
+      include: ['project'],
+      fields: { policy_tasks: ['title'], policy_projects: ['name'] }
+    })
+
+    const projectId = await postProject('Parent', 'red')
+    const taskId = await postTask('Child task', 'red', projectId)
+
+    const update = await waitForUpdate(red, (candidate) => String(candidate.id) === taskId)
+    assert.deepEqual(update.record.data.attributes, { title: 'Child task' })
+    assert.equal(update.record.data.relationships.project.data.id, projectId)
+    assert.deepEqual(
+      update.record.included.map(({ type, id, attributes }) => ({ type, id, attributes })),
+      [{ type: 'policy_projects', id: projectId, attributes: { name: 'Parent' } }]
+    )
+  })
+
+  it('stops notifying a subscriber once an update hides the record from them', async () => {
+    const red = await connect({ userId: 'red-user', groups: ['red'] })
+    const blue = await connect({ userId: 'blue-user', groups: ['blue'] })
+    await subscribe(red, { resource: 'policy_projects' })
+    await subscribe(blue, { resource: 'policy_projects' })
+
+    const id = await postProject('Moving project', 'red')
+    await waitForUpdate(red, (update) => String(update.id) === id)
+
+    await api.resources.policy_projects.patch({
+      id,
+      inputRecord: {
+        data: { type: 'policy_projects', id, attributes: { access_group: 'blue' } }
+      },
+      simplified: false
+    }, { ...adminContext })
+
+    const blueUpdate = await waitForUpdate(blue, (update) => update.type === 'resource.patchd')
+    assert.equal(blueUpdate.record.data.attributes.access_group, 'blue')
+
+    const sentinelRed = await postProject('Sentinel', 'red')
+    await waitForUpdate(red, (update) => String(update.id) === sentinelRed)
+    assert.deepEqual(red.updates.map((update) => update.type), ['resource.postd', 'resource.postd'])
+  })
+
+  it('sends delete notifications only to subscribers that could see the record', async () => {
+    const red = await connect({ userId: 'red-user', groups: ['red'] })
+    const blue = await connect({ userId: 'blue-user', groups: ['blue'] })
+    await subscribe(red, { resource: 'policy_projects' })
+    await subscribe(blue, { resource: 'policy_projects' })
+
+    const id = await postProject('Doomed project', 'red')
+    await waitForUpdate(red, (update) => String(update.id) === id)
+
+    await api.resources.policy_projects.delete({ id }, { ...adminContext })
+
+    const deleted = await waitForUpdate(red, (update) => update.type === 'resource.deleted')
+    assert.equal(String(deleted.deletedRecord.id), id)
+    assert.equal(deleted.record, undefined)
+
+    const blueId = await postProject('Blue sentinel', 'blue')
+    await waitForUpdate(blue, (update) => String(update.id) === blueId)
+    assert.deepEqual(blue.updates.map((update) => String(update.id)), [blueId])
+  })
+})
@@ -12,6 +12,7 @@ import {
   resourceIdentifier
 } from './helpers/test-utils.js'
 import { createWebSocketApi } from './fixtures/api-configs.js'
+import { AtomicOperationsPlugin } from '../plugins/core/atomic-operations-plugin.js'
 
 // Create JWT token using jose
 async function createToken (payload = {}, secret = 'test-secret-key') {
@@ -454,6 +455,51 @@ describe('WebSocket/Socket.IO Plugin', () => {
       }
     })
 
+    it('should broadcast writes of atomic operations once their transaction commits', async () => {
+      if (!api.atomicOperations) await api.use(AtomicOperationsPlugin)
+
+      const token = await createToken({ userId: 'test-user', role: 'user' }, 'test-secret-key')
+      const socket = ioClient(`http://localhost:${server.address().port}`, {
+        path: '/api/socket.io',
+        auth: { token }
+      })
+
+      try {
+        await new Promise((resolve, reject) => {
+          socket.on('connect', resolve)
+          socket.on('connect_error', reject)
+          setTimeout(() => reject(new Error('Connection timeout')), 5000)
+        })
+
+        await new Promise((resolve) => {
+          socket.emit('subscribe', { resource: 'books' }, resolve)
+        })
+
+        const updatePromise = waitForSocketEvent(socket, 'subscription.update', 1000)
+
+        const result = await api.atomicOperations({
+          operations: [
+            { op: 'add', data: { type: 'countries', lid: 'c', attributes: { name: 'Atomic Country', code: 'AT' } } },
+            {
+              op: 'add',
+              data: {
+                type: 'books',
+                attributes: { title: 'Atomic Book' },
+                relationships: { country: { data: { type: 'countries', lid: 'c' } } }
+              }
+            }
+          ]
+        })
+
+        const notification = await updatePromise
+        assert.equal(notification.type, 'resource.postd')
+        assert.equal(notification.resource, 'books')
+        assert.equal(String(notification.id), String(result['atomic:results'][1].data.id))
+      } finally {
+        socket.close()
+      }
+    })
+
     it('should broadcast deferred patch notifications from relationship PATCH', async () => {
       const token = await createToken({ userId: 'test-user', role: 'user' }, 'test-secret-key')
 
@@ -0,0 +1,158 @@
+import { describe, it, before, beforeEach, after } from 'node:test'
+import assert from 'node:assert/strict'
+import express from 'express'
+import request from 'supertest'
+import knexLib from 'knex'
+import { createSoftDeleteApi } from './fixtures/api-configs.js'
+import { cleanTables, countRecords } from './helpers/test-utils.js'
+
+const knex = knexLib({
+  client: 'better-sqlite3',
+  connection: {
+    filename: ':memory:'
+  },
+  useNullAsDefault: true
+})
+
+let api
+let app
+
+async function seed () {
+  const publisher = await api.resources.publishers.post({
+    inputRecord: { data: { type: 'publishers', attributes: { name: 'Kept Publisher' } } }
+  })
+  const books = []
+  for (const title of ['Visible', 'Trashed']) {
+    books.push(await api.resources.books.post({
+      inputRecord: {
+        data: {
+          type: 'books',
+          attributes: { title },
+          relationships: { publisher: { data: { type: 'publishers', id: publisher.data.id } } }
+        }
+      }
+    }))
+  }
+  return { publisher, visible: books[0], trashed: books[1] }
+}
+
+describe('Soft Delete Plugin', () => {
+  before(async () => {
+    api = await createSoftDeleteApi(knex)
+    app = express()
+    api.http.express.mount(app)
+  })
+
+  after(async () => {
+    await knex.destroy()
+  })
+
+  beforeEach(async () => {
+    await cleanTables(knex, ['soft_publishers', 'soft_books'])
+  })
+
+  it('turns delete into an update of the configured column', async () => {
+    const { trashed } = await seed()
+
+    await api.resources.books.delete({ id: trashed.data.id })
+
+    assert.equal(await countRecords(knex, 'soft_books'), 2)
+    await assert.rejects(
+      api.resources.books.get({ id: trashed.data.id }),
+      { subtype: 'not_found' }
+    )
+    await assert.rejects(
+      api.resources.books.delete({ id: trashed.data.id }),
+      { subtype: 'not_found' }
+    )
+  })
+
+  it('hides deleted rows from queries, counts, includes and related endpoints', async () => {
+    const { publisher, visible, trashed } = await seed()
+    await api.resources.books.delete({ id: trashed.data.id })
+
+    const collection = await api.resources.books.query({
+      queryParams: { page: { size: 10, number: 1 } }
+    })
+    assert.deepEqual(collection.data.map((book) => book.id), [visible.data.id])
+    assert.equal(collection.meta.pagination.total, 1)
+
+    const withBooks = await api.resources.publishers.get({
+      id: publisher.data.id,
+      queryParams: { include: ['books'] }
+    })
+    assert.deepEqual(withBooks.data.relationships.books.data, [{ type: 'books', id: visible.data.id }])
+    assert.deepEqual((withBooks.included || []).map((book) => book.id), [visible.data.id])
+
+    const related = await api.resources.publishers.getRelated({
+      id: publisher.data.id,
+      relationshipName: 'books'
+    })
+    assert.deepEqual(related.data.map((book) => book.id), [visible.data.id])
+  })
+
+  it('hides a deleted parent when it is included from a child', async () => {
+    const { publisher, visible } = await seed()
+    await api.resources.publishers.delete({ id: publisher.data.id })
+
+    const book = await api.resources.books.get({
+      id: visible.data.id,
+      queryParams: { include: ['publisher'] }
+    })
+    assert.equal((book.included || []).length, 0)
+  })
+
+  it('supports filter[trashed]=with|only', async () => {
+    const { visible, trashed } = await seed()
+    await api.resources.books.delete({ id: trashed.data.id })
+
+    const withTrashed = await api.resources.books.query({
+      queryParams: { filters: { trashed: 'with' }, sort: ['id'] }
+    })
+    assert.deepEqual(withTrashed.data.map((book) => book.id), [visible.data.id, trashed.data.id])
+
+    const onlyTrashed = await api.resources.books.query({
+      queryParams: { filters: { trashed: 'only' } }
+    })
+    assert.deepEqual(onlyTrashed.data.map((book) => book.id), [trashed.data.id])
+    assert.ok(onlyTrashed.data[0].attributes.removed_on)
+
+    await assert.rejects(
+      api.resources.books.query({ queryParams: { filters: { trashed: 'everything' } } }),
+      { code: 'REST_API_VALIDATION' }
+    )
+  })
+
+  it('restores deleted records and purges them permanently', async () => {
+    const { visible, trashed } = await seed()
+    await api.resources.books.delete({ id: trashed.data.id })
+
+    const restored = await api.resources.books.restore({ id: trashed.data.id })
+    assert.equal(restored.data.id, trashed.data.id)
+    assert.equal(restored.data.attributes.removed_on, null)
+
+    await assert.rejects(
+      api.resources.books.restore({ id: visible.data.id }),
+      { subtype: 'not_found' }
+    )
+
+    await api.resources.books.delete({ id: trashed.data.id })
+    await api.resources.books.purge({ id: trashed.data.id })
+    await api.resources.books.purge({ id: visible.data.id })
+    assert.equal(await countRecords(knex, 'soft_books'), 0)
+  })
+
+  it('applies over HTTP', async () => {
+    const { trashed } = await seed()
+
+    const deleteResponse = await request(app).delete(`/api/books/${trashed.data.id}`)
+    assert.equal(deleteResponse.status, 204)
+
+    const getResponse = await request(app).get(`/api/books/${trashed.data.id}`)
+    assert.equal(getResponse.status, 404)
+
+    const onlyResponse = await request(app).get('/api/books?filter[trashed]=only')
+    assert.equal(onlyResponse.status, 200)
+    assert.deepEqual(onlyResponse.body.data.map((book) => book.id), [trashed.data.id])
+  })
+})
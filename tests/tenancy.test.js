@@ -0,0 +1,157 @@
+import { describe, it, before, beforeEach, after } from 'node:test'
+import assert from 'node:assert/strict'
+import knexLib from 'knex'
+import { createTenancyApi } from './fixtures/api-configs.js'
+import { cleanTables, createJsonApiDocument, createRelationship, resourceIdentifier } from './helpers/test-utils.js'
+import { storageMode } from './helpers/storage-mode.js'
+
+// AnyAPI storage has tenants of its own; the plugin is for legacy Knex tables
+const maybeDescribe = storageMode.isAnyApi() ? describe.skip : describe
+
+const knex = knexLib({
+  client: 'better-sqlite3',
+  connection: {
+    filename: ':memory:'
+  },
+  useNullAsDefault: true
+})
+
+// Every call gets a context of its own: methods keep their state on it
+const asTenant = (tenant) => ({ auth: { userId: '1', tenant } })
+
+maybeDescribe('Tenancy', () => {
+  let api
+
+  before(async () => {
+    api = await createTenancyApi(knex)
+  })
+
+  after(async () => {
+    await knex.destroy()
+  })
+
+  beforeEach(async () => {
+    await cleanTables(knex, ['tenancy_projects', 'tenancy_tasks', 'tenancy_tags'])
+  })
+
+  const postProject = async (tenant, name) => {
+    const result = await api.resources.tn_projects.post({
+      inputRecord: createJsonApiDocument('tn_projects', { name })
+    }, asTenant(tenant))
+    return result.data.id
+  }
+
+  const postTask = async (tenant, title, projectId) => {
+    const result = await api.resources.tn_tasks.post({
+      inputRecord: createJsonApiDocument('tn_tasks', { title }, projectId
+        ? { project: createRelationship(resourceIdentifier('tn_projects', projectId)) }
+        : {})
+    }, asTenant(tenant))
+    return result.data
+  }
+
+  it('stamps the tenant on writes and refuses a different one', async () => {
+    const projectId = await postProject('acme', 'Roadmap')
+
+    const row = await knex('tenancy_projects').where('id', projectId).first()
+    assert.equal(row.tenant_id, 'acme')
+
+    await assert.rejects(
+      api.resources.tn_projects.post({
+        inputRecord: createJsonApiDocument('tn_projects', { name: 'Other', tenant_id: 'globex' })
+      }, asTenant('acme')),
+      (error) => {
+        assert.equal(error.code, 'REST_API_VALIDATION')
+        assert.equal(error.details.violations[0].rule, 'tenant_consistency')
+        assert.equal(error.details.violations[0].field, 'data.attributes.tenant_id')
+        return true
+      }
+    )
+
+    // The tenant may also come straight from the context
+    await api.resources.tn_projects.post({
+      inputRecord: createJsonApiDocument('tn_projects', { name: 'Launch' })
+    }, { tenantId: 'globex' })
+    const globexRows = await knex('tenancy_projects').where('tenant_id', 'globex')
+    assert.equal(globexRows.length, 1)
+
+    await assert.rejects(
+      api.resources.tn_projects.query({ queryParams: {}, simplified: false }, {}),
+      { code: 'REST_API_RESOURCE', subtype: 'forbidden' }
+    )
+  })
+
+  it('scopes queries, counts, includes and relationship endpoints to the tenant', async () => {
+    const acmeProject = await postProject('acme', 'Roadmap')
+    const globexProject = await postProject('globex', 'Roadmap')
+    await postTask('acme', 'Plan', acmeProject)
+    await postTask('globex', 'Spy', globexProject)
+
+    const projects = await api.resources.tn_projects.query({
+      queryParams: { include: ['tasks'] },
+      simplified: false
+    }, asTenant('acme'))
+    assert.deepEqual(projects.data.map((project) => project.id), [String(acmeProject)])
+    assert.deepEqual(projects.included.map((task) => task.attributes.title), ['Plan'])
+    assert.equal('tenant_id' in projects.data[0].attributes, false)
+
+    const counted = await api.resources.tn_tasks.query({
+      queryParams: { page: { number: 1, size: 10 } },
+      simplified: false
+    }, asTenant('globex'))
+    assert.equal(counted.meta.pagination.total, 1)
+
+    await assert.rejects(
+      api.resources.tn_projects.get({ id: globexProject, simplified: false }, asTenant('acme')),
+      { code: 'REST_API_RESOURCE', subtype: 'not_found' }
+    )
+    await assert.rejects(
+      api.resources.tn_projects.getRelationship({ id: globexProject, relationshipName: 'tasks' }, asTenant('acme')),
+      { code: 'REST_API_RESOURCE', subtype: 'not_found' }
+    )
+
+    const related = await api.resources.tn_projects.getRelated({
+      id: acmeProject,
+      relationshipName: 'tasks'
+    }, asTenant('acme'))
+    assert.deepEqual(related.data.map((task) => task.attributes.title), ['Plan'])
+
+    // Rows of another tenant can be neither changed nor linked to
+    await assert.rejects(
+      api.resources.tn_projects.patch({
+        id: globexProject,
+        inputRecord: { data: { type: 'tn_projects', id: String(globexProject), attributes: { name: 'Mine' } } }
+      }, asTenant('acme')),
+      /Resource not found/
+    )
+    await assert.rejects(
+      postTask('acme', 'Borrow', globexProject),
+      { code: 'REST_API_RESOURCE', subtype: 'not_found' }
+    )
+  })
+
+  it('keeps unique values and positions per tenant', async () => {
+    await postProject('acme', 'Roadmap')
+    await postProject('globex', 'Roadmap')
+    await assert.rejects(postProject('acme', 'Roadmap'))
+
+    const acmeFirst = await postTask('acme', 'One')
+    const acmeSecond = await postTask('acme', 'Two')
+    const globexFirst = await postTask('globex', 'Uno')
+
+    assert.ok(acmeSecond.attributes.position > acmeFirst.attributes.position)
+    assert.equal(globexFirst.attributes.position, acmeFirst.attributes.position)
+  })
+
+  it('leaves resources without the tenant field shared', async () => {
+    await api.resources.tn_tags.post({
+      inputRecord: createJsonApiDocument('tn_tags', { label: 'urgent' })
+    }, asTenant('acme'))
+
+    const tags = await api.resources.tn_tags.query({ queryParams: {}, simplified: false }, asTenant('globex'))
+    assert.equal(tags.data.length, 1)
+
+    assert.deepEqual(api.tenancy.getScopeConfig('tn_projects'), { field: 'tenant_id' })
+    assert.equal(api.tenancy.getScopeConfig('tn_tags'), null)
+  })
+})